@@ -0,0 +1,176 @@
+// Alerts: rules that raise a notification when an instrument's price, a holding's
+// unrealized P&L, a portfolio's drift from its target allocation or a goal's progress
+// crosses a threshold.
+//
+// An alert fires when its condition starts to hold and is re-armed once the condition
+// stops holding, so a price hovering around a level notifies once per crossing rather
+// than on every check.
+
+const ALERT_TYPES = ['PRICE', 'PNL', 'DRIFT', 'GOAL_MILESTONE'];
+
+const ALERT_DIRECTIONS = ['ABOVE', 'BELOW'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Check a complete alert (a new one, or an existing one with the edits applied);
+// returns an error message or null
+//  PRICE: instrument_id, direction and a price threshold
+//  PNL: direction and a threshold in percent; instrument_id and portfolio_id narrow it
+//    to one holding or portfolio (all holdings otherwise)
+//  DRIFT: portfolio_id and/or goal_id; threshold in percentage points defaults to the
+//    target allocation's drift band
+//  GOAL_MILESTONE: goal_id and the progress percent to reach
+const validateAlert = (alert) => {
+  const { alert_type, instrument_id, portfolio_id, goal_id, direction, threshold, notify_outbound, is_active } = alert;
+
+  if (!ALERT_TYPES.includes(alert_type)) {
+    return `alert_type must be one of ${ALERT_TYPES.join(', ')}`;
+  }
+  if (isSet(threshold) && !isFinite(Number(threshold))) {
+    return 'threshold must be a number';
+  }
+  if (notify_outbound !== undefined && typeof notify_outbound !== 'boolean') {
+    return 'notify_outbound must be true or false';
+  }
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+
+  if (alert_type === 'PRICE' || alert_type === 'PNL') {
+    if (alert_type === 'PRICE' && !instrument_id) {
+      return 'instrument_id is required for a PRICE alert';
+    }
+    if (!ALERT_DIRECTIONS.includes(direction)) {
+      return `direction must be one of ${ALERT_DIRECTIONS.join(', ')}`;
+    }
+    if (!isSet(threshold)) {
+      return `threshold is required for a ${alert_type} alert`;
+    }
+    if (alert_type === 'PRICE' && !(Number(threshold) > 0)) {
+      return 'threshold must be a positive price';
+    }
+    if (isSet(goal_id)) {
+      return `goal_id does not apply to a ${alert_type} alert`;
+    }
+  }
+  if (alert_type === 'DRIFT') {
+    if (!portfolio_id && !goal_id) {
+      return 'portfolio_id or goal_id is required for a DRIFT alert';
+    }
+    if (isSet(threshold) && !(Number(threshold) > 0 && Number(threshold) <= 100)) {
+      return 'threshold must be a number of percentage points above 0 and up to 100';
+    }
+  }
+  if (alert_type === 'GOAL_MILESTONE') {
+    if (!goal_id) {
+      return 'goal_id is required for a GOAL_MILESTONE alert';
+    }
+    if (!(Number(threshold) > 0)) {
+      return 'threshold must be the progress percent to reach';
+    }
+  }
+  if ((alert_type === 'DRIFT' || alert_type === 'GOAL_MILESTONE') && (isSet(instrument_id) || isSet(direction))) {
+    return `instrument_id and direction do not apply to a ${alert_type} alert`;
+  }
+  return null;
+};
+
+// Whether an alert's condition holds for an observation ({ value, drift_band? }): the
+// price, the P&L percent, the largest drift in percentage points or the goal's progress
+const isConditionMet = (alert, observation) => {
+  const threshold = alert.threshold === null ? null : Number(alert.threshold);
+  switch (alert.alert_type) {
+    case 'PRICE':
+    case 'PNL':
+      return alert.direction === 'ABOVE' ? observation.value >= threshold : observation.value <= threshold;
+    case 'DRIFT':
+      return Math.abs(observation.value) > (threshold ?? observation.drift_band);
+    case 'GOAL_MILESTONE':
+      return observation.value >= threshold;
+    default:
+      return false;
+  }
+};
+
+// Title and message of the notification for an alert that fired; observation.label
+// names what was measured (a symbol, portfolio or goal)
+const describeAlert = (alert, observation) => {
+  const { label, value } = observation;
+  const threshold = alert.threshold === null ? null : Number(alert.threshold);
+  const side = alert.direction === 'ABOVE' ? 'above' : 'below';
+  switch (alert.alert_type) {
+    case 'PRICE':
+      return {
+        title: `${label} is ${side} ${threshold}`,
+        message: `${label} is trading at ${value}, at or ${side} your alert level of ${threshold}.`
+      };
+    case 'PNL':
+      return {
+        title: `${label} P&L is ${side} ${threshold}%`,
+        message: `The unrealized P&L of ${label} is ${value}%, at or ${side} your alert level of ${threshold}%.`
+      };
+    case 'DRIFT':
+      return {
+        title: `${label} has drifted from its target allocation`,
+        message: `${observation.asset_type} is ${Math.abs(value)} percentage points ${value > 0 ? 'over' : 'under'} its target, ` +
+          `outside the ${threshold ?? observation.drift_band}-point band. Consider rebalancing.`
+      };
+    case 'GOAL_MILESTONE':
+      return {
+        title: `${label} reached ${threshold}%`,
+        message: `${label} is ${value}% of the way to its target.`
+      };
+    default:
+      return { title: 'Alert', message: '' };
+  }
+};
+
+// Queue of alert checks. schedule(userId) asks for a user's alerts to be checked, and
+// schedule() for everyone's (after prices change). Requests that arrive while a check
+// runs are batched into the next one, so bursts of trades or quotes cost one check.
+const createAlertQueue = (check) => {
+  const EVERYONE = null;
+  let pending;
+  let running = false;
+
+  const drain = async () => {
+    running = true;
+    try {
+      while (pending !== undefined) {
+        const users = pending;
+        pending = undefined;
+        try {
+          await check(users === EVERYONE ? null : [...users]);
+        } catch (err) {
+          console.error('Alert check failed:', err.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    schedule(userId) {
+      const idle = !running && pending === undefined;
+      if (userId === undefined || pending === EVERYONE) {
+        pending = EVERYONE;
+      } else {
+        pending = pending || new Set();
+        pending.add(userId);
+      }
+      if (idle) {
+        setImmediate(drain);
+      }
+    }
+  };
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_DIRECTIONS,
+  validateAlert,
+  isConditionMet,
+  describeAlert,
+  createAlertQueue
+};
@@ -0,0 +1,70 @@
+// Goal allocations: how much of each holding (one instrument in one portfolio) counts
+// toward each goal. An allocation is a number of units (QUANTITY) or a share of the
+// holding (PERCENT); percent allocations grow and shrink with the holding.
+// When sells leave a holding smaller than its allocations add up to, every goal's
+// units are scaled down in proportion, so a unit is never counted toward two goals.
+
+const { EPSILON } = require('./lots');
+
+const ALLOCATION_TYPES = ['QUANTITY', 'PERCENT'];
+
+// Check an allocation's type and value; returns an error message or null
+const validateAllocation = ({ allocation_type, value }) => {
+  if (!ALLOCATION_TYPES.includes(allocation_type)) {
+    return `allocation_type must be one of ${ALLOCATION_TYPES.join(', ')}`;
+  }
+  if (value === undefined || value === null || value === '' || !(Number(value) >= 0)) {
+    return 'value must be zero or positive';
+  }
+  if (allocation_type === 'PERCENT' && Number(value) > 100) {
+    return 'A PERCENT allocation cannot be more than 100';
+  }
+  return null;
+};
+
+// Carry an allocation through the corporate actions recorded after it was last set
+// (actions oldest first): a merger moves it to the new instrument, and splits, bonus
+// issues and mergers change the number of units a QUANTITY allocation stands for
+const adjustAllocation = (allocation, actions) => {
+  const since = new Date(allocation.updated_at);
+  let instrumentId = allocation.instrument_id;
+  let value = Number(allocation.value);
+
+  actions.forEach(action => {
+    if (
+      action.instrument_id !== instrumentId ||
+      (action.portfolio_id && action.portfolio_id !== allocation.portfolio_id) ||
+      new Date(action.ex_date) <= since
+    ) {
+      return;
+    }
+    const ratio = Number(action.ratio_to) / Number(action.ratio_from);
+    if (action.action_type === 'MERGER') {
+      instrumentId = action.new_instrument_id;
+    }
+    if (allocation.allocation_type === 'QUANTITY') {
+      if (action.action_type === 'SPLIT' || action.action_type === 'MERGER') {
+        value *= ratio;
+      } else if (action.action_type === 'BONUS') {
+        value *= 1 + ratio;
+      }
+    }
+  });
+
+  return { ...allocation, instrument_id: instrumentId, value };
+};
+
+// Units of a holding of `held` units that each of its allocations gets
+const splitHolding = (held, allocations) => {
+  const wanted = allocations.map(allocation => (
+    allocation.allocation_type === 'PERCENT' ? (held * allocation.value) / 100 : allocation.value
+  ));
+  const total = wanted.reduce((sum, quantity) => sum + quantity, 0);
+  const scale = total > held + EPSILON ? Math.max(held, 0) / total : 1;
+  return allocations.map((allocation, index) => ({
+    ...allocation,
+    quantity: Math.round(wanted[index] * scale * 10000) / 10000
+  }));
+};
+
+module.exports = { ALLOCATION_TYPES, validateAllocation, adjustAllocation, splitHolding };
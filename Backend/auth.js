@@ -0,0 +1,51 @@
+// Authentication helpers: password hashing, JWT tokens and the Express middleware
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const SALT_ROUNDS = 10;
+const TOKEN_EXPIRY = process.env.JWT_EXPIRES_IN || '7d';
+
+// Without a configured secret, tokens only stay valid until the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+  console.warn('JWT_SECRET is not set; using a random secret for this run');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// One plain address (no spaces, line breaks, brackets or commas), since it is also used
+// as an email recipient
+const isEmailAddress = (email) => /^[^\s<>()@,;:"\\]+@[^\s<>()@,;:"\\]+\.[^\s<>()@,;:"\\]+$/.test(email);
+
+const signToken = (user) => jwt.sign({ sub: user.id, email: user.email }, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+
+// Read the token from "Authorization: Bearer <token>", or from ?access_token=
+// for clients that cannot set headers (EventSource)
+const getToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+  return req.query.access_token || null;
+};
+
+// Reject requests without a valid token; sets req.user = { id, email }
+const requireAuth = (req, res, next) => {
+  const token = getToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = { id: payload.sub, email: payload.email };
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+module.exports = { hashPassword, verifyPassword, isEmailAddress, signToken, requireAuth };
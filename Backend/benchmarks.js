@@ -0,0 +1,119 @@
+// Benchmark comparison: a portfolio's daily values (see buildDailyValues in performance.js)
+// against the end-of-day prices of an index or any other instrument.
+//
+// Risk statistics use calendar-day returns, annualized over 365 days, with a zero
+// risk-free rate. Alpha is Jensen's alpha.
+
+const { samplePoints, moneyWeightedReturn } = require('./performance');
+const { DAYS_PER_YEAR, mean, covariance, correlation } = require('./risk');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// Alpha, beta and tracking error from paired daily returns (nulls with under two pairs)
+const riskStatistics = (portfolioReturns, benchmarkReturns) => {
+  if (portfolioReturns.length < 2) {
+    return { alpha_percent: null, beta: null, correlation: null, tracking_error_percent: null };
+  }
+  const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+  const beta = benchmarkVariance > 0 ? covariance(portfolioReturns, benchmarkReturns) / benchmarkVariance : null;
+  const correlationValue = correlation(portfolioReturns, benchmarkReturns);
+  const differences = portfolioReturns.map((value, index) => value - benchmarkReturns[index]);
+  const trackingError = Math.sqrt(covariance(differences, differences) * DAYS_PER_YEAR);
+
+  return {
+    alpha_percent: beta === null
+      ? null
+      : round2((mean(portfolioReturns) - beta * mean(benchmarkReturns)) * DAYS_PER_YEAR * 100),
+    beta: beta === null ? null : round4(beta),
+    correlation: correlationValue === null ? null : round4(correlationValue),
+    tracking_error_percent: round2(trackingError * 100)
+  };
+};
+
+// Compare daily values ({ baseline, points }) from `from` to `to` with a benchmark's
+// closes ([{ date, price }] oldest first). The "same cash flows" portfolio puts the
+// starting value and every net flow into the benchmark at that day's close; money that
+// arrives before the benchmark's first price waits as cash until then.
+const compareWithBenchmark = ({ daily, closes, from, to, granularity = 'daily' }) => {
+  const { baseline, points } = daily;
+  let closeIndex = -1;
+  const closeOn = (day) => {
+    while (closeIndex + 1 < closes.length && closes[closeIndex + 1].date <= day) {
+      closeIndex += 1;
+    }
+    return closeIndex >= 0 ? closes[closeIndex].price : null;
+  };
+
+  let units = 0;
+  let cash = 0;
+  const invest = (amount, close) => {
+    cash += amount;
+    if (close) {
+      units += cash / close;
+      cash = 0;
+    }
+  };
+
+  const startClose = closeOn(baseline.date);
+  invest(baseline.value, startClose);
+  let firstClose = startClose;
+  let previousClose = startClose;
+  let previous = baseline;
+  const portfolioReturns = [];
+  const benchmarkReturns = [];
+  const compared = [];
+
+  points.forEach(point => {
+    const close = closeOn(point.date);
+    firstClose = firstClose || close;
+    invest(point.net_flow, close);
+    if (previous.value > 0 && previousClose && close) {
+      portfolioReturns.push(point.twr_index / previous.twr_index - 1);
+      benchmarkReturns.push(close / previousClose - 1);
+    }
+    compared.push({
+      ...point,
+      benchmark_return: firstClose ? close / firstClose - 1 : 0,
+      benchmark_value: units * (close || 0) + cash
+    });
+    previous = point;
+    previousClose = close;
+  });
+
+  const end = compared.length > 0 ? compared[compared.length - 1] : { ...baseline, benchmark_return: 0, benchmark_value: baseline.value };
+  const portfolioReturn = end.twr_index / baseline.twr_index - 1;
+  const netFlows = points.reduce((sum, point) => sum + point.net_flow, 0);
+  const portfolioXirr = moneyWeightedReturn(baseline, points, from, to, end.value);
+  const benchmarkXirr = moneyWeightedReturn(baseline, points, from, to, end.benchmark_value);
+
+  return {
+    summary: {
+      portfolio_return_percent: round2(portfolioReturn * 100),
+      benchmark_return_percent: round2(end.benchmark_return * 100),
+      excess_return_percent: round2((portfolioReturn - end.benchmark_return) * 100),
+      ...riskStatistics(portfolioReturns, benchmarkReturns),
+      days_compared: portfolioReturns.length
+    },
+    same_cash_flows: {
+      start_value: round2(baseline.value),
+      net_flows: round2(netFlows),
+      portfolio_end_value: round2(end.value),
+      benchmark_end_value: round2(end.benchmark_value),
+      difference: round2(end.value - end.benchmark_value),
+      portfolio_xirr_percent: portfolioXirr === null ? null : round2(portfolioXirr * 100),
+      benchmark_xirr_percent: benchmarkXirr === null ? null : round2(benchmarkXirr * 100)
+    },
+    series: samplePoints(compared, granularity).map(point => ({
+      date: point.date,
+      portfolio_value: round2(point.value),
+      benchmark_value: round2(point.benchmark_value),
+      net_flow: round2(point.net_flow),
+      portfolio_return_percent: round2((point.twr_index / baseline.twr_index - 1) * 100),
+      benchmark_return_percent: round2(point.benchmark_return * 100)
+    }))
+  };
+};
+
+module.exports = { compareWithBenchmark };
@@ -0,0 +1,48 @@
+// Aggregates stored price ticks into OHLC candles
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Chart ranges offered by the frontend: how far back to look and how wide each candle is.
+// MAX has no range limit and starts from the first stored tick.
+const CANDLE_INTERVALS = {
+  '1D': { range: DAY, bucket: 5 * MINUTE },
+  '1W': { range: 7 * DAY, bucket: HOUR },
+  '1M': { range: 30 * DAY, bucket: DAY },
+  '3M': { range: 90 * DAY, bucket: DAY },
+  '1Y': { range: 365 * DAY, bucket: DAY },
+  'MAX': { range: null, bucket: 7 * DAY }
+};
+
+// Fold ticks (oldest first) into candles of bucketMs width.
+// A tick may carry its own open/high/low (e.g. a daily bar loaded from a file);
+// otherwise its price is used for all four values.
+const aggregateCandles = (ticks, bucketMs) => {
+  const candles = [];
+  let current = null;
+
+  for (const tick of ticks) {
+    const time = new Date(tick.price_time).getTime();
+    const bucketStart = Math.floor(time / bucketMs) * bucketMs;
+    const close = Number(tick.price);
+    const open = tick.open === null || tick.open === undefined ? close : Number(tick.open);
+    const high = tick.high === null || tick.high === undefined ? close : Number(tick.high);
+    const low = tick.low === null || tick.low === undefined ? close : Number(tick.low);
+    const volume = Number(tick.volume) || 0;
+
+    if (!current || current.timestamp !== bucketStart) {
+      current = { timestamp: bucketStart, open, high, low, close, volume };
+      candles.push(current);
+    } else {
+      current.high = Math.max(current.high, high);
+      current.low = Math.min(current.low, low);
+      current.close = close;
+      current.volume += volume;
+    }
+  }
+
+  return candles;
+};
+
+module.exports = { CANDLE_INTERVALS, aggregateCandles };
@@ -0,0 +1,175 @@
+// Brokerage and statutory charges on delivery trades, from per-asset-type fee schedules.
+// Percentages are of turnover (quantity * price); flat amounts are in rupees per order.
+
+// Schedule fields and whether null is allowed (brokerage_max: no cap)
+const FEE_FIELDS = {
+  brokerage_percent: false,
+  brokerage_flat: false,
+  brokerage_max: true,
+  stt_buy_percent: false,
+  stt_sell_percent: false,
+  exchange_percent: false,
+  sebi_per_crore: false,
+  stamp_duty_buy_percent: false,
+  gst_percent: false,
+  dp_charge_per_sell: false
+};
+
+// Typical discount-broker delivery rates; portfolios can override any field per type
+const DEFAULT_FEE_SCHEDULES = {
+  STOCK: {
+    brokerage_percent: 0,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0.1,
+    stt_sell_percent: 0.1,
+    exchange_percent: 0.00297,
+    sebi_per_crore: 10,
+    stamp_duty_buy_percent: 0.015,
+    gst_percent: 18,
+    dp_charge_per_sell: 15.93
+  },
+  // Direct mutual fund units: only stamp duty on purchases
+  MF: {
+    brokerage_percent: 0,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0,
+    stt_sell_percent: 0,
+    exchange_percent: 0,
+    sebi_per_crore: 0,
+    stamp_duty_buy_percent: 0.005,
+    gst_percent: 18,
+    dp_charge_per_sell: 0
+  },
+  // Gold ETFs: exchange-traded, no STT
+  GOLD: {
+    brokerage_percent: 0,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0,
+    stt_sell_percent: 0,
+    exchange_percent: 0.00297,
+    sebi_per_crore: 10,
+    stamp_duty_buy_percent: 0.015,
+    gst_percent: 18,
+    dp_charge_per_sell: 15.93
+  },
+  // Equity ETFs: STT only on sales of fund units on the exchange
+  ETF: {
+    brokerage_percent: 0,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0,
+    stt_sell_percent: 0.001,
+    exchange_percent: 0.00297,
+    sebi_per_crore: 10,
+    stamp_duty_buy_percent: 0.015,
+    gst_percent: 18,
+    dp_charge_per_sell: 15.93
+  },
+  // Listed bonds: no STT, and stamp duty at the debt-security rate
+  BOND: {
+    brokerage_percent: 0,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0,
+    stt_sell_percent: 0,
+    exchange_percent: 0.00297,
+    sebi_per_crore: 10,
+    stamp_duty_buy_percent: 0.0001,
+    gst_percent: 18,
+    dp_charge_per_sell: 15.93
+  },
+  // Bank deposits are booked and closed without charges
+  FD: {
+    brokerage_percent: 0,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0,
+    stt_sell_percent: 0,
+    exchange_percent: 0,
+    sebi_per_crore: 0,
+    stamp_duty_buy_percent: 0,
+    gst_percent: 0,
+    dp_charge_per_sell: 0
+  },
+  // Crypto exchanges charge a trading fee on both sides, plus GST
+  CRYPTO: {
+    brokerage_percent: 0.2,
+    brokerage_flat: 0,
+    brokerage_max: null,
+    stt_buy_percent: 0,
+    stt_sell_percent: 0,
+    exchange_percent: 0,
+    sebi_per_crore: 0,
+    stamp_duty_buy_percent: 0,
+    gst_percent: 18,
+    dp_charge_per_sell: 0
+  }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Check a { TYPE: { field: value } } override object; returns an error message or null
+const validateFeeSchedules = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'fee_schedule must be an object keyed by instrument type';
+  }
+  for (const [type, schedule] of Object.entries(overrides)) {
+    if (!DEFAULT_FEE_SCHEDULES[type]) {
+      return `Unknown instrument type ${type}. Use one of ${Object.keys(DEFAULT_FEE_SCHEDULES).join(', ')}`;
+    }
+    if (!schedule || typeof schedule !== 'object') {
+      return `fee_schedule.${type} must be an object`;
+    }
+    for (const [field, value] of Object.entries(schedule)) {
+      if (!(field in FEE_FIELDS)) {
+        return `Unknown fee field ${field}`;
+      }
+      if (value === null ? !FEE_FIELDS[field] : !(typeof value === 'number' && value >= 0)) {
+        return `fee_schedule.${type}.${field} must be a non-negative number`;
+      }
+    }
+  }
+  return null;
+};
+
+// Defaults with a portfolio's overrides applied, for every instrument type
+const resolveFeeSchedules = (overrides) => Object.fromEntries(
+  Object.entries(DEFAULT_FEE_SCHEDULES).map(([type, schedule]) => [type, { ...schedule, ...((overrides || {})[type] || {}) }])
+);
+
+// Charges for one order. GST applies to brokerage, exchange and SEBI fees;
+// the DP charge is per sell order and already includes GST.
+const calculateCharges = (schedule, side, quantity, price) => {
+  const turnover = quantity * price;
+  const percentOf = (percent) => (turnover * percent) / 100;
+
+  let brokerage = percentOf(schedule.brokerage_percent) + schedule.brokerage_flat;
+  if (schedule.brokerage_max !== null && schedule.brokerage_max !== undefined) {
+    brokerage = Math.min(brokerage, schedule.brokerage_max);
+  }
+  const stt = percentOf(side === 'BUY' ? schedule.stt_buy_percent : schedule.stt_sell_percent);
+  const exchangeCharges = percentOf(schedule.exchange_percent);
+  const sebiFees = (turnover * schedule.sebi_per_crore) / 10000000;
+  const stampDuty = side === 'BUY' ? percentOf(schedule.stamp_duty_buy_percent) : 0;
+  const gst = ((brokerage + exchangeCharges + sebiFees) * schedule.gst_percent) / 100;
+  const dpCharges = side === 'SELL' ? schedule.dp_charge_per_sell : 0;
+
+  const breakdown = {
+    brokerage: round2(brokerage),
+    stt: round2(stt),
+    exchange_charges: round2(exchangeCharges),
+    sebi_fees: round2(sebiFees),
+    stamp_duty: round2(stampDuty),
+    gst: round2(gst),
+    dp_charges: round2(dpCharges)
+  };
+  return {
+    ...breakdown,
+    total: round2(Object.values(breakdown).reduce((sum, value) => sum + value, 0))
+  };
+};
+
+module.exports = { DEFAULT_FEE_SCHEDULES, validateFeeSchedules, resolveFeeSchedules, calculateCharges };
@@ -0,0 +1,109 @@
+// Corporate actions (dividends, splits, bonus and rights issues, mergers) and lot
+// matching across a portfolio's instruments with those actions applied
+
+const { matchLots } = require('./lots');
+
+const CORPORATE_ACTION_TYPES = ['DIVIDEND', 'SPLIT', 'BONUS', 'MERGER', 'RIGHTS'];
+
+// Types that use ratio_from:ratio_to (old shares : new shares, or held : allotted)
+const RATIO_TYPES = ['SPLIT', 'BONUS', 'MERGER', 'RIGHTS'];
+
+// Check the fields an action type needs; returns an error message or null
+const validateCorporateAction = (action) => {
+  const { instrument_id, action_type, ex_date, ratio_from, ratio_to, amount, new_instrument_id } = action;
+
+  if (!instrument_id || !action_type || !ex_date) {
+    return 'instrument_id, action_type and ex_date are required';
+  }
+  if (!CORPORATE_ACTION_TYPES.includes(action_type)) {
+    return `action_type must be one of ${CORPORATE_ACTION_TYPES.join(', ')}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ex_date) || isNaN(Date.parse(ex_date))) {
+    return 'ex_date must be a date in YYYY-MM-DD format';
+  }
+  if (RATIO_TYPES.includes(action_type) && !(Number(ratio_from) > 0 && Number(ratio_to) > 0)) {
+    return `${action_type} needs positive ratio_from and ratio_to`;
+  }
+  if (action_type === 'DIVIDEND' && !(Number(amount) > 0)) {
+    return 'DIVIDEND needs a positive amount per unit';
+  }
+  if (action_type === 'RIGHTS' && (amount === undefined || amount === null || amount === '' || !(Number(amount) >= 0))) {
+    return 'RIGHTS needs the issue price as amount';
+  }
+  if (action_type === 'MERGER') {
+    if (!new_instrument_id) {
+      return 'MERGER needs new_instrument_id';
+    }
+    if (Number(new_instrument_id) === Number(instrument_id)) {
+      return 'new_instrument_id must differ from instrument_id';
+    }
+  }
+  return null;
+};
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item[key])) {
+      groups.set(item[key], []);
+    }
+    groups.get(item[key]).push(item);
+  });
+  return groups;
+};
+
+// Oldest first; an action on the same instant as a trade comes first, since
+// a trade on the ex-date is not entitled to it
+const compareEntries = (a, b) => (
+  new Date(a.created_at) - new Date(b.created_at) ||
+  (a.action_type ? 0 : 1) - (b.action_type ? 0 : 1) ||
+  (a.id || 0) - (b.id || 0)
+);
+
+// Match lots for every instrument in one portfolio with its corporate actions applied.
+// trades may come in any order; actions are corporate_actions rows.
+// Returns a Map of instrument_id -> matchLots result. A merged instrument is matched
+// before the instrument it merged into, so its lots carry over with their buy dates.
+const matchPortfolioLots = (trades, actions = [], method = 'FIFO') => {
+  const tradesByInstrument = groupBy(trades, 'instrument_id');
+  const actionsByInstrument = groupBy(actions, 'instrument_id');
+  const mergersInto = groupBy(actions.filter(action => action.action_type === 'MERGER'), 'new_instrument_id');
+  const results = new Map();
+  const inProgress = new Set();
+
+  const run = (instrumentId) => {
+    if (results.has(instrumentId)) {
+      return results.get(instrumentId);
+    }
+    if (inProgress.has(instrumentId)) {
+      throw new Error('Corporate action mergers form a cycle');
+    }
+    inProgress.add(instrumentId);
+
+    const incoming = (mergersInto.get(instrumentId) || []).flatMap(merger => run(merger.instrument_id).transfers
+      .filter(transfer => transfer.corporate_action_id === merger.id)
+      .map(transfer => ({
+        id: merger.id,
+        action_type: 'MERGER_IN',
+        instrument_id: instrumentId,
+        created_at: transfer.date,
+        lots: transfer.lots
+      })));
+
+    const entries = [
+      ...(tradesByInstrument.get(instrumentId) || []),
+      ...(actionsByInstrument.get(instrumentId) || []).map(action => ({ ...action, created_at: action.ex_date })),
+      ...incoming
+    ].sort(compareEntries);
+
+    const result = matchLots(entries, method);
+    inProgress.delete(instrumentId);
+    results.set(instrumentId, result);
+    return result;
+  };
+
+  [...tradesByInstrument.keys(), ...mergersInto.keys()].forEach(run);
+  return results;
+};
+
+module.exports = { CORPORATE_ACTION_TYPES, validateCorporateAction, matchPortfolioLots };
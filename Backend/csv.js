@@ -0,0 +1,75 @@
+// Minimal CSV helpers for reports and exports
+
+// Quote a value if it contains a delimiter, quote or newline. Text that a spreadsheet
+// would run as a formula (starting with =, +, -, @, tab or CR) is prefixed with a quote;
+// numbers are left alone so negative amounts stay numeric.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows using [{ key, label }] column definitions
+const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+// Parse CSV text into rows of strings, honouring quoted fields and escaped quotes
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header line into objects keyed by trimmed header names
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+};
+
+module.exports = { toCsv, parseCsv };
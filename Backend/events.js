@@ -0,0 +1,47 @@
+// Server-Sent Events hub: pushes price ticks and data changes to connected clients
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+const listeners = new Set();
+let nextEventId = 1;
+
+// Register an Express response as a user's event stream until the client disconnects
+const subscribe = (req, res, userId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, userId };
+  client.heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  clients.add(client);
+
+  req.on('close', () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+  });
+};
+
+// Send an event to every connected client, or only to one user's clients when userId is given
+const publish = (type, data, userId) => {
+  const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(client => {
+    if (userId === undefined || client.userId === userId) {
+      client.res.write(message);
+    }
+  });
+  listeners.forEach(listener => listener(type, data, userId));
+};
+
+// Call listener(type, data, userId) on every published event, whether or not a client is connected
+const listen = (listener) => {
+  listeners.add(listener);
+};
+
+const getClientCount = () => clients.size;
+
+module.exports = { subscribe, publish, listen, getClientCount };
@@ -0,0 +1,208 @@
+// Spreadsheet and PDF statement output for the /export routes.
+//
+// An export document is { filename, title, details, columns, rows, summary }:
+// columns are [{ key, label, format?, width? }] as for toCsv, with format one of
+// 'date', 'datetime', 'amount', 'number' or 'percent'; details are lines printed
+// under the title (period, filters); summary is [{ label, value, format? }].
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { toCsv } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const NUMERIC_FORMATS = ['amount', 'number', 'percent'];
+
+const EXCEL_NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm',
+  amount: '#,##0.00',
+  number: '#,##0.####',
+  percent: '0.00'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Text for a cell in the PDF statement (amounts use Indian digit grouping)
+const formatValue = (value, format) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (format === 'date' || format === 'datetime') {
+    const date = new Date(value);
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return format === 'date' ? day : `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+  if (format === 'amount') {
+    return Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+  if (format === 'number') {
+    return Number(value).toLocaleString('en-IN', { maximumFractionDigits: 4 });
+  }
+  if (format === 'percent') {
+    return `${Number(value).toFixed(2)}%`;
+  }
+  return String(value);
+};
+
+// Excel dates have no time zone, so write the server's local wall-clock time
+const toExcelDate = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(
+    date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds()
+  ));
+};
+
+// One worksheet with the rows, plus a Summary sheet with the details and totals
+const toXlsx = async ({ title, details = [], columns, rows, summary = [] }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(column => ({
+    header: column.label,
+    key: column.key,
+    width: Math.max(column.label.length + 2, column.width || 14),
+    style: EXCEL_NUMBER_FORMATS[column.format] ? { numFmt: EXCEL_NUMBER_FORMATS[column.format] } : {}
+  }));
+  rows.forEach(row => {
+    sheet.addRow(Object.fromEntries(columns.map(column => {
+      const value = row[column.key];
+      if (value === null || value === undefined) {
+        return [column.key, null];
+      }
+      if (column.format === 'date' || column.format === 'datetime') {
+        return [column.key, toExcelDate(value)];
+      }
+      return [column.key, NUMERIC_FORMATS.includes(column.format) ? Number(value) : value];
+    })));
+  });
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [{ width: 28 }, { width: 24 }];
+  summarySheet.addRow([title]).font = { bold: true, size: 14 };
+  details.forEach(line => summarySheet.addRow([line]));
+  if (summary.length > 0) {
+    summarySheet.addRow([]);
+    summary.forEach(item => {
+      const row = summarySheet.addRow([item.label, NUMERIC_FORMATS.includes(item.format) ? Number(item.value) : item.value]);
+      if (EXCEL_NUMBER_FORMATS[item.format]) {
+        row.getCell(2).numFmt = EXCEL_NUMBER_FORMATS[item.format];
+      }
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// A4 landscape statement: title, details, summary, then the rows as a table
+// that repeats its header on every page
+const toPdf = ({ title, details = [], columns, rows, summary = [] }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 14;
+  const cellPadding = 3;
+  const fontSize = 8;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  details.forEach(line => doc.text(line));
+  doc.fillColor('black').moveDown();
+
+  if (summary.length > 0) {
+    summary.forEach(item => {
+      doc.font('Helvetica-Bold').text(`${item.label}: `, { continued: true })
+        .font('Helvetica').text(formatValue(item.value, item.format));
+    });
+    doc.moveDown();
+  }
+
+  // Share the width by each column's relative width
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 14), 0);
+  const widths = columns.map(column => (tableWidth * (column.width || 14)) / totalWeight);
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map((text, index) => doc.heightOfString(text, { width: widths[index] - cellPadding * 2 }))) + cellPadding * 2;
+  };
+
+  const drawRow = (cells, { font = 'Helvetica', fill = null } = {}) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    if (fill) {
+      doc.rect(left, y, tableWidth, height).fill(fill).fillColor('black');
+    }
+    doc.font(font).fontSize(fontSize);
+    let x = left;
+    cells.forEach((text, index) => {
+      doc.text(text, x + cellPadding, y + cellPadding, {
+        width: widths[index] - cellPadding * 2,
+        align: NUMERIC_FORMATS.includes(columns[index].format) ? 'right' : 'left'
+      });
+      x += widths[index];
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const header = columns.map(column => column.label);
+  const drawHeader = () => drawRow(header, { font: 'Helvetica-Bold', fill: '#e6e6e6' });
+
+  drawHeader();
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(9).moveDown().text('No records for the selected filters.', left);
+  }
+  rows.forEach((row, index) => {
+    const cells = columns.map(column => formatValue(row[column.key], column.format));
+    if (doc.y + rowHeight(cells, 'Helvetica') > bottom()) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(cells, { fill: index % 2 === 1 ? '#f7f7f7' : null });
+  });
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      `${title} - page ${page + 1} of ${range.count}`,
+      left,
+      doc.page.height - doc.page.margins.bottom - 10,
+      { width: tableWidth, align: 'right', lineBreak: false }
+    );
+  }
+  doc.end();
+});
+
+// Render the document in the requested format and send it as a download
+const sendExport = async (res, format, document) => {
+  let body;
+  if (format === 'xlsx') {
+    body = await toXlsx(document);
+  } else if (format === 'pdf') {
+    body = await toPdf(document);
+  } else {
+    body = toCsv(document.rows, document.columns);
+  }
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${document.filename}.${format}"`);
+  res.send(body);
+};
+
+module.exports = { EXPORT_FORMATS, sendExport };
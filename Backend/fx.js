@@ -0,0 +1,80 @@
+// Currency conversion from the FX rate history. Rates are stored against INR, as the
+// value of one unit of a currency in rupees on a date; any other pair is crossed
+// through INR. Amounts in a foreign currency are converted at the rate of the day they
+// arose: costs at the buy date, proceeds at the sell date, values at the valuation date.
+
+const { toDateKey } = require('./sips');
+
+const PIVOT_CURRENCY = 'INR';
+
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+
+// Rate lookup over rate rows ({ currency, rate_date, rate }). rateOn(currency, date) is
+// the INR value of one unit on the last rate date on or before `date`, falling back to
+// the earliest rate for dates before the history starts; null for an unknown currency.
+const createFxTable = (rows) => {
+  const history = new Map();
+  rows.forEach(row => {
+    if (!history.has(row.currency)) {
+      history.set(row.currency, []);
+    }
+    history.get(row.currency).push({ date: toDateKey(row.rate_date), rate: Number(row.rate) });
+  });
+  history.forEach(points => points.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)));
+
+  const rateOn = (currency, date) => {
+    if (currency === PIVOT_CURRENCY) {
+      return 1;
+    }
+    const points = history.get(currency);
+    if (!points) {
+      return null;
+    }
+    const day = toDateKey(date);
+    let low = 0;
+    let high = points.length - 1;
+    let found = 0;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (points[middle].date <= day) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return points[found].rate;
+  };
+
+  // Units of `to` for one unit of `from` on a date; throws when either has no rates
+  const crossRate = (from, to, date) => {
+    const fromRate = rateOn(from, date);
+    const toRate = rateOn(to, date);
+    if (fromRate === null || toRate === null) {
+      throw new Error(`No FX rate for ${fromRate === null ? from : to}`);
+    }
+    return fromRate / toRate;
+  };
+
+  return { rateOn, crossRate, currencies: () => [PIVOT_CURRENCY, ...history.keys()] };
+};
+
+// Cost-weighted average rate of the days a cost was incurred (entries: [{ date, amount }]);
+// `fallback` when nothing was paid (e.g. only bonus units)
+const averageRate = (fx, from, to, entries, fallback) => {
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  if (!(total > 0)) {
+    return fallback;
+  }
+  return entries.reduce((sum, entry) => sum + entry.amount * fx.crossRate(from, to, entry.date), 0) / total;
+};
+
+// Split a gain in base-currency terms into the part from the price moving (the local gain
+// at the closing rate) and the part from the rate moving (the local cost revalued from
+// the opening to the closing rate). The two add up to value * closeRate - cost * openRate.
+const splitGain = (localValue, localCost, openRate, closeRate) => ({
+  price_effect: (localValue - localCost) * closeRate,
+  currency_effect: localCost * (closeRate - openRate)
+});
+
+module.exports = { PIVOT_CURRENCY, isCurrencyCode, createFxTable, averageRate, splitGain };
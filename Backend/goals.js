@@ -0,0 +1,118 @@
+// Goal projections: where a goal's current value and monthly contributions are headed
+// by its target date, the SIP needed to reach the target, and the chance of getting there.
+//
+// Returns and volatilities are annual percentages.
+
+const { createRandom, nextGaussian } = require('./marketData/simulatorProvider');
+
+// Long-run assumptions per instrument type, used when a goal sets no expected return
+const ASSET_ASSUMPTIONS = {
+  STOCK: { expected_return: 12, volatility: 18 },
+  MF: { expected_return: 11, volatility: 15 },
+  ETF: { expected_return: 11, volatility: 16 },
+  BOND: { expected_return: 7.5, volatility: 4 },
+  FD: { expected_return: 7, volatility: 0.5 },
+  GOLD: { expected_return: 8, volatility: 14 },
+  CRYPTO: { expected_return: 15, volatility: 70 }
+};
+
+const SIMULATION_PATHS = 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Value-weighted return and volatility of a goal's holdings ({ type, market_value }).
+// Volatilities are averaged rather than combined, which ignores diversification and errs
+// on the cautious side. A goal with no holdings yet is assumed to be invested like a fund.
+const blendAssumptions = (holdings) => {
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  if (!(total > 0)) {
+    return { ...ASSET_ASSUMPTIONS.MF };
+  }
+  const weighted = (key) => round2(holdings.reduce(
+    (sum, holding) => sum + (ASSET_ASSUMPTIONS[holding.type] || ASSET_ASSUMPTIONS.MF)[key] * holding.market_value,
+    0
+  ) / total);
+  return { expected_return: weighted('expected_return'), volatility: weighted('volatility') };
+};
+
+// Whole months from one date to another (0 when the target has passed)
+const monthsBetween = (from, to) => {
+  let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+  if (to.getDate() < from.getDate()) {
+    months -= 1;
+  }
+  return Math.max(months, 0);
+};
+
+// Monthly contribution that grows currentValue to target in `months` at monthlyRate
+const requiredMonthlyContribution = (currentValue, target, months, monthlyRate) => {
+  const growth = Math.pow(1 + monthlyRate, months);
+  const shortfall = target - currentValue * growth;
+  if (shortfall <= 0) {
+    return 0;
+  }
+  if (months === 0) {
+    return null;
+  }
+  return monthlyRate === 0 ? shortfall / months : (shortfall * monthlyRate) / (growth - 1);
+};
+
+// Same day of the month `months` later, or the month's last day when it is shorter
+const addMonths = (date, months) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+// Project a goal month by month to its target date. Contributions are invested at the end
+// of each month. The expected curve compounds at the expected return; the percentile
+// bands and the probability come from a seeded Monte Carlo simulation of lognormal
+// monthly returns, so the same inputs always give the same answer.
+const projectGoal = ({ currentValue, target, targetDate, monthlyContribution, expectedReturn, volatility, seed = 1, today = new Date() }) => {
+  const months = monthsBetween(today, targetDate);
+  const monthlyRate = Math.pow(1 + expectedReturn / 100, 1 / 12) - 1;
+  const sigma = volatility / 100;
+  const logDrift = (Math.log(1 + expectedReturn / 100) - (sigma * sigma) / 2) / 12;
+  const logSigma = sigma / Math.sqrt(12);
+
+  const random = createRandom(seed);
+  const paths = new Array(SIMULATION_PATHS).fill(currentValue);
+  let expected = currentValue;
+  const curve = [{
+    date: today,
+    contributed: round2(currentValue),
+    expected: round2(currentValue),
+    p10: round2(currentValue),
+    p50: round2(currentValue),
+    p90: round2(currentValue)
+  }];
+
+  for (let month = 1; month <= months; month++) {
+    expected = expected * (1 + monthlyRate) + monthlyContribution;
+    for (let path = 0; path < paths.length; path++) {
+      paths[path] = paths[path] * Math.exp(logDrift + logSigma * nextGaussian(random)) + monthlyContribution;
+    }
+    const sorted = [...paths].sort((a, b) => a - b);
+    curve.push({
+      date: addMonths(today, month),
+      contributed: round2(currentValue + monthlyContribution * month),
+      expected: round2(expected),
+      p10: round2(percentile(sorted, 0.1)),
+      p50: round2(percentile(sorted, 0.5)),
+      p90: round2(percentile(sorted, 0.9))
+    });
+  }
+
+  const required = requiredMonthlyContribution(currentValue, target, months, monthlyRate);
+  return {
+    months_remaining: months,
+    projected_value: round2(expected),
+    projected_shortfall: round2(Math.max(target - expected, 0)),
+    required_monthly_sip: required === null ? null : round2(required),
+    probability_percent: round2((paths.filter(value => value >= target).length / paths.length) * 100),
+    curve
+  };
+};
+
+module.exports = { ASSET_ASSUMPTIONS, blendAssumptions, projectGoal };
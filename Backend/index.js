@@ -4,15 +4,41 @@ const dotenv = require('dotenv');                  // Loads environment variable
 dotenv.config();                                   // Initialize dotenv
 const cors=require('cors');
 const db = require('./db');                        // Import the database connection
+const { COST_BASIS_METHODS } = require('./lots'); // SELL-to-BUY lot matching
+const { validateCorporateAction, matchPortfolioLots } = require('./corporateActions'); // Splits, bonuses, dividends, mergers
+const { parseFinancialYear, getFinancialYear, buildCapitalGainsReport } = require('./tax'); // Indian capital-gains rules
+const { toCsv, parseCsv } = require('./csv');     // CSV report output and file ingest
+const { CANDLE_INTERVALS, aggregateCandles } = require('./candles'); // OHLC aggregation of price ticks
+const { createProvider, createPriceFeed } = require('./marketData'); // Pluggable price feed
+const events = require('./events');                // Server-Sent Events push to clients
+const { hashPassword, verifyPassword, isEmailAddress, signToken, requireAuth } = require('./auth'); // Login and JWT checks
+const { IMPORT_PRESETS, parseTradeFile, normalizeRow, resolveMapping, isSameTrade } = require('./tradeImport'); // Broker tradebook import
+const multer = require('multer');                  // Multipart file uploads
+const { EXPORT_FORMATS, sendExport } = require('./exporters'); // CSV, XLSX and PDF downloads
+const { validateFeeSchedules, resolveFeeSchedules, calculateCharges } = require('./charges'); // Brokerage and statutory charges
+const { toDateKey, getInstalmentDates, getMonthlyAmount, validateSip, createSipScheduler } = require('./sips'); // Recurring investment plans
+const { blendAssumptions, projectGoal } = require('./goals'); // Goal projections
+const { validateAllocation, adjustAllocation, splitHolding } = require('./allocations'); // Splitting holdings between goals
+const { GRANULARITIES, buildDailyValues, buildPerformance } = require('./performance'); // Value history and returns
+const { compareWithBenchmark } = require('./benchmarks'); // Returns against an index
+const { analyzeRisk } = require('./risk'); // Volatility, drawdown and concentration
+const { REBALANCE_MODES, DEFAULT_DRIFT_BAND, validateTargetAllocation, sellableWithoutShortTermGain, largestDrift, planRebalance } = require('./rebalance'); // Target allocations and rebalancing orders
+const { validateAlert, isConditionMet, describeAlert, createAlertQueue } = require('./alerts'); // Price, P&L, drift and goal milestone alerts
+const { createChannel, createNotifier } = require('./notifications'); // Webhook and email delivery of notifications
+const { queryWords, rankInstruments } = require('./search'); // Ranked instrument search
+const { PIVOT_CURRENCY, isCurrencyCode, createFxTable, averageRate, splitGain } = require('./fx'); // FX rates and base-currency conversion
+const { PENDING_STATUSES, defaultValidUntil, getTriggerDirection, validateOrder, matchOrder, createOrderQueue } = require('./orders'); // Limit, stop-loss and GTT orders
+const { INSTRUMENT_TYPES, TRADABLE_TYPES, ALLOCATION_GROUPS, readInstrumentFields, validateInstrument, groupAllocation } = require('./instrumentMaster'); // Instrument types and reference data
 const swaggerJsdoc = require('swagger-jsdoc');     // For generating Swagger docs
 const swaggerUi = require('swagger-ui-express');   // For serving Swagger UI
 
 const app = express();                             // Create an Express app
 const port = process.env.PORT || 9000;             // Use port from .env or default to 9000
 
-app.use(cors({ origin: '*' }));
+// Only the configured frontend origins may call the API (comma-separated CORS_ORIGIN)
+app.use(cors({ origin: (process.env.CORS_ORIGIN || 'http://localhost:8080').split(',') }));
 
-app.use(express.json());                           // Middleware to parse JSON request bodies
+app.use(express.json({ limit: '10mb' }));          // Middleware to parse JSON request bodies (bulk uploads can be large)
 
 // Swagger setup for API documentation
 const swaggerOptions = {
@@ -23,6 +49,12 @@ const swaggerOptions = {
       version: '1.0.0',
       description: 'API for managing stock broking portfolio with instruments, goals, and trade logs',
     },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+    security: [{ bearerAuth: [] }], // Every route except /auth/* needs a token
   },
   apis: ['./index.js'], // Where Swagger will look for documentation comments
 };
@@ -53,12 +85,57 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           description: Instrument name
  *         type:
  *           type: string
- *           enum: [STOCK, MF, GOLD]
- *           description: Type of instrument
+ *           enum: [STOCK, MF, ETF, BOND, FD, GOLD, CRYPTO, INDEX]
+ *           description: Type of instrument. INDEX instruments (e.g. NIFTY 50) are priced like any other but can only be used as benchmarks, not traded.
+ *         isin:
+ *           type: string
+ *           nullable: true
+ *           description: 12-character ISIN (checked against its check digit); unique across instruments
+ *         exchange:
+ *           type: string
+ *           enum: [NSE, BSE]
+ *           nullable: true
+ *           description: Primary listing of an exchange-traded instrument
+ *         amfi_code:
+ *           type: string
+ *           nullable: true
+ *           description: AMFI scheme code of a mutual fund
+ *         sector:
+ *           type: string
+ *           nullable: true
+ *         industry:
+ *           type: string
+ *           nullable: true
+ *         lot_size:
+ *           type: integer
+ *           default: 1
+ *           description: Smallest tradable quantity
+ *         currency:
+ *           type: string
+ *           default: INR
+ *           description: ISO 4217 code the instrument is priced in; needs FX rates, and is fixed once the instrument has trades
  *         current_price:
  *           type: number
  *           format: float
  *           description: Current price of the instrument
+ *         grandfathered_price:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Fair market value on 31 Jan 2018, used for grandfathered capital-gains cost (optional)
+ *         previous_close:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           readOnly: true
+ *           description: Last price from the previous trading day
+ *         day_change:
+ *           type: number
+ *           readOnly: true
+ *           description: current_price minus previous_close
+ *         day_change_percent:
+ *           type: number
+ *           readOnly: true
  *         created_at:
  *           type: string
  *           format: date-time
@@ -72,6 +149,12 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *         symbol: RELIANCE
  *         name: Reliance Industries Ltd
  *         type: STOCK
+ *         isin: INE002A01018
+ *         exchange: NSE
+ *         sector: Energy
+ *         industry: Refineries & Marketing
+ *         lot_size: 1
+ *         currency: INR
  *         current_price: 2450.50
  *         created_at: 2024-01-01T00:00:00.000Z
  *         updated_at: 2024-01-01T00:00:00.000Z
@@ -85,6 +168,10 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *         id:
  *           type: integer
  *           description: The auto-generated id of the goal
+ *         user_id:
+ *           type: integer
+ *           readOnly: true
+ *           description: Owner of the goal (the logged-in user)
  *         name:
  *           type: string
  *           description: Goal name
@@ -92,6 +179,42 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           type: number
  *           format: float
  *           description: Target amount for the goal
+ *         target_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: When the target amount is needed (required for projections)
+ *         expected_return:
+ *           type: number
+ *           nullable: true
+ *           description: Expected annual return in percent (defaults to one blended from the holdings' asset mix)
+ *         monthly_contribution:
+ *           type: number
+ *           nullable: true
+ *           description: Planned monthly investment (defaults to the goal's active SIPs)
+ *         target_allocation:
+ *           $ref: '#/components/schemas/TargetAllocation'
+ *         current_amount:
+ *           type: number
+ *           readOnly: true
+ *           description: Market value of the units allocated to the goal
+ *         invested_amount:
+ *           type: number
+ *           readOnly: true
+ *         unrealized_pnl:
+ *           type: number
+ *           readOnly: true
+ *         progress_percent:
+ *           type: number
+ *           readOnly: true
+ *           description: current_amount as a percentage of target_amount
+ *         holdings_count:
+ *           type: integer
+ *           readOnly: true
+ *         sip_monthly_amount:
+ *           type: number
+ *           readOnly: true
+ *           description: Monthly equivalent of the active SIPs tagged to the goal
  *         created_at:
  *           type: string
  *           format: date-time
@@ -100,6 +223,13 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *         id: 1
  *         name: Retirement Fund
  *         target_amount: 5000000.00
+ *         target_date: 2050-03-31
+ *         expected_return: null
+ *         monthly_contribution: 15000.00
+ *         current_amount: 412500.00
+ *         invested_amount: 350000.00
+ *         unrealized_pnl: 62500.00
+ *         progress_percent: 8.25
  *         created_at: 2024-01-01T00:00:00.000Z
  *     
  *     TradeLog:
@@ -114,9 +244,20 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *         id:
  *           type: integer
  *           description: The auto-generated id of the trade log
+ *         user_id:
+ *           type: integer
+ *           readOnly: true
+ *           description: Owner of the trade (the logged-in user)
  *         instrument_id:
  *           type: integer
  *           description: ID of the instrument being traded
+ *         portfolio_id:
+ *           type: integer
+ *           description: ID of the portfolio the trade belongs to
+ *         external_id:
+ *           type: string
+ *           nullable: true
+ *           description: Broker trade id, set for imported trades
  *         goal_id:
  *           type: integer
  *           description: ID of the associated goal (optional)
@@ -136,6 +277,23 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           type: number
  *           format: float
  *           description: Total transaction amount
+ *         currency:
+ *           type: string
+ *           readOnly: true
+ *           description: Currency of price and total_amount (the instrument's currency)
+ *         charges:
+ *           type: number
+ *           format: float
+ *           description: Brokerage, STT, GST, stamp duty and exchange fees
+ *         charges_breakdown:
+ *           type: object
+ *           nullable: true
+ *           description: Per-charge amounts, when calculated from the fee schedule
+ *         net_amount:
+ *           type: number
+ *           format: float
+ *           readOnly: true
+ *           description: Cash paid for a BUY (total + charges) or received for a SELL (total - charges)
  *         created_at:
  *           type: string
  *           format: date-time
@@ -182,6 +340,101 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Instrument'
+ *       400:
+ *         description: Missing or invalid fields, or a currency without FX rates
+ *       403:
+ *         description: Only administrators change shared reference data
+ *       409:
+ *         description: Another instrument has the same symbol or ISIN
+ *
+ * /instruments/bulk:
+ *   post:
+ *     summary: Load an instrument master file
+ *     description: >
+ *       Accepts a JSON array (or { instruments: [...] }) or a text/csv file with a header row
+ *       using the Instrument field names (price and scheme_code are accepted as aliases of
+ *       current_price and amfi_code). Rows are matched to existing instruments by symbol:
+ *       new symbols are added, and existing instruments take the columns the row has, a
+ *       blank value clearing an optional field. A changed price is stored like a feed quote.
+ *       Nothing is stored if any row is invalid.
+ *     tags: [Instruments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Instrument'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             symbol,name,type,isin,exchange,sector,industry,lot_size,currency,price
+ *             TCS,Tata Consultancy Services,STOCK,INE467B01029,NSE,Information Technology,IT Services & Consulting,1,INR,3250.75
+ *     responses:
+ *       201:
+ *         description: Instruments stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *       400:
+ *         description: Row-level validation errors
+ *       403:
+ *         description: Only administrators change shared reference data
+ *       409:
+ *         description: Another instrument took one of the symbols or ISINs while loading
+ *
+ * /instruments/search:
+ *   get:
+ *     summary: Search instruments by symbol and name
+ *     description: >
+ *       Every word of q has to appear in the symbol or the name (case-insensitive; symbols
+ *       match without separators, so "hdfc bank" finds HDFC_BANK). Results are ranked: exact
+ *       symbol, symbol prefix, name prefix, words starting name words, then other matches.
+ *     tags: [Instruments]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [STOCK, MF, ETF, BOND, FD, GOLD, CRYPTO, INDEX]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Matching instruments, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Instrument'
+ *                   - type: object
+ *                     properties:
+ *                       match_score:
+ *                         type: integer
+ *                         description: Higher is a better match (100 for an exact symbol)
+ *       400:
+ *         description: Empty query or unknown type
  *
  * /instruments/{id}:
  *   get:
@@ -203,6 +456,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *               $ref: '#/components/schemas/Instrument'
  *   put:
  *     summary: Update instrument
+ *     description: Fields left out keep their current values; the price is stored like a feed quote.
  *     tags: [Instruments]
  *     parameters:
  *       - in: path
@@ -224,6 +478,14 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Instrument'
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Only administrators change shared reference data
+ *       409:
+ *         description: >
+ *           The instrument has trades and cannot become an INDEX or change currency, or another
+ *           instrument has the same symbol or ISIN
  *   delete:
  *     summary: Delete instrument
  *     tags: [Instruments]
@@ -237,6 +499,10 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *     responses:
  *       200:
  *         description: Instrument deleted
+ *       403:
+ *         description: Only administrators change shared reference data
+ *       409:
+ *         description: Other users have trades, corporate actions, SIPs, orders, alerts, watchlists or goal allocations on it
  *
  * /goals:
  *   get:
@@ -311,6 +577,38 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *               $ref: '#/components/schemas/Goal'
  *   delete:
  *     summary: Delete goal
+ *     description: >
+ *       With move_to_goal_id, the goal's trades, SIPs and allocated units move to that goal.
+ *       Without it, they lose their goal tag and the units become unallocated.
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The goal id
+ *       - in: query
+ *         name: move_to_goal_id
+ *         schema:
+ *           type: integer
+ *         description: Goal to move the trades, SIPs and allocations to
+ *     responses:
+ *       200:
+ *         description: Goal deleted, with the number of trades, SIPs and allocations moved or untagged
+ *       400:
+ *         description: The goal to move to is unknown or the same goal
+ *       404:
+ *         description: Goal not found
+ *
+ * /goals/{id}/projection:
+ *   get:
+ *     summary: Project a goal to its target date
+ *     description: >
+ *       Grows the goal's current value and monthly contributions to the target date. Returns
+ *       the monthly SIP needed to reach the target, the probability of reaching it (from a
+ *       Monte Carlo simulation) and a monthly curve with 10th/50th/90th percentile bands.
+ *       The query parameters override the goal's assumptions for what-if scenarios.
  *     tags: [Goals]
  *     parameters:
  *       - in: path
@@ -319,14 +617,91 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           type: integer
  *         required: true
  *         description: The goal id
+ *       - in: query
+ *         name: monthly_contribution
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: expected_return
+ *         schema:
+ *           type: number
+ *         description: Annual percent
+ *       - in: query
+ *         name: volatility
+ *         schema:
+ *           type: number
+ *         description: Annual standard deviation of returns in percent
  *     responses:
  *       200:
- *         description: Goal deleted
+ *         description: Projection with the assumptions used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 goal:
+ *                   $ref: '#/components/schemas/Goal'
+ *                 assumptions:
+ *                   type: object
+ *                   properties:
+ *                     monthly_contribution:
+ *                       type: number
+ *                     monthly_contribution_source:
+ *                       type: string
+ *                       enum: [request, goal, sips]
+ *                     expected_return:
+ *                       type: number
+ *                     expected_return_source:
+ *                       type: string
+ *                       enum: [request, goal, asset_mix]
+ *                     volatility:
+ *                       type: number
+ *                 months_remaining:
+ *                   type: integer
+ *                 projected_value:
+ *                   type: number
+ *                 projected_shortfall:
+ *                   type: number
+ *                 required_monthly_sip:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Monthly investment that reaches the target at the expected return (null when the target date has passed)
+ *                 probability_percent:
+ *                   type: number
+ *                 curve:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       contributed:
+ *                         type: number
+ *                         description: Current value plus contributions so far
+ *                       expected:
+ *                         type: number
+ *                       p10:
+ *                         type: number
+ *                       p50:
+ *                         type: number
+ *                       p90:
+ *                         type: number
+ *       400:
+ *         description: The goal has no target_date, or an override is invalid
+ *       404:
+ *         description: Goal not found
  *
  * /trade-log:
  *   get:
  *     summary: Get all trade logs
  *     tags: [Trade Log]
+ *     parameters:
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only trades in this portfolio
  *     responses:
  *       200:
  *         description: List of trade logs
@@ -364,9 +739,15 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *               price:
  *                 type: number
  *                 description: Price per unit
+ *               charges:
+ *                 type: number
+ *                 description: Total charges from the contract note; calculated from the portfolio's fee schedule when omitted
  *               goal_id:
  *                 type: integer
- *                 description: Optional goal ID to associate with this trade
+ *                 description: Optional goal ID; the units bought are allocated to this goal
+ *               portfolio_id:
+ *                 type: integer
+ *                 description: Portfolio to trade in (defaults to the user's default portfolio)
  *     responses:
  *       201:
  *         description: Buy transaction completed and trade log created
@@ -374,6 +755,26 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TradeLog'
+ *       409:
+ *         description: >
+ *           The net amount exceeds the portfolio's cash balance
+ *           (only when the block_buys_on_insufficient_cash setting is on)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: INSUFFICIENT_CASH
+ *                 portfolio_id:
+ *                   type: integer
+ *                 required_amount:
+ *                   type: number
+ *                 available_cash:
+ *                   type: number
  *
  * /instruments/{id}/sell:
  *   post:
@@ -402,9 +803,15 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *               price:
  *                 type: number
  *                 description: Price per unit
+ *               charges:
+ *                 type: number
+ *                 description: Total charges from the contract note; calculated from the portfolio's fee schedule when omitted
  *               goal_id:
  *                 type: integer
- *                 description: Optional goal ID to associate with this trade
+ *                 description: Optional goal ID; the units sold come out of this goal's allocation
+ *               portfolio_id:
+ *                 type: integer
+ *                 description: Portfolio to trade in (defaults to the user's default portfolio)
  *     responses:
  *       201:
  *         description: Sell transaction completed and trade log created
@@ -412,25 +819,323 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve do
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TradeLog'
+ *       409:
+ *         description: Sell quantity exceeds the quantity held in the portfolio (for the goal, if goal_id is given)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: INSUFFICIENT_QUANTITY
+ *                 instrument_id:
+ *                   type: integer
+ *                 portfolio_id:
+ *                   type: integer
+ *                 goal_id:
+ *                   type: integer
+ *                   nullable: true
+ *                 requested_quantity:
+ *                   type: number
+ *                 available_quantity:
+ *                   type: number
+ */
+
+// ========== AUTH ROUTES ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [USER, ADMIN]
+ *           description: Administrators maintain the shared instruments, prices and FX rates
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: 'JWT to send as "Authorization: Bearer <token>"'
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *
+ * /auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User created and logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing or invalid email, or a password under 8 characters
+ *       409:
+ *         description: Email already registered
+ *
+ * /auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid email or password
+ *
+ * /auth/me:
+ *   get:
+ *     summary: Get the logged-in user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Missing or invalid token
  */
 
+// Strip the password hash before a user leaves the server
+const formatUser = (row) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  role: row.role,
+  created_at: row.created_at
+});
+
+// Register a new user
+app.post('/auth/register', async (req, res) => {
+  const { email, password, name } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'email and password are required' });
+  }
+
+  if (typeof email !== 'string' || typeof password !== 'string' || (name !== undefined && name !== null && typeof name !== 'string')) {
+    return res.status(400).json({ error: 'email, password and name must be strings' });
+  }
+
+  if (!isEmailAddress(email.trim())) {
+    return res.status(400).json({ error: 'email must be a valid email address' });
+  }
+
+  if (password.length < 8) {
+    return res.status(400).json({ error: 'password must be at least 8 characters' });
+  }
+
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+    const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    const passwordHash = await hashPassword(password);
+    const [result] = await db.query(
+      'INSERT INTO users (email, name, password_hash) VALUES (?, ?, ?)',
+      [normalizedEmail, name || null, passwordHash]
+    );
+    await getDefaultPortfolioId(db, result.insertId);
+    const [user] = await db.query('SELECT * FROM users WHERE id = ?', [result.insertId]);
+    res.status(201).json({ token: signToken(user[0]), user: formatUser(user[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Log in
+app.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'email and password are required' });
+  }
+
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'email and password must be strings' });
+  }
+
+  try {
+    const [users] = await db.query('SELECT * FROM users WHERE email = ?', [email.trim().toLowerCase()]);
+    if (users.length === 0 || !(await verifyPassword(password, users[0].password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    res.json({ token: signToken(users[0]), user: formatUser(users[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every route registered below this line requires a valid token
+app.use(requireAuth);
+
+// Instruments, prices and FX rates are shared by every user, so only administrators write them
+const requireAdmin = async (req, res, next) => {
+  try {
+    const [users] = await db.query('SELECT role FROM users WHERE id = ?', [req.user.id]);
+    if (users.length === 0 || users[0].role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Only administrators can change shared reference data' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Get the logged-in user
+app.get('/auth/me', async (req, res) => {
+  try {
+    const [users] = await db.query('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (users.length === 0) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    res.json(formatUser(users[0]));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ========== INSTRUMENTS ROUTES ==========
 
+// Indices are priced through the feed and price history like any instrument, but only as benchmarks
+const INDEX_TRADE_ERROR = 'Indices are benchmarks and cannot be traded';
+
+// Convert decimal values to numbers
+const formatInstrument = (row) => {
+  const currentPrice = Number(row.current_price);
+  const previousClose = row.previous_close === null ? null : Number(row.previous_close);
+  const dayChange = previousClose === null ? 0 : currentPrice - previousClose;
+  return {
+    ...row,
+    current_price: currentPrice,
+    grandfathered_price: row.grandfathered_price === null ? null : Number(row.grandfathered_price),
+    previous_close: previousClose,
+    day_change: Math.round(dayChange * 10000) / 10000,
+    day_change_percent: previousClose ? Math.round((dayChange / previousClose) * 10000) / 100 : 0
+  };
+};
+
 // Get all instruments
 app.get('/instruments', async (req, res) => {
   try {
     const [rows] = await db.query('SELECT * FROM instruments ORDER BY created_at DESC');
     // Convert decimal values to numbers
-    const instruments = rows.map(row => ({
-      ...row,
-      current_price: Number(row.current_price)
-    }));
+    const instruments = rows.map(formatInstrument);
     res.json(instruments);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Symbols with their usual separators removed, to match the way search compares them
+const SEARCH_SYMBOL_SQL = "REPLACE(REPLACE(REPLACE(REPLACE(symbol, '_', ''), '-', ''), '.', ''), '&', '')";
+
+// Search instruments by symbol and name
+app.get('/instruments/search', async (req, res) => {
+  const { q, type } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+
+  const words = queryWords(q);
+  if (words.length === 0) {
+    return res.status(400).json({ error: 'q must contain a letter or digit to search for' });
+  }
+  if (type && !INSTRUMENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${INSTRUMENT_TYPES.join(', ')}` });
+  }
+
+  try {
+    // Every word (letters and digits only, so no LIKE wildcards) must appear in the
+    // symbol or the name; the candidates are then ranked
+    const conditions = words.map(() => `(${SEARCH_SYMBOL_SQL} LIKE ? OR name LIKE ?)`);
+    const params = words.flatMap(word => [`%${word}%`, `%${word}%`]);
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    // The candidates are capped, so the best ones (exact symbol, symbol prefix, name prefix)
+    // have to come first already
+    const whole = words.join('');
+    const namePrefix = String(q).trim().replace(/[\\%_]/g, '\\$&');
+    const [rows] = await db.query(`
+      SELECT * FROM instruments
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY
+        CASE
+          WHEN ${SEARCH_SYMBOL_SQL} = ? THEN 0
+          WHEN ${SEARCH_SYMBOL_SQL} LIKE ? THEN 1
+          WHEN name LIKE ? THEN 2
+          ELSE 3
+        END,
+        CHAR_LENGTH(symbol), symbol
+      LIMIT 500
+    `, [...params, whole, `${whole}%`, `${namePrefix}%`]);
+    res.json(rankInstruments(rows.map(formatInstrument), q, limit));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get instrument by ID
 app.get('/instruments/:id', async (req, res) => {
   const { id } = req.params;
@@ -440,127 +1145,412 @@ app.get('/instruments/:id', async (req, res) => {
       return res.status(404).json({ error: 'Instrument not found' });
     }
     // Convert decimal values to numbers
-    const instrument = {
-      ...rows[0],
-      current_price: Number(rows[0].current_price)
-    };
-    res.json(instrument);
+    res.json(formatInstrument(rows[0]));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Add a new instrument
-app.post('/instruments', async (req, res) => {
-  const { symbol, name, type, current_price } = req.body;
-  
-  if (!symbol || !name || !type || !current_price) {
-    return res.status(400).json({ error: 'All fields are required' });
+// Instrument columns written on create and update (current_price goes through quotes),
+// and their values for an instrument with the defaults filled in
+const INSTRUMENT_COLUMNS = ['symbol', 'name', 'type', 'grandfathered_price', 'isin', 'exchange', 'amfi_code', 'sector', 'industry', 'lot_size', 'currency'];
+
+const instrumentColumnValues = (instrument) => INSTRUMENT_COLUMNS.map(column => {
+  if (column === 'lot_size') {
+    return instrument.lot_size || 1;
   }
-  
-  if (!['STOCK', 'MF', 'GOLD'].includes(type)) {
-    return res.status(400).json({ error: 'Type must be STOCK, MF, or GOLD' });
+  if (column === 'currency') {
+    return instrument.currency || 'INR';
+  }
+  return instrument[column] ?? null;
+});
+
+const DUPLICATE_INSTRUMENT_ERROR = 'Another instrument has the same symbol or ISIN';
+
+// Trades keep the currency they were booked in, so a traded instrument's currency is fixed
+const CURRENCY_CHANGE_ERROR = 'An instrument with trades cannot change currency';
+
+const missingFxRatesError = (currency) => `There are no FX rates for ${currency}; load them first`;
+
+// Add a new instrument
+app.post('/instruments', requireAdmin, async (req, res) => {
+  const instrument = readInstrumentFields(req.body);
+
+  const error = validateInstrument(instrument);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
   try {
+    if (instrument.currency && !(await hasFxRates(db, instrument.currency))) {
+      return res.status(400).json({ error: missingFxRatesError(instrument.currency) });
+    }
+
     const [result] = await db.query(
-      'INSERT INTO instruments (symbol, name, type, current_price) VALUES (?, ?, ?, ?)',
-      [symbol, name, type, current_price]
+      `INSERT INTO instruments (${INSTRUMENT_COLUMNS.join(', ')}, current_price) VALUES (?)`,
+      [[...instrumentColumnValues(instrument), instrument.current_price]]
     );
-    const [instrument] = await db.query('SELECT * FROM instruments WHERE id = ?', [result.insertId]);
+    await recordPrices(db, [{ instrument_id: result.insertId, price_time: new Date(), price: instrument.current_price }]);
+    const [created] = await db.query('SELECT * FROM instruments WHERE id = ?', [result.insertId]);
     // Convert decimal values to numbers
-    const newInstrument = {
-      ...instrument[0],
-      current_price: Number(instrument[0].current_price)
-    };
+    const newInstrument = formatInstrument(created[0]);
+    events.publish('instrument', { action: 'created', instrument: newInstrument });
     res.status(201).json(newInstrument);
   } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: DUPLICATE_INSTRUMENT_ERROR });
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update instrument
-app.put('/instruments/:id', async (req, res) => {
-  const { id } = req.params;
-  const { symbol, name, type, current_price } = req.body;
-  
-  if (!symbol || !name || !type || !current_price) {
-    return res.status(400).json({ error: 'All fields are required' });
+// Load an instrument master file (JSON rows or CSV): add new symbols, update existing ones
+app.post('/instruments/bulk', requireAdmin, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  let rows;
+  if (typeof req.body === 'string') {
+    rows = parseCsv(req.body);
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body.instruments;
   }
-  
-  if (!['STOCK', 'MF', 'GOLD'].includes(type)) {
-    return res.status(400).json({ error: 'Type must be STOCK, MF, or GOLD' });
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'No instrument rows provided' });
   }
-  
+
+  let conn;
   try {
-    const [result] = await db.query(
-      'UPDATE instruments SET symbol = ?, name = ?, type = ?, current_price = ? WHERE id = ?',
-      [symbol, name, type, current_price, id]
-    );
-    
-    if (result.affectedRows === 0) {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query('SELECT * FROM instruments FOR UPDATE');
+    const [traded] = await conn.query('SELECT DISTINCT instrument_id FROM trade_log');
+    const tradedIds = new Set(traded.map(row => row.instrument_id));
+    const [rateCurrencies] = await conn.query('SELECT DISTINCT currency FROM fx_rates');
+    const currencies = new Set([PIVOT_CURRENCY, ...rateCurrencies.map(row => row.currency)]);
+    const existingBySymbol = new Map(existing.map(row => [row.symbol.toUpperCase(), row]));
+    const idsByIsin = new Map(existing.filter(row => row.isin).map(row => [row.isin, row.id]));
+
+    const creates = [];
+    const updates = [];
+    const errors = [];
+    const rowsBySymbol = new Map();
+    const rowsByIsin = new Map();
+    rows.forEach((row, index) => {
+      const fields = readInstrumentFields(row);
+      const current = fields.symbol ? existingBySymbol.get(fields.symbol.toUpperCase()) : undefined;
+      const instrument = current ? { ...formatInstrument(current), ...fields } : fields;
+
+      const error = validateInstrument(instrument);
+      const symbolKey = String(instrument.symbol).toUpperCase();
+      const isinOwner = instrument.isin ? idsByIsin.get(instrument.isin) : undefined;
+      if (error) {
+        errors.push({ row: index + 1, error });
+      } else if (rowsBySymbol.has(symbolKey)) {
+        errors.push({ row: index + 1, error: `${instrument.symbol} is already on row ${rowsBySymbol.get(symbolKey)}` });
+      } else if (instrument.isin && rowsByIsin.has(instrument.isin)) {
+        errors.push({ row: index + 1, error: `ISIN ${instrument.isin} is already on row ${rowsByIsin.get(instrument.isin)}` });
+      } else if (isinOwner && isinOwner !== (current && current.id)) {
+        errors.push({ row: index + 1, error: `ISIN ${instrument.isin} belongs to another instrument` });
+      } else if (current && instrument.type === 'INDEX' && current.type !== 'INDEX' && tradedIds.has(current.id)) {
+        errors.push({ row: index + 1, error: `${instrument.symbol} has trades and cannot become an index` });
+      } else if (!currencies.has(instrument.currency || PIVOT_CURRENCY)) {
+        errors.push({ row: index + 1, error: missingFxRatesError(instrument.currency) });
+      } else if (current && (instrument.currency || PIVOT_CURRENCY) !== current.currency && tradedIds.has(current.id)) {
+        errors.push({ row: index + 1, error: `${instrument.symbol}: ${CURRENCY_CHANGE_ERROR}` });
+      } else {
+        rowsBySymbol.set(symbolKey, index + 1);
+        if (instrument.isin) {
+          rowsByIsin.set(instrument.isin, index + 1);
+        }
+        if (current) {
+          updates.push({ id: current.id, instrument, priceChanged: Number(instrument.current_price) !== Number(current.current_price) });
+        } else {
+          creates.push(instrument);
+        }
+      }
+    });
+
+    if (errors.length > 0) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Some rows are invalid; nothing was stored', errors });
+    }
+
+    const priceTime = new Date();
+    const createdIds = [];
+    for (const instrument of creates) {
+      const [result] = await conn.query(
+        `INSERT INTO instruments (${INSTRUMENT_COLUMNS.join(', ')}, current_price) VALUES (?)`,
+        [[...instrumentColumnValues(instrument), instrument.current_price]]
+      );
+      createdIds.push(result.insertId);
+    }
+    await recordPrices(conn, creates.map((instrument, index) => ({
+      instrument_id: createdIds[index],
+      price_time: priceTime,
+      price: instrument.current_price
+    })));
+
+    for (const { id, instrument } of updates) {
+      await conn.query(
+        `UPDATE instruments SET ${INSTRUMENT_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...instrumentColumnValues(instrument), id]
+      );
+    }
+    const repriced = updates.filter(update => update.priceChanged);
+    await applyQuotes(conn, repriced.map(({ id, instrument }) => ({
+      instrument_id: id,
+      price: instrument.current_price,
+      price_time: priceTime
+    })));
+
+    await conn.commit();
+
+    const changedIds = [...createdIds, ...updates.map(update => update.id)];
+    const [changed] = await db.query('SELECT * FROM instruments WHERE id IN (?)', [changedIds]);
+    changed.forEach(instrument => {
+      events.publish('instrument', {
+        action: createdIds.includes(instrument.id) ? 'created' : 'updated',
+        instrument: formatInstrument(instrument)
+      });
+    });
+    if (repriced.length > 0) {
+      await publishPrices(repriced.map(update => update.id));
+      alertQueue.schedule();
+      orderQueue.schedule(repriced.map(update => update.id));
+    }
+    res.status(201).json({ message: 'Instrument master loaded', created: creates.length, updated: updates.length });
+  } catch (err) {
+    await conn?.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: DUPLICATE_INSTRUMENT_ERROR });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Update instrument; fields left out of the body keep their current values
+app.put('/instruments/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const fields = readInstrumentFields(req.body);
+  
+  try {
+    const [rows] = await db.query('SELECT * FROM instruments WHERE id = ?', [id]);
+    if (rows.length === 0) {
       return res.status(404).json({ error: 'Instrument not found' });
     }
+    const current = formatInstrument(rows[0]);
+    const instrument = { ...current, ...fields };
+
+    const error = validateInstrument(instrument);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const becomesIndex = instrument.type === 'INDEX' && current.type !== 'INDEX';
+    const currencyChanged = (instrument.currency || PIVOT_CURRENCY) !== current.currency;
+    if (currencyChanged && !(await hasFxRates(db, instrument.currency || PIVOT_CURRENCY))) {
+      return res.status(400).json({ error: missingFxRatesError(instrument.currency) });
+    }
+    if (becomesIndex || currencyChanged) {
+      const [trades] = await db.query('SELECT COUNT(*) as count FROM trade_log WHERE instrument_id = ?', [id]);
+      if (trades[0].count > 0) {
+        return res.status(409).json({ error: becomesIndex ? 'An instrument with trades cannot become an index' : CURRENCY_CHANGE_ERROR });
+      }
+    }
+
+    await db.query(
+      `UPDATE instruments SET ${INSTRUMENT_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...instrumentColumnValues(instrument), id]
+    );
     
-    const [instrument] = await db.query('SELECT * FROM instruments WHERE id = ?', [id]);
+    // A manual price update is handled like a feed quote (previous close, price history)
+    const priceGiven = fields.current_price !== undefined;
+    if (priceGiven) {
+      await applyQuotes(db, [{ instrument_id: Number(id), price: instrument.current_price, price_time: new Date() }]);
+    }
+
+    const [updated] = await db.query('SELECT * FROM instruments WHERE id = ?', [id]);
     // Convert decimal values to numbers
-    const updatedInstrument = {
-      ...instrument[0],
-      current_price: Number(instrument[0].current_price)
-    };
+    const updatedInstrument = formatInstrument(updated[0]);
+    events.publish('instrument', { action: 'updated', instrument: updatedInstrument });
+    if (priceGiven) {
+      await publishPrices([updatedInstrument.id]);
+      alertQueue.schedule();
+      orderQueue.schedule([updatedInstrument.id]);
+    }
     res.json(updatedInstrument);
   } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: DUPLICATE_INSTRUMENT_ERROR });
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
 // Delete instrument
-app.delete('/instruments/:id', async (req, res) => {
+app.delete('/instruments/:id', requireAdmin, async (req, res) => {
   const { id } = req.params;
   const { cascade } = req.query; // Optional query parameter for cascade delete
   
+  let conn;
   try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [instrument] = await conn.query('SELECT id FROM instruments WHERE id = ? FOR UPDATE', [id]);
+    if (instrument.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+
     // Check if instrument has trade logs
-    const [tradeLogs] = await db.query('SELECT COUNT(*) as count FROM trade_log WHERE instrument_id = ?', [id]);
+    const [tradeLogs] = await conn.query(
+      'SELECT COUNT(*) as count, SUM(user_id <> ?) as other_users_count FROM trade_log WHERE instrument_id = ?',
+      [req.user.id, id]
+    );
+    const [corporateActions] = await conn.query(
+      'SELECT COUNT(*) as count, SUM(user_id <> ?) as other_users_count FROM corporate_actions WHERE instrument_id = ? OR new_instrument_id = ?',
+      [req.user.id, id, id]
+    );
+    if (Number(corporateActions[0].other_users_count) > 0) {
+      await conn.rollback();
+      return res.status(409).json({ error: 'Cannot delete instrument that other users have corporate actions for.' });
+    }
+
+    // Deleting would also remove other users' SIPs, orders, alerts, watchlist entries and
+    // goal allocations on it
+    const [references] = await conn.query(`
+      SELECT
+        (SELECT COUNT(*) FROM sips WHERE instrument_id = ? AND user_id <> ?) +
+        (SELECT COUNT(*) FROM orders WHERE instrument_id = ? AND user_id <> ?) +
+        (SELECT COUNT(*) FROM alerts WHERE instrument_id = ? AND user_id <> ?) +
+        (SELECT COUNT(*) FROM watchlist_items wi JOIN watchlists w ON wi.watchlist_id = w.id WHERE wi.instrument_id = ? AND w.user_id <> ?) +
+        (SELECT COUNT(*) FROM goal_allocations WHERE instrument_id = ? AND user_id <> ?) as other_users_count
+    `, [id, req.user.id, id, req.user.id, id, req.user.id, id, req.user.id, id, req.user.id]);
+    if (Number(references[0].other_users_count) > 0) {
+      await conn.rollback();
+      return res.status(409).json({ error: 'Cannot delete instrument that other users have SIPs, orders, alerts, watchlists or goal allocations for.' });
+    }
     
     if (tradeLogs[0].count > 0) {
-      if (cascade === 'true') {
-        // Cascade delete: delete trade logs first, then instrument
-        await db.query('DELETE FROM trade_log WHERE instrument_id = ?', [id]);
-        const [result] = await db.query('DELETE FROM instruments WHERE id = ?', [id]);
-        if (result.affectedRows === 0) {
-          return res.status(404).json({ error: 'Instrument not found' });
-        }
-        res.json({ message: 'Instrument and associated trade logs deleted' });
-      } else {
+      // Instruments are shared, so never cascade into another user's trades
+      if (Number(tradeLogs[0].other_users_count) > 0) {
+        await conn.rollback();
+        return res.status(409).json({ error: 'Cannot delete instrument that other users have traded.' });
+      }
+      if (cascade !== 'true') {
+        await conn.rollback();
         return res.status(400).json({ 
           error: 'Cannot delete instrument with existing trade history. Please delete all related trade logs first or use ?cascade=true parameter.' 
         });
       }
-    } else {
-      // No trade logs, safe to delete
-      const [result] = await db.query('DELETE FROM instruments WHERE id = ?', [id]);
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ error: 'Instrument not found' });
+      // Cascade delete: delete lot matches, corporate actions and trade logs first, then instrument
+      await conn.query('DELETE FROM lot_matches WHERE instrument_id = ?', [id]);
+      await conn.query('DELETE FROM trade_log WHERE instrument_id = ?', [id]);
+    }
+    // The user's corporate actions on it go too
+    await conn.query('DELETE FROM corporate_actions WHERE instrument_id = ? OR new_instrument_id = ?', [id, id]);
+    await conn.query('DELETE FROM instruments WHERE id = ?', [id]);
+
+    // Removed trades and mergers change the lots of the user's other holdings
+    if (tradeLogs[0].count > 0 || corporateActions[0].count > 0) {
+      const [portfolios] = await conn.query('SELECT id FROM portfolios WHERE user_id = ?', [req.user.id]);
+      for (const portfolio of portfolios) {
+        await rebuildLotMatches(conn, portfolio.id);
       }
-      res.json({ message: 'Instrument deleted' });
     }
+
+    await conn.commit();
+    events.publish('instrument', { action: 'deleted', id: Number(id) });
+    res.json({ message: tradeLogs[0].count > 0 ? 'Instrument and associated trade logs deleted' : 'Instrument deleted' });
   } catch (err) {
+    await conn?.rollback();
     res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
   }
 });
 
 // ========== GOALS ROUTES ==========
 
+// Convert decimal values to numbers
+const formatGoal = (row) => ({
+  ...row,
+  target_amount: Number(row.target_amount),
+  target_date: row.target_date ? toDateKey(row.target_date) : null,
+  expected_return: row.expected_return === null ? null : Number(row.expected_return),
+  monthly_contribution: row.monthly_contribution === null ? null : Number(row.monthly_contribution)
+});
+
+// Check the optional planning fields of a goal; returns an error message or null
+const validateGoalPlan = ({ target_date, expected_return, monthly_contribution }) => {
+  if (target_date !== undefined && target_date !== null && !isIsoDate(target_date)) {
+    return 'target_date must be a date in YYYY-MM-DD format';
+  }
+  if (expected_return !== undefined && expected_return !== null && !(Number(expected_return) > -100 && Number(expected_return) <= 100)) {
+    return 'expected_return must be an annual percentage between -100 and 100';
+  }
+  if (monthly_contribution !== undefined && monthly_contribution !== null && !(Number(monthly_contribution) >= 0)) {
+    return 'monthly_contribution must be zero or positive';
+  }
+  return null;
+};
+
+// Open holdings, limited to the units allocated to the goal; filters are passed on to getHoldings
+const getGoalHoldings = async (userId, goalId, filters = {}) => (
+  (await getHoldings(userId, { ...filters, goalId })).filter(holding => holding.quantity > 0)
+);
+
+// Monthly equivalent of the active SIPs tagged to each goal, keyed by goal id
+const getGoalSipAmounts = async (userId) => {
+  const [rows] = await db.query(`
+    SELECT s.goal_id, s.amount, s.quantity, s.frequency, i.current_price, i.currency
+    FROM sips s
+    JOIN instruments i ON s.instrument_id = i.id
+    WHERE s.user_id = ? AND s.goal_id IS NOT NULL AND s.status = 'ACTIVE'
+      AND (s.end_date IS NULL OR s.end_date >= CURDATE())
+  `, [userId]);
+  // SIP amounts are in the instrument's currency; goals are tracked in the base currency
+  const fx = await loadFx(userId, rows.map(row => row.currency));
+  const amounts = new Map();
+  rows.forEach(row => {
+    const monthly = getMonthlyAmount(row, row.current_price) * fx.table.crossRate(row.currency, fx.base, new Date());
+    amounts.set(row.goal_id, (amounts.get(row.goal_id) || 0) + monthly);
+  });
+  return amounts;
+};
+
+// A goal with its progress towards the target from the given holdings
+const summarizeGoal = (row, holdings, sipAmounts = new Map()) => {
+  const goal = formatGoal(row);
+  const investedAmount = roundAmount(holdings.reduce((sum, holding) => sum + holding.invested_amount, 0));
+  const currentAmount = roundAmount(holdings.reduce((sum, holding) => sum + holding.market_value, 0));
+  return {
+    ...goal,
+    current_amount: currentAmount,
+    invested_amount: investedAmount,
+    unrealized_pnl: roundAmount(currentAmount - investedAmount),
+    progress_percent: goal.target_amount > 0 ? roundAmount((currentAmount / goal.target_amount) * 100) : 0,
+    holdings_count: holdings.length,
+    sip_monthly_amount: roundAmount(sipAmounts.get(row.id) || 0)
+  };
+};
+
+const getGoalProgress = async (userId, row, filters = {}, sipAmounts = new Map()) => (
+  summarizeGoal(row, await getGoalHoldings(userId, row.id, filters), sipAmounts)
+);
+
 // Get all goals
 app.get('/goals', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT * FROM goals ORDER BY created_at DESC');
-    // Convert decimal values to numbers
-    const goals = rows.map(row => ({
-      ...row,
-      target_amount: Number(row.target_amount)
-    }));
+    const [rows] = await db.query('SELECT * FROM goals WHERE user_id = ? ORDER BY created_at DESC', [req.user.id]);
+    const sipAmounts = await getGoalSipAmounts(req.user.id);
+    const goals = [];
+    for (const row of rows) {
+      goals.push(await getGoalProgress(req.user.id, row, {}, sipAmounts));
+    }
     res.json(goals);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -571,16 +1561,11 @@ app.get('/goals', async (req, res) => {
 app.get('/goals/:id', async (req, res) => {
   const { id } = req.params;
   try {
-    const [rows] = await db.query('SELECT * FROM goals WHERE id = ?', [id]);
+    const [rows] = await db.query('SELECT * FROM goals WHERE id = ? AND user_id = ?', [id, req.user.id]);
     if (rows.length === 0) {
       return res.status(404).json({ error: 'Goal not found' });
     }
-    // Convert decimal values to numbers
-    const goal = {
-      ...rows[0],
-      target_amount: Number(rows[0].target_amount)
-    };
-    res.json(goal);
+    res.json(await getGoalProgress(req.user.id, rows[0], {}, await getGoalSipAmounts(req.user.id)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -588,23 +1573,25 @@ app.get('/goals/:id', async (req, res) => {
 
 // Add a new goal
 app.post('/goals', async (req, res) => {
-  const { name, target_amount } = req.body;
+  const { name, target_amount, target_date, expected_return, monthly_contribution } = req.body;
   
   if (!name || !target_amount) {
     return res.status(400).json({ error: 'All fields are required' });
   }
+
+  const planError = validateGoalPlan(req.body);
+  if (planError) {
+    return res.status(400).json({ error: planError });
+  }
   
   try {
     const [result] = await db.query(
-      'INSERT INTO goals (name, target_amount) VALUES (?, ?)',
-      [name, target_amount]
+      'INSERT INTO goals (user_id, name, target_amount, target_date, expected_return, monthly_contribution) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.user.id, name, target_amount, target_date || null, expected_return ?? null, monthly_contribution ?? null]
     );
     const [goal] = await db.query('SELECT * FROM goals WHERE id = ?', [result.insertId]);
-    // Convert decimal values to numbers
-    const newGoal = {
-      ...goal[0],
-      target_amount: Number(goal[0].target_amount)
-    };
+    const newGoal = summarizeGoal(goal[0], []);
+    events.publish('goal', { action: 'created', goal: newGoal }, req.user.id);
     res.status(201).json(newGoal);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -619,11 +1606,26 @@ app.put('/goals/:id', async (req, res) => {
   if (!name || !target_amount) {
     return res.status(400).json({ error: 'All fields are required' });
   }
+
+  const planError = validateGoalPlan(req.body);
+  if (planError) {
+    return res.status(400).json({ error: planError });
+  }
+
+  // Planning fields left out of the request keep their values; null clears them
+  const fields = ['name = ?', 'target_amount = ?'];
+  const params = [name, target_amount];
+  ['target_date', 'expected_return', 'monthly_contribution'].forEach(key => {
+    if (req.body[key] !== undefined) {
+      fields.push(`${key} = ?`);
+      params.push(req.body[key]);
+    }
+  });
   
   try {
     const [result] = await db.query(
-      'UPDATE goals SET name = ?, target_amount = ? WHERE id = ?',
-      [name, target_amount, id]
+      `UPDATE goals SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+      [...params, id, req.user.id]
     );
     
     if (result.affectedRows === 0) {
@@ -631,188 +1633,8714 @@ app.put('/goals/:id', async (req, res) => {
     }
     
     const [goal] = await db.query('SELECT * FROM goals WHERE id = ?', [id]);
-    // Convert decimal values to numbers
-    const updatedGoal = {
-      ...goal[0],
-      target_amount: Number(goal[0].target_amount)
-    };
+    const updatedGoal = await getGoalProgress(req.user.id, goal[0], {}, await getGoalSipAmounts(req.user.id));
+    events.publish('goal', { action: 'updated', goal: updatedGoal }, req.user.id);
     res.json(updatedGoal);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Delete goal
-app.delete('/goals/:id', async (req, res) => {
+// Project a goal to its target date
+app.get('/goals/:id/projection', async (req, res) => {
   const { id } = req.params;
-  try {
-    // Check if goal has trade logs
-    const [tradeLogs] = await db.query('SELECT COUNT(*) as count FROM trade_log WHERE goal_id = ?', [id]);
-    
-    if (tradeLogs[0].count > 0) {
-      return res.status(400).json({ 
-        error: 'Cannot delete goal with existing trade history. Please delete all related trade logs first.' 
-      });
-    }
-    
-    const [result] = await db.query('DELETE FROM goals WHERE id = ?', [id]);
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Goal not found' });
+  const overrides = {};
+  for (const key of ['monthly_contribution', 'expected_return', 'volatility']) {
+    if (req.query[key] !== undefined && req.query[key] !== '') {
+      overrides[key] = Number(req.query[key]);
     }
-    res.json({ message: 'Goal deleted' });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// ========== TRADE LOG ROUTES ==========
-
-// Get all trade logs with instrument and goal details
-app.get('/trade-log', async (req, res) => {
-  try {
-    const [rows] = await db.query(`
-      SELECT 
-        tl.*,
-        i.symbol as instrument_symbol,
-        i.name as instrument_name,
-        i.type as instrument_type,
-        g.name as goal_name
-      FROM trade_log tl
-      LEFT JOIN instruments i ON tl.instrument_id = i.id
-      LEFT JOIN goals g ON tl.goal_id = g.id
-      ORDER BY tl.created_at DESC
-    `);
-    // Convert decimal values to numbers
-    const tradeLogs = rows.map(row => ({
-      ...row,
-      quantity: Number(row.quantity),
-      price: Number(row.price),
-      total_amount: Number(row.total_amount)
-    }));
-    res.json(tradeLogs);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
   }
-});
-
-// ========== TRADING ROUTES ==========
 
-// Buy an instrument
-app.post('/instruments/:id/buy', async (req, res) => {
-  const { id } = req.params;
-  const { quantity, price, goal_id } = req.body;
-  
-  if (!quantity || !price) {
-    return res.status(400).json({ error: 'quantity and price are required' });
+  const planError = validateGoalPlan(overrides);
+  if (planError) {
+    return res.status(400).json({ error: planError });
   }
-  
-  if (quantity <= 0 || price <= 0) {
-    return res.status(400).json({ error: 'quantity and price must be positive' });
+  if (overrides.volatility !== undefined && !(overrides.volatility >= 0 && overrides.volatility <= 100)) {
+    return res.status(400).json({ error: 'volatility must be an annual percentage between 0 and 100' });
   }
-  
+
   try {
-    // Verify instrument exists
-    const [instrument] = await db.query('SELECT id, symbol, name FROM instruments WHERE id = ?', [id]);
-    if (instrument.length === 0) {
-      return res.status(404).json({ error: 'Instrument not found' });
+    const [rows] = await db.query('SELECT * FROM goals WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Goal not found' });
     }
-    
-    // Verify goal exists if provided
-    if (goal_id) {
-      const [goal] = await db.query('SELECT id FROM goals WHERE id = ?', [goal_id]);
-      if (goal.length === 0) {
-        return res.status(400).json({ error: 'Goal not found' });
-      }
+
+    const holdings = await getGoalHoldings(req.user.id, rows[0].id);
+    const goal = summarizeGoal(rows[0], holdings, await getGoalSipAmounts(req.user.id));
+    if (!goal.target_date) {
+      return res.status(400).json({ error: 'Set a target_date on the goal to project it' });
     }
-    
-    const total_amount = quantity * price;
-    
-    // Create trade log entry
-    const [result] = await db.query(
-      'INSERT INTO trade_log (instrument_id, goal_id, transaction_type, quantity, price, total_amount) VALUES (?, ?, ?, ?, ?, ?)',
-      [id, goal_id || null, 'BUY', quantity, price, total_amount]
-    );
-    
-    // Get the created trade log with details
-    const [tradeLog] = await db.query(`
-      SELECT 
-        tl.*,
-        i.symbol as instrument_symbol,
-        i.name as instrument_name,
-        i.type as instrument_type,
-        g.name as goal_name
-      FROM trade_log tl
-      LEFT JOIN instruments i ON tl.instrument_id = i.id
-      LEFT JOIN goals g ON tl.goal_id = g.id
-      WHERE tl.id = ?
-    `, [result.insertId]);
-    
-    res.status(201).json(tradeLog[0]);
+
+    // Request overrides win, then the goal's own plan, then its SIPs and asset mix
+    const blended = blendAssumptions(holdings);
+    const assumptions = {
+      monthly_contribution: overrides.monthly_contribution ?? goal.monthly_contribution ?? goal.sip_monthly_amount,
+      monthly_contribution_source: overrides.monthly_contribution !== undefined ? 'request' : (goal.monthly_contribution !== null ? 'goal' : 'sips'),
+      expected_return: overrides.expected_return ?? goal.expected_return ?? blended.expected_return,
+      expected_return_source: overrides.expected_return !== undefined ? 'request' : (goal.expected_return !== null ? 'goal' : 'asset_mix'),
+      volatility: overrides.volatility ?? blended.volatility
+    };
+
+    const projection = projectGoal({
+      currentValue: goal.current_amount,
+      target: goal.target_amount,
+      targetDate: new Date(`${goal.target_date}T00:00:00`),
+      monthlyContribution: assumptions.monthly_contribution,
+      expectedReturn: assumptions.expected_return,
+      volatility: assumptions.volatility,
+      seed: goal.id
+    });
+
+    res.json({
+      goal,
+      assumptions,
+      ...projection,
+      curve: projection.curve.map(point => ({ ...point, date: toDateKey(point.date) }))
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Sell an instrument
-app.post('/instruments/:id/sell', async (req, res) => {
+// Delete goal
+app.delete('/goals/:id', async (req, res) => {
   const { id } = req.params;
-  const { quantity, price, goal_id } = req.body;
-  
-  if (!quantity || !price) {
-    return res.status(400).json({ error: 'quantity and price are required' });
-  }
-  
-  if (quantity <= 0 || price <= 0) {
-    return res.status(400).json({ error: 'quantity and price must be positive' });
+  const { move_to_goal_id } = req.query;
+
+  if (move_to_goal_id && Number(move_to_goal_id) === Number(id)) {
+    return res.status(400).json({ error: 'move_to_goal_id must be a different goal' });
   }
-  
+
+  let conn;
   try {
-    // Verify instrument exists
-    const [instrument] = await db.query('SELECT id, symbol, name FROM instruments WHERE id = ?', [id]);
-    if (instrument.length === 0) {
-      return res.status(404).json({ error: 'Instrument not found' });
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ? FOR UPDATE', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Goal not found' });
     }
-    
-    // Verify goal exists if provided
-    if (goal_id) {
-      const [goal] = await db.query('SELECT id FROM goals WHERE id = ?', [goal_id]);
-      if (goal.length === 0) {
-        return res.status(400).json({ error: 'Goal not found' });
+
+    if (move_to_goal_id) {
+      const [target] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [move_to_goal_id, req.user.id]);
+      if (target.length === 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'Goal to move to not found' });
       }
     }
-    
-    const total_amount = quantity * price;
-    
-    // Create trade log entry
-    const [result] = await db.query(
-      'INSERT INTO trade_log (instrument_id, goal_id, transaction_type, quantity, price, total_amount) VALUES (?, ?, ?, ?, ?, ?)',
-      [id, goal_id || null, 'SELL', quantity, price, total_amount]
+
+    // Trades and SIPs move to the other goal, or lose their goal tag
+    const [trades] = await conn.query(
+      'UPDATE trade_log SET goal_id = ? WHERE goal_id = ? AND user_id = ?',
+      [move_to_goal_id || null, id, req.user.id]
     );
-    
-    // Get the created trade log with details
-    const [tradeLog] = await db.query(`
-      SELECT 
-        tl.*,
-        i.symbol as instrument_symbol,
-        i.name as instrument_name,
-        i.type as instrument_type,
-        g.name as goal_name
-      FROM trade_log tl
-      LEFT JOIN instruments i ON tl.instrument_id = i.id
-      LEFT JOIN goals g ON tl.goal_id = g.id
-      WHERE tl.id = ?
-    `, [result.insertId]);
-    
-    res.status(201).json(tradeLog[0]);
+    const [sips] = await conn.query('UPDATE sips SET goal_id = ? WHERE goal_id = ?', [move_to_goal_id || null, id]);
+
+    // The goal's units are added to the other goal's allocations, or become unallocated
+    let allocationsMoved = 0;
+    if (move_to_goal_id) {
+      const actions = await loadCorporateActions(conn, req.user.id);
+      const allocations = (await loadGoalAllocations(conn, req.user.id, actions))
+        .filter(allocation => allocation.goal_id === Number(id));
+      const holdings = new Set(allocations.map(allocation => `${allocation.portfolio_id}:${allocation.instrument_id}`));
+      for (const key of holdings) {
+        const [portfolioId, instrumentId] = key.split(':').map(Number);
+        const holding = await getHoldingAllocations(conn, req.user.id, portfolioId, instrumentId);
+        await addToGoalAllocation(conn, req.user.id, move_to_goal_id, portfolioId, instrumentId, getGoalQuantity(holding, id));
+        allocationsMoved += 1;
+      }
+    }
+    await conn.query('DELETE FROM goal_allocations WHERE goal_id = ?', [id]);
+
+    await conn.query('DELETE FROM goals WHERE id = ?', [id]);
+    await conn.commit();
+
+    events.publish('goal', { action: 'deleted', id: Number(id), moved_to_goal_id: move_to_goal_id ? Number(move_to_goal_id) : null }, req.user.id);
+    res.json({
+      message: 'Goal deleted',
+      moved_to_goal_id: move_to_goal_id ? Number(move_to_goal_id) : null,
+      trades_updated: trades.affectedRows,
+      sips_updated: sips.affectedRows,
+      allocations_moved: allocationsMoved
+    });
   } catch (err) {
+    await conn?.rollback();
     res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
   }
 });
 
-// ========== SERVER START ==========
+// ========== PORTFOLIOS ROUTES ==========
 
-// Start the server and listen on the specified port
-app.listen(port, () => {
-  console.log(`Stock Broking App Backend Service running on port ${port}`);
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Portfolio:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the portfolio
+ *         name:
+ *           type: string
+ *           description: Portfolio name, unique per user
+ *         account_type:
+ *           type: string
+ *           enum: [DEMAT, BROKER, FAMILY, OTHER]
+ *           description: Kind of account this portfolio tracks
+ *         broker:
+ *           type: string
+ *           nullable: true
+ *           description: Broker or depository participant name
+ *         owner_name:
+ *           type: string
+ *           nullable: true
+ *           description: Account holder, e.g. a family member
+ *         cost_basis_method:
+ *           type: string
+ *           enum: [FIFO, AVERAGE]
+ *           description: How sales are matched against BUY lots (defaults to the user's default_cost_basis_method)
+ *         is_default:
+ *           type: boolean
+ *           description: Trades without a portfolio_id go to the default portfolio
+ *         fee_schedule:
+ *           type: object
+ *           nullable: true
+ *           readOnly: true
+ *           description: Charge overrides per instrument type (set with PUT /portfolios/{id}/fee-schedule)
+ *         target_allocation:
+ *           $ref: '#/components/schemas/TargetAllocation'
+ *         base_currency:
+ *           type: string
+ *           readOnly: true
+ *           description: Currency of the amounts below (the user's base_currency setting)
+ *         invested_amount:
+ *           type: number
+ *           readOnly: true
+ *         market_value:
+ *           type: number
+ *           readOnly: true
+ *         unrealized_pnl:
+ *           type: number
+ *           readOnly: true
+ *         realized_pnl:
+ *           type: number
+ *           readOnly: true
+ *         dividend_income:
+ *           type: number
+ *           readOnly: true
+ *           description: Dividends from corporate actions on units held at each ex-date
+ *         total_return:
+ *           type: number
+ *           readOnly: true
+ *           description: realized_pnl + unrealized_pnl + dividend_income
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: Zerodha Demat
+ *         account_type: DEMAT
+ *         broker: Zerodha
+ *         owner_name: null
+ *         cost_basis_method: FIFO
+ *         is_default: true
+ *         invested_amount: 250000.00
+ *         market_value: 275000.00
+ *         unrealized_pnl: 25000.00
+ *         realized_pnl: 4000.00
+ *         dividend_income: 1500.00
+ *         total_return: 30500.00
+ *         created_at: 2024-01-01T00:00:00.000Z
+ *
+ * /portfolios:
+ *   get:
+ *     summary: Get the user's portfolios with current value
+ *     tags: [Portfolios]
+ *     responses:
+ *       200:
+ *         description: List of portfolios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Portfolio'
+ *   post:
+ *     summary: Add a new portfolio
+ *     tags: [Portfolios]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Portfolio'
+ *     responses:
+ *       201:
+ *         description: Portfolio added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Portfolio'
+ *       409:
+ *         description: A portfolio with this name already exists
+ *
+ * /portfolios/{id}:
+ *   get:
+ *     summary: Get portfolio by ID
+ *     tags: [Portfolios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The portfolio id
+ *     responses:
+ *       200:
+ *         description: Portfolio details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Portfolio'
+ *   put:
+ *     summary: Update portfolio
+ *     description: Changing cost_basis_method recalculates the portfolio's stored lot matches.
+ *     tags: [Portfolios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The portfolio id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Portfolio'
+ *     responses:
+ *       200:
+ *         description: Portfolio updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Portfolio'
+ *   delete:
+ *     summary: Delete portfolio
+ *     description: Only empty, non-default portfolios can be deleted.
+ *     tags: [Portfolios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The portfolio id
+ *     responses:
+ *       200:
+ *         description: Portfolio deleted
+ */
+
+const PORTFOLIO_ACCOUNT_TYPES = ['DEMAT', 'BROKER', 'FAMILY', 'OTHER'];
+
+// Convert flags and attach current value from the portfolio's holdings
+const formatPortfolio = async (row) => {
+  const holdings = await getHoldings(row.user_id, { portfolioId: row.id });
+  const investedAmount = holdings.reduce((sum, holding) => sum + holding.invested_amount, 0);
+  const marketValue = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  const dividendIncome = holdings.reduce((sum, holding) => sum + holding.dividend_income, 0);
+  const [matches] = await db.query(`
+    SELECT lm.buy_date, lm.sell_date, lm.cost_amount, lm.proceeds_amount, st.currency
+    FROM lot_matches lm
+    JOIN trade_log st ON lm.sell_trade_id = st.id
+    WHERE lm.portfolio_id = ?
+  `, [row.id]);
+  const fx = await loadFx(row.user_id, matches.map(match => match.currency));
+  const realizedPnl = matches.reduce((sum, match) => sum + convertMatch(fx, match).realized_pnl, 0);
+  return {
+    ...row,
+    is_default: Boolean(row.is_default),
+    base_currency: fx.base,
+    invested_amount: roundAmount(investedAmount),
+    market_value: roundAmount(marketValue),
+    unrealized_pnl: roundAmount(marketValue - investedAmount),
+    realized_pnl: roundAmount(realizedPnl),
+    dividend_income: roundAmount(dividendIncome),
+    total_return: roundAmount(realizedPnl + marketValue - investedAmount + dividendIncome)
+  };
+};
+
+// The user's default portfolio, created on first use
+const getDefaultPortfolioId = async (conn, userId) => {
+  const [rows] = await conn.query(
+    'SELECT id FROM portfolios WHERE user_id = ? ORDER BY is_default DESC, id ASC LIMIT 1',
+    [userId]
+  );
+  if (rows.length > 0) {
+    return rows[0].id;
+  }
+  const { default_cost_basis_method } = await getSettings(conn, userId);
+  const [result] = await conn.query(
+    'INSERT INTO portfolios (user_id, name, account_type, cost_basis_method, is_default) VALUES (?, ?, ?, ?, TRUE)',
+    [userId, 'My Portfolio', 'DEMAT', default_cost_basis_method]
+  );
+  return result.insertId;
+};
+
+// The requested portfolio if the user owns it, or the default one when none is given.
+// Resolves to null if the requested portfolio is not the user's.
+const resolvePortfolioId = async (conn, userId, portfolioId) => {
+  if (!portfolioId) {
+    return getDefaultPortfolioId(conn, userId);
+  }
+  const [rows] = await conn.query('SELECT id FROM portfolios WHERE id = ? AND user_id = ?', [portfolioId, userId]);
+  return rows.length > 0 ? rows[0].id : null;
+};
+
+// Validate the optional portfolio fields shared by create and update
+const validatePortfolioFields = ({ account_type, cost_basis_method }) => {
+  if (account_type && !PORTFOLIO_ACCOUNT_TYPES.includes(account_type)) {
+    return `account_type must be one of ${PORTFOLIO_ACCOUNT_TYPES.join(', ')}`;
+  }
+  if (cost_basis_method && !COST_BASIS_METHODS.includes(cost_basis_method)) {
+    return `cost_basis_method must be one of ${COST_BASIS_METHODS.join(', ')}`;
+  }
+  return null;
+};
+
+// Get all portfolios
+app.get('/portfolios', async (req, res) => {
+  try {
+    await getDefaultPortfolioId(db, req.user.id);
+    const [rows] = await db.query(
+      'SELECT * FROM portfolios WHERE user_id = ? ORDER BY is_default DESC, created_at ASC',
+      [req.user.id]
+    );
+    res.json(await Promise.all(rows.map(formatPortfolio)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get portfolio by ID
+app.get('/portfolios/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await db.query('SELECT * FROM portfolios WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    res.json(await formatPortfolio(rows[0]));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a new portfolio
+app.post('/portfolios', async (req, res) => {
+  const { name, account_type, broker, owner_name, cost_basis_method } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  const validationError = validatePortfolioFields(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const [existing] = await db.query('SELECT id FROM portfolios WHERE user_id = ? AND name = ?', [req.user.id, name]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'A portfolio with this name already exists' });
+    }
+
+    const { default_cost_basis_method } = await getSettings(db, req.user.id);
+    const [result] = await db.query(
+      'INSERT INTO portfolios (user_id, name, account_type, broker, owner_name, cost_basis_method) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.user.id, name, account_type || 'DEMAT', broker || null, owner_name || null, cost_basis_method || default_cost_basis_method]
+    );
+    const [portfolio] = await db.query('SELECT * FROM portfolios WHERE id = ?', [result.insertId]);
+    const newPortfolio = await formatPortfolio(portfolio[0]);
+    events.publish('portfolio', { action: 'created', portfolio: newPortfolio }, req.user.id);
+    res.status(201).json(newPortfolio);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update portfolio
+app.put('/portfolios/:id', async (req, res) => {
+  const { id } = req.params;
+  const { name, account_type, broker, owner_name, cost_basis_method, is_default } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  const validationError = validatePortfolioFields(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT * FROM portfolios WHERE id = ? AND user_id = ? FOR UPDATE', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    const previous = rows[0];
+
+    const [duplicate] = await conn.query(
+      'SELECT id FROM portfolios WHERE user_id = ? AND name = ? AND id <> ?',
+      [req.user.id, name, id]
+    );
+    if (duplicate.length > 0) {
+      await conn.rollback();
+      return res.status(409).json({ error: 'A portfolio with this name already exists' });
+    }
+
+    // Only one default portfolio per user
+    if (is_default) {
+      await conn.query('UPDATE portfolios SET is_default = FALSE WHERE user_id = ?', [req.user.id]);
+    }
+
+    await conn.query(
+      'UPDATE portfolios SET name = ?, account_type = ?, broker = ?, owner_name = ?, cost_basis_method = ?, is_default = ? WHERE id = ?',
+      [
+        name,
+        account_type || previous.account_type,
+        broker === undefined ? previous.broker : broker,
+        owner_name === undefined ? previous.owner_name : owner_name,
+        cost_basis_method || previous.cost_basis_method,
+        is_default ? true : Boolean(previous.is_default),
+        id
+      ]
+    );
+
+    if (cost_basis_method && cost_basis_method !== previous.cost_basis_method) {
+      await rebuildAllLotMatches(conn, id);
+    }
+
+    await conn.commit();
+
+    const [portfolio] = await db.query('SELECT * FROM portfolios WHERE id = ?', [id]);
+    const updatedPortfolio = await formatPortfolio(portfolio[0]);
+    events.publish('portfolio', { action: 'updated', portfolio: updatedPortfolio }, req.user.id);
+    res.json(updatedPortfolio);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Delete portfolio
+app.delete('/portfolios/:id', async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    // Locking the portfolio keeps trades from being added to it while it is deleted
+    const [rows] = await conn.query('SELECT * FROM portfolios WHERE id = ? AND user_id = ? FOR UPDATE', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    if (rows[0].is_default) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Cannot delete the default portfolio. Make another portfolio the default first.' });
+    }
+
+    const [tradeLogs] = await conn.query('SELECT COUNT(*) as count FROM trade_log WHERE portfolio_id = ?', [id]);
+    if (tradeLogs[0].count > 0) {
+      await conn.rollback();
+      return res.status(400).json({
+        error: 'Cannot delete portfolio with existing trade history. Please delete all related trade logs first.'
+      });
+    }
+
+    // Cash movements and corporate actions recorded against just this portfolio go with it
+    await conn.query('DELETE FROM cash_transactions WHERE portfolio_id = ?', [id]);
+    await conn.query('DELETE FROM corporate_actions WHERE portfolio_id = ?', [id]);
+    await conn.query('DELETE FROM portfolios WHERE id = ?', [id]);
+    await conn.commit();
+    events.publish('portfolio', { action: 'deleted', id: Number(id) }, req.user.id);
+    res.json({ message: 'Portfolio deleted' });
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// ========== TRADE LOG ROUTES ==========
+
+// Get all trade logs with instrument and goal details
+app.get('/trade-log', async (req, res) => {
+  const { portfolio_id } = req.query;
+  try {
+    const [rows] = await db.query(`
+      SELECT 
+        tl.*,
+        i.symbol as instrument_symbol,
+        i.name as instrument_name,
+        i.type as instrument_type,
+        g.name as goal_name,
+        p.name as portfolio_name
+      FROM trade_log tl
+      LEFT JOIN instruments i ON tl.instrument_id = i.id
+      LEFT JOIN goals g ON tl.goal_id = g.id
+      LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+      WHERE tl.user_id = ? ${portfolio_id ? 'AND tl.portfolio_id = ?' : ''}
+      ORDER BY tl.created_at DESC
+    `, portfolio_id ? [req.user.id, portfolio_id] : [req.user.id]);
+    // Convert decimal values to numbers
+    const tradeLogs = rows.map(row => ({
+      ...row,
+      quantity: Number(row.quantity),
+      price: Number(row.price),
+      total_amount: Number(row.total_amount),
+      charges: Number(row.charges),
+      net_amount: Number(row.net_amount)
+    }));
+    res.json(tradeLogs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== TRADING ROUTES ==========
+
+// Charges for a trade: the amount given by hand, or calculated from the portfolio's fee schedule
+const getTradeCharges = async (conn, portfolioId, instrument, side, quantity, price, manualCharges) => {
+  if (manualCharges !== undefined && manualCharges !== null) {
+    return { charges: roundAmount(Number(manualCharges)), breakdown: null };
+  }
+  const [portfolio] = await conn.query('SELECT fee_schedule FROM portfolios WHERE id = ?', [portfolioId]);
+  const schedule = resolveFeeSchedules(portfolio[0].fee_schedule)[instrument.type];
+  const { total, ...breakdown } = calculateCharges(schedule, side, Number(quantity), Number(price));
+  return { charges: total, breakdown };
+};
+
+const isValidCharges = (charges) => charges === undefined || charges === null || Number(charges) >= 0;
+
+// Buy an instrument
+app.post('/instruments/:id/buy', async (req, res) => {
+  const { id } = req.params;
+  const { quantity, price, goal_id, portfolio_id, charges } = req.body;
+  
+  if (!quantity || !price) {
+    return res.status(400).json({ error: 'quantity and price are required' });
+  }
+  
+  if (quantity <= 0 || price <= 0) {
+    return res.status(400).json({ error: 'quantity and price must be positive' });
+  }
+
+  if (!isValidCharges(charges)) {
+    return res.status(400).json({ error: 'charges must be zero or positive' });
+  }
+  
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    // Verify instrument exists
+    const [instrument] = await conn.query('SELECT id, symbol, name, type, currency FROM instruments WHERE id = ?', [id]);
+    if (instrument.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+    if (instrument[0].type === 'INDEX') {
+      await conn.rollback();
+      return res.status(400).json({ error: INDEX_TRADE_ERROR });
+    }
+    
+    // Verify goal exists if provided
+    if (goal_id) {
+      const [goal] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [goal_id, req.user.id]);
+      if (goal.length === 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'Goal not found' });
+      }
+    }
+
+    const portfolioId = await resolvePortfolioId(conn, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+
+    // Lock the portfolio so concurrent buys can't spend the same cash
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [portfolioId]);
+    
+    const total_amount = quantity * price;
+    const tradeCharges = await getTradeCharges(conn, portfolioId, instrument[0], 'BUY', quantity, price, charges);
+    const netAmount = roundAmount(total_amount + tradeCharges.charges);
+
+    const { block_buys_on_insufficient_cash } = await getSettings(conn, req.user.id);
+    if (block_buys_on_insufficient_cash === 'true') {
+      const currency = instrument[0].currency;
+      const availableCash = await getCashBalance(conn, req.user.id, portfolioId, currency);
+      if (netAmount > availableCash) {
+        await conn.rollback();
+        return res.status(409).json({
+          error: `Buying ${quantity} units of ${instrument[0].symbol} needs ${currency} ${netAmount}; only ${currency} ${availableCash} cash available`,
+          code: 'INSUFFICIENT_CASH',
+          portfolio_id: portfolioId,
+          currency,
+          required_amount: netAmount,
+          available_cash: availableCash
+        });
+      }
+    }
+    
+    // Units bought for a goal are allocated to it
+    if (goal_id) {
+      await addToGoalAllocation(conn, req.user.id, goal_id, portfolioId, id, Number(quantity));
+    }
+    
+    // Create trade log entry
+    const [result] = await conn.query(
+      'INSERT INTO trade_log (user_id, portfolio_id, instrument_id, goal_id, transaction_type, quantity, price, total_amount, charges, charges_breakdown, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        req.user.id, portfolioId, id, goal_id || null, 'BUY', quantity, price, total_amount,
+        tradeCharges.charges, tradeCharges.breakdown && JSON.stringify(tradeCharges.breakdown), instrument[0].currency
+      ]
+    );
+
+    // Keep stored lot matches in step with the trade history
+    await rebuildLotMatches(conn, portfolioId);
+
+    await conn.commit();
+    
+    // Get the created trade log with details
+    const [tradeLog] = await db.query(`
+      SELECT 
+        tl.*,
+        i.symbol as instrument_symbol,
+        i.name as instrument_name,
+        i.type as instrument_type,
+        g.name as goal_name,
+        p.name as portfolio_name
+      FROM trade_log tl
+      LEFT JOIN instruments i ON tl.instrument_id = i.id
+      LEFT JOIN goals g ON tl.goal_id = g.id
+      LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+      WHERE tl.id = ?
+    `, [result.insertId]);
+    
+    events.publish('trade', tradeLog[0], req.user.id);
+    res.status(201).json(tradeLog[0]);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Net quantity a portfolio holds of an instrument, after corporate actions (goal shares come from
+// getHoldingAllocations)
+const getNetQuantity = async (conn, userId, portfolioId, instrumentId) => {
+  const [trades] = await conn.query(
+    'SELECT id, instrument_id, transaction_type, quantity, price, created_at FROM trade_log WHERE portfolio_id = ?',
+    [portfolioId]
+  );
+  const actions = await loadCorporateActions(conn, userId, { portfolioId });
+  const pool = matchPortfolioLots(trades, actions).get(Number(instrumentId));
+  return pool ? Math.round(pool.quantity * 10000) / 10000 : 0;
+};
+
+// Sell an instrument
+app.post('/instruments/:id/sell', async (req, res) => {
+  const { id } = req.params;
+  const { quantity, price, goal_id, portfolio_id, charges } = req.body;
+  
+  if (!quantity || !price) {
+    return res.status(400).json({ error: 'quantity and price are required' });
+  }
+  
+  if (quantity <= 0 || price <= 0) {
+    return res.status(400).json({ error: 'quantity and price must be positive' });
+  }
+
+  if (!isValidCharges(charges)) {
+    return res.status(400).json({ error: 'charges must be zero or positive' });
+  }
+  
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    // Verify instrument exists and lock it so concurrent sells are checked one at a time
+    const [instrument] = await conn.query('SELECT id, symbol, name, type, currency FROM instruments WHERE id = ? FOR UPDATE', [id]);
+    if (instrument.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+    if (instrument[0].type === 'INDEX') {
+      await conn.rollback();
+      return res.status(400).json({ error: INDEX_TRADE_ERROR });
+    }
+    
+    // Verify goal exists if provided
+    if (goal_id) {
+      const [goal] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [goal_id, req.user.id]);
+      if (goal.length === 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'Goal not found' });
+      }
+    }
+
+    const portfolioId = await resolvePortfolioId(conn, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+
+    // Reject oversells against the current net position in this portfolio, or against
+    // the units allocated to the goal when the sale is for a goal
+    let availableQuantity = await getNetQuantity(conn, req.user.id, portfolioId, id);
+    if (goal_id) {
+      const holding = await getHoldingAllocations(conn, req.user.id, portfolioId, id, availableQuantity);
+      availableQuantity = getGoalQuantity(holding, goal_id);
+    }
+    if (Number(quantity) > availableQuantity) {
+      await conn.rollback();
+      return res.status(409).json({
+        error: goal_id
+          ? `Cannot sell ${quantity} units of ${instrument[0].symbol}; only ${availableQuantity} allocated to this goal`
+          : `Cannot sell ${quantity} units of ${instrument[0].symbol}; only ${availableQuantity} held`,
+        code: 'INSUFFICIENT_QUANTITY',
+        instrument_id: instrument[0].id,
+        portfolio_id: portfolioId,
+        goal_id: goal_id || null,
+        requested_quantity: Number(quantity),
+        available_quantity: availableQuantity
+      });
+    }
+    
+    const total_amount = quantity * price;
+    const tradeCharges = await getTradeCharges(conn, portfolioId, instrument[0], 'SELL', quantity, price, charges);
+
+    // Units sold for a goal come out of its allocation
+    if (goal_id) {
+      await addToGoalAllocation(conn, req.user.id, goal_id, portfolioId, id, -Number(quantity));
+    }
+    
+    // Create trade log entry
+    const [result] = await conn.query(
+      'INSERT INTO trade_log (user_id, portfolio_id, instrument_id, goal_id, transaction_type, quantity, price, total_amount, charges, charges_breakdown, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        req.user.id, portfolioId, id, goal_id || null, 'SELL', quantity, price, total_amount,
+        tradeCharges.charges, tradeCharges.breakdown && JSON.stringify(tradeCharges.breakdown), instrument[0].currency
+      ]
+    );
+
+    // Match the sale against open BUY lots before committing
+    await rebuildLotMatches(conn, portfolioId);
+
+    await conn.commit();
+    
+    // Get the created trade log with details
+    const [tradeLog] = await db.query(`
+      SELECT 
+        tl.*,
+        i.symbol as instrument_symbol,
+        i.name as instrument_name,
+        i.type as instrument_type,
+        g.name as goal_name,
+        p.name as portfolio_name
+      FROM trade_log tl
+      LEFT JOIN instruments i ON tl.instrument_id = i.id
+      LEFT JOIN goals g ON tl.goal_id = g.id
+      LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+      WHERE tl.id = ?
+    `, [result.insertId]);
+    
+    events.publish('trade', tradeLog[0], req.user.id);
+    res.status(201).json(tradeLog[0]);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// ========== HOLDINGS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Holding:
+ *       type: object
+ *       description: >
+ *         Amounts are in the user's base currency, converted at the rate of the day they
+ *         arose (costs at the buy dates, values at today's rate); avg_cost and current_price
+ *         stay in the instrument's currency, and local has the amounts in that currency.
+ *       properties:
+ *         instrument_id:
+ *           type: integer
+ *         symbol:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [STOCK, MF, ETF, BOND, FD, GOLD, CRYPTO]
+ *         sector:
+ *           type: string
+ *           nullable: true
+ *         industry:
+ *           type: string
+ *           nullable: true
+ *         exchange:
+ *           type: string
+ *           nullable: true
+ *         currency:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *           description: Net quantity currently held
+ *         avg_cost:
+ *           type: number
+ *           description: Weighted average cost per unit of the quantity held
+ *         invested_amount:
+ *           type: number
+ *           description: Cost basis of the quantity held
+ *         current_price:
+ *           type: number
+ *         market_value:
+ *           type: number
+ *         unrealized_pnl:
+ *           type: number
+ *         unrealized_pnl_percent:
+ *           type: number
+ *         day_change:
+ *           type: number
+ *           description: Change in market value since the previous close
+ *         dividend_income:
+ *           type: number
+ *           description: Dividends from corporate actions on units held at each ex-date
+ *         base_currency:
+ *           type: string
+ *         fx_rate:
+ *           type: number
+ *           description: Units of base_currency per unit of currency today
+ *         price_effect:
+ *           type: number
+ *           description: Part of unrealized_pnl from the price moving
+ *         currency_effect:
+ *           type: number
+ *           description: Part of unrealized_pnl from the exchange rate moving since purchase
+ *         local:
+ *           type: object
+ *           description: The amounts in the instrument's currency
+ *           properties:
+ *             invested_amount:
+ *               type: number
+ *             market_value:
+ *               type: number
+ *             unrealized_pnl:
+ *               type: number
+ *             dividend_income:
+ *               type: number
+ *       example:
+ *         instrument_id: 1
+ *         symbol: RELIANCE
+ *         name: Reliance Industries Ltd
+ *         type: STOCK
+ *         sector: Energy
+ *         industry: Refineries & Marketing
+ *         exchange: NSE
+ *         currency: INR
+ *         quantity: 5
+ *         avg_cost: 2400.00
+ *         invested_amount: 12000.00
+ *         current_price: 2450.50
+ *         market_value: 12252.50
+ *         unrealized_pnl: 252.50
+ *         unrealized_pnl_percent: 2.10
+ *
+ * /holdings:
+ *   get:
+ *     summary: Get current holdings calculated from the trade log
+ *     tags: [Holdings]
+ *     parameters:
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (default is all portfolios combined)
+ *     responses:
+ *       200:
+ *         description: One entry per instrument with a non-zero position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Holding'
+ *
+ * /holdings/allocation:
+ *   get:
+ *     summary: Get the allocation of the holdings by sector, industry, type, exchange or currency
+ *     tags: [Holdings]
+ *     parameters:
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [type, sector, industry, exchange, currency]
+ *           default: sector
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (default is all portfolios combined)
+ *       - in: query
+ *         name: goal_id
+ *         schema:
+ *           type: integer
+ *         description: Only the units allocated to this goal
+ *     responses:
+ *       200:
+ *         description: Market value per group, largest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 group_by:
+ *                   type: string
+ *                 market_value:
+ *                   type: number
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       group:
+ *                         type: string
+ *                         description: The sector, industry, type, exchange or currency ("Unclassified" when the instruments have none)
+ *                       market_value:
+ *                         type: number
+ *                       invested_amount:
+ *                         type: number
+ *                       unrealized_pnl:
+ *                         type: number
+ *                       share_percent:
+ *                         type: number
+ *                       holdings:
+ *                         type: integer
+ *                         description: Number of instruments in the group
+ *             example:
+ *               group_by: sector
+ *               market_value: 40000
+ *               groups:
+ *                 - group: Information Technology
+ *                   market_value: 24000
+ *                   invested_amount: 21000
+ *                   unrealized_pnl: 3000
+ *                   share_percent: 60
+ *                   holdings: 2
+ *                 - group: Financial Services
+ *                   market_value: 16000
+ *                   invested_amount: 16500
+ *                   unrealized_pnl: -500
+ *                   share_percent: 40
+ *                   holdings: 1
+ *       400:
+ *         description: Unknown group_by
+ *
+ * /holdings/{instrumentId}:
+ *   get:
+ *     summary: Get the holding for a single instrument
+ *     tags: [Holdings]
+ *     parameters:
+ *       - in: path
+ *         name: instrumentId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The instrument id
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (default is all portfolios combined)
+ *     responses:
+ *       200:
+ *         description: Holding details (quantity is 0 if nothing is held)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Holding'
+ *       404:
+ *         description: Instrument not found
+ */
+
+// Round money values to paise so float noise doesn't leak into responses
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Fold trades into one position per portfolio and instrument.
+// SELLs release cost through lot matching, not at the sell price,
+// so invested_amount is always the cost basis of what is still held.
+// Lots are matched within each portfolio using that portfolio's cost basis
+// method and corporate actions.
+const calculatePositions = (trades, actions) => {
+  const tradesByPortfolio = new Map();
+  for (const trade of trades) {
+    if (!tradesByPortfolio.has(trade.portfolio_id)) {
+      tradesByPortfolio.set(trade.portfolio_id, []);
+    }
+    tradesByPortfolio.get(trade.portfolio_id).push(trade);
+  }
+
+  const positions = [];
+  tradesByPortfolio.forEach((portfolioTrades, portfolioId) => {
+    const portfolioActions = actions.filter(action => !action.portfolio_id || action.portfolio_id === portfolioId);
+    const pools = matchPortfolioLots(portfolioTrades, portfolioActions, portfolioTrades[0].cost_basis_method);
+    pools.forEach(({ quantity, cost, income, openLots }, instrumentId) => {
+      positions.push({
+        portfolio_id: portfolioId,
+        instrument_id: instrumentId,
+        quantity,
+        invested_amount: cost,
+        dividend_income: income.reduce((sum, entry) => sum + entry.amount, 0),
+        // Kept to convert the cost and income at the rates of the days they arose
+        lots: openLots,
+        income
+      });
+    });
+  });
+  return positions;
+};
+
+// Combine positions into one holding per instrument.
+// instruments maps id -> instrument row (with the price to value at). fx ({ base, table })
+// converts each holding into the base currency: its value at the rate on valuedAt, its
+// cost and dividends at the rates of the days the lots were bought and dividends paid.
+const calculateHoldings = (positions, instruments, fx, valuedAt = new Date()) => {
+  const holdings = new Map();
+  positions.forEach(({ instrument_id: instrumentId, quantity, invested_amount, dividend_income, lots, income }) => {
+    if (!holdings.has(instrumentId)) {
+      const instrument = instruments.get(instrumentId);
+      holdings.set(instrumentId, {
+        instrument_id: instrumentId,
+        symbol: instrument.symbol,
+        name: instrument.name,
+        type: instrument.type,
+        sector: instrument.sector,
+        industry: instrument.industry,
+        exchange: instrument.exchange,
+        currency: instrument.currency,
+        current_price: Number(instrument.current_price),
+        previous_close: instrument.previous_close === null ? null : Number(instrument.previous_close),
+        base_currency: fx.base,
+        fx_rate: fx.table.crossRate(instrument.currency, fx.base, valuedAt),
+        quantity: 0,
+        invested_amount: 0,
+        invested_base: 0,
+        dividend_income: 0,
+        dividend_base: 0
+      });
+    }
+    const holding = holdings.get(instrumentId);
+    const costRate = averageRate(fx.table, holding.currency, fx.base, lots.map(lot => ({
+      date: lot.date,
+      amount: lot.remaining * lot.price
+    })), holding.fx_rate);
+    const incomeRate = averageRate(fx.table, holding.currency, fx.base, income, holding.fx_rate);
+    holding.quantity += quantity;
+    holding.invested_amount += invested_amount;
+    holding.invested_base += invested_amount * costRate;
+    holding.dividend_income += dividend_income;
+    holding.dividend_base += dividend_income * incomeRate;
+  });
+
+  return [...holdings.values()].map(formatHolding);
+};
+
+// The part of each position allocated to a goal, with cost and income in proportion
+const allocatePositions = (positions, allocations, goalId) => positions
+  .map(position => {
+    const onHolding = allocations.filter(allocation => (
+      allocation.portfolio_id === position.portfolio_id && allocation.instrument_id === position.instrument_id
+    ));
+    const share = splitHolding(position.quantity, onHolding).find(allocation => allocation.goal_id === Number(goalId));
+    const fraction = share && position.quantity > 0 ? Math.min(share.quantity / position.quantity, 1) : 0;
+    return {
+      ...position,
+      quantity: position.quantity * fraction,
+      invested_amount: position.invested_amount * fraction,
+      dividend_income: position.dividend_income * fraction
+    };
+  })
+  .filter(position => position.quantity > 0);
+
+// Derive valuation fields for a position. Prices and avg_cost are in the instrument's
+// currency; amounts are in the base currency, with the instrument-currency ones in `local`.
+const formatHolding = (position) => {
+  const quantity = Math.round(position.quantity * 10000) / 10000;
+  const fxRate = position.fx_rate ?? 1;
+  const localValue = quantity * position.current_price;
+  const investedBase = position.invested_base ?? position.invested_amount;
+  const investedAmount = roundAmount(investedBase);
+  const marketValue = roundAmount(localValue * fxRate);
+  const unrealizedPnl = roundAmount(marketValue - investedAmount);
+  const costRate = position.invested_amount > 0 ? investedBase / position.invested_amount : fxRate;
+  const { price_effect, currency_effect } = splitGain(localValue, position.invested_amount, costRate, fxRate);
+
+  return {
+    instrument_id: position.instrument_id,
+    symbol: position.symbol,
+    name: position.name,
+    type: position.type,
+    sector: position.sector ?? null,
+    industry: position.industry ?? null,
+    exchange: position.exchange ?? null,
+    currency: position.currency || PIVOT_CURRENCY,
+    quantity,
+    avg_cost: quantity > 0 ? roundAmount(position.invested_amount / quantity) : 0,
+    invested_amount: investedAmount,
+    current_price: position.current_price,
+    base_currency: position.base_currency || position.currency || PIVOT_CURRENCY,
+    fx_rate: Math.round(fxRate * 1000000) / 1000000,
+    market_value: marketValue,
+    unrealized_pnl: unrealizedPnl,
+    unrealized_pnl_percent: investedAmount > 0 ? roundAmount((unrealizedPnl / investedAmount) * 100) : 0,
+    price_effect: roundAmount(price_effect),
+    currency_effect: roundAmount(currency_effect),
+    day_change: position.previous_close ? roundAmount(quantity * (position.current_price - position.previous_close) * fxRate) : 0,
+    dividend_income: roundAmount(position.dividend_base ?? position.dividend_income ?? 0),
+    local: {
+      invested_amount: roundAmount(position.invested_amount),
+      market_value: roundAmount(localValue),
+      unrealized_pnl: roundAmount(localValue - position.invested_amount),
+      dividend_income: roundAmount(position.dividend_income || 0)
+    }
+  };
+};
+
+// Load a user's trades, corporate actions and instruments, and fold the trades into
+// positions per portfolio and instrument (trades are returned too). filters.portfolioId keeps one portfolio;
+// filters.asOf (YYYY-MM-DD) stops at the end of that day and prices instruments with
+// their last recorded price from price_history.
+const loadPositions = async (userId, filters = {}) => {
+  const conditions = ['tl.user_id = ?'];
+  const params = [userId];
+  if (filters.portfolioId) {
+    conditions.push('tl.portfolio_id = ?');
+    params.push(filters.portfolioId);
+  }
+  if (filters.asOf) {
+    conditions.push('tl.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.asOf);
+  }
+
+  // Lots are costed at the net price (charges included); every instrument is loaded,
+  // since a merger can move a holding into one the user never traded
+  const [trades] = await db.query(`
+    SELECT 
+      tl.id,
+      tl.portfolio_id,
+      tl.instrument_id,
+      tl.transaction_type,
+      tl.quantity,
+      tl.net_amount / tl.quantity as price,
+      tl.price as trade_price,
+      tl.net_amount,
+      tl.created_at,
+      p.cost_basis_method
+    FROM trade_log tl
+    JOIN portfolios p ON tl.portfolio_id = p.id
+    WHERE ${conditions.join(' AND ')}
+  `, params);
+  const actions = await loadCorporateActions(db, userId, filters);
+  const [instrumentRows] = filters.asOf
+    ? await db.query(`
+      SELECT 
+        i.id,
+        i.symbol,
+        i.name,
+        i.type,
+        i.sector,
+        i.industry,
+        i.exchange,
+        i.currency,
+        COALESCE((
+          SELECT ph.price FROM price_history ph
+          WHERE ph.instrument_id = i.id AND ph.price_time < DATE_ADD(?, INTERVAL 1 DAY)
+          ORDER BY ph.price_time DESC LIMIT 1
+        ), i.current_price) as current_price,
+        NULL as previous_close
+      FROM instruments i
+    `, [filters.asOf])
+    : await db.query('SELECT id, symbol, name, type, sector, industry, exchange, currency, current_price, previous_close FROM instruments');
+  const instruments = new Map(instrumentRows.map(row => [row.id, row]));
+
+  return { trades, positions: calculatePositions(trades, actions), actions, instruments };
+};
+
+// A user's holdings, one per instrument. filters.instrumentId / filters.portfolioId narrow
+// the result; without a portfolio all of the user's portfolios are combined.
+// filters.goalId keeps only the units allocated to that goal. filters.asOf values the
+// holdings at the end of that day (see loadPositions). Amounts are in the user's base currency.
+const getHoldings = async (userId, filters = {}) => {
+  const { positions: allPositions, actions, instruments } = await loadPositions(userId, filters);
+  const positions = filters.goalId
+    ? allocatePositions(allPositions, await loadGoalAllocations(db, userId, actions), filters.goalId)
+    : allPositions;
+
+  const fx = await loadFx(userId, positions.map(position => instruments.get(position.instrument_id).currency));
+  const holdings = calculateHoldings(positions, instruments, fx, filters.asOf || new Date());
+  return filters.instrumentId
+    ? holdings.filter(holding => holding.instrument_id === Number(filters.instrumentId))
+    : holdings;
+};
+
+// Get all open holdings
+app.get('/holdings', async (req, res) => {
+  try {
+    const holdings = await getHoldings(req.user.id, { portfolioId: req.query.portfolio_id });
+    res.json(holdings.filter(holding => holding.quantity > 0));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the allocation of the open holdings by sector (or another instrument field)
+app.get('/holdings/allocation', async (req, res) => {
+  const { group_by = 'sector', portfolio_id, goal_id } = req.query;
+  if (!ALLOCATION_GROUPS.includes(group_by)) {
+    return res.status(400).json({ error: `group_by must be one of ${ALLOCATION_GROUPS.join(', ')}` });
+  }
+
+  try {
+    const holdings = (await getHoldings(req.user.id, { portfolioId: portfolio_id, goalId: goal_id }))
+      .filter(holding => holding.quantity > 0);
+    res.json({
+      group_by,
+      market_value: roundAmount(holdings.reduce((sum, holding) => sum + holding.market_value, 0)),
+      groups: groupAllocation(holdings, group_by)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get holding for a single instrument
+app.get('/holdings/:instrumentId', async (req, res) => {
+  const { instrumentId } = req.params;
+  try {
+    const [instrument] = await db.query('SELECT * FROM instruments WHERE id = ?', [instrumentId]);
+    if (instrument.length === 0) {
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+
+    const [holding] = await getHoldings(req.user.id, { instrumentId, portfolioId: req.query.portfolio_id });
+    const fx = holding ? null : await loadFx(req.user.id, [instrument[0].currency]);
+    res.json(holding || formatHolding({
+      instrument_id: instrument[0].id,
+      symbol: instrument[0].symbol,
+      name: instrument[0].name,
+      type: instrument[0].type,
+      sector: instrument[0].sector,
+      industry: instrument[0].industry,
+      exchange: instrument[0].exchange,
+      currency: instrument[0].currency,
+      current_price: Number(instrument[0].current_price),
+      previous_close: null,
+      base_currency: fx.base,
+      fx_rate: fx.table.crossRate(instrument[0].currency, fx.base, new Date()),
+      quantity: 0,
+      invested_amount: 0,
+      dividend_income: 0
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== SETTINGS ROUTES ==========
+
+/**
+ * @swagger
+ * /settings:
+ *   get:
+ *     summary: Get user settings
+ *     tags: [Settings]
+ *     responses:
+ *       200:
+ *         description: Current settings, with defaults filled in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 default_cost_basis_method:
+ *                   type: string
+ *                   enum: [FIFO, AVERAGE]
+ *                   description: Cost basis method for new portfolios
+ *                 block_buys_on_insufficient_cash:
+ *                   type: string
+ *                   enum: ['true', 'false']
+ *                   description: Reject buys whose net amount exceeds the portfolio's cash balance
+ *                 risk_free_rate:
+ *                   type: string
+ *                   example: '6.5'
+ *                   description: Annual % used for Sharpe and Sortino ratios in /analytics/risk
+ *                 concentration_limit_percent:
+ *                   type: string
+ *                   example: '20'
+ *                   description: Share of the portfolio above which a single instrument is flagged
+ *                 base_currency:
+ *                   type: string
+ *                   example: INR
+ *                   description: Currency that holdings, P&L, goal progress and performance are reported in
+ *   put:
+ *     summary: Update user settings
+ *     tags: [Settings]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               default_cost_basis_method:
+ *                 type: string
+ *                 enum: [FIFO, AVERAGE]
+ *               block_buys_on_insufficient_cash:
+ *                 type: boolean
+ *               risk_free_rate:
+ *                 type: number
+ *               concentration_limit_percent:
+ *                 type: number
+ *               base_currency:
+ *                 type: string
+ *                 description: A currency with FX rates (INR always has them)
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Unknown setting, invalid value, or a base currency without FX rates
+ */
+
+// Values used when a setting has never been saved
+const SETTING_DEFAULTS = {
+  default_cost_basis_method: 'FIFO',
+  block_buys_on_insufficient_cash: 'false',
+  risk_free_rate: '6.5',
+  concentration_limit_percent: '20',
+  base_currency: 'INR'
+};
+
+// Each setting must pass its validator before it is saved
+const SETTING_VALIDATORS = {
+  default_cost_basis_method: value => COST_BASIS_METHODS.includes(value),
+  block_buys_on_insufficient_cash: value => ['true', 'false'].includes(String(value)),
+  risk_free_rate: value => value !== null && value !== '' && Number(value) >= 0 && Number(value) <= 100,
+  concentration_limit_percent: value => Number(value) > 0 && Number(value) <= 100,
+  base_currency: value => isCurrencyCode(value)
+};
+
+const getSettings = async (conn, userId) => {
+  const [rows] = await conn.query('SELECT setting_key, setting_value FROM settings WHERE user_id = ?', [userId]);
+  const settings = { ...SETTING_DEFAULTS };
+  rows.forEach(row => {
+    settings[row.setting_key] = row.setting_value;
+  });
+  return settings;
+};
+
+// Get settings
+app.get('/settings', async (req, res) => {
+  try {
+    res.json(await getSettings(db, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update settings
+app.put('/settings', async (req, res) => {
+  const updates = Object.entries(req.body || {});
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'At least one setting is required' });
+  }
+
+  for (const [key, value] of updates) {
+    if (!SETTING_VALIDATORS[key]) {
+      return res.status(400).json({ error: `Unknown setting: ${key}` });
+    }
+    if (!SETTING_VALIDATORS[key](value)) {
+      return res.status(400).json({ error: `Invalid value for ${key}` });
+    }
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    // Amounts can only be converted into a currency with FX rates
+    if (req.body.base_currency !== undefined && !(await hasFxRates(conn, req.body.base_currency))) {
+      await conn.rollback();
+      return res.status(400).json({ error: `There are no FX rates for ${req.body.base_currency}; load them first` });
+    }
+
+    for (const [key, value] of updates) {
+      await conn.query(
+        'INSERT INTO settings (user_id, setting_key, setting_value) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)',
+        [req.user.id, key, String(value)]
+      );
+    }
+
+    const settings = await getSettings(conn, req.user.id);
+    await conn.commit();
+    res.json(settings);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// ========== REALIZED P&L ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RealizedSale:
+ *       type: object
+ *       properties:
+ *         sell_trade_id:
+ *           type: integer
+ *         portfolio_id:
+ *           type: integer
+ *         portfolio_name:
+ *           type: string
+ *         method:
+ *           type: string
+ *           enum: [FIFO, AVERAGE]
+ *           description: Cost basis method of the portfolio the sale belongs to
+ *         instrument_id:
+ *           type: integer
+ *         symbol:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [STOCK, MF, ETF, BOND, FD, GOLD, CRYPTO]
+ *         sell_date:
+ *           type: string
+ *           format: date-time
+ *         currency:
+ *           type: string
+ *           description: Currency the instrument trades in (of sell_price and the lots)
+ *         base_currency:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         sell_price:
+ *           type: number
+ *         proceeds_amount:
+ *           type: number
+ *           description: In the base currency, at the sell date's rate
+ *         cost_amount:
+ *           type: number
+ *           description: In the base currency, at each lot's buy date rate
+ *         realized_pnl:
+ *           type: number
+ *         price_effect:
+ *           type: number
+ *           description: Part of realized_pnl from the price moving
+ *         currency_effect:
+ *           type: number
+ *           description: Part of realized_pnl from the exchange rate moving between buy and sell
+ *         local:
+ *           type: object
+ *           description: proceeds_amount, cost_amount and realized_pnl in the instrument's currency
+ *           properties:
+ *             proceeds_amount:
+ *               type: number
+ *             cost_amount:
+ *               type: number
+ *             realized_pnl:
+ *               type: number
+ *         lots:
+ *           type: array
+ *           description: The BUY lots this sale was matched against (amounts in the instrument's currency)
+ *           items:
+ *             type: object
+ *             properties:
+ *               buy_trade_id:
+ *                 type: integer
+ *               buy_date:
+ *                 type: string
+ *                 format: date-time
+ *               quantity:
+ *                 type: number
+ *               cost_per_unit:
+ *                 type: number
+ *               cost_amount:
+ *                 type: number
+ *               realized_pnl:
+ *                 type: number
+ *
+ * /realized-pnl:
+ *   get:
+ *     summary: Get realized gains per sale from matched lots
+ *     tags: [Holdings]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only sales on or after this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only sales on or before this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: instrument_id
+ *         schema:
+ *           type: integer
+ *         description: Only sales of this instrument
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only sales from this portfolio
+ *     responses:
+ *       200:
+ *         description: Realized P&L totals and per-sale breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 base_currency:
+ *                   type: string
+ *                 total_proceeds:
+ *                   type: number
+ *                 total_cost:
+ *                   type: number
+ *                 total_realized_pnl:
+ *                   type: number
+ *                 total_price_effect:
+ *                   type: number
+ *                 total_currency_effect:
+ *                   type: number
+ *                 sales:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RealizedSale'
+ */
+
+// Recalculate and store a portfolio's lot matches from its full trade history.
+// The whole portfolio is rebuilt, since a merger carries lots from one instrument into another.
+// Prices are net of charges, so realized P&L is after brokerage and taxes.
+const rebuildLotMatches = async (conn, portfolioId) => {
+  const [portfolio] = await conn.query('SELECT user_id, cost_basis_method FROM portfolios WHERE id = ?', [portfolioId]);
+  const { user_id: userId, cost_basis_method: method } = portfolio[0];
+  const [trades] = await conn.query(
+    'SELECT id, instrument_id, transaction_type, quantity, net_amount / quantity as price, created_at FROM trade_log WHERE portfolio_id = ?',
+    [portfolioId]
+  );
+  const actions = await loadCorporateActions(conn, userId, { portfolioId });
+
+  await conn.query('DELETE FROM lot_matches WHERE portfolio_id = ?', [portfolioId]);
+
+  const matches = [...matchPortfolioLots(trades, actions, method).values()].flatMap(pool => pool.matches);
+  if (matches.length > 0) {
+    await conn.query(
+      `INSERT INTO lot_matches 
+        (user_id, portfolio_id, instrument_id, sell_trade_id, buy_trade_id, buy_corporate_action_id, quantity, buy_date, sell_date, cost_per_unit, sell_price, cost_amount, proceeds_amount, realized_pnl, method)
+       VALUES ?`,
+      [matches.map(match => [
+        userId,
+        portfolioId,
+        match.instrument_id,
+        match.sell_trade_id,
+        match.buy_trade_id,
+        match.buy_corporate_action_id,
+        match.quantity,
+        match.buy_date,
+        match.sell_date,
+        match.cost_per_unit,
+        match.sell_price,
+        match.cost_amount,
+        match.proceeds_amount,
+        match.realized_pnl,
+        match.method
+      ])]
+    );
+  }
+};
+
+// Rebuild lot matches for one portfolio, or for every portfolio with trades when portfolioId is omitted
+const rebuildAllLotMatches = async (conn, portfolioId) => {
+  const [portfolios] = portfolioId
+    ? [[{ portfolio_id: portfolioId }]]
+    : await conn.query('SELECT DISTINCT portfolio_id FROM trade_log');
+  for (const portfolio of portfolios) {
+    await rebuildLotMatches(conn, portfolio.portfolio_id);
+  }
+};
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+// Get realized P&L grouped by sale
+app.get('/realized-pnl', async (req, res) => {
+  const { from, to, instrument_id, portfolio_id } = req.query;
+
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+
+  const conditions = ['lm.user_id = ?'];
+  const params = [req.user.id];
+  if (from) {
+    conditions.push('lm.sell_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('lm.sell_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+  if (instrument_id) {
+    conditions.push('lm.instrument_id = ?');
+    params.push(instrument_id);
+  }
+  if (portfolio_id) {
+    conditions.push('lm.portfolio_id = ?');
+    params.push(portfolio_id);
+  }
+
+  try {
+    const [rows] = await db.query(`
+      SELECT 
+        lm.*,
+        i.symbol,
+        i.name,
+        i.type,
+        st.currency,
+        p.name as portfolio_name
+      FROM lot_matches lm
+      JOIN instruments i ON lm.instrument_id = i.id
+      JOIN trade_log st ON lm.sell_trade_id = st.id
+      JOIN portfolios p ON lm.portfolio_id = p.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY lm.sell_date DESC, lm.sell_trade_id DESC, lm.buy_date ASC, lm.id ASC
+    `, params);
+
+    const fx = await loadFx(req.user.id, rows.map(row => row.currency));
+    const sales = new Map();
+    for (const row of rows) {
+      if (!sales.has(row.sell_trade_id)) {
+        sales.set(row.sell_trade_id, {
+          sell_trade_id: row.sell_trade_id,
+          portfolio_id: row.portfolio_id,
+          portfolio_name: row.portfolio_name,
+          method: row.method,
+          instrument_id: row.instrument_id,
+          symbol: row.symbol,
+          name: row.name,
+          type: row.type,
+          sell_date: row.sell_date,
+          currency: row.currency,
+          base_currency: fx.base,
+          quantity: 0,
+          sell_price: Number(row.sell_price),
+          proceeds_amount: 0,
+          cost_amount: 0,
+          realized_pnl: 0,
+          price_effect: 0,
+          currency_effect: 0,
+          local: { proceeds_amount: 0, cost_amount: 0, realized_pnl: 0 },
+          lots: []
+        });
+      }
+      const sale = sales.get(row.sell_trade_id);
+      const converted = convertMatch(fx, row);
+      sale.quantity += Number(row.quantity);
+      sale.proceeds_amount += converted.proceeds_amount;
+      sale.cost_amount += converted.cost_amount;
+      sale.realized_pnl += converted.realized_pnl;
+      sale.price_effect += converted.price_effect;
+      sale.currency_effect += converted.currency_effect;
+      sale.local.proceeds_amount += Number(row.proceeds_amount);
+      sale.local.cost_amount += Number(row.cost_amount);
+      sale.local.realized_pnl += Number(row.realized_pnl);
+      sale.lots.push({
+        buy_trade_id: row.buy_trade_id,
+        buy_corporate_action_id: row.buy_corporate_action_id,
+        buy_date: row.buy_date,
+        quantity: Number(row.quantity),
+        cost_per_unit: Number(row.cost_per_unit),
+        cost_amount: Number(row.cost_amount),
+        realized_pnl: Number(row.realized_pnl)
+      });
+    }
+
+    const salesList = [...sales.values()].map(sale => ({
+      ...sale,
+      proceeds_amount: roundAmount(sale.proceeds_amount),
+      cost_amount: roundAmount(sale.cost_amount),
+      realized_pnl: roundAmount(sale.realized_pnl),
+      price_effect: roundAmount(sale.price_effect),
+      currency_effect: roundAmount(sale.currency_effect),
+      local: {
+        proceeds_amount: roundAmount(sale.local.proceeds_amount),
+        cost_amount: roundAmount(sale.local.cost_amount),
+        realized_pnl: roundAmount(sale.local.realized_pnl)
+      }
+    }));
+    const totalOf = (key) => roundAmount(salesList.reduce((sum, sale) => sum + sale[key], 0));
+
+    res.json({
+      base_currency: fx.base,
+      total_proceeds: totalOf('proceeds_amount'),
+      total_cost: totalOf('cost_amount'),
+      total_realized_pnl: totalOf('realized_pnl'),
+      total_price_effect: totalOf('price_effect'),
+      total_currency_effect: totalOf('currency_effect'),
+      sales: salesList
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== REPORTS ==========
+
+/**
+ * @swagger
+ * /reports/capital-gains:
+ *   get:
+ *     summary: Get the capital-gains tax report for a financial year
+ *     description: >
+ *       Matches sales against BUY lots first-in-first-out and classifies each match as
+ *       short- or long-term using Indian holding-period rules (12 months for STOCK, MF, ETF
+ *       and BOND, 24 months for GOLD from 23 Jul 2024, 36 months before; FD and CRYPTO gains
+ *       are always short-term, CRYPTO at a flat 30%). Long-term equity gains on
+ *       lots bought before 1 Feb 2018 use grandfathered cost when the instrument has a
+ *       grandfathered_price.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: fy
+ *         schema:
+ *           type: string
+ *           example: 2025-26
+ *         description: Financial year (April–March). Defaults to the current one.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: Response format; csv downloads the per-sale entries
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (e.g. one family member's demat account)
+ *     responses:
+ *       200:
+ *         description: Per-sale entries with totals overall and by asset type
+ *       400:
+ *         description: Invalid financial year
+ */
+
+// Columns for the downloadable capital-gains report
+const CAPITAL_GAINS_CSV_COLUMNS = [
+  { key: 'symbol', label: 'Symbol' },
+  { key: 'name', label: 'Name' },
+  { key: 'type', label: 'Asset Type' },
+  { key: 'buy_date', label: 'Buy Date' },
+  { key: 'sell_date', label: 'Sell Date' },
+  { key: 'holding_days', label: 'Holding Days' },
+  { key: 'term', label: 'Term' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'buy_price', label: 'Buy Price' },
+  { key: 'sell_price', label: 'Sell Price' },
+  { key: 'actual_cost', label: 'Actual Cost' },
+  { key: 'grandfathered_cost', label: 'Grandfathered Cost' },
+  { key: 'cost_of_acquisition', label: 'Cost of Acquisition' },
+  { key: 'sale_value', label: 'Sale Value' },
+  { key: 'gain', label: 'Gain' },
+  { key: 'tax_rate', label: 'Tax Rate (%)' }
+];
+
+// Get capital-gains report
+app.get('/reports/capital-gains', async (req, res) => {
+  const { fy = getFinancialYear(new Date()), format = 'json', portfolio_id } = req.query;
+  const financialYear = parseFinancialYear(fy);
+
+  if (!financialYear) {
+    return res.status(400).json({ error: 'fy must be a financial year like 2025-26' });
+  }
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  try {
+    // Every earlier trade is needed to match sales in the year against their BUY lots.
+    // Net prices put charges into the cost of acquisition and out of the sale value.
+    const [trades] = await db.query(
+      `SELECT id, portfolio_id, instrument_id, transaction_type, quantity, net_amount / quantity as price, created_at
+       FROM trade_log
+       WHERE user_id = ? AND created_at < ? ${portfolio_id ? 'AND portfolio_id = ?' : ''}
+       ORDER BY created_at ASC, id ASC`,
+      portfolio_id ? [req.user.id, financialYear.end, portfolio_id] : [req.user.id, financialYear.end]
+    );
+    const actions = await loadCorporateActions(db, req.user.id, { portfolioId: portfolio_id });
+    const [instrumentRows] = await db.query('SELECT * FROM instruments');
+    const instruments = new Map(instrumentRows.map(row => [row.id, row]));
+
+    const report = buildCapitalGainsReport(trades, actions, instruments, financialYear);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="capital-gains-${financialYear.label}.csv"`);
+      return res.send(toCsv(report.entries, CAPITAL_GAINS_CSV_COLUMNS));
+    }
+
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== PRICE HISTORY ROUTES ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Candle:
+ *       type: object
+ *       properties:
+ *         timestamp:
+ *           type: integer
+ *           description: Candle start time in milliseconds since epoch
+ *         open:
+ *           type: number
+ *         high:
+ *           type: number
+ *         low:
+ *           type: number
+ *         close:
+ *           type: number
+ *         volume:
+ *           type: number
+ *
+ *     PriceTick:
+ *       type: object
+ *       required:
+ *         - price_time
+ *         - price
+ *       properties:
+ *         instrument_id:
+ *           type: integer
+ *           description: Instrument id (or give symbol instead)
+ *         symbol:
+ *           type: string
+ *           description: Instrument symbol (or give instrument_id instead)
+ *         price_time:
+ *           type: string
+ *           format: date-time
+ *           description: Tick time (date or timestamp are accepted as aliases)
+ *         price:
+ *           type: number
+ *           description: Last/close price (close is accepted as an alias)
+ *         open:
+ *           type: number
+ *         high:
+ *           type: number
+ *         low:
+ *           type: number
+ *         volume:
+ *           type: number
+ *
+ * /instruments/{id}/candles:
+ *   get:
+ *     summary: Get OHLC candles for an instrument from stored price history
+ *     tags: [Price History]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The instrument id
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: ['1D', '1W', '1M', '3M', '1Y', 'MAX']
+ *           default: '1M'
+ *         description: Chart range; candles are 5 min, 1 hour, 1 day or 1 week wide accordingly
+ *     responses:
+ *       200:
+ *         description: Candles, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Candle'
+ *       404:
+ *         description: Instrument not found
+ *
+ * /price-history/bulk:
+ *   post:
+ *     summary: Bulk load price ticks
+ *     description: >
+ *       Accepts a JSON array (or { prices: [...] }) or a text/csv file with a header row using
+ *       the PriceTick field names. Existing ticks at the same instrument and time are replaced.
+ *       Nothing is stored if any row is invalid.
+ *     tags: [Price History]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/PriceTick'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: Ticks stored
+ *       400:
+ *         description: Row-level validation errors
+ *       403:
+ *         description: Only administrators change shared reference data
+ */
+
+// Upsert price ticks ({ instrument_id, price_time, price, open?, high?, low?, volume? })
+const recordPrices = async (conn, ticks) => {
+  if (ticks.length === 0) {
+    return;
+  }
+  await conn.query(
+    `INSERT INTO price_history (instrument_id, price_time, price, open, high, low, volume)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE price = VALUES(price), open = VALUES(open), high = VALUES(high), low = VALUES(low), volume = VALUES(volume)`,
+    [ticks.map(tick => [
+      tick.instrument_id,
+      tick.price_time,
+      tick.price,
+      tick.open ?? null,
+      tick.high ?? null,
+      tick.low ?? null,
+      tick.volume ?? 0
+    ])]
+  );
+};
+
+// Optional numeric field from a JSON or CSV row ('' counts as missing)
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Get candles for an instrument
+app.get('/instruments/:id/candles', async (req, res) => {
+  const { id } = req.params;
+  const { interval = '1M' } = req.query;
+  const config = CANDLE_INTERVALS[interval];
+
+  if (!config) {
+    return res.status(400).json({ error: `interval must be one of ${Object.keys(CANDLE_INTERVALS).join(', ')}` });
+  }
+
+  try {
+    const [instrument] = await db.query('SELECT id FROM instruments WHERE id = ?', [id]);
+    if (instrument.length === 0) {
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+
+    const [ticks] = await db.query(`
+      SELECT price_time, price, open, high, low, volume
+      FROM price_history
+      WHERE instrument_id = ? ${config.range ? 'AND price_time >= ?' : ''}
+      ORDER BY price_time ASC
+    `, config.range ? [id, new Date(Date.now() - config.range)] : [id]);
+
+    res.json(aggregateCandles(ticks, config.bucket));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bulk load price ticks from JSON or CSV
+app.post('/price-history/bulk', requireAdmin, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  let rows;
+  if (typeof req.body === 'string') {
+    rows = parseCsv(req.body);
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body.prices;
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'No price rows provided' });
+  }
+
+  try {
+    const [instruments] = await db.query('SELECT id, symbol FROM instruments');
+    const idsBySymbol = new Map(instruments.map(instrument => [instrument.symbol, instrument.id]));
+    const knownIds = new Set(instruments.map(instrument => instrument.id));
+
+    const ticks = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+      const instrumentId = row.instrument_id ? Number(row.instrument_id) : idsBySymbol.get(row.symbol);
+      const priceTime = new Date(row.price_time || row.timestamp || row.date);
+      const price = optionalNumber(row.price ?? row.close);
+
+      if (!instrumentId || !knownIds.has(instrumentId)) {
+        errors.push({ row: index + 1, error: `Unknown instrument ${row.symbol || row.instrument_id || ''}`.trim() });
+      } else if (isNaN(priceTime.getTime())) {
+        errors.push({ row: index + 1, error: 'Invalid or missing price_time' });
+      } else if (!(price > 0)) {
+        errors.push({ row: index + 1, error: 'price must be a positive number' });
+      } else {
+        ticks.push({
+          instrument_id: instrumentId,
+          price_time: priceTime,
+          price,
+          open: optionalNumber(row.open),
+          high: optionalNumber(row.high),
+          low: optionalNumber(row.low),
+          volume: optionalNumber(row.volume)
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Some rows are invalid; nothing was stored', errors });
+    }
+
+    await recordPrices(db, ticks);
+    res.status(201).json({ message: 'Price history stored', count: ticks.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== PRICE FEED ==========
+
+/**
+ * @swagger
+ * /price-feed/status:
+ *   get:
+ *     summary: Get the market-data feed status
+ *     tags: [Price History]
+ *     responses:
+ *       200:
+ *         description: Provider name, polling interval and result of the last run
+ *
+ * /price-feed/run:
+ *   post:
+ *     summary: Fetch and apply one round of quotes now
+ *     tags: [Price History]
+ *     responses:
+ *       200:
+ *         description: Quotes applied
+ *       403:
+ *         description: Only administrators change shared reference data
+ *       409:
+ *         description: No price feed provider is configured
+ */
+
+// Store quotes: update current_price, roll previous_close when a new day starts,
+// and append the quote to the price history.
+const applyQuotes = async (conn, quotes) => {
+  for (const quote of quotes) {
+    // previous_close is assigned first so it still sees the old current_price
+    await conn.query(`
+      UPDATE instruments SET
+        previous_close = IF(price_updated_at IS NULL OR DATE(price_updated_at) < DATE(?), current_price, previous_close),
+        current_price = ?,
+        price_updated_at = ?
+      WHERE id = ?
+    `, [quote.price_time, quote.price, quote.price_time, quote.instrument_id]);
+  }
+  await recordPrices(conn, quotes);
+};
+
+// Push the latest prices and day change of the given instruments to event subscribers
+const publishPrices = async (instrumentIds) => {
+  if (instrumentIds.length === 0 || events.getClientCount() === 0) {
+    return;
+  }
+  const [rows] = await db.query('SELECT * FROM instruments WHERE id IN (?)', [instrumentIds]);
+  events.publish('price', rows.map(row => {
+    const instrument = formatInstrument(row);
+    return {
+      instrument_id: instrument.id,
+      symbol: instrument.symbol,
+      price: instrument.current_price,
+      previous_close: instrument.previous_close,
+      day_change: instrument.day_change,
+      day_change_percent: instrument.day_change_percent,
+      price_time: instrument.price_updated_at
+    };
+  }));
+};
+
+// Provider is chosen by PRICE_FEED_PROVIDER (none, simulator or file); polling is off by default
+const priceFeed = createPriceFeed({
+  provider: createProvider(process.env.PRICE_FEED_PROVIDER, {
+    seed: Number(process.env.PRICE_FEED_SEED) || undefined,
+    filePath: process.env.PRICE_FEED_FILE
+  }),
+  intervalMs: Number(process.env.PRICE_FEED_INTERVAL_MS) || 60000,
+  loadInstruments: async () => {
+    const [instruments] = await db.query('SELECT id, symbol, type, current_price FROM instruments');
+    return instruments;
+  },
+  applyQuotes: async (quotes) => {
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      await applyQuotes(conn, quotes);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    await publishPrices(quotes.map(quote => quote.instrument_id));
+    alertQueue.schedule();
+    orderQueue.schedule(quotes.map(quote => quote.instrument_id));
+  }
+});
+
+// Get price feed status
+app.get('/price-feed/status', (req, res) => {
+  res.json(priceFeed.getStatus());
+});
+
+// Run the price feed once
+app.post('/price-feed/run', requireAdmin, async (req, res) => {
+  if (!priceFeed.getStatus().provider) {
+    return res.status(409).json({ error: 'No price feed provider configured. Set PRICE_FEED_PROVIDER.' });
+  }
+  try {
+    const quotes = await priceFeed.runOnce();
+    res.json({ message: 'Quotes applied', count: quotes.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== LIVE EVENTS ==========
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Subscribe to live updates (Server-Sent Events)
+ *     description: |
+ *       EventSource cannot send headers, so the token may be passed as ?access_token=.
+ *       Trade, goal and portfolio events only go to the user they belong to.
+
+ *       Streams these event types, each with a JSON data payload:
+ *       - price: [{ instrument_id, symbol, price, previous_close, day_change, day_change_percent, price_time }]
+ *       - trade: the created TradeLog with instrument and goal details
+ *       - instrument: { action: created|updated|deleted, instrument | id }
+ *       - goal: { action: created|updated|deleted, goal | id }
+ *       - portfolio: { action: created|updated|deleted, portfolio | id }
+ *       - trades-imported: { portfolio_id, count }
+ *       - corporate-action: { action: created|updated|deleted, corporate_action | id }
+ *       - cash: { action: created|deleted, cash_transaction | id }
+ *       - sip: { action: created|updated|deleted|instalments, sip | id | sip_id and instalments }
+ *       - goal-allocation: a holding with its allocations (see HoldingAllocation)
+ *       - notification: a Notification raised by an alert, for the in-app notification center
+ *       - watchlist: { action: created|updated|deleted, watchlist | id }
+ *       - order: { action: created|updated, order } when an order is placed, modified, triggers, fills, is cancelled or expires
+ *     tags: [Live]
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, for clients that cannot set the Authorization header
+ *     responses:
+ *       200:
+ *         description: text/event-stream that stays open
+ */
+
+// Subscribe to live events
+app.get('/events', (req, res) => {
+  events.subscribe(req, res, req.user.id);
+});
+
+// ========== TRADE IMPORT ROUTES ==========
+
+/**
+ * @swagger
+ * /import/presets:
+ *   get:
+ *     summary: Get column mapping presets for broker tradebooks
+ *     tags: [Import]
+ *     responses:
+ *       200:
+ *         description: Preset names with their labels and column mappings
+ *
+ * /import/trades:
+ *   post:
+ *     summary: Import trades from a CSV or XLSX tradebook
+ *     description: >
+ *       Runs as a dry run unless commit=true, returning a row-by-row preview with
+ *       validation errors, duplicates against the existing trade log and the instruments
+ *       that will be created. Rows are matched to instruments by ISIN when the file has
+ *       one, otherwise by symbol (case-insensitive). A commit writes everything in one
+ *       transaction, and only if no row has an error.
+ *     tags: [Import]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               preset:
+ *                 type: string
+ *                 enum: [zerodha, upstox, groww, angelone, generic]
+ *               mapping:
+ *                 type: string
+ *                 description: >
+ *                   JSON object mapping our fields (symbol, name, instrument_type, date, side,
+ *                   quantity, price, amount, trade_id, status) to column headers; overrides the preset
+ *               portfolio_id:
+ *                 type: integer
+ *                 description: Portfolio to import into (defaults to the user's default portfolio)
+ *               commit:
+ *                 type: boolean
+ *                 description: Write the trades instead of previewing them
+ *     responses:
+ *       200:
+ *         description: Dry-run preview
+ *       201:
+ *         description: Trades imported
+ *       400:
+ *         description: Unreadable file, bad mapping, or row errors (nothing imported)
+ */
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Build the row-by-row import plan against the current trade log.
+// Every row ends up NEW, DUPLICATE, SKIPPED or ERROR.
+const planTradeImport = async (conn, userId, portfolioId, rawRows, mapping) => {
+  const rows = rawRows.map((raw, index) => {
+    const { trade, error, skipped } = normalizeRow(raw, mapping);
+    return {
+      row: index + 2, // Row 1 is the header
+      status: error ? 'ERROR' : skipped ? 'SKIPPED' : 'NEW',
+      errors: error ? [error] : [],
+      note: skipped || null,
+      trade: trade || null
+    };
+  });
+  const candidates = rows.filter(row => row.status === 'NEW');
+
+  // Imported symbols are upper-cased, and stored ones compare case-insensitively (as the
+  // UNIQUE key on symbol does), so instruments are looked up by upper-cased symbol
+  const [instrumentRows] = await conn.query('SELECT id, symbol, isin, type, currency FROM instruments');
+  const instrumentsBySymbol = new Map(instrumentRows.map(instrument => [instrument.symbol.toUpperCase(), instrument]));
+  const instrumentsByIsin = new Map(instrumentRows.filter(instrument => instrument.isin).map(instrument => [instrument.isin, instrument]));
+
+  // A row's ISIN finds its instrument even when the broker's symbol differs from ours
+  candidates.forEach(({ trade }) => {
+    if (trade.isin && instrumentsByIsin.has(trade.isin)) {
+      trade.symbol = instrumentsByIsin.get(trade.isin).symbol.toUpperCase();
+    }
+  });
+
+  // New instruments are created by symbol; the first row that names one decides its type
+  // and ISIN, and later rows with that ISIN go to the same instrument
+  const instrumentsToCreate = new Map();
+  const symbolsByNewIsin = new Map();
+  candidates.forEach(({ trade }) => {
+    if (instrumentsBySymbol.has(trade.symbol)) {
+      return;
+    }
+    if (trade.isin && symbolsByNewIsin.has(trade.isin)) {
+      trade.symbol = symbolsByNewIsin.get(trade.isin);
+    } else if (!instrumentsToCreate.has(trade.symbol)) {
+      instrumentsToCreate.set(trade.symbol, {
+        symbol: trade.symbol,
+        name: trade.name,
+        type: TRADABLE_TYPES.includes(trade.instrument_type) ? trade.instrument_type : 'STOCK',
+        isin: trade.isin,
+        current_price: trade.price
+      });
+      if (trade.isin) {
+        symbolsByNewIsin.set(trade.isin, trade.symbol);
+      }
+    }
+  });
+
+  // Existing trades in this portfolio for the instruments in the file
+  const knownIds = [...new Set(candidates
+    .map(({ trade }) => instrumentsBySymbol.get(trade.symbol))
+    .filter(Boolean)
+    .map(instrument => instrument.id))];
+  const existingBySymbol = new Map();
+  if (knownIds.length > 0) {
+    const [existing] = await conn.query(`
+      SELECT tl.transaction_type, tl.quantity, tl.price, tl.created_at as traded_at, tl.external_id, i.symbol
+      FROM trade_log tl
+      JOIN instruments i ON tl.instrument_id = i.id
+      WHERE tl.portfolio_id = ? AND tl.instrument_id IN (?)
+    `, [portfolioId, knownIds]);
+    existing.forEach(trade => {
+      const symbol = trade.symbol.toUpperCase();
+      if (!existingBySymbol.has(symbol)) {
+        existingBySymbol.set(symbol, []);
+      }
+      existingBySymbol.get(symbol).push(trade);
+    });
+  }
+
+  // Duplicates: already in the trade log, or repeated in the file with the same broker trade id
+  const seenExternalIds = new Set();
+  candidates.forEach(row => {
+    const { trade } = row;
+    const existing = existingBySymbol.get(trade.symbol) || [];
+    if (existing.some(other => isSameTrade(trade, other))) {
+      row.status = 'DUPLICATE';
+      row.note = 'Already in the trade log';
+    } else if (trade.external_id && seenExternalIds.has(`${trade.symbol}:${trade.external_id}`)) {
+      row.status = 'DUPLICATE';
+      row.note = 'Repeated in this file';
+    } else if (trade.external_id) {
+      seenExternalIds.add(`${trade.symbol}:${trade.external_id}`);
+    }
+  });
+
+  candidates
+    .filter(row => row.status === 'NEW' && (instrumentsBySymbol.get(row.trade.symbol) || {}).type === 'INDEX')
+    .forEach(row => {
+      row.status = 'ERROR';
+      row.errors.push(`${row.trade.symbol}: ${INDEX_TRADE_ERROR}`);
+    });
+
+  // Match existing and new trades with corporate actions applied so no SELL takes the
+  // position below zero; new rows get ids above any real trade id to sort after same-time trades
+  const newRows = rows.filter(row => row.status === 'NEW');
+  const ROW_ID_OFFSET = 1e12;
+  const [portfolioTrades] = await conn.query(
+    'SELECT id, instrument_id, transaction_type, quantity, price, created_at FROM trade_log WHERE portfolio_id = ?',
+    [portfolioId]
+  );
+  const actions = await loadCorporateActions(conn, userId, { portfolioId });
+  const pools = matchPortfolioLots([
+    ...portfolioTrades,
+    ...newRows.map(({ row, trade }) => ({
+      id: ROW_ID_OFFSET + row,
+      instrument_id: instrumentsBySymbol.has(trade.symbol) ? instrumentsBySymbol.get(trade.symbol).id : `new:${trade.symbol}`,
+      transaction_type: trade.transaction_type,
+      quantity: trade.quantity,
+      price: trade.price,
+      created_at: trade.traded_at
+    }))
+  ], actions);
+  pools.forEach(({ shortfalls }) => {
+    shortfalls
+      .filter(shortfall => shortfall.trade_id >= ROW_ID_OFFSET)
+      .forEach(shortfall => {
+        const entry = newRows.find(row => row.row === shortfall.trade_id - ROW_ID_OFFSET);
+        entry.status = 'ERROR';
+        entry.errors.push(`Sell of ${entry.trade.quantity} exceeds the ${Math.round(shortfall.available * 10000) / 10000} held at that date`);
+      });
+  });
+
+  const countStatus = (status) => rows.filter(row => row.status === status).length;
+  return {
+    summary: {
+      total: rows.length,
+      new: countStatus('NEW'),
+      duplicates: countStatus('DUPLICATE'),
+      skipped: countStatus('SKIPPED'),
+      errors: countStatus('ERROR')
+    },
+    instruments_to_create: [...instrumentsToCreate.values()],
+    rows,
+    instrumentsBySymbol
+  };
+};
+
+// Get import presets
+app.get('/import/presets', (req, res) => {
+  res.json(IMPORT_PRESETS);
+});
+
+// Import trades from a tradebook file
+app.post('/import/trades', upload.single('file'), async (req, res) => {
+  const { preset, mapping, portfolio_id, commit } = req.body;
+  const shouldCommit = commit === true || commit === 'true';
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'file is required' });
+  }
+
+  let resolvedMapping;
+  let rawRows;
+  try {
+    resolvedMapping = resolveMapping(preset, mapping ? JSON.parse(mapping) : null);
+    rawRows = await parseTradeFile(req.file);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (rawRows.length === 0) {
+    return res.status(400).json({ error: 'The file has no data rows' });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const portfolioId = await resolvePortfolioId(conn, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+    // Serialise imports and sells into the same portfolio
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [portfolioId]);
+
+    const { instrumentsBySymbol, ...plan } = await planTradeImport(conn, req.user.id, portfolioId, rawRows, resolvedMapping);
+    const preview = { dry_run: !shouldCommit, portfolio_id: portfolioId, preset: preset || null, ...plan };
+
+    if (!shouldCommit) {
+      await conn.rollback();
+      return res.json(preview);
+    }
+
+    if (plan.summary.errors > 0) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Some rows have errors; nothing was imported', ...preview });
+    }
+
+    const createdInstrumentIds = [];
+    for (const instrument of plan.instruments_to_create) {
+      const [result] = await conn.query(
+        'INSERT INTO instruments (symbol, name, type, isin, current_price) VALUES (?, ?, ?, ?, ?)',
+        [instrument.symbol, instrument.name, instrument.type, instrument.isin, instrument.current_price]
+      );
+      instrumentsBySymbol.set(instrument.symbol, { id: result.insertId, symbol: instrument.symbol, currency: PIVOT_CURRENCY });
+      createdInstrumentIds.push(result.insertId);
+    }
+    await recordPrices(conn, plan.instruments_to_create.map(instrument => ({
+      instrument_id: instrumentsBySymbol.get(instrument.symbol).id,
+      price_time: new Date(),
+      price: instrument.current_price
+    })));
+
+    const newRows = plan.rows.filter(row => row.status === 'NEW');
+    if (newRows.length > 0) {
+      await conn.query(
+        'INSERT INTO trade_log (user_id, portfolio_id, instrument_id, transaction_type, quantity, price, total_amount, external_id, currency, created_at) VALUES ?',
+        [newRows.map(({ trade }) => [
+          req.user.id,
+          portfolioId,
+          instrumentsBySymbol.get(trade.symbol).id,
+          trade.transaction_type,
+          trade.quantity,
+          trade.price,
+          trade.quantity * trade.price,
+          trade.external_id,
+          instrumentsBySymbol.get(trade.symbol).currency,
+          trade.traded_at
+        ])]
+      );
+    }
+
+    if (newRows.length > 0) {
+      await rebuildLotMatches(conn, portfolioId);
+    }
+
+    await conn.commit();
+
+    if (createdInstrumentIds.length > 0) {
+      const [created] = await db.query('SELECT * FROM instruments WHERE id IN (?)', [createdInstrumentIds]);
+      created.forEach(instrument => {
+        events.publish('instrument', { action: 'created', instrument: formatInstrument(instrument) });
+      });
+    }
+    events.publish('trades-imported', { portfolio_id: portfolioId, count: newRows.length }, req.user.id);
+    res.status(201).json({ ...preview, imported: newRows.length, instruments_created: plan.instruments_to_create.length });
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// ========== EXPORTS ==========
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ExportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [csv, xlsx, pdf]
+ *         default: csv
+ *       description: File format; pdf is a formatted statement with totals
+ *     ExportInstrument:
+ *       in: query
+ *       name: instrument_id
+ *       schema:
+ *         type: integer
+ *       description: Only this instrument
+ *     ExportGoal:
+ *       in: query
+ *       name: goal_id
+ *       schema:
+ *         type: integer
+ *       description: Only trades tagged with this goal
+ *     ExportPortfolio:
+ *       in: query
+ *       name: portfolio_id
+ *       schema:
+ *         type: integer
+ *       description: Only this portfolio
+ *
+ * /export/trade-log:
+ *   get:
+ *     summary: Download the trade log
+ *     tags: [Exports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Trades on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Trades on or before this date
+ *       - $ref: '#/components/parameters/ExportInstrument'
+ *       - $ref: '#/components/parameters/ExportGoal'
+ *       - $ref: '#/components/parameters/ExportPortfolio'
+ *     responses:
+ *       200:
+ *         description: The trade log file
+ *       400:
+ *         description: Invalid format or dates
+ *       404:
+ *         description: Portfolio, instrument or goal not found
+ *
+ * /export/holdings:
+ *   get:
+ *     summary: Download open holdings
+ *     tags: [Exports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: >
+ *           Value holdings at the end of this day, using the last recorded price on or
+ *           before it. Defaults to now, at current prices.
+ *       - $ref: '#/components/parameters/ExportInstrument'
+ *       - $ref: '#/components/parameters/ExportGoal'
+ *       - $ref: '#/components/parameters/ExportPortfolio'
+ *     responses:
+ *       200:
+ *         description: The holdings file
+ *       400:
+ *         description: Invalid format or date
+ *       404:
+ *         description: Portfolio, instrument or goal not found
+ *
+ * /export/goals:
+ *   get:
+ *     summary: Download goals with invested amount, current value and progress
+ *     tags: [Exports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Value goal holdings at the end of this day instead of now
+ *       - $ref: '#/components/parameters/ExportInstrument'
+ *       - $ref: '#/components/parameters/ExportGoal'
+ *       - $ref: '#/components/parameters/ExportPortfolio'
+ *     responses:
+ *       200:
+ *         description: The goals file
+ *       400:
+ *         description: Invalid format or date
+ *       404:
+ *         description: Portfolio, instrument or goal not found
+ */
+
+const TRADE_LOG_EXPORT_COLUMNS = [
+  { key: 'created_at', label: 'Date', format: 'datetime', width: 16 },
+  { key: 'portfolio_name', label: 'Portfolio', width: 16 },
+  { key: 'instrument_symbol', label: 'Symbol', width: 14 },
+  { key: 'instrument_name', label: 'Name', width: 26 },
+  { key: 'instrument_type', label: 'Asset Type', width: 10 },
+  { key: 'transaction_type', label: 'Side', width: 8 },
+  { key: 'quantity', label: 'Quantity', format: 'number', width: 12 },
+  { key: 'currency', label: 'Currency', width: 8 },
+  { key: 'price', label: 'Price', format: 'amount', width: 12 },
+  { key: 'total_amount', label: 'Amount', format: 'amount', width: 14 },
+  { key: 'charges', label: 'Charges', format: 'amount', width: 10 },
+  { key: 'net_amount', label: 'Net Amount', format: 'amount', width: 14 },
+  { key: 'goal_name', label: 'Goal', width: 16 }
+];
+
+const HOLDINGS_EXPORT_COLUMNS = [
+  { key: 'symbol', label: 'Symbol', width: 14 },
+  { key: 'name', label: 'Name', width: 26 },
+  { key: 'type', label: 'Asset Type', width: 10 },
+  { key: 'quantity', label: 'Quantity', format: 'number', width: 12 },
+  { key: 'avg_cost', label: 'Avg Cost', format: 'amount', width: 12 },
+  { key: 'invested_amount', label: 'Invested', format: 'amount', width: 14 },
+  { key: 'current_price', label: 'Price', format: 'amount', width: 12 },
+  { key: 'market_value', label: 'Market Value', format: 'amount', width: 14 },
+  { key: 'unrealized_pnl', label: 'Unrealized P&L', format: 'amount', width: 14 },
+  { key: 'unrealized_pnl_percent', label: 'Unrealized P&L (%)', format: 'percent', width: 12 }
+];
+
+const GOALS_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Goal', width: 22 },
+  { key: 'target_amount', label: 'Target', format: 'amount', width: 14 },
+  { key: 'invested_amount', label: 'Invested', format: 'amount', width: 14 },
+  { key: 'current_amount', label: 'Current Value', format: 'amount', width: 14 },
+  { key: 'unrealized_pnl', label: 'Unrealized P&L', format: 'amount', width: 14 },
+  { key: 'progress_percent', label: 'Progress (%)', format: 'percent', width: 12 },
+  { key: 'target_date', label: 'Target Date', format: 'date', width: 12 },
+  { key: 'holdings_count', label: 'Holdings', format: 'number', width: 10 },
+  { key: 'created_at', label: 'Created', format: 'date', width: 12 }
+];
+
+const sumBy = (rows, key) => roundAmount(rows.reduce((sum, row) => sum + row[key], 0));
+
+// Validate the shared export query parameters and describe the filters for the
+// statement header. Responds with 400/404 and returns null when they are invalid.
+const parseExportRequest = async (req, res) => {
+  const { format = 'csv', from, to, instrument_id, goal_id, portfolio_id } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    return null;
+  }
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+    res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    return null;
+  }
+
+  const details = [];
+  if (portfolio_id) {
+    const [rows] = await db.query('SELECT name FROM portfolios WHERE id = ? AND user_id = ?', [portfolio_id, req.user.id]);
+    if (rows.length === 0) {
+      res.status(404).json({ error: 'Portfolio not found' });
+      return null;
+    }
+    details.push(`Portfolio: ${rows[0].name}`);
+  }
+  if (instrument_id) {
+    const [rows] = await db.query('SELECT symbol, name FROM instruments WHERE id = ?', [instrument_id]);
+    if (rows.length === 0) {
+      res.status(404).json({ error: 'Instrument not found' });
+      return null;
+    }
+    details.push(`Instrument: ${rows[0].symbol} (${rows[0].name})`);
+  }
+  if (goal_id) {
+    const [rows] = await db.query('SELECT name FROM goals WHERE id = ? AND user_id = ?', [goal_id, req.user.id]);
+    if (rows.length === 0) {
+      res.status(404).json({ error: 'Goal not found' });
+      return null;
+    }
+    details.push(`Goal: ${rows[0].name}`);
+  }
+  details.push(`Account: ${req.user.email}`, `Generated: ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+
+  return { format, from, to, instrumentId: instrument_id, goalId: goal_id, portfolioId: portfolio_id, details };
+};
+
+// Export trade log
+app.get('/export/trade-log', async (req, res) => {
+  try {
+    const request = await parseExportRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const conditions = ['tl.user_id = ?'];
+    const params = [req.user.id];
+    if (request.from) {
+      conditions.push('tl.created_at >= ?');
+      params.push(request.from);
+    }
+    if (request.to) {
+      conditions.push('tl.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(request.to);
+    }
+    if (request.instrumentId) {
+      conditions.push('tl.instrument_id = ?');
+      params.push(request.instrumentId);
+    }
+    if (request.goalId) {
+      conditions.push('tl.goal_id = ?');
+      params.push(request.goalId);
+    }
+    if (request.portfolioId) {
+      conditions.push('tl.portfolio_id = ?');
+      params.push(request.portfolioId);
+    }
+
+    const [rows] = await db.query(`
+      SELECT 
+        tl.*,
+        i.symbol as instrument_symbol,
+        i.name as instrument_name,
+        i.type as instrument_type,
+        g.name as goal_name,
+        p.name as portfolio_name
+      FROM trade_log tl
+      LEFT JOIN instruments i ON tl.instrument_id = i.id
+      LEFT JOIN goals g ON tl.goal_id = g.id
+      LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY tl.created_at ASC, tl.id ASC
+    `, params);
+    // Convert decimal values to numbers
+    const trades = rows.map(row => ({
+      ...row,
+      quantity: Number(row.quantity),
+      price: Number(row.price),
+      total_amount: Number(row.total_amount),
+      charges: Number(row.charges),
+      net_amount: Number(row.net_amount)
+    }));
+
+    // Trades are in their instrument's currency, so the totals are per currency
+    const currencies = [...new Set(trades.map(trade => trade.currency))].sort();
+    const totals = currencies.flatMap(currency => {
+      const inCurrency = trades.filter(trade => trade.currency === currency);
+      return [
+        { label: `Total bought (${currency})`, value: sumBy(inCurrency.filter(trade => trade.transaction_type === 'BUY'), 'total_amount'), format: 'amount' },
+        { label: `Total sold (${currency})`, value: sumBy(inCurrency.filter(trade => trade.transaction_type === 'SELL'), 'total_amount'), format: 'amount' },
+        { label: `Total charges (${currency})`, value: sumBy(inCurrency, 'charges'), format: 'amount' }
+      ];
+    });
+
+    await sendExport(res, request.format, {
+      filename: 'trade-log',
+      title: 'Trade Log',
+      details: [`Period: ${request.from || 'start'} to ${request.to || 'today'}`, ...request.details],
+      columns: TRADE_LOG_EXPORT_COLUMNS,
+      rows: trades,
+      summary: [
+        { label: 'Trades', value: trades.length },
+        ...totals
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export holdings
+app.get('/export/holdings', async (req, res) => {
+  try {
+    const request = await parseExportRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const holdings = (await getHoldings(req.user.id, {
+      instrumentId: request.instrumentId,
+      portfolioId: request.portfolioId,
+      goalId: request.goalId,
+      asOf: request.to
+    })).filter(holding => holding.quantity > 0);
+
+    const investedAmount = sumBy(holdings, 'invested_amount');
+    const marketValue = sumBy(holdings, 'market_value');
+    await sendExport(res, request.format, {
+      filename: 'holdings',
+      title: 'Holdings Statement',
+      details: [`As of: ${request.to || 'now (current prices)'}`, ...request.details],
+      columns: HOLDINGS_EXPORT_COLUMNS,
+      rows: holdings,
+      summary: [
+        { label: 'Holdings', value: holdings.length },
+        { label: 'Invested', value: investedAmount, format: 'amount' },
+        { label: 'Market value', value: marketValue, format: 'amount' },
+        { label: 'Unrealized P&L', value: roundAmount(marketValue - investedAmount), format: 'amount' }
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export goals
+app.get('/export/goals', async (req, res) => {
+  try {
+    const request = await parseExportRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const [rows] = await db.query(
+      `SELECT * FROM goals WHERE user_id = ? ${request.goalId ? 'AND id = ?' : ''} ORDER BY created_at ASC`,
+      request.goalId ? [req.user.id, request.goalId] : [req.user.id]
+    );
+
+    const goals = [];
+    for (const goal of rows) {
+      goals.push(await getGoalProgress(req.user.id, goal, {
+        instrumentId: request.instrumentId,
+        portfolioId: request.portfolioId,
+        asOf: request.to
+      }));
+    }
+
+    await sendExport(res, request.format, {
+      filename: 'goals',
+      title: 'Goals Statement',
+      details: [`As of: ${request.to || 'now (current prices)'}`, ...request.details],
+      columns: GOALS_EXPORT_COLUMNS,
+      rows: goals,
+      summary: [
+        { label: 'Goals', value: goals.length },
+        { label: 'Total target', value: sumBy(goals, 'target_amount'), format: 'amount' },
+        { label: 'Total invested', value: sumBy(goals, 'invested_amount'), format: 'amount' },
+        { label: 'Total current value', value: sumBy(goals, 'current_amount'), format: 'amount' }
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== CORPORATE ACTIONS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CorporateAction:
+ *       type: object
+ *       required:
+ *         - instrument_id
+ *         - action_type
+ *         - ex_date
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         portfolio_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Only this portfolio; null applies to all of the user's portfolios
+ *         instrument_id:
+ *           type: integer
+ *         action_type:
+ *           type: string
+ *           enum: [DIVIDEND, SPLIT, BONUS, MERGER, RIGHTS]
+ *           description: >
+ *             DIVIDEND pays amount per unit held at the ex-date. SPLIT turns ratio_from units
+ *             into ratio_to at the same total cost. BONUS allots ratio_to units for every
+ *             ratio_from held, at nil cost. RIGHTS allots the same way at the issue price in
+ *             amount (record it once the rights are subscribed). MERGER turns ratio_from units
+ *             into ratio_to units of new_instrument_id, keeping cost and buy dates.
+ *         ex_date:
+ *           type: string
+ *           format: date
+ *           description: Trades from this date on are not entitled
+ *         ratio_from:
+ *           type: number
+ *           nullable: true
+ *         ratio_to:
+ *           type: number
+ *           nullable: true
+ *         amount:
+ *           type: number
+ *           nullable: true
+ *           description: Dividend per unit, or the rights issue price
+ *         new_instrument_id:
+ *           type: integer
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         instrument_symbol:
+ *           type: string
+ *           readOnly: true
+ *         new_instrument_symbol:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *       example:
+ *         instrument_id: 1
+ *         action_type: SPLIT
+ *         ex_date: 2024-10-28
+ *         ratio_from: 1
+ *         ratio_to: 2
+ *
+ * /corporate-actions:
+ *   get:
+ *     summary: Get the user's corporate actions
+ *     tags: [Corporate Actions]
+ *     parameters:
+ *       - in: query
+ *         name: instrument_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Actions that apply to this portfolio (including those for all portfolios)
+ *       - in: query
+ *         name: action_type
+ *         schema:
+ *           type: string
+ *           enum: [DIVIDEND, SPLIT, BONUS, MERGER, RIGHTS]
+ *     responses:
+ *       200:
+ *         description: Corporate actions, newest ex-date first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CorporateAction'
+ *   post:
+ *     summary: Record a corporate action
+ *     description: Holdings, lot matches and realized P&L are recalculated with the action applied.
+ *     tags: [Corporate Actions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CorporateAction'
+ *     responses:
+ *       201:
+ *         description: Corporate action recorded
+ *       400:
+ *         description: Invalid fields, unknown instrument or portfolio, or a merger cycle
+ *
+ * /corporate-actions/{id}:
+ *   put:
+ *     summary: Update a corporate action
+ *     tags: [Corporate Actions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CorporateAction'
+ *     responses:
+ *       200:
+ *         description: Corporate action updated
+ *       400:
+ *         description: Invalid fields, unknown instrument or portfolio, or a merger cycle
+ *       404:
+ *         description: Corporate action not found
+ *   delete:
+ *     summary: Delete a corporate action
+ *     tags: [Corporate Actions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Corporate action deleted
+ *       404:
+ *         description: Corporate action not found
+ *
+ * /corporate-actions/income:
+ *   get:
+ *     summary: Get dividend income from corporate actions
+ *     tags: [Corporate Actions]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Ex-dates on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Ex-dates on or before this date
+ *       - in: query
+ *         name: instrument_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Income per dividend and portfolio, with totals
+ */
+
+// Convert decimal values to numbers
+const formatCorporateAction = (row) => ({
+  ...row,
+  ratio_from: row.ratio_from === null ? null : Number(row.ratio_from),
+  ratio_to: row.ratio_to === null ? null : Number(row.ratio_to),
+  amount: row.amount === null ? null : Number(row.amount)
+});
+
+// A user's corporate actions, oldest first. filters.portfolioId keeps those that apply
+// to that portfolio; filters.asOf (YYYY-MM-DD) drops those with a later ex-date.
+const loadCorporateActions = async (conn, userId, filters = {}) => {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (filters.portfolioId) {
+    conditions.push('(portfolio_id IS NULL OR portfolio_id = ?)');
+    params.push(filters.portfolioId);
+  }
+  if (filters.asOf) {
+    conditions.push('ex_date <= ?');
+    params.push(filters.asOf);
+  }
+  const [rows] = await conn.query(
+    `SELECT * FROM corporate_actions WHERE ${conditions.join(' AND ')} ORDER BY ex_date ASC, id ASC`,
+    params
+  );
+  return rows.map(formatCorporateAction);
+};
+
+// Validate a create/update body against the database; returns an error message or null
+const checkCorporateAction = async (conn, userId, body, actionId = null) => {
+  const error = validateCorporateAction(body);
+  if (error) {
+    return error;
+  }
+
+  const instrumentIds = [body.instrument_id, body.new_instrument_id].filter(Boolean);
+  const [instruments] = await conn.query('SELECT id FROM instruments WHERE id IN (?)', [instrumentIds]);
+  if (instruments.length !== new Set(instrumentIds.map(Number)).size) {
+    return 'Instrument not found';
+  }
+
+  if (body.portfolio_id) {
+    const [portfolios] = await conn.query('SELECT id FROM portfolios WHERE id = ? AND user_id = ?', [body.portfolio_id, userId]);
+    if (portfolios.length === 0) {
+      return 'Portfolio not found';
+    }
+  }
+
+  // A merger chain must not lead back to the instrument being merged
+  if (body.action_type === 'MERGER') {
+    const [mergers] = await conn.query(
+      "SELECT instrument_id, new_instrument_id FROM corporate_actions WHERE user_id = ? AND action_type = 'MERGER' AND id <> ?",
+      [userId, actionId || 0]
+    );
+    const reached = new Set();
+    const pending = [Number(body.new_instrument_id)];
+    while (pending.length > 0) {
+      const instrumentId = pending.pop();
+      if (instrumentId === Number(body.instrument_id)) {
+        return 'This merger would form a cycle with an existing merger';
+      }
+      if (!reached.has(instrumentId)) {
+        reached.add(instrumentId);
+        mergers.filter(merger => merger.instrument_id === instrumentId).forEach(merger => pending.push(merger.new_instrument_id));
+      }
+    }
+  }
+  return null;
+};
+
+// Rebuild lot matches in the portfolios an action applies to
+const rebuildForCorporateAction = async (conn, userId, portfolioId) => {
+  const [portfolios] = portfolioId
+    ? [[{ id: portfolioId }]]
+    : await conn.query('SELECT id FROM portfolios WHERE user_id = ?', [userId]);
+  for (const portfolio of portfolios) {
+    await rebuildLotMatches(conn, portfolio.id);
+  }
+};
+
+const getCorporateActionWithSymbols = async (id) => {
+  const [rows] = await db.query(`
+    SELECT ca.*, i.symbol as instrument_symbol, ni.symbol as new_instrument_symbol
+    FROM corporate_actions ca
+    JOIN instruments i ON ca.instrument_id = i.id
+    LEFT JOIN instruments ni ON ca.new_instrument_id = ni.id
+    WHERE ca.id = ?
+  `, [id]);
+  return formatCorporateAction(rows[0]);
+};
+
+// Get corporate actions
+app.get('/corporate-actions', async (req, res) => {
+  const { instrument_id, portfolio_id, action_type } = req.query;
+  const conditions = ['ca.user_id = ?'];
+  const params = [req.user.id];
+  if (instrument_id) {
+    conditions.push('(ca.instrument_id = ? OR ca.new_instrument_id = ?)');
+    params.push(instrument_id, instrument_id);
+  }
+  if (portfolio_id) {
+    conditions.push('(ca.portfolio_id IS NULL OR ca.portfolio_id = ?)');
+    params.push(portfolio_id);
+  }
+  if (action_type) {
+    conditions.push('ca.action_type = ?');
+    params.push(action_type);
+  }
+
+  try {
+    const [rows] = await db.query(`
+      SELECT ca.*, i.symbol as instrument_symbol, ni.symbol as new_instrument_symbol
+      FROM corporate_actions ca
+      JOIN instruments i ON ca.instrument_id = i.id
+      LEFT JOIN instruments ni ON ca.new_instrument_id = ni.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ca.ex_date DESC, ca.id DESC
+    `, params);
+    res.json(rows.map(formatCorporateAction));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get dividend income
+app.get('/corporate-actions/income', async (req, res) => {
+  const { from, to, instrument_id, portfolio_id } = req.query;
+
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+
+  try {
+    const [trades] = await db.query(
+      `SELECT tl.id, tl.portfolio_id, tl.instrument_id, tl.transaction_type, tl.quantity, tl.price, tl.created_at, p.name as portfolio_name
+       FROM trade_log tl
+       JOIN portfolios p ON tl.portfolio_id = p.id
+       WHERE tl.user_id = ? ${portfolio_id ? 'AND tl.portfolio_id = ?' : ''}`,
+      portfolio_id ? [req.user.id, portfolio_id] : [req.user.id]
+    );
+    const actions = await loadCorporateActions(db, req.user.id, { portfolioId: portfolio_id });
+    const [instrumentRows] = await db.query('SELECT id, symbol, name FROM instruments');
+    const instruments = new Map(instrumentRows.map(row => [row.id, row]));
+
+    const tradesByPortfolio = new Map();
+    trades.forEach(trade => {
+      if (!tradesByPortfolio.has(trade.portfolio_id)) {
+        tradesByPortfolio.set(trade.portfolio_id, []);
+      }
+      tradesByPortfolio.get(trade.portfolio_id).push(trade);
+    });
+
+    const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+    const toDate = to ? new Date(`${to}T00:00:00`) : null;
+    const entries = [];
+    tradesByPortfolio.forEach((portfolioTrades, portfolioId) => {
+      const portfolioActions = actions.filter(action => !action.portfolio_id || action.portfolio_id === portfolioId);
+      matchPortfolioLots(portfolioTrades, portfolioActions).forEach(({ income }) => {
+        income
+          .filter(entry => (!fromDate || entry.date >= fromDate) && (!toDate || entry.date <= toDate))
+          .filter(entry => !instrument_id || entry.instrument_id === Number(instrument_id))
+          .forEach(entry => entries.push({
+            corporate_action_id: entry.corporate_action_id,
+            portfolio_id: portfolioId,
+            portfolio_name: portfolioTrades[0].portfolio_name,
+            instrument_id: entry.instrument_id,
+            symbol: instruments.get(entry.instrument_id).symbol,
+            name: instruments.get(entry.instrument_id).name,
+            ex_date: entry.date,
+            quantity: Math.round(entry.quantity * 10000) / 10000,
+            amount_per_unit: entry.amount_per_unit,
+            amount: roundAmount(entry.amount)
+          }));
+      });
+    });
+    entries.sort((a, b) => b.ex_date - a.ex_date || a.portfolio_id - b.portfolio_id);
+
+    res.json({
+      total_income: roundAmount(entries.reduce((sum, entry) => sum + entry.amount, 0)),
+      entries
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Record a corporate action
+app.post('/corporate-actions', async (req, res) => {
+  const { portfolio_id, instrument_id, action_type, ex_date, ratio_from, ratio_to, amount, new_instrument_id, notes } = req.body;
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    const error = await checkCorporateAction(conn, req.user.id, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO corporate_actions
+        (user_id, portfolio_id, instrument_id, action_type, ex_date, ratio_from, ratio_to, amount, new_instrument_id, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        portfolio_id || null,
+        instrument_id,
+        action_type,
+        ex_date,
+        ratio_from ?? null,
+        ratio_to ?? null,
+        amount ?? null,
+        action_type === 'MERGER' ? new_instrument_id : null,
+        notes || null
+      ]
+    );
+    await rebuildForCorporateAction(conn, req.user.id, portfolio_id);
+    await conn.commit();
+
+    const corporateAction = await getCorporateActionWithSymbols(result.insertId);
+    events.publish('corporate-action', { action: 'created', corporate_action: corporateAction }, req.user.id);
+    res.status(201).json(corporateAction);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Update a corporate action
+app.put('/corporate-actions/:id', async (req, res) => {
+  const { id } = req.params;
+  const { portfolio_id, instrument_id, action_type, ex_date, ratio_from, ratio_to, amount, new_instrument_id, notes } = req.body;
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    const [existing] = await conn.query('SELECT * FROM corporate_actions WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Corporate action not found' });
+    }
+
+    const error = await checkCorporateAction(conn, req.user.id, req.body, Number(id));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await conn.beginTransaction();
+    await conn.query(
+      `UPDATE corporate_actions
+       SET portfolio_id = ?, instrument_id = ?, action_type = ?, ex_date = ?, ratio_from = ?, ratio_to = ?, amount = ?, new_instrument_id = ?, notes = ?
+       WHERE id = ?`,
+      [
+        portfolio_id || null,
+        instrument_id,
+        action_type,
+        ex_date,
+        ratio_from ?? null,
+        ratio_to ?? null,
+        amount ?? null,
+        action_type === 'MERGER' ? new_instrument_id : null,
+        notes || null,
+        id
+      ]
+    );
+    // The action may have moved between portfolios, so rebuild all of them
+    await rebuildForCorporateAction(conn, req.user.id, null);
+    await conn.commit();
+
+    const corporateAction = await getCorporateActionWithSymbols(id);
+    events.publish('corporate-action', { action: 'updated', corporate_action: corporateAction }, req.user.id);
+    res.json(corporateAction);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Delete a corporate action
+app.delete('/corporate-actions/:id', async (req, res) => {
+  const { id } = req.params;
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+    const [existing] = await conn.query('SELECT portfolio_id FROM corporate_actions WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (existing.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Corporate action not found' });
+    }
+
+    // Lot matches against bonus or rights lots go with the action
+    await conn.query('DELETE FROM corporate_actions WHERE id = ?', [id]);
+    await rebuildForCorporateAction(conn, req.user.id, existing[0].portfolio_id);
+    await conn.commit();
+
+    events.publish('corporate-action', { action: 'deleted', id: Number(id) }, req.user.id);
+    res.json({ message: 'Corporate action deleted' });
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// ========== CASH & CHARGES ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CashLedgerEntry:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         entry_type:
+ *           type: string
+ *           enum: [DEPOSIT, WITHDRAWAL, BUY, SELL, DIVIDEND]
+ *         portfolio_id:
+ *           type: integer
+ *         currency:
+ *           type: string
+ *           description: Currency of the amount (a trade's or dividend's instrument currency)
+ *         amount:
+ *           type: number
+ *           description: Signed cash movement (BUY and WITHDRAWAL are negative)
+ *         charges:
+ *           type: number
+ *           description: Charges included in a trade's amount
+ *         balance:
+ *           type: number
+ *           description: Running cash balance in this entry's currency after it
+ *         description:
+ *           type: string
+ *         trade_id:
+ *           type: integer
+ *         cash_transaction_id:
+ *           type: integer
+ *         corporate_action_id:
+ *           type: integer
+ *
+ * /cash/balance:
+ *   get:
+ *     summary: Get the cash balance with its components
+ *     tags: [Cash]
+ *     parameters:
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (all portfolios combined when omitted)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: INR
+ *         description: Cash is kept per currency; the balance in this one
+ *     responses:
+ *       200:
+ *         description: >
+ *           Deposits, withdrawals, net buys and sells, charges, dividends and the balance in the
+ *           currency, and the balance in every currency with cash movements (balances)
+ *
+ * /cash/ledger:
+ *   get:
+ *     summary: Get the cash ledger with a running balance
+ *     description: >
+ *       Deposits and withdrawals, every trade at its net amount, and dividends on their ex-date,
+ *       in one currency. Trades and dividends move cash in their instrument's currency.
+ *     tags: [Cash]
+ *     parameters:
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: INR
+ *         description: Only movements in this currency
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Opening balance, entries oldest first and closing balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 opening_balance:
+ *                   type: number
+ *                 closing_balance:
+ *                   type: number
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CashLedgerEntry'
+ *       400:
+ *         description: Invalid dates
+ *
+ * /cash/transactions:
+ *   post:
+ *     summary: Record a deposit or withdrawal
+ *     tags: [Cash]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transaction_type
+ *               - amount
+ *             properties:
+ *               transaction_type:
+ *                 type: string
+ *                 enum: [DEPOSIT, WITHDRAWAL]
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 default: INR
+ *                 description: Currency of the amount; buys are paid from the cash in the instrument's currency
+ *               portfolio_id:
+ *                 type: integer
+ *                 description: Defaults to the user's default portfolio
+ *               description:
+ *                 type: string
+ *               transaction_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *     responses:
+ *       201:
+ *         description: Cash transaction recorded
+ *       400:
+ *         description: Invalid fields or unknown portfolio
+ *       409:
+ *         description: Withdrawal exceeds the cash balance (code INSUFFICIENT_CASH)
+ *
+ * /cash/transactions/{id}:
+ *   delete:
+ *     summary: Delete a deposit or withdrawal
+ *     tags: [Cash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cash transaction deleted
+ *       404:
+ *         description: Cash transaction not found
+ *       409:
+ *         description: Deleting the deposit would leave less than no cash in its currency (code INSUFFICIENT_CASH)
+ *
+ * /portfolios/{id}/fee-schedule:
+ *   get:
+ *     summary: Get a portfolio's fee schedule
+ *     tags: [Cash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The portfolio's overrides and the effective schedule per instrument type
+ *       404:
+ *         description: Portfolio not found
+ *   put:
+ *     summary: Set a portfolio's fee schedule overrides
+ *     description: >
+ *       Fields not overridden use the defaults. Percentages are of turnover; brokerage_flat
+ *       and dp_charge_per_sell are rupees per order; sebi_per_crore is rupees per crore of
+ *       turnover; brokerage_max caps brokerage (null for no cap).
+ *     tags: [Cash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fee_schedule:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Overrides keyed by instrument type; null resets to the defaults
+ *                 example:
+ *                   STOCK:
+ *                     brokerage_percent: 0.03
+ *                     brokerage_max: 20
+ *     responses:
+ *       200:
+ *         description: Fee schedule updated
+ *       400:
+ *         description: Invalid fee schedule
+ *       404:
+ *         description: Portfolio not found
+ *
+ * /charges/estimate:
+ *   get:
+ *     summary: Estimate the charges on a trade from the portfolio's fee schedule
+ *     tags: [Cash]
+ *     parameters:
+ *       - in: query
+ *         name: instrument_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: side
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BUY, SELL]
+ *       - in: query
+ *         name: quantity
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: price
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Charges breakdown with the total and net amount
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Instrument not found
+ */
+
+// Order of entries that share a timestamp: money in before money out
+const CASH_ENTRY_ORDER = { DEPOSIT: 0, DIVIDEND: 1, SELL: 2, BUY: 3, WITHDRAWAL: 4 };
+
+// Every cash movement for a user (or one portfolio), oldest first, with a running balance:
+// deposits and withdrawals, trades at their net amount, and dividends on their ex-date.
+// Cash is held per currency: trades and dividends move cash in their instrument's
+// currency, and each entry's balance is the running balance of its own currency.
+const getCashEntries = async (conn, userId, portfolioId) => {
+  const params = portfolioId ? [userId, portfolioId] : [userId];
+  const [cashRows] = await conn.query(
+    `SELECT id, portfolio_id, transaction_type, amount, currency, description, transaction_date
+     FROM cash_transactions
+     WHERE user_id = ? ${portfolioId ? 'AND portfolio_id = ?' : ''}`,
+    params
+  );
+  const [trades] = await conn.query(
+    `SELECT tl.id, tl.portfolio_id, tl.instrument_id, tl.transaction_type, tl.quantity, tl.price, tl.charges, tl.net_amount, tl.currency, tl.created_at
+     FROM trade_log tl
+     WHERE tl.user_id = ? ${portfolioId ? 'AND tl.portfolio_id = ?' : ''}`,
+    params
+  );
+  const actions = await loadCorporateActions(conn, userId, { portfolioId });
+  const [instrumentRows] = await conn.query('SELECT id, symbol, currency FROM instruments');
+  const symbols = new Map(instrumentRows.map(row => [row.id, row.symbol]));
+  const currencies = new Map(instrumentRows.map(row => [row.id, row.currency]));
+
+  const tradesByPortfolio = new Map();
+  trades.forEach(trade => {
+    if (!tradesByPortfolio.has(trade.portfolio_id)) {
+      tradesByPortfolio.set(trade.portfolio_id, []);
+    }
+    tradesByPortfolio.get(trade.portfolio_id).push(trade);
+  });
+  const dividends = [];
+  tradesByPortfolio.forEach((portfolioTrades, tradePortfolioId) => {
+    const portfolioActions = actions.filter(action => !action.portfolio_id || action.portfolio_id === tradePortfolioId);
+    matchPortfolioLots(portfolioTrades, portfolioActions).forEach(({ income }) => {
+      income.forEach(entry => dividends.push({ ...entry, portfolio_id: tradePortfolioId }));
+    });
+  });
+
+  const entries = [
+    ...cashRows.map(row => ({
+      date: row.transaction_date,
+      entry_type: row.transaction_type,
+      portfolio_id: row.portfolio_id,
+      currency: row.currency,
+      amount: row.transaction_type === 'DEPOSIT' ? Number(row.amount) : -Number(row.amount),
+      description: row.description || (row.transaction_type === 'DEPOSIT' ? 'Deposit' : 'Withdrawal'),
+      cash_transaction_id: row.id
+    })),
+    ...trades.map(trade => ({
+      date: trade.created_at,
+      entry_type: trade.transaction_type,
+      portfolio_id: trade.portfolio_id,
+      currency: trade.currency,
+      amount: trade.transaction_type === 'BUY' ? -Number(trade.net_amount) : Number(trade.net_amount),
+      charges: Number(trade.charges),
+      description: `${trade.transaction_type} ${Number(trade.quantity)} ${symbols.get(trade.instrument_id)} @ ${Number(trade.price)}`,
+      trade_id: trade.id
+    })),
+    ...dividends.map(entry => ({
+      date: entry.date,
+      entry_type: 'DIVIDEND',
+      portfolio_id: entry.portfolio_id,
+      currency: currencies.get(entry.instrument_id),
+      amount: roundAmount(entry.amount),
+      description: `Dividend ${symbols.get(entry.instrument_id)} @ ${entry.amount_per_unit} on ${Math.round(entry.quantity * 10000) / 10000} units`,
+      corporate_action_id: entry.corporate_action_id
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date) || CASH_ENTRY_ORDER[a.entry_type] - CASH_ENTRY_ORDER[b.entry_type]);
+
+  const balances = new Map();
+  return entries.map(entry => {
+    const balance = roundAmount((balances.get(entry.currency) || 0) + entry.amount);
+    balances.set(entry.currency, balance);
+    return { ...entry, balance };
+  });
+};
+
+// Cash a user (or one portfolio) holds in a currency
+const getCashBalance = async (conn, userId, portfolioId, currency = PIVOT_CURRENCY) => {
+  const entries = (await getCashEntries(conn, userId, portfolioId)).filter(entry => entry.currency === currency);
+  return entries.length > 0 ? entries[entries.length - 1].balance : 0;
+};
+
+// Get cash balance
+app.get('/cash/balance', async (req, res) => {
+  const { portfolio_id, currency = PIVOT_CURRENCY } = req.query;
+  try {
+    const allEntries = await getCashEntries(db, req.user.id, portfolio_id);
+    const entries = allEntries.filter(entry => entry.currency === currency);
+    const balances = {};
+    allEntries.forEach(entry => {
+      balances[entry.currency] = entry.balance;
+    });
+    const sumOf = (type, key = 'amount') => roundAmount(
+      entries.filter(entry => entry.entry_type === type).reduce((sum, entry) => sum + Math.abs(entry[key]), 0)
+    );
+    res.json({
+      portfolio_id: portfolio_id ? Number(portfolio_id) : null,
+      currency,
+      deposits: sumOf('DEPOSIT'),
+      withdrawals: sumOf('WITHDRAWAL'),
+      bought: sumOf('BUY'),
+      sold: sumOf('SELL'),
+      charges: roundAmount(sumOf('BUY', 'charges') + sumOf('SELL', 'charges')),
+      dividends: sumOf('DIVIDEND'),
+      balance: entries.length > 0 ? entries[entries.length - 1].balance : 0,
+      balances
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get cash ledger
+app.get('/cash/ledger', async (req, res) => {
+  const { portfolio_id, from, to, currency = PIVOT_CURRENCY } = req.query;
+
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+
+  try {
+    const entries = (await getCashEntries(db, req.user.id, portfolio_id)).filter(entry => entry.currency === currency);
+    const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+    const toDate = to ? new Date(`${to}T00:00:00`) : null;
+    if (toDate) {
+      toDate.setDate(toDate.getDate() + 1);
+    }
+
+    const before = fromDate ? entries.filter(entry => new Date(entry.date) < fromDate) : [];
+    const inRange = entries.filter(entry => (!fromDate || new Date(entry.date) >= fromDate) && (!toDate || new Date(entry.date) < toDate));
+    const openingBalance = before.length > 0 ? before[before.length - 1].balance : 0;
+
+    res.json({
+      currency,
+      opening_balance: openingBalance,
+      closing_balance: inRange.length > 0 ? inRange[inRange.length - 1].balance : openingBalance,
+      entries: inRange
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Record a deposit or withdrawal
+app.post('/cash/transactions', async (req, res) => {
+  const { transaction_type, amount, currency = PIVOT_CURRENCY, portfolio_id, description, transaction_date } = req.body;
+
+  if (!['DEPOSIT', 'WITHDRAWAL'].includes(transaction_type)) {
+    return res.status(400).json({ error: 'transaction_type must be DEPOSIT or WITHDRAWAL' });
+  }
+
+  if (!isCurrencyCode(currency)) {
+    return res.status(400).json({ error: 'currency must be a three-letter ISO code such as INR or USD' });
+  }
+
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ error: 'amount must be positive' });
+  }
+
+  if (transaction_date && !isIsoDate(transaction_date)) {
+    return res.status(400).json({ error: 'transaction_date must be a date in YYYY-MM-DD format' });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const portfolioId = await resolvePortfolioId(conn, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [portfolioId]);
+
+    if (transaction_type === 'WITHDRAWAL') {
+      const availableCash = await getCashBalance(conn, req.user.id, portfolioId, currency);
+      if (Number(amount) > availableCash) {
+        await conn.rollback();
+        return res.status(409).json({
+          error: `Cannot withdraw ${currency} ${amount}; only ${currency} ${availableCash} cash available`,
+          code: 'INSUFFICIENT_CASH',
+          portfolio_id: portfolioId,
+          currency,
+          required_amount: Number(amount),
+          available_cash: availableCash
+        });
+      }
+    }
+
+    const [result] = await conn.query(
+      'INSERT INTO cash_transactions (user_id, portfolio_id, transaction_type, amount, currency, description, transaction_date) VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+      [req.user.id, portfolioId, transaction_type, amount, currency, description || null, transaction_date || null]
+    );
+    await conn.commit();
+
+    const [rows] = await db.query('SELECT * FROM cash_transactions WHERE id = ?', [result.insertId]);
+    // Convert decimal values to numbers
+    const cashTransaction = { ...rows[0], amount: Number(rows[0].amount) };
+    events.publish('cash', { action: 'created', cash_transaction: cashTransaction }, req.user.id);
+    res.status(201).json(cashTransaction);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Delete a deposit or withdrawal
+app.delete('/cash/transactions/:id', async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT portfolio_id, currency FROM cash_transactions WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Cash transaction not found' });
+    }
+    const { portfolio_id: portfolioId, currency } = rows[0];
+
+    // Lock the portfolio so a buy can't spend a deposit while it is being removed
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [portfolioId]);
+    const [result] = await conn.query('DELETE FROM cash_transactions WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Cash transaction not found' });
+    }
+
+    // A deposit that has already been spent can't be taken back
+    const remainingCash = await getCashBalance(conn, req.user.id, portfolioId, currency);
+    if (remainingCash < 0) {
+      await conn.rollback();
+      return res.status(409).json({
+        error: `Deleting this deposit would leave ${currency} ${remainingCash} cash`,
+        code: 'INSUFFICIENT_CASH',
+        portfolio_id: portfolioId,
+        currency,
+        available_cash: remainingCash
+      });
+    }
+
+    await conn.commit();
+    events.publish('cash', { action: 'deleted', id: Number(id) }, req.user.id);
+    res.json({ message: 'Cash transaction deleted' });
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Get a portfolio's fee schedule
+app.get('/portfolios/:id/fee-schedule', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await db.query('SELECT fee_schedule FROM portfolios WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    res.json({
+      fee_schedule: rows[0].fee_schedule,
+      effective: resolveFeeSchedules(rows[0].fee_schedule)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a portfolio's fee schedule
+app.put('/portfolios/:id/fee-schedule', async (req, res) => {
+  const { id } = req.params;
+  const { fee_schedule } = req.body;
+
+  if (fee_schedule === undefined) {
+    return res.status(400).json({ error: 'fee_schedule is required (null resets to the defaults)' });
+  }
+
+  if (fee_schedule !== null) {
+    const error = validateFeeSchedules(fee_schedule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+
+  try {
+    const [result] = await db.query(
+      'UPDATE portfolios SET fee_schedule = ? WHERE id = ? AND user_id = ?',
+      [fee_schedule === null ? null : JSON.stringify(fee_schedule), id, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    res.json({
+      fee_schedule,
+      effective: resolveFeeSchedules(fee_schedule)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Estimate charges for a trade
+app.get('/charges/estimate', async (req, res) => {
+  const { instrument_id, side, quantity, price, portfolio_id } = req.query;
+
+  if (!instrument_id || !['BUY', 'SELL'].includes(side)) {
+    return res.status(400).json({ error: 'instrument_id and side (BUY or SELL) are required' });
+  }
+
+  if (!(Number(quantity) > 0) || !(Number(price) > 0)) {
+    return res.status(400).json({ error: 'quantity and price must be positive' });
+  }
+
+  try {
+    const [instrument] = await db.query('SELECT id, type FROM instruments WHERE id = ?', [instrument_id]);
+    if (instrument.length === 0) {
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+    if (instrument[0].type === 'INDEX') {
+      return res.status(400).json({ error: INDEX_TRADE_ERROR });
+    }
+
+    const portfolioId = await resolvePortfolioId(db, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+
+    const { charges, breakdown } = await getTradeCharges(db, portfolioId, instrument[0], side, quantity, price);
+    const totalAmount = roundAmount(Number(quantity) * Number(price));
+    res.json({
+      portfolio_id: portfolioId,
+      total_amount: totalAmount,
+      charges,
+      breakdown,
+      net_amount: roundAmount(side === 'BUY' ? totalAmount + charges : totalAmount - charges)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== SIPS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Sip:
+ *       type: object
+ *       required:
+ *         - instrument_id
+ *         - frequency
+ *         - start_date
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         instrument_id:
+ *           type: integer
+ *         portfolio_id:
+ *           type: integer
+ *           description: Defaults to the user's default portfolio; cannot be changed later
+ *         goal_id:
+ *           type: integer
+ *           nullable: true
+ *         amount:
+ *           type: number
+ *           nullable: true
+ *           description: Rupees per instalment; units are bought at the due-date price (give amount or quantity)
+ *         quantity:
+ *           type: number
+ *           nullable: true
+ *           description: Units per instalment (give amount or quantity)
+ *         frequency:
+ *           type: string
+ *           enum: [WEEKLY, FORTNIGHTLY, MONTHLY, QUARTERLY]
+ *         start_date:
+ *           type: string
+ *           format: date
+ *           description: First instalment; monthly and quarterly plans repeat on this day of the month
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         catch_up:
+ *           type: boolean
+ *           description: >
+ *             Post every missed instalment at its due-date price (true, the default), or only
+ *             the latest one and mark the rest MISSED
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, PAUSED]
+ *           readOnly: true
+ *         instrument_symbol:
+ *           type: string
+ *           readOnly: true
+ *         next_due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           readOnly: true
+ *           description: Next instalment not yet posted or skipped (null once the plan has ended)
+ *         executed_count:
+ *           type: integer
+ *           readOnly: true
+ *         invested_amount:
+ *           type: number
+ *           readOnly: true
+ *           description: Net amount of the trades the plan has posted
+ *       example:
+ *         id: 1
+ *         instrument_id: 4
+ *         portfolio_id: 1
+ *         goal_id: 2
+ *         amount: 5000
+ *         quantity: null
+ *         frequency: MONTHLY
+ *         start_date: 2024-01-05
+ *         end_date: null
+ *         catch_up: true
+ *         status: ACTIVE
+ *     SipInstalment:
+ *       type: object
+ *       properties:
+ *         due_date:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [EXECUTED, SKIPPED, MISSED, FAILED]
+ *         trade_id:
+ *           type: integer
+ *           nullable: true
+ *         quantity:
+ *           type: number
+ *           nullable: true
+ *         price:
+ *           type: number
+ *           nullable: true
+ *         net_amount:
+ *           type: number
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *
+ * /sips:
+ *   get:
+ *     summary: List the user's SIPs
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, PAUSED]
+ *     responses:
+ *       200:
+ *         description: SIPs with their next due date and amount invested so far
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Sip'
+ *   post:
+ *     summary: Create a SIP
+ *     description: >
+ *       Instalments already due (a start_date in the past or today) are posted straight away,
+ *       following catch_up. Later instalments are posted by the SIP scheduler.
+ *     tags: [SIPs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Sip'
+ *     responses:
+ *       201:
+ *         description: SIP created, with the instalments posted so far
+ *       400:
+ *         description: Invalid fields, or unknown instrument, goal or portfolio
+ *
+ * /sips/run:
+ *   post:
+ *     summary: Post the user's due SIP instalments now
+ *     description: Also retries FAILED instalments, which the scheduler leaves alone.
+ *     tags: [SIPs]
+ *     responses:
+ *       200:
+ *         description: Outcome of each instalment processed
+ *
+ * /sips/{id}:
+ *   get:
+ *     summary: Get a SIP with its instalment history and upcoming dates
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: SIP with instalments (newest first) and the next few due dates
+ *       404:
+ *         description: SIP not found
+ *   put:
+ *     summary: Edit a SIP
+ *     description: >
+ *       amount, quantity (send the other as null to switch), frequency, start_date, end_date,
+ *       goal_id and catch_up can be changed. When the schedule changes, past due dates of the
+ *       new schedule that were never posted are marked SKIPPED rather than caught up.
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Sip'
+ *     responses:
+ *       200:
+ *         description: SIP updated
+ *       400:
+ *         description: Invalid fields or unknown goal
+ *       404:
+ *         description: SIP not found
+ *   delete:
+ *     summary: Delete a SIP
+ *     description: Trades the SIP already posted stay in the trade log.
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: SIP deleted
+ *       404:
+ *         description: SIP not found
+ *
+ * /sips/{id}/pause:
+ *   post:
+ *     summary: Pause a SIP
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: SIP paused
+ *       404:
+ *         description: SIP not found
+ *
+ * /sips/{id}/resume:
+ *   post:
+ *     summary: Resume a paused SIP
+ *     description: Instalments that fell due while the SIP was paused are marked SKIPPED.
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: SIP resumed
+ *       404:
+ *         description: SIP not found
+ *
+ * /sips/{id}/skip:
+ *   post:
+ *     summary: Skip an upcoming instalment
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Instalment to skip (defaults to the next due date)
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Instalment skipped
+ *       400:
+ *         description: Not a due date of this SIP, or the plan has no instalments left
+ *       404:
+ *         description: SIP not found
+ *       409:
+ *         description: The instalment was already posted or skipped
+ *
+ * /sips/{id}/run:
+ *   post:
+ *     summary: Post this SIP's due instalments now
+ *     description: Also retries FAILED instalments.
+ *     tags: [SIPs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Outcome of each instalment processed
+ *       404:
+ *         description: SIP not found
+ *       409:
+ *         description: The SIP is paused
+ *
+ * /sip-scheduler/status:
+ *   get:
+ *     summary: Get the SIP scheduler status
+ *     tags: [SIPs]
+ *     responses:
+ *       200:
+ *         description: Whether the scheduler is running, its interval and the result of the last run
+ */
+
+const formatSip = (row, instalments = []) => {
+  const recorded = new Set(instalments.map(instalment => toDateKey(instalment.due_date)));
+  const [nextDueDate] = getInstalmentDates(row, { from: toDateKey(new Date()), limit: recorded.size + 1 })
+    .filter(date => !recorded.has(date));
+  const executed = instalments.filter(instalment => instalment.status === 'EXECUTED');
+  return {
+    ...row,
+    start_date: toDateKey(row.start_date),
+    end_date: row.end_date ? toDateKey(row.end_date) : null,
+    amount: row.amount === null ? null : Number(row.amount),
+    quantity: row.quantity === null ? null : Number(row.quantity),
+    catch_up: Boolean(row.catch_up),
+    next_due_date: row.status === 'ACTIVE' ? nextDueDate || null : null,
+    executed_count: executed.length,
+    invested_amount: roundAmount(executed.reduce((sum, instalment) => sum + Number(instalment.net_amount || 0), 0))
+  };
+};
+
+const formatSipInstalment = (row) => ({
+  id: row.id,
+  due_date: toDateKey(row.due_date),
+  status: row.status,
+  trade_id: row.trade_id,
+  quantity: row.quantity === null ? null : Number(row.quantity),
+  price: row.price === null ? null : Number(row.price),
+  net_amount: row.net_amount === null ? null : Number(row.net_amount),
+  note: row.note
+});
+
+const SIP_SELECT = `
+  SELECT
+    s.*,
+    i.symbol as instrument_symbol,
+    i.name as instrument_name,
+    i.type as instrument_type,
+    g.name as goal_name,
+    p.name as portfolio_name
+  FROM sips s
+  JOIN instruments i ON s.instrument_id = i.id
+  JOIN portfolios p ON s.portfolio_id = p.id
+  LEFT JOIN goals g ON s.goal_id = g.id
+`;
+
+// Instalments recorded for the given SIPs, with the trade each one posted
+const loadSipInstalments = async (conn, sipIds) => {
+  if (sipIds.length === 0) {
+    return [];
+  }
+  const [rows] = await conn.query(`
+    SELECT si.*, tl.quantity, tl.price, tl.net_amount
+    FROM sip_instalments si
+    LEFT JOIN trade_log tl ON si.trade_id = tl.id
+    WHERE si.sip_id IN (?)
+    ORDER BY si.due_date DESC
+  `, [sipIds]);
+  return rows;
+};
+
+const getSip = async (conn, userId, sipId) => {
+  const [rows] = await conn.query(`${SIP_SELECT} WHERE s.id = ? AND s.user_id = ?`, [sipId, userId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const instalments = await loadSipInstalments(conn, [rows[0].id]);
+  return {
+    ...formatSip(rows[0], instalments),
+    instalments: instalments.map(formatSipInstalment)
+  };
+};
+
+// Record the outcome of an instalment; a FAILED instalment that is retried is overwritten
+const recordSipInstalment = (conn, sipId, dueDate, status, tradeId, note) => conn.query(`
+  INSERT INTO sip_instalments (sip_id, due_date, status, trade_id, note) VALUES (?, ?, ?, ?, ?)
+  ON DUPLICATE KEY UPDATE status = VALUES(status), trade_id = VALUES(trade_id), note = VALUES(note)
+`, [sipId, dueDate, status, tradeId, note || null]);
+
+// Mark past due dates that were never posted as SKIPPED, so they are not caught up later
+// (used when a SIP is resumed or its schedule changes). Today's instalment still runs.
+const skipPastInstalments = async (conn, sip, note) => {
+  const instalments = await loadSipInstalments(conn, [sip.id]);
+  const recorded = new Set(instalments.map(instalment => toDateKey(instalment.due_date)));
+  const today = toDateKey(new Date());
+  const pastDates = getInstalmentDates(sip, { to: today }).filter(date => date < today && !recorded.has(date));
+  for (const date of pastDates) {
+    await recordSipInstalment(conn, sip.id, date, 'SKIPPED', null, note);
+  }
+};
+
+// Post one instalment as a BUY at the instrument's price on the due date (its last price
+// up to the 15:30 close, or the current price for today's instalment). Returns
+// { status, trade_id?, note? }; a FAILED outcome leaves nothing posted.
+const executeSipInstalment = async (conn, sip, dueDate, settings) => {
+  const isToday = dueDate === toDateKey(new Date());
+  const tradedAt = isToday ? new Date() : new Date(`${dueDate}T15:30:00`);
+  const [history] = await conn.query(
+    'SELECT price FROM price_history WHERE instrument_id = ? AND price_time <= ? ORDER BY price_time DESC LIMIT 1',
+    [sip.instrument_id, tradedAt]
+  );
+  const [instrument] = await conn.query('SELECT id, symbol, type, currency, current_price FROM instruments WHERE id = ?', [sip.instrument_id]);
+  const price = Number(!isToday && history.length > 0 ? history[0].price : instrument[0].current_price);
+
+  // Amount-based plans invest the amount including charges (fund houses deduct stamp
+  // duty from the instalment), in whole 0.0001 units as trade_log stores them
+  let quantity = Number(sip.quantity);
+  if (sip.quantity === null) {
+    const estimate = await getTradeCharges(conn, sip.portfolio_id, instrument[0], 'BUY', Number(sip.amount) / price, price);
+    quantity = Math.floor(((Number(sip.amount) - estimate.charges) / price) * 10000) / 10000;
+  }
+  if (!(quantity > 0)) {
+    return { status: 'FAILED', note: `Instalment amount buys no units at ${price}` };
+  }
+
+  const totalAmount = roundAmount(quantity * price);
+  const tradeCharges = await getTradeCharges(conn, sip.portfolio_id, instrument[0], 'BUY', quantity, price);
+  const netAmount = roundAmount(totalAmount + tradeCharges.charges);
+
+  if (settings.block_buys_on_insufficient_cash === 'true') {
+    const currency = instrument[0].currency;
+    const availableCash = await getCashBalance(conn, sip.user_id, sip.portfolio_id, currency);
+    if (netAmount > availableCash) {
+      return { status: 'FAILED', note: `Needs ${currency} ${netAmount}; only ${currency} ${availableCash} cash available` };
+    }
+  }
+
+  if (sip.goal_id) {
+    await addToGoalAllocation(conn, sip.user_id, sip.goal_id, sip.portfolio_id, sip.instrument_id, quantity);
+  }
+
+  const [result] = await conn.query(
+    'INSERT INTO trade_log (user_id, portfolio_id, instrument_id, goal_id, transaction_type, quantity, price, total_amount, charges, charges_breakdown, currency, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      sip.user_id, sip.portfolio_id, sip.instrument_id, sip.goal_id, 'BUY', quantity, price, totalAmount,
+      tradeCharges.charges, tradeCharges.breakdown && JSON.stringify(tradeCharges.breakdown), instrument[0].currency, tradedAt
+    ]
+  );
+  return { status: 'EXECUTED', trade_id: result.insertId };
+};
+
+// Post the due instalments of active SIPs: every SIP, or one user's, or one SIP.
+// retryFailed also re-runs FAILED instalments. Each SIP runs in its own transaction,
+// so one failing SIP does not hold up the others.
+const runDueSips = async ({ userId, sipId, retryFailed = false } = {}) => {
+  const today = toDateKey(new Date());
+  const conditions = ["s.status = 'ACTIVE'", 's.start_date <= ?'];
+  const params = [today];
+  if (userId) {
+    conditions.push('s.user_id = ?');
+    params.push(userId);
+  }
+  if (sipId) {
+    conditions.push('s.id = ?');
+    params.push(sipId);
+  }
+  const [sips] = await db.query(`SELECT s.* FROM sips s WHERE ${conditions.join(' AND ')}`, params);
+
+  const results = [];
+  for (const sip of sips) {
+    const conn = await db.getConnection();
+    const sipResults = [];
+    try {
+      await conn.beginTransaction();
+
+      // Lock the portfolio so concurrent runs can't post the same instalment or spend the same cash
+      await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [sip.portfolio_id]);
+      const [recordedRows] = await conn.query('SELECT due_date, status FROM sip_instalments WHERE sip_id = ?', [sip.id]);
+      const recorded = new Map(recordedRows.map(row => [toDateKey(row.due_date), row.status]));
+
+      const due = getInstalmentDates(sip, { to: today })
+        .filter(date => !recorded.has(date) || (retryFailed && recorded.get(date) === 'FAILED'));
+      if (due.length === 0) {
+        await conn.rollback();
+        continue;
+      }
+
+      // Without catch-up only the latest missed instalment is posted
+      const toPost = sip.catch_up ? due : due.slice(-1);
+      for (const date of due.filter(date => !toPost.includes(date))) {
+        await recordSipInstalment(conn, sip.id, date, 'MISSED', null, 'Not posted on its due date; catch-up is off');
+        sipResults.push({ sip_id: sip.id, due_date: date, status: 'MISSED' });
+      }
+
+      const settings = await getSettings(conn, sip.user_id);
+      for (const date of toPost) {
+        const outcome = await executeSipInstalment(conn, sip, date, settings);
+        await recordSipInstalment(conn, sip.id, date, outcome.status, outcome.trade_id || null, outcome.note);
+        sipResults.push({ sip_id: sip.id, due_date: date, ...outcome });
+      }
+
+      if (sipResults.some(result => result.status === 'EXECUTED')) {
+        await rebuildLotMatches(conn, sip.portfolio_id);
+      }
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      results.push({ sip_id: sip.id, status: 'ERROR', error: err.message });
+      continue;
+    } finally {
+      conn.release();
+    }
+
+    results.push(...sipResults);
+    const tradeIds = sipResults.filter(result => result.trade_id).map(result => result.trade_id);
+    if (tradeIds.length > 0) {
+      const [trades] = await db.query(`
+        SELECT
+          tl.*,
+          i.symbol as instrument_symbol,
+          i.name as instrument_name,
+          i.type as instrument_type,
+          g.name as goal_name,
+          p.name as portfolio_name
+        FROM trade_log tl
+        LEFT JOIN instruments i ON tl.instrument_id = i.id
+        LEFT JOIN goals g ON tl.goal_id = g.id
+        LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+        WHERE tl.id IN (?)
+      `, [tradeIds]);
+      trades.forEach(trade => events.publish('trade', trade, sip.user_id));
+    }
+    events.publish('sip', { action: 'instalments', sip_id: sip.id, instalments: sipResults }, sip.user_id);
+  }
+  return results;
+};
+
+// On by default; SIP_SCHEDULER=off disables it (e.g. when another instance runs it)
+const sipScheduler = createSipScheduler({
+  enabled: process.env.SIP_SCHEDULER !== 'off',
+  intervalMs: Number(process.env.SIP_SCHEDULER_INTERVAL_MS) || 3600000,
+  runDue: () => runDueSips()
+});
+
+// Check the goal belongs to the user; returns an error message or null
+const checkSipGoal = async (conn, userId, goalId) => {
+  if (!goalId) {
+    return null;
+  }
+  const [goal] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [goalId, userId]);
+  return goal.length === 0 ? 'Goal not found' : null;
+};
+
+// Get SIPs
+app.get('/sips', async (req, res) => {
+  const { status } = req.query;
+  try {
+    const conditions = ['s.user_id = ?'];
+    const params = [req.user.id];
+    if (status) {
+      conditions.push('s.status = ?');
+      params.push(status);
+    }
+    const [rows] = await db.query(`${SIP_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY s.created_at DESC`, params);
+    const instalments = await loadSipInstalments(db, rows.map(row => row.id));
+    res.json(rows.map(row => formatSip(row, instalments.filter(instalment => instalment.sip_id === row.id))));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Post the user's due instalments now
+app.post('/sips/run', async (req, res) => {
+  try {
+    const results = await runDueSips({ userId: req.user.id, retryFailed: true });
+    res.json({ message: 'SIP instalments processed', results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get SIP by ID
+app.get('/sips/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const sip = await getSip(db, req.user.id, id);
+    if (!sip) {
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+    const recorded = new Set(sip.instalments.map(instalment => instalment.due_date));
+    sip.upcoming_dates = sip.status === 'ACTIVE'
+      ? getInstalmentDates(sip, { from: toDateKey(new Date()), limit: recorded.size + 5 })
+        .filter(date => !recorded.has(date))
+        .slice(0, 5)
+      : [];
+    res.json(sip);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create SIP
+app.post('/sips', async (req, res) => {
+  const { instrument_id, portfolio_id, goal_id, amount, quantity, frequency, start_date, end_date, catch_up } = req.body;
+
+  const error = validateSip(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [instrument] = await db.query('SELECT id, type FROM instruments WHERE id = ?', [instrument_id]);
+    if (instrument.length === 0) {
+      return res.status(400).json({ error: 'Instrument not found' });
+    }
+    if (instrument[0].type === 'INDEX') {
+      return res.status(400).json({ error: INDEX_TRADE_ERROR });
+    }
+
+    const goalError = await checkSipGoal(db, req.user.id, goal_id);
+    if (goalError) {
+      return res.status(400).json({ error: goalError });
+    }
+
+    const portfolioId = await resolvePortfolioId(db, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO sips (user_id, portfolio_id, instrument_id, goal_id, amount, quantity, frequency, start_date, end_date, catch_up) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        req.user.id, portfolioId, instrument_id, goal_id || null, amount ?? null, quantity ?? null,
+        frequency, start_date, end_date || null, catch_up ?? true
+      ]
+    );
+
+    // Post instalments that are already due rather than waiting for the scheduler
+    await runDueSips({ sipId: result.insertId });
+
+    const sip = await getSip(db, req.user.id, result.insertId);
+    events.publish('sip', { action: 'created', sip }, req.user.id);
+    res.status(201).json(sip);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update SIP
+app.put('/sips/:id', async (req, res) => {
+  const { id } = req.params;
+  const editable = ['amount', 'quantity', 'frequency', 'start_date', 'end_date', 'goal_id', 'catch_up'];
+  const changes = Object.fromEntries(Object.entries(req.body).filter(([key]) => editable.includes(key)));
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT * FROM sips WHERE id = ? AND user_id = ? FOR UPDATE', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+
+    const updated = { ...rows[0], catch_up: Boolean(rows[0].catch_up), ...changes };
+    const error = validateSip(updated);
+    if (error) {
+      await conn.rollback();
+      return res.status(400).json({ error });
+    }
+
+    const goalError = await checkSipGoal(conn, req.user.id, updated.goal_id);
+    if (goalError) {
+      await conn.rollback();
+      return res.status(400).json({ error: goalError });
+    }
+
+    await conn.query(
+      'UPDATE sips SET amount = ?, quantity = ?, frequency = ?, start_date = ?, end_date = ?, goal_id = ?, catch_up = ? WHERE id = ?',
+      [
+        updated.amount ?? null, updated.quantity ?? null, updated.frequency, toDateKey(updated.start_date),
+        updated.end_date ? toDateKey(updated.end_date) : null, updated.goal_id || null, Boolean(updated.catch_up), id
+      ]
+    );
+
+    // A new schedule applies from today; it does not backfill its past dates
+    const scheduleChanged = updated.frequency !== rows[0].frequency ||
+      toDateKey(updated.start_date) !== toDateKey(rows[0].start_date);
+    if (scheduleChanged) {
+      await skipPastInstalments(conn, { ...updated, id: rows[0].id }, 'Schedule changed');
+    }
+
+    await conn.commit();
+
+    const sip = await getSip(db, req.user.id, id);
+    events.publish('sip', { action: 'updated', sip }, req.user.id);
+    res.json(sip);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Pause SIP
+app.post('/sips/:id/pause', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query("UPDATE sips SET status = 'PAUSED' WHERE id = ? AND user_id = ?", [id, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+    const sip = await getSip(db, req.user.id, id);
+    events.publish('sip', { action: 'updated', sip }, req.user.id);
+    res.json(sip);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resume SIP
+app.post('/sips/:id/resume', async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT * FROM sips WHERE id = ? AND user_id = ? FOR UPDATE', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+
+    if (rows[0].status === 'PAUSED') {
+      await skipPastInstalments(conn, rows[0], 'SIP was paused');
+      await conn.query("UPDATE sips SET status = 'ACTIVE' WHERE id = ?", [id]);
+    }
+    await conn.commit();
+
+    // Today's instalment may be due
+    await runDueSips({ sipId: id });
+
+    const sip = await getSip(db, req.user.id, id);
+    events.publish('sip', { action: 'updated', sip }, req.user.id);
+    res.json(sip);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Skip an instalment
+app.post('/sips/:id/skip', async (req, res) => {
+  const { id } = req.params;
+  const { due_date, note } = req.body;
+
+  if (due_date && !isIsoDate(due_date)) {
+    return res.status(400).json({ error: 'due_date must be a date in YYYY-MM-DD format' });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT * FROM sips WHERE id = ? AND user_id = ? FOR UPDATE', [id, req.user.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+
+    const [recordedRows] = await conn.query('SELECT due_date, status FROM sip_instalments WHERE sip_id = ?', [id]);
+    const recorded = new Map(recordedRows.map(row => [toDateKey(row.due_date), row.status]));
+
+    let dueDate = due_date;
+    if (!dueDate) {
+      [dueDate] = getInstalmentDates(rows[0], { from: toDateKey(new Date()), limit: recorded.size + 1 })
+        .filter(date => !recorded.has(date));
+      if (!dueDate) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'The SIP has no instalments left' });
+      }
+    } else if (!getInstalmentDates(rows[0], { from: dueDate, to: dueDate }).includes(dueDate)) {
+      await conn.rollback();
+      return res.status(400).json({ error: `${dueDate} is not an instalment date of this SIP` });
+    }
+
+    if (recorded.has(dueDate) && recorded.get(dueDate) !== 'FAILED') {
+      await conn.rollback();
+      return res.status(409).json({ error: `The ${dueDate} instalment is already ${recorded.get(dueDate)}` });
+    }
+
+    await recordSipInstalment(conn, id, dueDate, 'SKIPPED', null, note || 'Skipped by user');
+    await conn.commit();
+
+    const sip = await getSip(db, req.user.id, id);
+    events.publish('sip', { action: 'updated', sip }, req.user.id);
+    res.json(sip);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Post this SIP's due instalments now
+app.post('/sips/:id/run', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await db.query('SELECT status FROM sips WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+    if (rows[0].status !== 'ACTIVE') {
+      return res.status(409).json({ error: 'SIP is paused. Resume it first.' });
+    }
+    const results = await runDueSips({ sipId: id, retryFailed: true });
+    res.json({ message: 'SIP instalments processed', results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete SIP
+app.delete('/sips/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query('DELETE FROM sips WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+    events.publish('sip', { action: 'deleted', id: Number(id) }, req.user.id);
+    res.json({ message: 'SIP deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get SIP scheduler status
+app.get('/sip-scheduler/status', (req, res) => {
+  res.json(sipScheduler.getStatus());
+});
+
+// ========== GOAL ALLOCATIONS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GoalAllocation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         goal_id:
+ *           type: integer
+ *         goal_name:
+ *           type: string
+ *         allocation_type:
+ *           type: string
+ *           enum: [QUANTITY, PERCENT]
+ *         value:
+ *           type: number
+ *           description: Units, or percent of the holding
+ *         quantity:
+ *           type: number
+ *           description: Units the goal gets now (scaled down when the holding is over-allocated)
+ *     HoldingAllocation:
+ *       type: object
+ *       properties:
+ *         portfolio_id:
+ *           type: integer
+ *         instrument_id:
+ *           type: integer
+ *         symbol:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *           description: Units held in the portfolio
+ *         allocations:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/GoalAllocation'
+ *         unallocated_quantity:
+ *           type: number
+ *
+ * /goal-allocations:
+ *   get:
+ *     summary: List holdings with how they are split between goals
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: query
+ *         name: goal_id
+ *         schema:
+ *           type: integer
+ *         description: Only holdings with an allocation to this goal
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: instrument_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Open holdings per portfolio and instrument, with their allocations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HoldingAllocation'
+ *   put:
+ *     summary: Set a goal's allocation of a holding
+ *     description: >
+ *       A QUANTITY allocation is a fixed number of units; a PERCENT allocation is a share of
+ *       the holding and grows or shrinks with it. A value of 0 removes the allocation.
+ *       Allocations of a holding cannot add up to more than the units held.
+ *     tags: [Goals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - goal_id
+ *               - instrument_id
+ *               - allocation_type
+ *               - value
+ *             properties:
+ *               goal_id:
+ *                 type: integer
+ *               instrument_id:
+ *                 type: integer
+ *               portfolio_id:
+ *                 type: integer
+ *                 description: Defaults to the user's default portfolio
+ *               allocation_type:
+ *                 type: string
+ *                 enum: [QUANTITY, PERCENT]
+ *               value:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: The holding with its updated allocations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HoldingAllocation'
+ *       400:
+ *         description: Invalid fields, or unknown goal or portfolio
+ *       409:
+ *         description: Allocations would exceed the units held (code OVER_ALLOCATED)
+ *
+ * /goal-allocations/move:
+ *   post:
+ *     summary: Move units of a holding from one goal to another
+ *     description: >
+ *       Moves a quantity, or a percent of the source goal's allocation. Leave from_goal_id out
+ *       to allocate unallocated units, or to_goal_id out to unallocate them. Both goals'
+ *       allocations of the holding become QUANTITY allocations.
+ *     tags: [Goals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - instrument_id
+ *             properties:
+ *               instrument_id:
+ *                 type: integer
+ *               portfolio_id:
+ *                 type: integer
+ *               from_goal_id:
+ *                 type: integer
+ *                 nullable: true
+ *               to_goal_id:
+ *                 type: integer
+ *                 nullable: true
+ *               quantity:
+ *                 type: number
+ *               percent:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: The holding with its updated allocations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HoldingAllocation'
+ *       400:
+ *         description: Invalid fields, or unknown goal or portfolio
+ *       409:
+ *         description: The source has fewer units than requested (code INSUFFICIENT_QUANTITY)
+ *
+ * /goal-allocations/{id}:
+ *   delete:
+ *     summary: Remove an allocation
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Allocation removed
+ *       404:
+ *         description: Allocation not found
+ */
+
+// A user's goal allocations, carried through the corporate actions recorded since
+const loadGoalAllocations = async (conn, userId, actions, portfolioId) => {
+  const [rows] = await conn.query(`
+    SELECT ga.*, g.name as goal_name
+    FROM goal_allocations ga
+    JOIN goals g ON ga.goal_id = g.id
+    WHERE ga.user_id = ? ${portfolioId ? 'AND ga.portfolio_id = ?' : ''}
+    ORDER BY ga.created_at ASC, ga.id ASC
+  `, portfolioId ? [userId, portfolioId] : [userId]);
+  return rows.map(row => adjustAllocation(row, actions));
+};
+
+const formatHoldingAllocation = (portfolioId, instrumentId, held, allocations) => {
+  const split = splitHolding(held, allocations);
+  const allocated = split.reduce((sum, allocation) => sum + allocation.quantity, 0);
+  return {
+    portfolio_id: Number(portfolioId),
+    instrument_id: Number(instrumentId),
+    quantity: held,
+    allocations: split.map(allocation => ({
+      id: allocation.id,
+      goal_id: allocation.goal_id,
+      goal_name: allocation.goal_name,
+      allocation_type: allocation.allocation_type,
+      value: Math.round(allocation.value * 10000) / 10000,
+      quantity: allocation.quantity
+    })),
+    unallocated_quantity: Math.max(Math.round((held - allocated) * 10000) / 10000, 0)
+  };
+};
+
+// How one holding is split between goals. held may be passed when already known.
+const getHoldingAllocations = async (conn, userId, portfolioId, instrumentId, held) => {
+  const quantity = held ?? await getNetQuantity(conn, userId, portfolioId, instrumentId);
+  const actions = await loadCorporateActions(conn, userId, { portfolioId });
+  const allocations = (await loadGoalAllocations(conn, userId, actions, portfolioId))
+    .filter(allocation => allocation.instrument_id === Number(instrumentId));
+  return formatHoldingAllocation(portfolioId, instrumentId, quantity, allocations);
+};
+
+// Units of a holding allocated to a goal (a merger can leave a goal with two rows on it)
+const getGoalQuantity = (holding, goalId) => holding.allocations
+  .filter(allocation => allocation.goal_id === Number(goalId))
+  .reduce((sum, allocation) => sum + allocation.quantity, 0);
+
+// Replace a goal's allocation of a holding; a value of 0 removes it. Existing rows are
+// replaced rather than updated, since a merger may have carried them over from another
+// instrument.
+const saveGoalAllocation = async (conn, userId, holding, goalId, allocationType, value) => {
+  const existingIds = holding.allocations
+    .filter(allocation => allocation.goal_id === Number(goalId))
+    .map(allocation => allocation.id);
+  if (existingIds.length > 0) {
+    await conn.query('DELETE FROM goal_allocations WHERE id IN (?)', [existingIds]);
+  }
+  if (value > 0) {
+    await conn.query(
+      'INSERT INTO goal_allocations (user_id, goal_id, portfolio_id, instrument_id, allocation_type, value) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, goalId, holding.portfolio_id, holding.instrument_id, allocationType, value]
+    );
+  }
+};
+
+// Add units to (or take units from) a goal's allocation of a holding; the allocation
+// becomes a QUANTITY allocation. Call before recording the trade that moves the units.
+const addToGoalAllocation = async (conn, userId, goalId, portfolioId, instrumentId, delta) => {
+  const holding = await getHoldingAllocations(conn, userId, portfolioId, instrumentId);
+  const quantity = Math.max(getGoalQuantity(holding, goalId) + delta, 0);
+  await saveGoalAllocation(conn, userId, holding, goalId, 'QUANTITY', Math.round(quantity * 10000) / 10000);
+};
+
+// Check the goal belongs to the user and resolve the portfolio; returns { error } or { portfolioId }
+const resolveAllocationTarget = async (conn, userId, goalIds, portfolioId) => {
+  for (const goalId of goalIds.filter(Boolean)) {
+    const [goal] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [goalId, userId]);
+    if (goal.length === 0) {
+      return { error: 'Goal not found' };
+    }
+  }
+  const resolved = await resolvePortfolioId(conn, userId, portfolioId);
+  return resolved ? { portfolioId: resolved } : { error: 'Portfolio not found' };
+};
+
+// List holdings with their goal allocations
+app.get('/goal-allocations', async (req, res) => {
+  const { goal_id, portfolio_id, instrument_id } = req.query;
+  try {
+    const { positions, actions, instruments } = await loadPositions(req.user.id, { portfolioId: portfolio_id });
+    const allocations = await loadGoalAllocations(db, req.user.id, actions, portfolio_id);
+
+    const holdings = positions
+      .filter(position => position.quantity > 0)
+      .filter(position => !instrument_id || position.instrument_id === Number(instrument_id))
+      .map(position => ({
+        symbol: instruments.get(position.instrument_id).symbol,
+        ...formatHoldingAllocation(
+          position.portfolio_id,
+          position.instrument_id,
+          Math.round(position.quantity * 10000) / 10000,
+          allocations.filter(allocation => (
+            allocation.portfolio_id === position.portfolio_id && allocation.instrument_id === position.instrument_id
+          ))
+        )
+      }))
+      .filter(holding => !goal_id || holding.allocations.some(allocation => allocation.goal_id === Number(goal_id)));
+    res.json(holdings);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a goal's allocation of a holding
+app.put('/goal-allocations', async (req, res) => {
+  const { goal_id, instrument_id, portfolio_id, allocation_type, value } = req.body;
+
+  if (!goal_id || !instrument_id) {
+    return res.status(400).json({ error: 'goal_id and instrument_id are required' });
+  }
+
+  const error = validateAllocation(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const target = await resolveAllocationTarget(conn, req.user.id, [goal_id], portfolio_id);
+    if (target.error) {
+      await conn.rollback();
+      return res.status(400).json({ error: target.error });
+    }
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [target.portfolioId]);
+
+    const holding = await getHoldingAllocations(conn, req.user.id, target.portfolioId, instrument_id);
+    const othersQuantity = holding.allocations
+      .filter(allocation => allocation.goal_id !== Number(goal_id))
+      .reduce((sum, allocation) => sum + allocation.quantity, 0);
+    const requested = allocation_type === 'PERCENT' ? (holding.quantity * Number(value)) / 100 : Number(value);
+    const available = Math.max(Math.round((holding.quantity - othersQuantity) * 10000) / 10000, 0);
+    if (requested > available + 0.00005) {
+      await conn.rollback();
+      return res.status(409).json({
+        error: `Only ${available} of ${holding.quantity} units are not allocated to other goals`,
+        code: 'OVER_ALLOCATED',
+        requested_quantity: Math.round(requested * 10000) / 10000,
+        available_quantity: available
+      });
+    }
+
+    await saveGoalAllocation(conn, req.user.id, holding, goal_id, allocation_type, Number(value));
+    const updated = await getHoldingAllocations(conn, req.user.id, target.portfolioId, instrument_id, holding.quantity);
+    await conn.commit();
+
+    events.publish('goal-allocation', updated, req.user.id);
+    res.json(updated);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Move units of a holding between goals
+app.post('/goal-allocations/move', async (req, res) => {
+  const { instrument_id, portfolio_id, from_goal_id, to_goal_id, quantity, percent } = req.body;
+
+  if (!instrument_id) {
+    return res.status(400).json({ error: 'instrument_id is required' });
+  }
+
+  if (!from_goal_id && !to_goal_id) {
+    return res.status(400).json({ error: 'Give from_goal_id, to_goal_id or both' });
+  }
+
+  if (from_goal_id && Number(from_goal_id) === Number(to_goal_id)) {
+    return res.status(400).json({ error: 'from_goal_id and to_goal_id must differ' });
+  }
+
+  if ((quantity === undefined) === (percent === undefined)) {
+    return res.status(400).json({ error: 'Give either quantity or percent' });
+  }
+
+  if (quantity !== undefined ? !(Number(quantity) > 0) : !(Number(percent) > 0 && Number(percent) <= 100)) {
+    return res.status(400).json({ error: 'quantity must be positive, or percent between 0 and 100' });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const target = await resolveAllocationTarget(conn, req.user.id, [from_goal_id, to_goal_id], portfolio_id);
+    if (target.error) {
+      await conn.rollback();
+      return res.status(400).json({ error: target.error });
+    }
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [target.portfolioId]);
+
+    const holding = await getHoldingAllocations(conn, req.user.id, target.portfolioId, instrument_id);
+    const sourceQuantity = from_goal_id ? getGoalQuantity(holding, from_goal_id) : holding.unallocated_quantity;
+    const moveQuantity = quantity !== undefined
+      ? Number(quantity)
+      : Math.round(((sourceQuantity * Number(percent)) / 100) * 10000) / 10000;
+
+    if (moveQuantity > sourceQuantity + 0.00005) {
+      await conn.rollback();
+      return res.status(409).json({
+        error: `Only ${sourceQuantity} units are ${from_goal_id ? 'allocated to that goal' : 'unallocated'}`,
+        code: 'INSUFFICIENT_QUANTITY',
+        requested_quantity: moveQuantity,
+        available_quantity: sourceQuantity
+      });
+    }
+
+    if (from_goal_id) {
+      await addToGoalAllocation(conn, req.user.id, from_goal_id, target.portfolioId, instrument_id, -moveQuantity);
+    }
+    if (to_goal_id) {
+      await addToGoalAllocation(conn, req.user.id, to_goal_id, target.portfolioId, instrument_id, moveQuantity);
+    }
+    const updated = await getHoldingAllocations(conn, req.user.id, target.portfolioId, instrument_id, holding.quantity);
+    await conn.commit();
+
+    events.publish('goal-allocation', updated, req.user.id);
+    res.json(updated);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Remove an allocation
+app.delete('/goal-allocations/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await db.query('SELECT portfolio_id, instrument_id FROM goal_allocations WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Allocation not found' });
+    }
+    await db.query('DELETE FROM goal_allocations WHERE id = ?', [id]);
+    events.publish('goal-allocation', await getHoldingAllocations(db, req.user.id, rows[0].portfolio_id, rows[0].instrument_id), req.user.id);
+    res.json({ message: 'Allocation removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== PERFORMANCE ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PerformanceSummary:
+ *       type: object
+ *       properties:
+ *         start_value:
+ *           type: number
+ *           description: Market value at the end of the day before `from`
+ *         end_value:
+ *           type: number
+ *           description: Market value at the end of `to`
+ *         invested_amount:
+ *           type: number
+ *           description: Cost basis of the units held at the end of `to`
+ *         net_flows:
+ *           type: number
+ *           description: Money put in over the period (buys, less sells and dividends paid out)
+ *         gain:
+ *           type: number
+ *           description: end_value - start_value - net_flows
+ *         twr_percent:
+ *           type: number
+ *           description: Time-weighted return over the period, chained from daily returns net of flows
+ *         twr_annualized_percent:
+ *           type: number
+ *           nullable: true
+ *           description: Annualized time-weighted return (null for periods under a year)
+ *         xirr_percent:
+ *           type: number
+ *           nullable: true
+ *           description: Money-weighted annual return (XIRR) of the start value, flows and end value
+ *     PerformancePoint:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Last day of the period
+ *         value:
+ *           type: number
+ *         invested:
+ *           type: number
+ *         net_flow:
+ *           type: number
+ *           description: Money put in during the period
+ *         twr_percent:
+ *           type: number
+ *           description: Time-weighted return from `from` to this date
+ *
+ * /performance:
+ *   get:
+ *     summary: Get the portfolio's value history with time- and money-weighted returns
+ *     description: >
+ *       Rebuilds the value of the holdings at the end of every day from the trade log and
+ *       corporate actions. Each instrument is priced at its last price_history tick of the
+ *       day, or the price of a later trade that day, carried forward over days with no
+ *       price. Buys are money put in; sells and dividends are money taken out. Goal groups
+ *       split each holding by its goal allocations at the end of the period.
+ *     tags: [Performance]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default is the day of the first trade, or 20 years before to if that is later)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default and latest is today); at most 20 years after from
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *           default: daily
+ *         description: Spacing of the series points; returns are always computed daily
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [instrument, goal, type]
+ *         description: Also return a series per instrument, goal or asset type
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (default is all portfolios combined)
+ *     responses:
+ *       200:
+ *         description: The whole portfolio's series, plus one per group when group_by is set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 granularity:
+ *                   type: string
+ *                 summary:
+ *                   $ref: '#/components/schemas/PerformanceSummary'
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PerformancePoint'
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         description: instrument_id, goal_id (null for unallocated units) or asset type
+ *                       label:
+ *                         type: string
+ *                       summary:
+ *                         $ref: '#/components/schemas/PerformanceSummary'
+ *                       series:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/PerformancePoint'
+ *       400:
+ *         description: Invalid dates, granularity or group_by
+ */
+
+const PERFORMANCE_GROUPINGS = ['instrument', 'goal', 'type'];
+
+// End-of-day prices up to `to` for the instruments given (a Map by id), oldest first:
+// each day's last price_history tick and trade price, plus the live price when `to` is today.
+// With fx ({ base, table }) prices are converted to the base currency at each day's rate.
+const loadDailyMarks = async (trades, instruments, to, fx = null) => {
+  if (instruments.size === 0) {
+    return new Map();
+  }
+  const [ticks] = await db.query(`
+    SELECT ph.instrument_id, ph.price_time, ph.price
+    FROM price_history ph
+    JOIN (
+      SELECT instrument_id, MAX(price_time) as price_time
+      FROM price_history
+      WHERE instrument_id IN (?) AND price_time < DATE_ADD(?, INTERVAL 1 DAY)
+      GROUP BY instrument_id, DATE(price_time)
+    ) last_tick ON ph.instrument_id = last_tick.instrument_id AND ph.price_time = last_tick.price_time
+  `, [[...instruments.keys()], to]);
+
+  const points = [
+    ...ticks.map(tick => ({ instrument_id: tick.instrument_id, time: new Date(tick.price_time), price: Number(tick.price) })),
+    ...trades.map(trade => ({ instrument_id: trade.instrument_id, time: new Date(trade.created_at), price: Number(trade.trade_price) }))
+  ];
+  if (to >= toDateKey(new Date())) {
+    instruments.forEach(instrument => {
+      points.push({ instrument_id: instrument.id, time: new Date(), price: Number(instrument.current_price) });
+    });
+  }
+
+  const marks = new Map();
+  points
+    .sort((a, b) => a.time - b.time)
+    .forEach(point => {
+      if (!marks.has(point.instrument_id)) {
+        marks.set(point.instrument_id, []);
+      }
+      const rate = fx ? fx.table.crossRate(instruments.get(point.instrument_id).currency, fx.base, point.time) : 1;
+      marks.get(point.instrument_id).push({ date: toDateKey(point.time), price: point.price * rate });
+    });
+  return marks;
+};
+
+// Positions at the end of each day with a trade or corporate action, from the last one
+// before `from` (the starting position) onwards
+const buildPositionSnapshots = (trades, actions, from) => {
+  const tradeDates = trades.map(trade => toDateKey(new Date(trade.created_at)));
+  const actionDates = actions.map(action => toDateKey(action.ex_date));
+  const dates = [...new Set([...tradeDates, ...actionDates])].sort();
+  const firstIndex = Math.max(dates.filter(date => date < from).length - 1, 0);
+
+  return dates.slice(firstIndex).map(date => ({
+    date,
+    positions: calculatePositions(
+      trades.filter((trade, index) => tradeDates[index] <= date),
+      actions.filter((action, index) => actionDates[index] <= date)
+    )
+  }));
+};
+
+// Group memberships for group_by=goal: each holding is split by its goal allocations as
+// they stand at the end of the period; units not allocated form their own group
+const getGoalMemberships = async (userId, positions, actions, portfolioId) => {
+  const allocations = await loadGoalAllocations(db, userId, actions, portfolioId);
+  const memberships = new Map();
+  positions.forEach(position => {
+    const onHolding = allocations.filter(allocation => (
+      allocation.portfolio_id === position.portfolio_id && allocation.instrument_id === position.instrument_id
+    ));
+    const held = Math.max(position.quantity, 0);
+    const shares = held > 0
+      ? splitHolding(held, onHolding).map(allocation => ({ key: allocation.goal_id, weight: allocation.quantity / held }))
+      : [];
+    const unallocated = 1 - shares.reduce((sum, share) => sum + share.weight, 0);
+    if (unallocated > 0.0001) {
+      shares.push({ key: null, weight: unallocated });
+    }
+    memberships.set(`${position.portfolio_id}:${position.instrument_id}`, shares);
+  });
+
+  const labels = new Map(allocations.map(allocation => [allocation.goal_id, allocation.goal_name]));
+  labels.set(null, 'Unallocated');
+  return {
+    groupsOf: (portfolioId, instrumentId) => memberships.get(`${portfolioId}:${instrumentId}`) || [{ key: null, weight: 1 }],
+    labelOf: (key) => labels.get(key)
+  };
+};
+
+// Inputs for buildDailyValues / buildPerformance covering a user's holdings from `from`
+// (default: the day of the first trade) to `to`, with group memberships for groupBy.
+// Values and cash flows are in the user's base currency.
+// Returns { from, options, labelOf } where labelOf names a group key.
+const loadPerformanceInputs = async (userId, { from, to, portfolioId, groupBy }) => {
+  const { trades, positions, actions, instruments } = await loadPositions(userId, { portfolioId, asOf: to });
+  const fx = await loadFx(userId, [...instruments.values()].map(instrument => instrument.currency));
+  const toBase = (instrumentId, date) => fx.table.crossRate(instruments.get(instrumentId).currency, fx.base, date);
+  const firstTradeDate = trades.reduce((first, trade) => {
+    const date = toDateKey(new Date(trade.created_at));
+    return first && first < date ? first : date;
+  }, null);
+  // Without a from, the series starts at the first trade, but no earlier than the longest range allows
+  const earliest = yearsBefore(to, MAX_PERFORMANCE_YEARS);
+  const start = from || (firstTradeDate && (firstTradeDate > earliest ? firstTradeDate : earliest)) || to;
+
+  let groupsOf;
+  let labelOf = (key) => String(key);
+  if (groupBy === 'instrument') {
+    groupsOf = (portfolioId, instrumentId) => [{ key: instrumentId, weight: 1 }];
+    labelOf = (key) => instruments.get(key).symbol;
+  } else if (groupBy === 'type') {
+    groupsOf = (portfolioId, instrumentId) => [{ key: instruments.get(instrumentId).type, weight: 1 }];
+  } else if (groupBy === 'goal') {
+    ({ groupsOf, labelOf } = await getGoalMemberships(userId, positions, actions, portfolioId));
+  }
+
+  return {
+    from: start,
+    options: {
+      from: start,
+      to,
+      snapshots: buildPositionSnapshots(trades, actions, start),
+      flows: trades
+        .filter(trade => toDateKey(new Date(trade.created_at)) >= start)
+        .map(trade => ({
+          date: toDateKey(new Date(trade.created_at)),
+          portfolio_id: trade.portfolio_id,
+          instrument_id: trade.instrument_id,
+          amount: (trade.transaction_type === 'BUY' ? 1 : -1) * Number(trade.net_amount) * toBase(trade.instrument_id, trade.created_at)
+        })),
+      marks: await loadDailyMarks(trades, instruments, to, fx),
+      groupsOf
+    },
+    labelOf
+  };
+};
+
+// Longest from-to range of a performance query; every day in it is valued in turn
+const MAX_PERFORMANCE_YEARS = 20;
+
+// The same calendar day `years` years earlier (28 Feb for 29 Feb)
+const yearsBefore = (dateKey, years) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDay = new Date(year - years, month, 0).getDate();
+  return toDateKey(new Date(year - years, month - 1, Math.min(day, lastDay)));
+};
+
+// The `to` query parameter, defaulting to today; later days have no prices, so they
+// are brought back to today (invalid values are left for validatePerformanceQuery)
+const clampToToday = (to) => {
+  const today = toDateKey(new Date());
+  return to === undefined || (isIsoDate(to) && to > today) ? today : to;
+};
+
+// Check the from/to/granularity query parameters; returns an error message or null
+const validatePerformanceQuery = ({ from, to, granularity }) => {
+  if ((from && !isIsoDate(from)) || !isIsoDate(to)) {
+    return 'from and to must be dates in YYYY-MM-DD format';
+  }
+  if (from && from > to) {
+    return 'from must not be after to';
+  }
+  if (from && from < yearsBefore(to, MAX_PERFORMANCE_YEARS)) {
+    return `from and to can be at most ${MAX_PERFORMANCE_YEARS} years apart`;
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    return `granularity must be one of ${GRANULARITIES.join(', ')}`;
+  }
+  return null;
+};
+
+// Get the value history and returns
+app.get('/performance', async (req, res) => {
+  const { from, granularity = 'daily', group_by, portfolio_id } = req.query;
+  const to = clampToToday(req.query.to);
+
+  const error = validatePerformanceQuery({ from, to, granularity });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (group_by && !PERFORMANCE_GROUPINGS.includes(group_by)) {
+    return res.status(400).json({ error: `group_by must be one of ${PERFORMANCE_GROUPINGS.join(', ')}` });
+  }
+
+  try {
+    const inputs = await loadPerformanceInputs(req.user.id, { from, to, portfolioId: portfolio_id, groupBy: group_by });
+    const performance = buildPerformance({ ...inputs.options, granularity });
+
+    const result = { from: inputs.from, to, granularity, ...performance.total };
+    if (group_by) {
+      result.groups = [...performance.groups.entries()]
+        .map(([key, group]) => ({ key, label: inputs.labelOf(key), ...group }))
+        .sort((a, b) => b.summary.end_value - a.summary.end_value);
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== BENCHMARKS ==========
+
+/**
+ * @swagger
+ * /benchmarks:
+ *   get:
+ *     summary: List instruments to compare the portfolio against
+ *     description: >
+ *       Indices (type INDEX) and gold. Any instrument id can be used as a benchmark; its
+ *       history comes from price_history, loaded through the price feed or
+ *       POST /price-history/bulk.
+ *     tags: [Performance]
+ *     responses:
+ *       200:
+ *         description: Benchmark instruments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Instrument'
+ *
+ * /performance/benchmark:
+ *   get:
+ *     summary: Compare the portfolio's returns with a benchmark
+ *     description: >
+ *       Overlays the portfolio's time-weighted return on the benchmark's price return and
+ *       computes alpha (Jensen's, annualized), beta, correlation and tracking error from
+ *       daily returns. same_cash_flows puts the starting value and every buy, sell and
+ *       dividend into the benchmark at that day's close instead, to show what the same
+ *       money would be worth in the index. Benchmark closes are converted to the user's base
+ *       currency at each day's rate, like the portfolio's values.
+ *     tags: [Performance]
+ *     parameters:
+ *       - in: query
+ *         name: benchmark_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Instrument to compare against (see /benchmarks)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default is the day of the first trade, or 20 years before to if that is later)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default and latest is today); at most 20 years after from
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *           default: daily
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (default is all portfolios combined)
+ *     responses:
+ *       200:
+ *         description: Comparison summary, same-cash-flows result and the overlaid series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 benchmark:
+ *                   $ref: '#/components/schemas/Instrument'
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 granularity:
+ *                   type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     portfolio_return_percent:
+ *                       type: number
+ *                       description: Time-weighted return
+ *                     benchmark_return_percent:
+ *                       type: number
+ *                     excess_return_percent:
+ *                       type: number
+ *                     alpha_percent:
+ *                       type: number
+ *                       nullable: true
+ *                     beta:
+ *                       type: number
+ *                       nullable: true
+ *                     correlation:
+ *                       type: number
+ *                       nullable: true
+ *                     tracking_error_percent:
+ *                       type: number
+ *                       nullable: true
+ *                     days_compared:
+ *                       type: integer
+ *                       description: Days with both a portfolio and a benchmark return
+ *                 same_cash_flows:
+ *                   type: object
+ *                   properties:
+ *                     start_value:
+ *                       type: number
+ *                     net_flows:
+ *                       type: number
+ *                     portfolio_end_value:
+ *                       type: number
+ *                     benchmark_end_value:
+ *                       type: number
+ *                     difference:
+ *                       type: number
+ *                       description: portfolio_end_value - benchmark_end_value
+ *                     portfolio_xirr_percent:
+ *                       type: number
+ *                       nullable: true
+ *                     benchmark_xirr_percent:
+ *                       type: number
+ *                       nullable: true
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       portfolio_value:
+ *                         type: number
+ *                       benchmark_value:
+ *                         type: number
+ *                         description: Value of the same cash flows in the benchmark
+ *                       net_flow:
+ *                         type: number
+ *                       portfolio_return_percent:
+ *                         type: number
+ *                       benchmark_return_percent:
+ *                         type: number
+ *       400:
+ *         description: Missing benchmark_id or invalid dates or granularity
+ *       404:
+ *         description: Benchmark instrument not found
+ */
+
+// Get benchmark instruments
+app.get('/benchmarks', async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      "SELECT * FROM instruments WHERE type IN ('INDEX', 'GOLD') ORDER BY type = 'INDEX' DESC, symbol ASC"
+    );
+    // Convert decimal values to numbers
+    res.json(rows.map(formatInstrument));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compare the portfolio with a benchmark
+app.get('/performance/benchmark', async (req, res) => {
+  const { benchmark_id, from, granularity = 'daily', portfolio_id } = req.query;
+  const to = clampToToday(req.query.to);
+
+  if (!benchmark_id) {
+    return res.status(400).json({ error: 'benchmark_id is required' });
+  }
+  const error = validatePerformanceQuery({ from, to, granularity });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [rows] = await db.query('SELECT * FROM instruments WHERE id = ?', [benchmark_id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Benchmark instrument not found' });
+    }
+    const benchmark = rows[0];
+
+    const inputs = await loadPerformanceInputs(req.user.id, { from, to, portfolioId: portfolio_id });
+    // The portfolio series is in the base currency, so the benchmark's closes are converted too
+    const fx = await loadFx(req.user.id, [benchmark.currency]);
+    const marks = await loadDailyMarks([], new Map([[benchmark.id, benchmark]]), to, fx);
+    const comparison = compareWithBenchmark({
+      daily: buildDailyValues(inputs.options).total,
+      closes: marks.get(benchmark.id) || [],
+      from: inputs.from,
+      to,
+      granularity
+    });
+
+    res.json({ benchmark: formatInstrument(benchmark), from: inputs.from, to, granularity, ...comparison });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== RISK ANALYTICS ==========
+
+/**
+ * @swagger
+ * /analytics/risk:
+ *   get:
+ *     summary: Get risk analytics for the portfolio and its holdings
+ *     description: >
+ *       Volatility, maximum drawdown, Sharpe and Sortino ratios for the whole portfolio
+ *       (from its daily time-weighted returns, see /performance) and for each instrument
+ *       held at `to` (from its end-of-day prices in price_history). Also returns a
+ *       correlation matrix of the holdings' daily returns and flags any instrument above
+ *       the concentration limit. Returns are calendar-day returns annualized over 365 days.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default is one year before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default and latest is today); at most 20 years after from
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *         description: Only this portfolio (default is all portfolios combined)
+ *       - in: query
+ *         name: risk_free_rate
+ *         schema:
+ *           type: number
+ *         description: Annual % for Sharpe and Sortino (default is the risk_free_rate setting)
+ *       - in: query
+ *         name: concentration_limit
+ *         schema:
+ *           type: number
+ *         description: Largest % share for one instrument before it is flagged (default is the concentration_limit_percent setting)
+ *     responses:
+ *       200:
+ *         description: Risk report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 risk_free_rate:
+ *                   type: number
+ *                 portfolio:
+ *                   type: object
+ *                   properties:
+ *                     annual_return_percent:
+ *                       type: number
+ *                       nullable: true
+ *                     volatility_percent:
+ *                       type: number
+ *                       nullable: true
+ *                     downside_deviation_percent:
+ *                       type: number
+ *                       nullable: true
+ *                     sharpe_ratio:
+ *                       type: number
+ *                       nullable: true
+ *                     sortino_ratio:
+ *                       type: number
+ *                       nullable: true
+ *                     max_drawdown_percent:
+ *                       type: number
+ *                     peak_date:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     trough_date:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     recovery_date:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                       description: First day back at the peak (null if not yet recovered)
+ *                     days_measured:
+ *                       type: integer
+ *                 holdings:
+ *                   type: array
+ *                   description: The same statistics per instrument, with market_value and weight_percent
+ *                   items:
+ *                     type: object
+ *                 correlation:
+ *                   type: object
+ *                   properties:
+ *                     instruments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           instrument_id:
+ *                             type: integer
+ *                           symbol:
+ *                             type: string
+ *                     matrix:
+ *                       type: array
+ *                       description: matrix[i][j] is the correlation of instruments i and j (null without enough overlapping prices)
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                           nullable: true
+ *                 concentration:
+ *                   type: object
+ *                   properties:
+ *                     limit_percent:
+ *                       type: number
+ *                     largest_share_percent:
+ *                       type: number
+ *                     herfindahl_index:
+ *                       type: number
+ *                       description: Sum of squared shares (1 is a single holding)
+ *                     by_type:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           market_value:
+ *                             type: number
+ *                           share_percent:
+ *                             type: number
+ *                     flags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           instrument_id:
+ *                             type: integer
+ *                           symbol:
+ *                             type: string
+ *                           share_percent:
+ *                             type: number
+ *                           message:
+ *                             type: string
+ *       400:
+ *         description: Invalid dates, risk_free_rate or concentration_limit
+ */
+
+// Get risk analytics
+app.get('/analytics/risk', async (req, res) => {
+  const { portfolio_id, risk_free_rate, concentration_limit } = req.query;
+  const to = clampToToday(req.query.to);
+  const from = req.query.from || (isIsoDate(to) ? yearsBefore(to, 1) : undefined);
+
+  const error = validatePerformanceQuery({ from, to, granularity: 'daily' });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (risk_free_rate !== undefined && !SETTING_VALIDATORS.risk_free_rate(risk_free_rate)) {
+    return res.status(400).json({ error: 'risk_free_rate must be a percentage from 0 to 100' });
+  }
+  if (concentration_limit !== undefined && !SETTING_VALIDATORS.concentration_limit_percent(concentration_limit)) {
+    return res.status(400).json({ error: 'concentration_limit must be a percentage above 0 and up to 100' });
+  }
+
+  try {
+    const settings = await getSettings(db, req.user.id);
+    const riskFreeRate = Number(risk_free_rate ?? settings.risk_free_rate);
+
+    const inputs = await loadPerformanceInputs(req.user.id, { from, to, portfolioId: portfolio_id });
+    const { baseline, points } = buildDailyValues(inputs.options).total;
+    const daily = [baseline, ...points];
+
+    const holdings = (await getHoldings(req.user.id, { portfolioId: portfolio_id, asOf: to }))
+      .filter(holding => holding.quantity > 0);
+    const prices = await loadDailyMarks(
+      [],
+      new Map(holdings.map(holding => [holding.instrument_id, { id: holding.instrument_id, current_price: holding.current_price }])),
+      to
+    );
+
+    const report = analyzeRisk({
+      days: daily.map(point => point.date),
+      // Days when nothing was held, before or after, have no return
+      portfolioLevels: daily.map((point, index) => (
+        point.value > 0 || (index > 0 && daily[index - 1].value > 0) ? point.twr_index : null
+      )),
+      holdings,
+      prices,
+      riskFreeRate,
+      concentrationLimit: Number(concentration_limit ?? settings.concentration_limit_percent)
+    });
+
+    res.json({ from: inputs.from, to, risk_free_rate: riskFreeRate, ...report });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== REBALANCING ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TargetAllocation:
+ *       type: object
+ *       nullable: true
+ *       description: Target weights per asset type (set with PUT .../target-allocation)
+ *       properties:
+ *         targets:
+ *           type: object
+ *           description: Percent per asset type (STOCK, MF, ETF, BOND, FD, GOLD, CRYPTO), adding up to 100
+ *           additionalProperties:
+ *             type: number
+ *           example:
+ *             STOCK: 60
+ *             MF: 25
+ *             GOLD: 15
+ *         drift_band:
+ *           type: number
+ *           description: Percentage points a type may drift from its target before rebalancing (default 5)
+ *     RebalanceOrder:
+ *       type: object
+ *       properties:
+ *         instrument_id:
+ *           type: integer
+ *         symbol:
+ *           type: string
+ *         type:
+ *           type: string
+ *         side:
+ *           type: string
+ *           enum: [BUY, SELL]
+ *         quantity:
+ *           type: number
+ *         price:
+ *           type: number
+ *           description: Price in the instrument's currency
+ *         amount:
+ *           type: number
+ *           description: Order value in the base currency
+ *         estimated_charges:
+ *           type: number
+ *
+ * /portfolios/{id}/target-allocation:
+ *   get:
+ *     summary: Get a portfolio's target allocation
+ *     tags: [Rebalancing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The target allocation (null when none is set)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 target_allocation:
+ *                   $ref: '#/components/schemas/TargetAllocation'
+ *       404:
+ *         description: Portfolio not found
+ *   put:
+ *     summary: Set or clear a portfolio's target allocation
+ *     tags: [Rebalancing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               target_allocation:
+ *                 $ref: '#/components/schemas/TargetAllocation'
+ *     responses:
+ *       200:
+ *         description: Target allocation updated
+ *       400:
+ *         description: Invalid target allocation
+ *       404:
+ *         description: Portfolio not found
+ *
+ * /goals/{id}/target-allocation:
+ *   get:
+ *     summary: Get a goal's target allocation
+ *     tags: [Rebalancing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The target allocation (null when none is set)
+ *       404:
+ *         description: Goal not found
+ *   put:
+ *     summary: Set or clear a goal's target allocation
+ *     description: A goal's target applies to the units allocated to it, and takes precedence over the portfolio's when planning for the goal.
+ *     tags: [Rebalancing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               target_allocation:
+ *                 $ref: '#/components/schemas/TargetAllocation'
+ *     responses:
+ *       200:
+ *         description: Target allocation updated
+ *       400:
+ *         description: Invalid target allocation
+ *       404:
+ *         description: Goal not found
+ *
+ * /rebalance/plan:
+ *   post:
+ *     summary: Propose the trades that bring a portfolio or goal back to its target allocation
+ *     description: >
+ *       Compares the holdings (or a goal's units) in one portfolio with the stored target
+ *       allocation, valued at current prices. FULL sells overweight types and buys
+ *       underweight ones once any type is outside the drift band; NEW_CASH_ONLY only
+ *       invests new_cash where it is short. Stocks are traded in whole shares. Charges are
+ *       estimated from the portfolio's fee schedule and not taken out of cash_remaining.
+ *       The orders can be posted as they are to POST /rebalance/execute.
+ *     tags: [Rebalancing]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               portfolio_id:
+ *                 type: integer
+ *                 description: Defaults to the default portfolio
+ *               goal_id:
+ *                 type: integer
+ *                 description: Plan only for the units allocated to this goal, using its target
+ *               mode:
+ *                 type: string
+ *                 enum: [FULL, NEW_CASH_ONLY]
+ *                 default: FULL
+ *               new_cash:
+ *                 type: number
+ *                 default: 0
+ *                 description: Money to invest on top of the holdings
+ *               avoid_short_term_gains:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only sell units that would not realize a short-term gain
+ *               instruments:
+ *                 type: object
+ *                 description: Instrument id to buy for an asset type that is not held yet
+ *                 additionalProperties:
+ *                   type: integer
+ *                 example:
+ *                   GOLD: 12
+ *     responses:
+ *       200:
+ *         description: The rebalancing plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 portfolio_id:
+ *                   type: integer
+ *                 goal_id:
+ *                   type: integer
+ *                   nullable: true
+ *                 target_allocation:
+ *                   $ref: '#/components/schemas/TargetAllocation'
+ *                 mode:
+ *                   type: string
+ *                 drift_band:
+ *                   type: number
+ *                 current_value:
+ *                   type: number
+ *                 new_cash:
+ *                   type: number
+ *                 needs_rebalance:
+ *                   type: boolean
+ *                   description: Whether any asset type is outside the drift band
+ *                 allocation:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                       target_percent:
+ *                         type: number
+ *                       current_value:
+ *                         type: number
+ *                       current_percent:
+ *                         type: number
+ *                       drift_percent:
+ *                         type: number
+ *                       outside_band:
+ *                         type: boolean
+ *                       planned_value:
+ *                         type: number
+ *                       planned_percent:
+ *                         type: number
+ *                 orders:
+ *                   type: array
+ *                   description: Sells first, then buys
+ *                   items:
+ *                     $ref: '#/components/schemas/RebalanceOrder'
+ *                 cash_remaining:
+ *                   type: number
+ *                   description: Sale proceeds and new cash left over after the buys
+ *                 total_estimated_charges:
+ *                   type: number
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid options, or no target allocation is set
+ *
+ * /rebalance/execute:
+ *   post:
+ *     summary: Post a batch of rebalancing orders as trades
+ *     description: >
+ *       Posts every order in one transaction, sells first, so either all of them are
+ *       recorded or none is. Orders for a goal move units in and out of its allocation.
+ *       Each order is checked like a single buy or sell (held quantity, and cash when the
+ *       block_buys_on_insufficient_cash setting is on).
+ *     tags: [Rebalancing]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orders
+ *             properties:
+ *               portfolio_id:
+ *                 type: integer
+ *               goal_id:
+ *                 type: integer
+ *               orders:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - instrument_id
+ *                     - side
+ *                     - quantity
+ *                   properties:
+ *                     instrument_id:
+ *                       type: integer
+ *                     side:
+ *                       type: string
+ *                       enum: [BUY, SELL]
+ *                     quantity:
+ *                       type: number
+ *                     price:
+ *                       type: number
+ *                       description: Defaults to the instrument's current price
+ *     responses:
+ *       201:
+ *         description: Trades created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 trades:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradeLog'
+ *       400:
+ *         description: Invalid orders, goal or portfolio (order_index points at the order)
+ *       409:
+ *         description: An order sells more than is held or buys with more cash than is available
+ */
+
+const REBALANCE_SIDES = ['BUY', 'SELL'];
+
+// Get a portfolio's target allocation
+app.get('/portfolios/:id/target-allocation', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await db.query('SELECT target_allocation FROM portfolios WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    res.json({ target_allocation: rows[0].target_allocation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check a target allocation from a request body and fill in the default drift band;
+// returns { error } or { targetAllocation } (null clears it)
+const parseTargetAllocation = (target_allocation) => {
+  if (target_allocation === undefined) {
+    return { error: 'target_allocation is required (null clears it)' };
+  }
+  if (target_allocation === null) {
+    return { targetAllocation: null };
+  }
+  const error = validateTargetAllocation(target_allocation);
+  if (error) {
+    return { error };
+  }
+  return {
+    targetAllocation: {
+      targets: target_allocation.targets,
+      drift_band: target_allocation.drift_band ?? DEFAULT_DRIFT_BAND
+    }
+  };
+};
+
+// Update a portfolio's target allocation
+app.put('/portfolios/:id/target-allocation', async (req, res) => {
+  const { id } = req.params;
+  const { error, targetAllocation } = parseTargetAllocation(req.body.target_allocation);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [result] = await db.query(
+      'UPDATE portfolios SET target_allocation = ? WHERE id = ? AND user_id = ?',
+      [targetAllocation && JSON.stringify(targetAllocation), id, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    alertQueue.schedule(req.user.id);
+    res.json({ target_allocation: targetAllocation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a goal's target allocation
+app.get('/goals/:id/target-allocation', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await db.query('SELECT target_allocation FROM goals WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    res.json({ target_allocation: rows[0].target_allocation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a goal's target allocation
+app.put('/goals/:id/target-allocation', async (req, res) => {
+  const { id } = req.params;
+  const { error, targetAllocation } = parseTargetAllocation(req.body.target_allocation);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [result] = await db.query(
+      'UPDATE goals SET target_allocation = ? WHERE id = ? AND user_id = ?',
+      [targetAllocation && JSON.stringify(targetAllocation), id, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    alertQueue.schedule(req.user.id);
+    res.json({ target_allocation: targetAllocation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Units of each instrument in a portfolio that can be sold now without a short-term
+// gain, keyed by instrument id
+const loadSellableQuantities = async (userId, portfolioId, prices) => {
+  const [portfolio] = await db.query('SELECT cost_basis_method FROM portfolios WHERE id = ?', [portfolioId]);
+  const method = portfolio[0].cost_basis_method;
+  const [trades] = await db.query(
+    'SELECT id, instrument_id, transaction_type, quantity, net_amount / quantity as price, created_at FROM trade_log WHERE portfolio_id = ?',
+    [portfolioId]
+  );
+  const actions = await loadCorporateActions(db, userId, { portfolioId });
+
+  const sellable = new Map();
+  matchPortfolioLots(trades, actions, method).forEach((pool, instrumentId) => {
+    const { type, price } = prices.get(instrumentId) || {};
+    if (!type) {
+      return;
+    }
+    const lots = pool.openLots.map(lot => ({
+      date: lot.date,
+      cost_per_unit: method === 'AVERAGE' && pool.quantity > 0 ? pool.cost / pool.quantity : lot.price,
+      quantity: lot.remaining
+    }));
+    sellable.set(instrumentId, sellableWithoutShortTermGain(lots, type, price));
+  });
+  return sellable;
+};
+
+// Propose rebalancing orders
+app.post('/rebalance/plan', async (req, res) => {
+  const { portfolio_id, goal_id, mode = 'FULL', new_cash = 0, avoid_short_term_gains = false, instruments = {} } = req.body;
+
+  if (!REBALANCE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${REBALANCE_MODES.join(', ')}` });
+  }
+  if (!(Number(new_cash) >= 0)) {
+    return res.status(400).json({ error: 'new_cash must be zero or positive' });
+  }
+  if (!instruments || typeof instruments !== 'object' || Array.isArray(instruments)) {
+    return res.status(400).json({ error: 'instruments must map asset types to instrument ids' });
+  }
+
+  try {
+    const portfolioId = await resolvePortfolioId(db, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+
+    // A goal's own target takes precedence over the portfolio's
+    const [portfolio] = await db.query('SELECT target_allocation FROM portfolios WHERE id = ?', [portfolioId]);
+    let target = portfolio[0].target_allocation;
+    if (goal_id) {
+      const [goal] = await db.query('SELECT target_allocation FROM goals WHERE id = ? AND user_id = ?', [goal_id, req.user.id]);
+      if (goal.length === 0) {
+        return res.status(400).json({ error: 'Goal not found' });
+      }
+      target = goal[0].target_allocation || target;
+    }
+    if (!target) {
+      return res.status(400).json({
+        error: goal_id
+          ? 'Set a target allocation on the goal or its portfolio first'
+          : 'Set a target allocation on the portfolio first'
+      });
+    }
+
+    const instrumentsForType = {};
+    for (const [type, instrumentId] of Object.entries(instruments)) {
+      const [instrument] = await db.query('SELECT id, symbol, type, current_price, currency FROM instruments WHERE id = ?', [instrumentId]);
+      if (instrument.length === 0) {
+        return res.status(400).json({ error: `Instrument ${instrumentId} not found` });
+      }
+      if (instrument[0].type !== type) {
+        return res.status(400).json({ error: `instruments.${type} must be a ${type} instrument; ${instrument[0].symbol} is ${instrument[0].type}` });
+      }
+      const fx = await loadFx(req.user.id, [instrument[0].currency]);
+      instrumentsForType[type] = {
+        instrument_id: instrument[0].id,
+        symbol: instrument[0].symbol,
+        type,
+        price: Number(instrument[0].current_price),
+        fx_rate: fx.table.crossRate(instrument[0].currency, fx.base, new Date())
+      };
+    }
+
+    const holdings = (await getHoldings(req.user.id, { portfolioId, goalId: goal_id }))
+      .filter(holding => holding.quantity > 0);
+    const sellable = avoid_short_term_gains
+      ? await loadSellableQuantities(
+        req.user.id,
+        portfolioId,
+        new Map(holdings.map(holding => [holding.instrument_id, { type: holding.type, price: holding.current_price }]))
+      )
+      : null;
+
+    const plan = planRebalance({
+      holdings: holdings.map(holding => ({
+        instrument_id: holding.instrument_id,
+        symbol: holding.symbol,
+        type: holding.type,
+        quantity: holding.quantity,
+        price: holding.current_price,
+        fx_rate: holding.fx_rate,
+        market_value: holding.market_value,
+        // Sales come out of the oldest lots whoever they are allocated to, so a goal
+        // can sell its units up to what the whole portfolio can sell
+        sellable_quantity: sellable ? Math.min(sellable.get(holding.instrument_id) || 0, holding.quantity) : undefined
+      })),
+      target,
+      mode,
+      newCash: Number(new_cash),
+      instrumentsForType
+    });
+
+    const orders = [];
+    for (const order of plan.orders) {
+      const { charges } = await getTradeCharges(db, portfolioId, order, order.side, order.quantity, order.price);
+      orders.push({ ...order, estimated_charges: charges });
+    }
+
+    res.json({
+      portfolio_id: portfolioId,
+      goal_id: goal_id ? Number(goal_id) : null,
+      target_allocation: target,
+      ...plan,
+      orders,
+      total_estimated_charges: roundAmount(orders.reduce((sum, order) => sum + order.estimated_charges, 0))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Post one rebalancing order as a trade. Returns { trade_id }, or { status, error, ... }
+// for an order that cannot be posted.
+const executeRebalanceOrder = async (conn, userId, portfolioId, goalId, order, settings) => {
+  const [instrument] = await conn.query('SELECT id, symbol, type, currency, current_price FROM instruments WHERE id = ?', [order.instrument_id]);
+  if (instrument.length === 0) {
+    return { status: 400, error: 'Instrument not found' };
+  }
+  if (instrument[0].type === 'INDEX') {
+    return { status: 400, error: INDEX_TRADE_ERROR };
+  }
+
+  const quantity = Number(order.quantity);
+  const price = Number(order.price ?? instrument[0].current_price);
+  const totalAmount = roundAmount(quantity * price);
+  const tradeCharges = await getTradeCharges(conn, portfolioId, instrument[0], order.side, quantity, price);
+
+  if (order.side === 'SELL') {
+    let availableQuantity = await getNetQuantity(conn, userId, portfolioId, instrument[0].id);
+    if (goalId) {
+      const holding = await getHoldingAllocations(conn, userId, portfolioId, instrument[0].id, availableQuantity);
+      availableQuantity = getGoalQuantity(holding, goalId);
+    }
+    if (quantity > availableQuantity) {
+      return {
+        status: 409,
+        error: goalId
+          ? `Cannot sell ${quantity} units of ${instrument[0].symbol}; only ${availableQuantity} allocated to this goal`
+          : `Cannot sell ${quantity} units of ${instrument[0].symbol}; only ${availableQuantity} held`,
+        code: 'INSUFFICIENT_QUANTITY',
+        available_quantity: availableQuantity
+      };
+    }
+  } else if (settings.block_buys_on_insufficient_cash === 'true') {
+    const netAmount = roundAmount(totalAmount + tradeCharges.charges);
+    const currency = instrument[0].currency;
+    const availableCash = await getCashBalance(conn, userId, portfolioId, currency);
+    if (netAmount > availableCash) {
+      return {
+        status: 409,
+        error: `Buying ${quantity} units of ${instrument[0].symbol} needs ${currency} ${netAmount}; only ${currency} ${availableCash} cash available`,
+        code: 'INSUFFICIENT_CASH',
+        currency,
+        required_amount: netAmount,
+        available_cash: availableCash
+      };
+    }
+  }
+
+  if (goalId) {
+    await addToGoalAllocation(conn, userId, goalId, portfolioId, instrument[0].id, order.side === 'BUY' ? quantity : -quantity);
+  }
+
+  const [result] = await conn.query(
+    'INSERT INTO trade_log (user_id, portfolio_id, instrument_id, goal_id, transaction_type, quantity, price, total_amount, charges, charges_breakdown, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      userId, portfolioId, instrument[0].id, goalId || null, order.side, quantity, price, totalAmount,
+      tradeCharges.charges, tradeCharges.breakdown && JSON.stringify(tradeCharges.breakdown), instrument[0].currency
+    ]
+  );
+  return { trade_id: result.insertId };
+};
+
+// Post a batch of rebalancing orders
+app.post('/rebalance/execute', async (req, res) => {
+  const { portfolio_id, goal_id, orders } = req.body;
+
+  if (!Array.isArray(orders) || orders.length === 0) {
+    return res.status(400).json({ error: 'orders must be a non-empty array' });
+  }
+  const invalidIndex = orders.findIndex(order => (
+    !order || !order.instrument_id || !REBALANCE_SIDES.includes(order.side) ||
+    !(Number(order.quantity) > 0) || (order.price !== undefined && order.price !== null && !(Number(order.price) > 0))
+  ));
+  if (invalidIndex !== -1) {
+    return res.status(400).json({
+      error: 'Each order needs an instrument_id, a side of BUY or SELL, a positive quantity and, if given, a positive price',
+      order_index: invalidIndex
+    });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const target = await resolveAllocationTarget(conn, req.user.id, [goal_id], portfolio_id);
+    if (target.error) {
+      await conn.rollback();
+      return res.status(400).json({ error: target.error });
+    }
+    const { portfolioId } = target;
+
+    // Lock the portfolio so concurrent trades can't spend the same cash or units
+    await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [portfolioId]);
+    const settings = await getSettings(conn, req.user.id);
+
+    // Sells go first so their proceeds can pay for the buys
+    const queue = orders
+      .map((order, index) => ({ order, index }))
+      .sort((a, b) => (a.order.side === b.order.side ? a.index - b.index : a.order.side === 'SELL' ? -1 : 1));
+    const tradeIds = [];
+    for (const { order, index } of queue) {
+      const outcome = await executeRebalanceOrder(conn, req.user.id, portfolioId, goal_id, order, settings);
+      if (outcome.error) {
+        await conn.rollback();
+        const { status, ...details } = outcome;
+        return res.status(status).json({ ...details, portfolio_id: portfolioId, order_index: index });
+      }
+      tradeIds.push(outcome.trade_id);
+    }
+
+    await rebuildLotMatches(conn, portfolioId);
+    await conn.commit();
+
+    const [trades] = await db.query(`
+      SELECT 
+        tl.*,
+        i.symbol as instrument_symbol,
+        i.name as instrument_name,
+        i.type as instrument_type,
+        g.name as goal_name,
+        p.name as portfolio_name
+      FROM trade_log tl
+      LEFT JOIN instruments i ON tl.instrument_id = i.id
+      LEFT JOIN goals g ON tl.goal_id = g.id
+      LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+      WHERE tl.id IN (?)
+      ORDER BY tl.id
+    `, [tradeIds]);
+
+    trades.forEach(trade => events.publish('trade', trade, req.user.id));
+    res.status(201).json({ trades });
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// ========== ALERTS & NOTIFICATIONS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Alert:
+ *       type: object
+ *       required:
+ *         - alert_type
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         alert_type:
+ *           type: string
+ *           enum: [PRICE, PNL, DRIFT, GOAL_MILESTONE]
+ *           description: >
+ *             PRICE - an instrument's price crosses threshold;
+ *             PNL - unrealized P&L percent of a holding (instrument_id), a portfolio or all holdings crosses threshold;
+ *             DRIFT - an asset type drifts more than threshold points (default the drift band) from the target allocation of portfolio_id or goal_id;
+ *             GOAL_MILESTONE - goal_id's progress reaches threshold percent
+ *         instrument_id:
+ *           type: integer
+ *           nullable: true
+ *         instrument_symbol:
+ *           type: string
+ *           readOnly: true
+ *         portfolio_id:
+ *           type: integer
+ *           nullable: true
+ *         portfolio_name:
+ *           type: string
+ *           readOnly: true
+ *         goal_id:
+ *           type: integer
+ *           nullable: true
+ *         goal_name:
+ *           type: string
+ *           readOnly: true
+ *         direction:
+ *           type: string
+ *           enum: [ABOVE, BELOW]
+ *           nullable: true
+ *           description: For PRICE and PNL alerts
+ *         threshold:
+ *           type: number
+ *           nullable: true
+ *         notify_outbound:
+ *           type: boolean
+ *           default: true
+ *           description: Also send the notification through the outbound channel (webhook or email)
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ *         is_triggered:
+ *           type: boolean
+ *           readOnly: true
+ *           description: The condition held at the last check; the alert fires again once it has cleared
+ *         last_triggered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *       example:
+ *         alert_type: PRICE
+ *         instrument_id: 1
+ *         direction: BELOW
+ *         threshold: 2300
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         alert_id:
+ *           type: integer
+ *           nullable: true
+ *         alert_type:
+ *           type: string
+ *           nullable: true
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           nullable: true
+ *           description: What was measured (value, threshold and details for the alert type)
+ *         is_read:
+ *           type: boolean
+ *         delivery_status:
+ *           type: string
+ *           enum: [PENDING, SENT, FAILED, SKIPPED]
+ *           description: Outbound delivery (SKIPPED when no channel is configured or the alert is in-app only)
+ *         delivery_error:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ * /alerts:
+ *   get:
+ *     summary: List alerts
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: alert_type
+ *         schema:
+ *           type: string
+ *           enum: [PRICE, PNL, DRIFT, GOAL_MILESTONE]
+ *     responses:
+ *       200:
+ *         description: The user's alerts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Alert'
+ *   post:
+ *     summary: Create an alert
+ *     description: The alert is checked straight away, so a condition that already holds notifies at once.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Alert'
+ *     responses:
+ *       201:
+ *         description: Alert created
+ *       400:
+ *         description: Invalid alert, or an instrument, portfolio or goal that was not found
+ *
+ * /alerts/check:
+ *   post:
+ *     summary: Check the user's alerts now
+ *     description: Alerts are checked automatically whenever prices or trades change; this runs a check on demand.
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: Notifications raised by the check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *
+ * /alerts/{id}:
+ *   get:
+ *     summary: Get an alert
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The alert
+ *       404:
+ *         description: Alert not found
+ *   put:
+ *     summary: Update an alert
+ *     description: Fields left out keep their values. An updated alert is re-armed and checked again.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Alert'
+ *     responses:
+ *       200:
+ *         description: Alert updated
+ *       400:
+ *         description: Invalid alert
+ *       404:
+ *         description: Alert not found
+ *   delete:
+ *     summary: Delete an alert
+ *     description: Its notifications are kept.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alert deleted
+ *       404:
+ *         description: Alert not found
+ *
+ * /notifications:
+ *   get:
+ *     summary: List notifications, newest first
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Notifications and the number still unread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unread_count:
+ *                   type: integer
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *
+ * /notifications/read-all:
+ *   put:
+ *     summary: Mark every notification as read
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *
+ * /notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ *
+ * /notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ *
+ * /notifications/channel:
+ *   get:
+ *     summary: Get the outbound notification channel and its delivery counts
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Channel name (null when off), sent and failed counts, last error
+ *
+ * /notifications/test:
+ *   post:
+ *     summary: Send a test notification in-app and through the outbound channel
+ *     tags: [Notifications]
+ *     responses:
+ *       201:
+ *         description: The test notification, with its delivery status
+ */
+
+// Channel is chosen by ALERT_CHANNEL (none, log, webhook or email); notifications are in-app only by default
+const notifier = createNotifier(createChannel(process.env.ALERT_CHANNEL, {
+  filePath: process.env.ALERT_LOG_FILE,
+  url: process.env.ALERT_WEBHOOK_URL,
+  secret: process.env.ALERT_WEBHOOK_SECRET,
+  host: process.env.ALERT_SMTP_HOST,
+  port: process.env.ALERT_SMTP_PORT,
+  from: process.env.ALERT_EMAIL_FROM
+}));
+
+const ALERT_SELECT = `
+  SELECT
+    a.*,
+    i.symbol as instrument_symbol,
+    i.current_price,
+    p.name as portfolio_name,
+    p.target_allocation as portfolio_target_allocation,
+    g.name as goal_name,
+    g.target_allocation as goal_target_allocation
+  FROM alerts a
+  LEFT JOIN instruments i ON a.instrument_id = i.id
+  LEFT JOIN portfolios p ON a.portfolio_id = p.id
+  LEFT JOIN goals g ON a.goal_id = g.id
+`;
+
+const formatAlert = (row) => ({
+  id: row.id,
+  user_id: row.user_id,
+  alert_type: row.alert_type,
+  instrument_id: row.instrument_id,
+  instrument_symbol: row.instrument_symbol,
+  portfolio_id: row.portfolio_id,
+  portfolio_name: row.portfolio_name,
+  goal_id: row.goal_id,
+  goal_name: row.goal_name,
+  direction: row.direction,
+  threshold: row.threshold === null ? null : Number(row.threshold),
+  notify_outbound: Boolean(row.notify_outbound),
+  is_active: Boolean(row.is_active),
+  is_triggered: Boolean(row.is_triggered),
+  last_triggered_at: row.last_triggered_at,
+  created_at: row.created_at
+});
+
+const formatNotification = (row) => ({
+  ...row,
+  is_read: Boolean(row.is_read)
+});
+
+const getAlert = async (conn, userId, alertId) => {
+  const [rows] = await conn.query(`${ALERT_SELECT} WHERE a.id = ? AND a.user_id = ?`, [alertId, userId]);
+  return rows.length > 0 ? formatAlert(rows[0]) : null;
+};
+
+// Check the instrument exists and the portfolio and goal belong to the user; returns an error message or null
+const checkAlertReferences = async (conn, userId, { instrument_id, portfolio_id, goal_id }) => {
+  if (instrument_id) {
+    const [instrument] = await conn.query('SELECT id FROM instruments WHERE id = ?', [instrument_id]);
+    if (instrument.length === 0) {
+      return 'Instrument not found';
+    }
+  }
+  if (portfolio_id) {
+    const [portfolio] = await conn.query('SELECT id FROM portfolios WHERE id = ? AND user_id = ?', [portfolio_id, userId]);
+    if (portfolio.length === 0) {
+      return 'Portfolio not found';
+    }
+  }
+  if (goal_id) {
+    const [goal] = await conn.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [goal_id, userId]);
+    if (goal.length === 0) {
+      return 'Goal not found';
+    }
+  }
+  return null;
+};
+
+// What an alert measures, as { value, label, ...details }; null when there is nothing to
+// measure yet (no price, nothing invested, no target allocation)
+const observeAlert = async (alert, holdingsFor) => {
+  switch (alert.alert_type) {
+    case 'PRICE': {
+      const price = Number(alert.current_price);
+      return price > 0 ? { value: price, label: alert.instrument_symbol } : null;
+    }
+    case 'PNL': {
+      const holdings = (await holdingsFor({ portfolioId: alert.portfolio_id }))
+        .filter(holding => !alert.instrument_id || holding.instrument_id === alert.instrument_id);
+      const investedAmount = holdings.reduce((sum, holding) => sum + holding.invested_amount, 0);
+      const unrealizedPnl = holdings.reduce((sum, holding) => sum + holding.unrealized_pnl, 0);
+      if (!(investedAmount > 0)) {
+        return null;
+      }
+      return {
+        value: roundAmount((unrealizedPnl / investedAmount) * 100),
+        label: alert.instrument_id ? alert.instrument_symbol : alert.portfolio_name || 'Your holdings',
+        unrealized_pnl: roundAmount(unrealizedPnl),
+        invested_amount: roundAmount(investedAmount)
+      };
+    }
+    case 'DRIFT': {
+      // As when planning a rebalance, a goal's own target comes before its portfolio's
+      const target = alert.goal_target_allocation || alert.portfolio_target_allocation;
+      if (!target) {
+        return null;
+      }
+      const drift = largestDrift(await holdingsFor({ portfolioId: alert.portfolio_id, goalId: alert.goal_id }), target.targets);
+      return drift && {
+        value: drift.drift_percent,
+        label: alert.goal_name || alert.portfolio_name,
+        asset_type: drift.type,
+        drift_band: target.drift_band ?? DEFAULT_DRIFT_BAND
+      };
+    }
+    case 'GOAL_MILESTONE': {
+      const [goal] = await db.query('SELECT * FROM goals WHERE id = ?', [alert.goal_id]);
+      const progress = summarizeGoal(goal[0], await holdingsFor({ goalId: alert.goal_id }));
+      return {
+        value: progress.progress_percent,
+        label: progress.name,
+        current_amount: progress.current_amount,
+        target_amount: progress.target_amount
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Show a new notification in the user's open apps and, when outbound, send it through the channel
+const deliverNotification = async (notificationId, outbound) => {
+  const [rows] = await db.query('SELECT * FROM notifications WHERE id = ?', [notificationId]);
+  let notification = formatNotification(rows[0]);
+  events.publish('notification', notification, notification.user_id);
+
+  if (outbound) {
+    const [users] = await db.query('SELECT id, email, name FROM users WHERE id = ?', [notification.user_id]);
+    const delivery = await notifier.send(notification, users[0]);
+    await db.query(
+      'UPDATE notifications SET delivery_status = ?, delivery_error = ? WHERE id = ?',
+      [delivery.status, delivery.error || null, notification.id]
+    );
+    notification = { ...notification, delivery_status: delivery.status, delivery_error: delivery.error || null };
+  }
+  return notification;
+};
+
+// Fire an alert: flip it to triggered and store its notification together, so a failed
+// insert leaves it armed. Only the check that flips the flag fires, so overlapping checks
+// notify once. Returns the notification id, or null when another check got there first.
+const fireAlert = async (alert, observation) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [claimed] = await conn.query(
+      'UPDATE alerts SET is_triggered = TRUE, last_triggered_at = NOW() WHERE id = ? AND is_triggered = FALSE',
+      [alert.id]
+    );
+    if (claimed.affectedRows === 0) {
+      await conn.rollback();
+      return null;
+    }
+    const { title, message } = describeAlert(alert, observation);
+    const [result] = await conn.query(
+      'INSERT INTO notifications (user_id, alert_id, alert_type, title, message, data, delivery_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [
+        alert.user_id, alert.id, alert.alert_type, title, message,
+        JSON.stringify({ ...observation, threshold: alert.threshold === null ? null : Number(alert.threshold) }),
+        alert.notify_outbound ? 'PENDING' : 'SKIPPED'
+      ]
+    );
+    await conn.commit();
+    return result.insertId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Check the active alerts of the given users (every user when null). An alert whose
+// condition starts to hold fires a notification; one whose condition cleared is re-armed.
+// An alert that can't be checked is skipped until the next run. Returns the notifications raised.
+const checkAlerts = async (userIds) => {
+  if (userIds && userIds.length === 0) {
+    return [];
+  }
+  const [alerts] = await db.query(
+    `${ALERT_SELECT} WHERE a.is_active = TRUE${userIds ? ' AND a.user_id IN (?)' : ''} ORDER BY a.id`,
+    userIds ? [userIds] : []
+  );
+
+  // Holdings are loaded once per user and filter, however many alerts look at them
+  const holdingsCache = new Map();
+  const fired = [];
+  for (const alert of alerts) {
+    const holdingsFor = (filters) => {
+      const key = JSON.stringify([alert.user_id, filters]);
+      if (!holdingsCache.has(key)) {
+        holdingsCache.set(key, getHoldings(alert.user_id, filters).then(holdings => holdings.filter(holding => holding.quantity > 0)));
+      }
+      return holdingsCache.get(key);
+    };
+
+    try {
+      const observation = await observeAlert(alert, holdingsFor);
+      if (!observation) {
+        continue;
+      }
+      const met = isConditionMet(alert, observation);
+
+      if (met && !alert.is_triggered) {
+        const notificationId = await fireAlert(alert, observation);
+        if (notificationId !== null) {
+          fired.push({ notificationId, outbound: Boolean(alert.notify_outbound) });
+        }
+      } else if (!met && alert.is_triggered) {
+        await db.query('UPDATE alerts SET is_triggered = FALSE WHERE id = ?', [alert.id]);
+      }
+    } catch (err) {
+      console.error(`Alert ${alert.id} could not be checked:`, err.message);
+    }
+  }
+
+  // Notifications already stored are delivered even if one of them fails
+  const notifications = [];
+  for (const { notificationId, outbound } of fired) {
+    try {
+      notifications.push(await deliverNotification(notificationId, outbound));
+    } catch (err) {
+      console.error(`Notification ${notificationId} could not be delivered:`, err.message);
+    }
+  }
+  return notifications;
+};
+
+const alertQueue = createAlertQueue(checkAlerts);
+
+// Changes that can move a user's alerts. Price changes schedule everyone's alerts from
+// the price feed and instrument updates.
+const ALERT_TRIGGER_EVENTS = ['trade', 'trades-imported', 'corporate-action', 'goal', 'goal-allocation', 'portfolio'];
+
+events.listen((type, data, userId) => {
+  if (userId !== undefined && ALERT_TRIGGER_EVENTS.includes(type)) {
+    alertQueue.schedule(userId);
+  }
+});
+
+const ALERT_FIELDS = ['alert_type', 'instrument_id', 'portfolio_id', 'goal_id', 'direction', 'threshold', 'notify_outbound', 'is_active'];
+
+// Get alerts
+app.get('/alerts', async (req, res) => {
+  const { alert_type } = req.query;
+  try {
+    const conditions = ['a.user_id = ?'];
+    const params = [req.user.id];
+    if (alert_type) {
+      conditions.push('a.alert_type = ?');
+      params.push(alert_type);
+    }
+    const [rows] = await db.query(`${ALERT_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY a.created_at DESC`, params);
+    res.json(rows.map(formatAlert));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check the user's alerts now
+app.post('/alerts/check', async (req, res) => {
+  try {
+    const notifications = await checkAlerts([req.user.id]);
+    res.json({ notifications });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get alert by ID
+app.get('/alerts/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const alert = await getAlert(db, req.user.id, id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json(alert);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create an alert
+app.post('/alerts', async (req, res) => {
+  const alert = Object.fromEntries(Object.entries(req.body).filter(([key]) => ALERT_FIELDS.includes(key)));
+  const error = validateAlert(alert);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const referenceError = await checkAlertReferences(db, req.user.id, alert);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO alerts (user_id, alert_type, instrument_id, portfolio_id, goal_id, direction, threshold, notify_outbound, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        req.user.id, alert.alert_type, alert.instrument_id || null, alert.portfolio_id || null, alert.goal_id || null,
+        alert.direction || null, alert.threshold ?? null, alert.notify_outbound ?? true, alert.is_active ?? true
+      ]
+    );
+
+    alertQueue.schedule(req.user.id);
+    res.status(201).json(await getAlert(db, req.user.id, result.insertId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update an alert
+app.put('/alerts/:id', async (req, res) => {
+  const { id } = req.params;
+  const changes = Object.fromEntries(Object.entries(req.body).filter(([key]) => ALERT_FIELDS.includes(key)));
+
+  try {
+    const [rows] = await db.query('SELECT * FROM alerts WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const updated = {
+      ...rows[0],
+      threshold: rows[0].threshold === null ? null : Number(rows[0].threshold),
+      notify_outbound: Boolean(rows[0].notify_outbound),
+      is_active: Boolean(rows[0].is_active),
+      ...changes
+    };
+    const error = validateAlert(updated) || await checkAlertReferences(db, req.user.id, updated);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The edited condition starts out armed, so it fires if it already holds
+    await db.query(
+      'UPDATE alerts SET alert_type = ?, instrument_id = ?, portfolio_id = ?, goal_id = ?, direction = ?, threshold = ?, notify_outbound = ?, is_active = ?, is_triggered = FALSE WHERE id = ?',
+      [
+        updated.alert_type, updated.instrument_id || null, updated.portfolio_id || null, updated.goal_id || null,
+        updated.direction || null, updated.threshold ?? null, updated.notify_outbound, updated.is_active, id
+      ]
+    );
+
+    alertQueue.schedule(req.user.id);
+    res.json(await getAlert(db, req.user.id, id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete an alert
+app.delete('/alerts/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query('DELETE FROM alerts WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ message: 'Alert deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get notifications
+app.get('/notifications', async (req, res) => {
+  const { unread } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  try {
+    const [rows] = await db.query(
+      `SELECT * FROM notifications WHERE user_id = ?${unread === 'true' ? ' AND is_read = FALSE' : ''} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [req.user.id, limit]
+    );
+    const [unreadCount] = await db.query(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+      [req.user.id]
+    );
+    res.json({ unread_count: unreadCount[0].count, notifications: rows.map(formatNotification) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark every notification as read
+app.put('/notifications/read-all', async (req, res) => {
+  try {
+    const [result] = await db.query('UPDATE notifications SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE', [req.user.id]);
+    res.json({ message: 'Notifications marked as read', count: result.affectedRows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark a notification as read
+app.put('/notifications/:id/read', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query('UPDATE notifications SET is_read = TRUE WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ message: 'Notification marked as read' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the outbound channel status
+app.get('/notifications/channel', (req, res) => {
+  res.json(notifier.getStatus());
+});
+
+// Send a test notification
+app.post('/notifications/test', async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)',
+      [req.user.id, 'Test notification', 'Alerts will be delivered like this one.']
+    );
+    res.status(201).json(await deliverNotification(result.insertId, true));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a notification
+app.delete('/notifications/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query('DELETE FROM notifications WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ message: 'Notification deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== WATCHLISTS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WatchlistItem:
+ *       type: object
+ *       properties:
+ *         instrument_id:
+ *           type: integer
+ *         symbol:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *         current_price:
+ *           type: number
+ *         previous_close:
+ *           type: number
+ *           nullable: true
+ *         day_change:
+ *           type: number
+ *         day_change_percent:
+ *           type: number
+ *         price_updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         held_quantity:
+ *           type: number
+ *           description: Units held across all portfolios (0 for instruments only watched)
+ *         tradable:
+ *           type: boolean
+ *           description: False for indices, which cannot be bought
+ *         added_at:
+ *           type: string
+ *           format: date-time
+ *     Watchlist:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WatchlistItem'
+ *
+ * /watchlists:
+ *   get:
+ *     summary: Get the user's watchlists with live prices
+ *     description: Prices keep updating through the price events of GET /events; buy with POST /instruments/{id}/buy.
+ *     tags: [Watchlists]
+ *     responses:
+ *       200:
+ *         description: Watchlists with their instruments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Watchlist'
+ *   post:
+ *     summary: Create a watchlist
+ *     tags: [Watchlists]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               instrument_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Watchlist created
+ *       400:
+ *         description: Missing name or unknown instrument
+ *       409:
+ *         description: A watchlist with this name already exists
+ *
+ * /watchlists/{id}:
+ *   get:
+ *     summary: Get a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The watchlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Watchlist'
+ *       404:
+ *         description: Watchlist not found
+ *   put:
+ *     summary: Rename a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist renamed
+ *       404:
+ *         description: Watchlist not found
+ *       409:
+ *         description: A watchlist with this name already exists
+ *   delete:
+ *     summary: Delete a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted
+ *       404:
+ *         description: Watchlist not found
+ *
+ * /watchlists/{id}/items:
+ *   post:
+ *     summary: Add an instrument to a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - instrument_id
+ *             properties:
+ *               instrument_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: The watchlist with the instrument added
+ *       400:
+ *         description: Instrument not found
+ *       404:
+ *         description: Watchlist not found
+ *       409:
+ *         description: The instrument is already on the watchlist
+ *
+ * /watchlists/{id}/items/{instrumentId}:
+ *   delete:
+ *     summary: Remove an instrument from a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: instrumentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The watchlist without the instrument
+ *       404:
+ *         description: Watchlist or instrument on it not found
+ */
+
+const formatWatchlistItem = (row, heldQuantities) => {
+  const instrument = formatInstrument({
+    current_price: row.current_price,
+    previous_close: row.previous_close,
+    grandfathered_price: null
+  });
+  return {
+    instrument_id: row.instrument_id,
+    symbol: row.symbol,
+    name: row.name,
+    type: row.type,
+    current_price: instrument.current_price,
+    previous_close: instrument.previous_close,
+    day_change: instrument.day_change,
+    day_change_percent: instrument.day_change_percent,
+    price_updated_at: row.price_updated_at,
+    held_quantity: heldQuantities.get(row.instrument_id) || 0,
+    tradable: row.type !== 'INDEX',
+    added_at: row.added_at
+  };
+};
+
+// A user's watchlists (or one of them) with their instruments, oldest list first
+const getWatchlists = async (userId, watchlistId) => {
+  const conditions = ['w.user_id = ?'];
+  const params = [userId];
+  if (watchlistId) {
+    conditions.push('w.id = ?');
+    params.push(watchlistId);
+  }
+  const [watchlists] = await db.query(
+    `SELECT w.id, w.name, w.created_at FROM watchlists w WHERE ${conditions.join(' AND ')} ORDER BY w.created_at, w.id`,
+    params
+  );
+  if (watchlists.length === 0) {
+    return [];
+  }
+
+  const [items] = await db.query(`
+    SELECT
+      wi.watchlist_id,
+      wi.instrument_id,
+      wi.created_at as added_at,
+      i.symbol,
+      i.name,
+      i.type,
+      i.current_price,
+      i.previous_close,
+      i.price_updated_at
+    FROM watchlist_items wi
+    JOIN instruments i ON wi.instrument_id = i.id
+    WHERE wi.watchlist_id IN (?)
+    ORDER BY wi.created_at, wi.id
+  `, [watchlists.map(watchlist => watchlist.id)]);
+  const holdings = await getHoldings(userId);
+  const heldQuantities = new Map(holdings.map(holding => [holding.instrument_id, holding.quantity]));
+
+  return watchlists.map(watchlist => ({
+    ...watchlist,
+    items: items
+      .filter(item => item.watchlist_id === watchlist.id)
+      .map(item => formatWatchlistItem(item, heldQuantities))
+  }));
+};
+
+// Check every instrument id exists; returns an error message or null
+const checkWatchlistInstruments = async (instrumentIds) => {
+  if (instrumentIds.length === 0) {
+    return null;
+  }
+  const [rows] = await db.query('SELECT id FROM instruments WHERE id IN (?)', [instrumentIds]);
+  const found = new Set(rows.map(row => row.id));
+  const missing = instrumentIds.find(id => !found.has(Number(id)));
+  return missing === undefined ? null : `Instrument ${missing} not found`;
+};
+
+// Get watchlists
+app.get('/watchlists', async (req, res) => {
+  try {
+    res.json(await getWatchlists(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get watchlist by ID
+app.get('/watchlists/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [watchlist] = await getWatchlists(req.user.id, id);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(watchlist);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a watchlist
+app.post('/watchlists', async (req, res) => {
+  const { name, instrument_ids = [] } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  if (!Array.isArray(instrument_ids)) {
+    return res.status(400).json({ error: 'instrument_ids must be an array' });
+  }
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    const instrumentError = await checkWatchlistInstruments(instrument_ids);
+    if (instrumentError) {
+      return res.status(400).json({ error: instrumentError });
+    }
+
+    await conn.beginTransaction();
+    const [result] = await conn.query('INSERT INTO watchlists (user_id, name) VALUES (?, ?)', [req.user.id, String(name).trim()]);
+    const uniqueIds = [...new Set(instrument_ids.map(Number))];
+    if (uniqueIds.length > 0) {
+      await conn.query(
+        'INSERT INTO watchlist_items (watchlist_id, instrument_id) VALUES ?',
+        [uniqueIds.map(instrumentId => [result.insertId, instrumentId])]
+      );
+    }
+    await conn.commit();
+
+    const [watchlist] = await getWatchlists(req.user.id, result.insertId);
+    events.publish('watchlist', { action: 'created', watchlist }, req.user.id);
+    res.status(201).json(watchlist);
+  } catch (err) {
+    await conn?.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A watchlist with this name already exists' });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Rename a watchlist
+app.put('/watchlists/:id', async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  try {
+    const [result] = await db.query(
+      'UPDATE watchlists SET name = ? WHERE id = ? AND user_id = ?',
+      [String(name).trim(), id, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    const [watchlist] = await getWatchlists(req.user.id, id);
+    events.publish('watchlist', { action: 'updated', watchlist }, req.user.id);
+    res.json(watchlist);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A watchlist with this name already exists' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a watchlist
+app.delete('/watchlists/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query('DELETE FROM watchlists WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    events.publish('watchlist', { action: 'deleted', id: Number(id) }, req.user.id);
+    res.json({ message: 'Watchlist deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add an instrument to a watchlist
+app.post('/watchlists/:id/items', async (req, res) => {
+  const { id } = req.params;
+  const { instrument_id } = req.body;
+
+  if (!instrument_id) {
+    return res.status(400).json({ error: 'instrument_id is required' });
+  }
+
+  try {
+    const [rows] = await db.query('SELECT id FROM watchlists WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    const instrumentError = await checkWatchlistInstruments([instrument_id]);
+    if (instrumentError) {
+      return res.status(400).json({ error: instrumentError });
+    }
+
+    await db.query('INSERT INTO watchlist_items (watchlist_id, instrument_id) VALUES (?, ?)', [id, instrument_id]);
+
+    const [watchlist] = await getWatchlists(req.user.id, id);
+    events.publish('watchlist', { action: 'updated', watchlist }, req.user.id);
+    res.status(201).json(watchlist);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'The instrument is already on this watchlist' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove an instrument from a watchlist
+app.delete('/watchlists/:id/items/:instrumentId', async (req, res) => {
+  const { id, instrumentId } = req.params;
+  try {
+    const [result] = await db.query(`
+      DELETE wi FROM watchlist_items wi
+      JOIN watchlists w ON wi.watchlist_id = w.id
+      WHERE wi.watchlist_id = ? AND wi.instrument_id = ? AND w.user_id = ?
+    `, [id, instrumentId, req.user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Watchlist or instrument on it not found' });
+    }
+
+    const [watchlist] = await getWatchlists(req.user.id, id);
+    events.publish('watchlist', { action: 'updated', watchlist }, req.user.id);
+    res.json(watchlist);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== FX RATES ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FxRate:
+ *       type: object
+ *       required:
+ *         - currency
+ *         - rate_date
+ *         - rate
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code, e.g. USD
+ *         rate_date:
+ *           type: string
+ *           format: date
+ *           description: Day the rate applies from (date is accepted as an alias)
+ *         rate:
+ *           type: number
+ *           description: Value of one unit of the currency in INR
+ *
+ * /fx-rates:
+ *   get:
+ *     summary: Get FX rates
+ *     description: >
+ *       Without a currency, the latest rate of every currency. With one, its rate history,
+ *       optionally between from and to. A rate applies until the next one, so a day without
+ *       a rate uses the last rate before it.
+ *     tags: [FX Rates]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Rates, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FxRate'
+ *
+ * /fx-rates/bulk:
+ *   post:
+ *     summary: Bulk load FX rates
+ *     description: >
+ *       Accepts a JSON array (or { rates: [...] }) or a text/csv file with a header row using
+ *       the FxRate field names. An existing rate for the same currency and day is replaced.
+ *       Nothing is stored if any row is invalid.
+ *     tags: [FX Rates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/FxRate'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: Rates stored
+ *       400:
+ *         description: Row-level validation errors
+ *       403:
+ *         description: Only administrators change shared reference data
+ */
+
+// Rate table for the given currencies (duplicates and INR are fine)
+const loadFxTable = async (conn, currencies) => {
+  const foreign = [...new Set(currencies)].filter(currency => currency && currency !== PIVOT_CURRENCY);
+  if (foreign.length === 0) {
+    return createFxTable([]);
+  }
+  const [rows] = await conn.query('SELECT currency, rate_date, rate FROM fx_rates WHERE currency IN (?)', [foreign]);
+  return createFxTable(rows);
+};
+
+// The user's base currency and a rate table covering it and the given currencies
+const loadFx = async (userId, currencies) => {
+  const { base_currency: base } = await getSettings(db, userId);
+  return { base, table: await loadFxTable(db, [...currencies, base]) };
+};
+
+// Whether amounts in a currency can be converted (INR always can)
+const hasFxRates = async (conn, currency) => {
+  if (currency === PIVOT_CURRENCY) {
+    return true;
+  }
+  const [rows] = await conn.query('SELECT 1 FROM fx_rates WHERE currency = ? LIMIT 1', [currency]);
+  return rows.length > 0;
+};
+
+// A lot match in the base currency: cost at the buy date's rate, proceeds at the sell date's
+const convertMatch = (fx, match) => {
+  const buyRate = fx.table.crossRate(match.currency, fx.base, match.buy_date);
+  const sellRate = fx.table.crossRate(match.currency, fx.base, match.sell_date);
+  const proceeds = Number(match.proceeds_amount);
+  const cost = Number(match.cost_amount);
+  return {
+    proceeds_amount: proceeds * sellRate,
+    cost_amount: cost * buyRate,
+    realized_pnl: proceeds * sellRate - cost * buyRate,
+    ...splitGain(proceeds, cost, buyRate, sellRate)
+  };
+};
+
+// Get the latest rates, or one currency's history
+app.get('/fx-rates', async (req, res) => {
+  const { currency, from, to } = req.query;
+
+  try {
+    if (!currency) {
+      const [rows] = await db.query(`
+        SELECT f.currency, f.rate_date, f.rate
+        FROM fx_rates f
+        JOIN (SELECT currency, MAX(rate_date) as rate_date FROM fx_rates GROUP BY currency) latest
+          ON f.currency = latest.currency AND f.rate_date = latest.rate_date
+        ORDER BY f.currency
+      `);
+      return res.json(rows.map(row => ({ ...row, rate_date: toDateKey(row.rate_date), rate: Number(row.rate) })));
+    }
+
+    const conditions = ['currency = ?'];
+    const params = [String(currency).toUpperCase()];
+    if (from) {
+      conditions.push('rate_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('rate_date <= ?');
+      params.push(to);
+    }
+    const [rows] = await db.query(`
+      SELECT currency, rate_date, rate
+      FROM fx_rates
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rate_date DESC
+    `, params);
+
+    // Convert decimal values to numbers
+    res.json(rows.map(row => ({ ...row, rate_date: toDateKey(row.rate_date), rate: Number(row.rate) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bulk load FX rates from JSON or CSV
+app.post('/fx-rates/bulk', requireAdmin, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  let rows;
+  if (typeof req.body === 'string') {
+    rows = parseCsv(req.body);
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body.rates;
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'No rate rows provided' });
+  }
+
+  const rates = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const currency = String(row.currency || '').trim().toUpperCase();
+    const rateDate = new Date(row.rate_date || row.date);
+    const rate = optionalNumber(row.rate);
+
+    if (!isCurrencyCode(currency)) {
+      errors.push({ row: index + 1, error: 'currency must be a three-letter ISO code such as USD' });
+    } else if (currency === PIVOT_CURRENCY) {
+      errors.push({ row: index + 1, error: `Rates are quoted in ${PIVOT_CURRENCY}, so ${PIVOT_CURRENCY} needs none` });
+    } else if (isNaN(rateDate.getTime())) {
+      errors.push({ row: index + 1, error: 'Invalid or missing rate_date' });
+    } else if (!(rate > 0)) {
+      errors.push({ row: index + 1, error: 'rate must be a positive number' });
+    } else {
+      rates.push([currency, toDateKey(rateDate), rate]);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Some rows are invalid; nothing was stored', errors });
+  }
+
+  try {
+    await db.query(
+      'INSERT INTO fx_rates (currency, rate_date, rate) VALUES ? ON DUPLICATE KEY UPDATE rate = VALUES(rate)',
+      [rates]
+    );
+    // P&L and drift alerts depend on converted values
+    alertQueue.schedule();
+    res.status(201).json({ message: 'FX rates stored', count: rates.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== ORDERS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       required:
+ *         - instrument_id
+ *         - side
+ *         - order_type
+ *         - quantity
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         instrument_id:
+ *           type: integer
+ *         portfolio_id:
+ *           type: integer
+ *           description: Portfolio to trade in (defaults to the default portfolio)
+ *         goal_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Goal the units are bought or sold for, as with a manual trade
+ *         side:
+ *           type: string
+ *           enum: [BUY, SELL]
+ *         order_type:
+ *           type: string
+ *           enum: [LIMIT, STOP_LOSS, GTT]
+ *           description: >
+ *             LIMIT fills once the price is at or better than limit_price. STOP_LOSS triggers
+ *             once the price rises (BUY) or falls (SELL) to trigger_price, then fills at the
+ *             market price, or at limit_price or better when one is given. GTT triggers once
+ *             the price crosses trigger_price from where it was when placed, then fills at
+ *             limit_price or better.
+ *         quantity:
+ *           type: number
+ *         limit_price:
+ *           type: number
+ *           nullable: true
+ *           description: Required for LIMIT and GTT, optional for STOP_LOSS
+ *         trigger_price:
+ *           type: number
+ *           nullable: true
+ *           description: Required for STOP_LOSS and GTT
+ *         valid_until:
+ *           type: string
+ *           format: date
+ *           description: >
+ *             Last day the order is valid; defaults to today for LIMIT and STOP_LOSS orders and
+ *             to a year from now (the most allowed) for GTT orders
+ *         status:
+ *           type: string
+ *           enum: [OPEN, TRIGGERED, FILLED, CANCELLED, EXPIRED]
+ *           readOnly: true
+ *         trigger_direction:
+ *           type: string
+ *           enum: [ABOVE, BELOW]
+ *           nullable: true
+ *           readOnly: true
+ *         trade_id:
+ *           type: integer
+ *           nullable: true
+ *           readOnly: true
+ *           description: The trade the order filled into
+ *         fill_price:
+ *           type: number
+ *           nullable: true
+ *           readOnly: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: Why the order was cancelled without filling
+ *         instrument_symbol:
+ *           type: string
+ *           readOnly: true
+ *         current_price:
+ *           type: number
+ *           readOnly: true
+ *       example:
+ *         id: 1
+ *         instrument_id: 1
+ *         portfolio_id: 1
+ *         side: SELL
+ *         order_type: STOP_LOSS
+ *         quantity: 5
+ *         limit_price: null
+ *         trigger_price: 2300
+ *         valid_until: 2026-10-19
+ *         status: OPEN
+ *
+ * /orders:
+ *   get:
+ *     summary: Get the user's orders (the order book)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, TRIGGERED, FILLED, CANCELLED, EXPIRED]
+ *       - in: query
+ *         name: instrument_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: portfolio_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Orders, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Order'
+ *   post:
+ *     summary: Place a limit, stop-loss or GTT order
+ *     description: >
+ *       The order is matched whenever the instrument's price changes (from the price feed or
+ *       an administrator's instrument update) and fills into the trade log at that price,
+ *       with the same charges, cash and quantity checks as a manual trade. A fill that fails
+ *       those checks cancels the order. A LIMIT order that is already fillable fills straight
+ *       away.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Order'
+ *     responses:
+ *       201:
+ *         description: Order placed
+ *       400:
+ *         description: Invalid fields, or unknown instrument, goal or portfolio
+ *       409:
+ *         description: A SELL for more units than are held
+ *
+ * /orders/{id}:
+ *   get:
+ *     summary: Get an order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The order
+ *       404:
+ *         description: Order not found
+ *   put:
+ *     summary: Modify an open order
+ *     description: quantity, limit_price, trigger_price and valid_until can be changed until the order triggers.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Order'
+ *     responses:
+ *       200:
+ *         description: Order updated
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is no longer OPEN
+ *
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order already filled, expired or was cancelled
+ */
+
+const ORDER_SELECT = `
+  SELECT
+    o.*,
+    i.symbol as instrument_symbol,
+    i.name as instrument_name,
+    i.type as instrument_type,
+    i.currency,
+    i.current_price,
+    tl.price as fill_price,
+    g.name as goal_name,
+    p.name as portfolio_name
+  FROM orders o
+  JOIN instruments i ON o.instrument_id = i.id
+  JOIN portfolios p ON o.portfolio_id = p.id
+  LEFT JOIN goals g ON o.goal_id = g.id
+  LEFT JOIN trade_log tl ON o.trade_id = tl.id
+`;
+
+// Convert decimal values to numbers
+const formatOrder = (row) => ({
+  ...row,
+  quantity: Number(row.quantity),
+  limit_price: row.limit_price === null ? null : Number(row.limit_price),
+  trigger_price: row.trigger_price === null ? null : Number(row.trigger_price),
+  valid_until: toDateKey(row.valid_until),
+  current_price: Number(row.current_price),
+  fill_price: row.fill_price === null ? null : Number(row.fill_price)
+});
+
+const getOrder = async (conn, userId, orderId) => {
+  const [rows] = await conn.query(`${ORDER_SELECT} WHERE o.id = ? AND o.user_id = ?`, [orderId, userId]);
+  return rows.length === 0 ? null : formatOrder(rows[0]);
+};
+
+// Mark pending orders past their valid_until day EXPIRED (one user's, or everyone's)
+const expireOrders = async (userId) => {
+  const conditions = ['o.status IN (?)', 'o.valid_until < ?'];
+  const params = [PENDING_STATUSES, toDateKey(new Date())];
+  if (userId) {
+    conditions.push('o.user_id = ?');
+    params.push(userId);
+  }
+  const [rows] = await db.query(`${ORDER_SELECT} WHERE ${conditions.join(' AND ')}`, params);
+  if (rows.length === 0) {
+    return;
+  }
+  await db.query("UPDATE orders SET status = 'EXPIRED' WHERE id IN (?) AND status IN (?)", [rows.map(row => row.id), PENDING_STATUSES]);
+  rows.forEach(row => {
+    events.publish('order', { action: 'updated', order: formatOrder({ ...row, status: 'EXPIRED' }) }, row.user_id);
+  });
+};
+
+// Fill an order into the trade log at `price`, with the checks of a manual trade.
+// Returns { status: 'FILLED', trade_id } or { status: 'CANCELLED', note }; a cancelled
+// order leaves nothing posted.
+const executeOrder = async (conn, order, price, settings) => {
+  const quantity = Number(order.quantity);
+  const [instrument] = await conn.query('SELECT id, symbol, type, currency FROM instruments WHERE id = ? FOR UPDATE', [order.instrument_id]);
+  await conn.query('SELECT id FROM portfolios WHERE id = ? FOR UPDATE', [order.portfolio_id]);
+
+  const totalAmount = roundAmount(quantity * price);
+  const tradeCharges = await getTradeCharges(conn, order.portfolio_id, instrument[0], order.side, quantity, price);
+
+  if (order.side === 'BUY' && settings.block_buys_on_insufficient_cash === 'true') {
+    const netAmount = roundAmount(totalAmount + tradeCharges.charges);
+    const currency = instrument[0].currency;
+    const availableCash = await getCashBalance(conn, order.user_id, order.portfolio_id, currency);
+    if (netAmount > availableCash) {
+      return { status: 'CANCELLED', note: `Needs ${currency} ${netAmount}; only ${currency} ${availableCash} cash available` };
+    }
+  }
+  if (order.side === 'SELL') {
+    let availableQuantity = await getNetQuantity(conn, order.user_id, order.portfolio_id, order.instrument_id);
+    if (order.goal_id) {
+      const holding = await getHoldingAllocations(conn, order.user_id, order.portfolio_id, order.instrument_id, availableQuantity);
+      availableQuantity = getGoalQuantity(holding, order.goal_id);
+    }
+    if (quantity > availableQuantity) {
+      return {
+        status: 'CANCELLED',
+        note: `Only ${availableQuantity} units ${order.goal_id ? 'allocated to the goal' : 'held'} when the order filled`
+      };
+    }
+  }
+
+  if (order.goal_id) {
+    await addToGoalAllocation(
+      conn, order.user_id, order.goal_id, order.portfolio_id, order.instrument_id,
+      order.side === 'BUY' ? quantity : -quantity
+    );
+  }
+
+  const [result] = await conn.query(
+    'INSERT INTO trade_log (user_id, portfolio_id, instrument_id, goal_id, transaction_type, quantity, price, total_amount, charges, charges_breakdown, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      order.user_id, order.portfolio_id, order.instrument_id, order.goal_id, order.side, quantity, price, totalAmount,
+      tradeCharges.charges, tradeCharges.breakdown && JSON.stringify(tradeCharges.breakdown), instrument[0].currency
+    ]
+  );
+  return { status: 'FILLED', trade_id: result.insertId };
+};
+
+// Match the pending orders on the given instruments (every instrument when null) against
+// their current prices, oldest order first. Each order moves on in its own transaction,
+// so one failing fill does not hold up the others.
+const matchOrders = async (instrumentIds) => {
+  if (instrumentIds && instrumentIds.length === 0) {
+    return;
+  }
+  await expireOrders();
+
+  const [orders] = await db.query(
+    `${ORDER_SELECT} WHERE o.status IN (?)${instrumentIds ? ' AND o.instrument_id IN (?)' : ''} ORDER BY o.created_at ASC, o.id ASC`,
+    instrumentIds ? [PENDING_STATUSES, instrumentIds] : [PENDING_STATUSES]
+  );
+
+  for (const order of orders) {
+    const price = Number(order.current_price);
+    const outcome = matchOrder(order, price);
+    if (!outcome) {
+      continue;
+    }
+
+    const conn = await db.getConnection();
+    let result;
+    try {
+      await conn.beginTransaction();
+
+      // A cancel or edit that got in first wins
+      const [current] = await conn.query('SELECT status FROM orders WHERE id = ? FOR UPDATE', [order.id]);
+      if (current.length === 0 || current[0].status !== order.status) {
+        await conn.rollback();
+        continue;
+      }
+
+      const now = new Date();
+      const triggeredAt = order.order_type === 'LIMIT' ? null : now;
+      if (outcome.status === 'TRIGGERED') {
+        result = outcome;
+      } else {
+        result = await executeOrder(conn, order, price, await getSettings(conn, order.user_id));
+      }
+      await conn.query(
+        'UPDATE orders SET status = ?, trade_id = ?, note = ?, triggered_at = COALESCE(triggered_at, ?), filled_at = ? WHERE id = ?',
+        [result.status, result.trade_id || null, result.note || null, triggeredAt, result.status === 'FILLED' ? now : null, order.id]
+      );
+
+      // Keep stored lot matches in step with the trade history
+      if (result.trade_id) {
+        await rebuildLotMatches(conn, order.portfolio_id);
+      }
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      console.error(`Order ${order.id} could not be filled:`, err.message);
+      continue;
+    } finally {
+      conn.release();
+    }
+
+    if (result.trade_id) {
+      const [trade] = await db.query(`
+        SELECT
+          tl.*,
+          i.symbol as instrument_symbol,
+          i.name as instrument_name,
+          i.type as instrument_type,
+          g.name as goal_name,
+          p.name as portfolio_name
+        FROM trade_log tl
+        LEFT JOIN instruments i ON tl.instrument_id = i.id
+        LEFT JOIN goals g ON tl.goal_id = g.id
+        LEFT JOIN portfolios p ON tl.portfolio_id = p.id
+        WHERE tl.id = ?
+      `, [result.trade_id]);
+      events.publish('trade', trade[0], order.user_id);
+    }
+    events.publish('order', { action: 'updated', order: await getOrder(db, order.user_id, order.id) }, order.user_id);
+  }
+};
+
+const orderQueue = createOrderQueue(matchOrders);
+
+// Check the goal belongs to the user; returns an error message or null
+const checkOrderGoal = async (userId, goalId) => {
+  if (!goalId) {
+    return null;
+  }
+  const [goal] = await db.query('SELECT id FROM goals WHERE id = ? AND user_id = ?', [goalId, userId]);
+  return goal.length === 0 ? 'Goal not found' : null;
+};
+
+// Get orders
+app.get('/orders', async (req, res) => {
+  const { status, instrument_id, portfolio_id } = req.query;
+  try {
+    await expireOrders(req.user.id);
+
+    const conditions = ['o.user_id = ?'];
+    const params = [req.user.id];
+    if (status) {
+      conditions.push('o.status = ?');
+      params.push(status);
+    }
+    if (instrument_id) {
+      conditions.push('o.instrument_id = ?');
+      params.push(instrument_id);
+    }
+    if (portfolio_id) {
+      conditions.push('o.portfolio_id = ?');
+      params.push(portfolio_id);
+    }
+    const [rows] = await db.query(`${ORDER_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY o.created_at DESC, o.id DESC`, params);
+    res.json(rows.map(formatOrder));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get order by ID
+app.get('/orders/:id', async (req, res) => {
+  try {
+    await expireOrders(req.user.id);
+    const order = await getOrder(db, req.user.id, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Place an order
+app.post('/orders', async (req, res) => {
+  const { instrument_id, side, order_type, quantity, limit_price, trigger_price, valid_until, goal_id, portfolio_id } = req.body;
+
+  try {
+    const [instrument] = await db.query('SELECT id, symbol, type, current_price FROM instruments WHERE id = ?', [instrument_id || null]);
+    if (instrument.length === 0) {
+      return res.status(400).json({ error: instrument_id ? 'Instrument not found' : 'instrument_id is required' });
+    }
+    if (instrument[0].type === 'INDEX') {
+      return res.status(400).json({ error: INDEX_TRADE_ERROR });
+    }
+
+    const currentPrice = Number(instrument[0].current_price);
+    const error = validateOrder(req.body, currentPrice);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const goalError = await checkOrderGoal(req.user.id, goal_id);
+    if (goalError) {
+      return res.status(400).json({ error: goalError });
+    }
+
+    const portfolioId = await resolvePortfolioId(db, req.user.id, portfolio_id);
+    if (!portfolioId) {
+      return res.status(400).json({ error: 'Portfolio not found' });
+    }
+
+    // Sells are checked again when they fill, but one for more than is held now is a mistake
+    if (side === 'SELL') {
+      const availableQuantity = await getNetQuantity(db, req.user.id, portfolioId, instrument_id);
+      if (Number(quantity) > availableQuantity) {
+        return res.status(409).json({
+          error: `Cannot sell ${quantity} units of ${instrument[0].symbol}; only ${availableQuantity} held`,
+          code: 'INSUFFICIENT_QUANTITY',
+          instrument_id: instrument[0].id,
+          portfolio_id: portfolioId,
+          requested_quantity: Number(quantity),
+          available_quantity: availableQuantity
+        });
+      }
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO orders (user_id, portfolio_id, instrument_id, goal_id, side, order_type, quantity, limit_price, trigger_price, trigger_direction, valid_until) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        req.user.id, portfolioId, instrument_id, goal_id || null, side, order_type, quantity,
+        limit_price || null, trigger_price || null, getTriggerDirection(req.body, currentPrice),
+        valid_until || defaultValidUntil(order_type)
+      ]
+    );
+
+    const order = await getOrder(db, req.user.id, result.insertId);
+    events.publish('order', { action: 'created', order }, req.user.id);
+    // A limit order that is already fillable fills on this run
+    orderQueue.schedule([order.instrument_id]);
+    res.status(201).json(order);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Modify an open order
+app.put('/orders/:id', async (req, res) => {
+  const { id } = req.params;
+  const editable = ['quantity', 'limit_price', 'trigger_price', 'valid_until'];
+  const changes = Object.fromEntries(Object.entries(req.body).filter(([key]) => editable.includes(key)));
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT o.*, i.current_price FROM orders o JOIN instruments i ON o.instrument_id = i.id WHERE o.id = ? AND o.user_id = ? FOR UPDATE',
+      [id, req.user.id]
+    );
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (rows[0].status !== 'OPEN') {
+      await conn.rollback();
+      return res.status(409).json({ error: `Only OPEN orders can be modified; this one is ${rows[0].status}` });
+    }
+
+    const currentPrice = Number(rows[0].current_price);
+    const updated = { ...rows[0], valid_until: toDateKey(rows[0].valid_until), ...changes };
+    const error = validateOrder(updated, currentPrice);
+    if (error) {
+      await conn.rollback();
+      return res.status(400).json({ error });
+    }
+
+    await conn.query(
+      'UPDATE orders SET quantity = ?, limit_price = ?, trigger_price = ?, trigger_direction = ?, valid_until = ? WHERE id = ?',
+      [
+        updated.quantity, updated.limit_price || null, updated.trigger_price || null,
+        getTriggerDirection(updated, currentPrice), updated.valid_until, id
+      ]
+    );
+    await conn.commit();
+
+    const order = await getOrder(db, req.user.id, id);
+    events.publish('order', { action: 'updated', order }, req.user.id);
+    orderQueue.schedule([order.instrument_id]);
+    res.json(order);
+  } catch (err) {
+    await conn?.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    conn?.release();
+  }
+});
+
+// Cancel a pending order
+app.post('/orders/:id/cancel', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await db.query(
+      "UPDATE orders SET status = 'CANCELLED', note = 'Cancelled by the user' WHERE id = ? AND user_id = ? AND status IN (?)",
+      [id, req.user.id, PENDING_STATUSES]
+    );
+    const order = await getOrder(db, req.user.id, id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: `Only pending orders can be cancelled; this one is ${order.status}` });
+    }
+    events.publish('order', { action: 'updated', order }, req.user.id);
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== SERVER START ==========
+
+// Start the server and listen on the specified port
+app.listen(port, () => {
+  console.log(`Stock Broking App Backend Service running on port ${port}`);
+
+  // Match lots for trades that were loaded straight into the database (e.g. setup_database.sql)
+  rebuildAllLotMatches(db).catch(err => {
+    console.error('Failed to rebuild lot matches:', err.message);
+  });
+
+  priceFeed.start();
+  sipScheduler.start();
+
+  // Expire day orders and fill orders whose prices moved while the server was down
+  orderQueue.schedule();
 });
 
@@ -0,0 +1,141 @@
+// Instrument master: the instrument types we track and their reference data (ISIN,
+// exchange, AMFI scheme code, sector and industry, lot size and currency), checked the
+// same way whether an instrument is added by hand or loaded from a master file.
+
+// INDEX instruments are priced like any other but only serve as benchmarks
+const INSTRUMENT_TYPES = ['STOCK', 'MF', 'ETF', 'BOND', 'FD', 'GOLD', 'CRYPTO', 'INDEX'];
+
+const TRADABLE_TYPES = INSTRUMENT_TYPES.filter(type => type !== 'INDEX');
+
+const EXCHANGES = ['NSE', 'BSE'];
+
+// Holding fields an allocation can be grouped by
+const ALLOCATION_GROUPS = ['type', 'sector', 'industry', 'exchange', 'currency'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ISO 6166: two letters, nine letters or digits, and a Luhn check digit computed over the
+// code with each letter expanded to its two-digit value (A = 10 ... Z = 35)
+const isValidIsin = (isin) => {
+  if (!/^[A-Z]{2}[A-Z0-9]{9}[0-9]$/.test(isin)) {
+    return false;
+  }
+  const digits = [...isin].map(char => parseInt(char, 36)).join('');
+  const sum = [...digits].reverse().reduce((total, digit, index) => {
+    const value = Number(digit) * (index % 2 === 1 ? 2 : 1);
+    return total + (value > 9 ? value - 9 : value);
+  }, 0);
+  return sum % 10 === 0;
+};
+
+// Pick the instrument fields out of a JSON body or a master-file row. Text is trimmed and
+// codes are upper-cased; blank values become null, and absent fields are left out so that
+// an update can tell "clear this" from "keep this". price and scheme_code are accepted
+// as aliases of current_price and amfi_code.
+const readInstrumentFields = (row) => {
+  const fields = {};
+  const read = (key, convert, alias) => {
+    const value = row[key] !== undefined ? row[key] : row[alias];
+    if (value === undefined) {
+      return;
+    }
+    const text = value === null ? '' : String(value).trim();
+    fields[key] = text === '' ? null : convert(text);
+  };
+  const asText = (text) => text;
+  const asCode = (text) => text.toUpperCase();
+
+  read('symbol', asText);
+  read('name', asText);
+  read('type', asCode);
+  read('current_price', Number, 'price');
+  read('grandfathered_price', Number);
+  read('isin', asCode);
+  read('exchange', asCode);
+  read('amfi_code', asText, 'scheme_code');
+  read('sector', asText);
+  read('industry', asText);
+  read('lot_size', Number);
+  read('currency', asCode);
+  return fields;
+};
+
+// Check a complete instrument (a new one, or an existing one with the edits applied);
+// returns an error message or null
+const validateInstrument = (instrument) => {
+  const { symbol, name, type, current_price, grandfathered_price, isin, exchange, amfi_code, sector, industry, lot_size, currency } = instrument;
+
+  if (!symbol || !name || !type || current_price === undefined || current_price === null) {
+    return 'symbol, name, type and current_price are required';
+  }
+  if (String(symbol).length > 50 || String(name).length > 200) {
+    return 'symbol can be at most 50 characters and name at most 200';
+  }
+  if (!INSTRUMENT_TYPES.includes(type)) {
+    return `type must be one of ${INSTRUMENT_TYPES.join(', ')}`;
+  }
+  if (!(Number(current_price) > 0)) {
+    return 'current_price must be a positive number';
+  }
+  if (grandfathered_price !== undefined && grandfathered_price !== null && !(Number(grandfathered_price) > 0)) {
+    return 'grandfathered_price must be positive';
+  }
+  if (isin && !isValidIsin(isin)) {
+    return `${isin} is not a valid ISIN`;
+  }
+  if (exchange && !EXCHANGES.includes(exchange)) {
+    return `exchange must be one of ${EXCHANGES.join(', ')}`;
+  }
+  if (amfi_code && !/^\d{1,10}$/.test(amfi_code)) {
+    return 'amfi_code must be the numeric AMFI scheme code';
+  }
+  if ((sector && sector.length > 100) || (industry && industry.length > 100)) {
+    return 'sector and industry can be at most 100 characters';
+  }
+  if (lot_size !== undefined && lot_size !== null && !(Number.isInteger(lot_size) && lot_size > 0)) {
+    return 'lot_size must be a positive whole number';
+  }
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    return 'currency must be a three-letter ISO code such as INR or USD';
+  }
+  return null;
+};
+
+// Holdings ({ market_value, invested_amount, unrealized_pnl, ...group fields }) summed per
+// value of groupBy, largest first; holdings without a value are grouped as "Unclassified"
+const groupAllocation = (holdings, groupBy) => {
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  const groups = new Map();
+  holdings.forEach(holding => {
+    const key = holding[groupBy] || 'Unclassified';
+    if (!groups.has(key)) {
+      groups.set(key, { group: key, market_value: 0, invested_amount: 0, unrealized_pnl: 0, holdings: 0 });
+    }
+    const group = groups.get(key);
+    group.market_value += holding.market_value;
+    group.invested_amount += holding.invested_amount;
+    group.unrealized_pnl += holding.unrealized_pnl;
+    group.holdings += 1;
+  });
+  return [...groups.values()]
+    .sort((a, b) => b.market_value - a.market_value)
+    .map(group => ({
+      group: group.group,
+      market_value: round2(group.market_value),
+      invested_amount: round2(group.invested_amount),
+      unrealized_pnl: round2(group.unrealized_pnl),
+      share_percent: total > 0 ? round2((group.market_value / total) * 100) : 0,
+      holdings: group.holdings
+    }));
+};
+
+module.exports = {
+  INSTRUMENT_TYPES,
+  TRADABLE_TYPES,
+  EXCHANGES,
+  ALLOCATION_GROUPS,
+  isValidIsin,
+  readInstrumentFields,
+  validateInstrument,
+  groupAllocation
+};
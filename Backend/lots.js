@@ -0,0 +1,164 @@
+// Lot accounting: matches SELL trades against earlier BUY lots, and applies
+// corporate actions (see corporateActions.js) to the lots held at the time
+
+const COST_BASIS_METHODS = ['FIFO', 'AVERAGE'];
+
+// Quantities below this are treated as zero (DECIMAL(15,4) in trade_log)
+const EPSILON = 0.00005;
+
+// Entitlement for a bonus or rights ratio; fractional entitlements are not allotted
+const entitledQuantity = (held, action) => Math.floor((held * Number(action.ratio_to)) / Number(action.ratio_from) + EPSILON);
+
+// Match one instrument's trades (oldest first) using the given cost basis method.
+// Lots are always consumed oldest first so every match keeps a real buy date;
+// the method only decides the cost per unit (the lot's own price for FIFO,
+// the running weighted average for AVERAGE).
+//
+// Entries with an action_type are corporate actions dated created_at:
+// - SPLIT scales every open lot by ratio_to / ratio_from at the same total cost
+// - BONUS and RIGHTS add a lot dated the ex-date, at zero cost or at the issue price
+// - DIVIDEND records income of amount per unit held
+// - MERGER moves every open lot out (into transfers) for the target instrument
+// - MERGER_IN adds lots transferred from a merged instrument, keeping their buy dates
+const matchLots = (trades, method = 'FIFO') => {
+  let openLots = [];
+  const matches = [];
+  const income = [];
+  const transfers = [];
+  const shortfalls = [];
+  let quantity = 0;
+  let cost = 0;
+
+  const addLot = (lot) => {
+    openLots.push(lot);
+    quantity += lot.remaining;
+    cost += lot.remaining * lot.price;
+  };
+
+  for (const trade of trades) {
+    const tradeQuantity = Number(trade.quantity);
+    const tradePrice = Number(trade.price);
+
+    if (trade.action_type === 'SPLIT') {
+      const factor = Number(trade.ratio_to) / Number(trade.ratio_from);
+      openLots.forEach(lot => {
+        lot.remaining *= factor;
+        lot.price /= factor;
+      });
+      quantity *= factor;
+      continue;
+    }
+
+    if (trade.action_type === 'BONUS' || trade.action_type === 'RIGHTS') {
+      const allotted = entitledQuantity(quantity, trade);
+      if (allotted > 0) {
+        addLot({
+          trade_id: null,
+          corporate_action_id: trade.id,
+          date: trade.created_at,
+          price: trade.action_type === 'RIGHTS' ? Number(trade.amount) : 0,
+          remaining: allotted
+        });
+      }
+      continue;
+    }
+
+    if (trade.action_type === 'DIVIDEND') {
+      if (quantity > EPSILON) {
+        income.push({
+          corporate_action_id: trade.id,
+          instrument_id: trade.instrument_id,
+          date: trade.created_at,
+          quantity,
+          amount_per_unit: Number(trade.amount),
+          amount: quantity * Number(trade.amount)
+        });
+      }
+      continue;
+    }
+
+    if (trade.action_type === 'MERGER') {
+      const factor = Number(trade.ratio_to) / Number(trade.ratio_from);
+      // Under AVERAGE the pool's cost no longer equals the sum of the lot prices
+      const averageCost = quantity > 0 ? cost / quantity : 0;
+      transfers.push({
+        corporate_action_id: trade.id,
+        instrument_id: trade.new_instrument_id,
+        date: trade.created_at,
+        lots: openLots.map(lot => ({
+          ...lot,
+          remaining: lot.remaining * factor,
+          price: (method === 'AVERAGE' ? averageCost : lot.price) / factor
+        }))
+      });
+      openLots = [];
+      quantity = 0;
+      cost = 0;
+      continue;
+    }
+
+    if (trade.action_type === 'MERGER_IN') {
+      trade.lots.forEach(lot => addLot({ ...lot }));
+      // Keep the oldest lots first so they are still sold first
+      openLots.sort((a, b) => new Date(a.date) - new Date(b.date));
+      continue;
+    }
+
+    if (trade.transaction_type === 'BUY') {
+      addLot({
+        trade_id: trade.id,
+        corporate_action_id: null,
+        date: trade.created_at,
+        price: tradePrice,
+        remaining: tradeQuantity
+      });
+      continue;
+    }
+
+    const averageCost = quantity > 0 ? cost / quantity : 0;
+    let unmatched = tradeQuantity;
+
+    while (unmatched > EPSILON && openLots.length > 0) {
+      const lot = openLots[0];
+      const matched = Math.min(lot.remaining, unmatched);
+      const costPerUnit = method === 'AVERAGE' ? averageCost : lot.price;
+
+      matches.push({
+        instrument_id: trade.instrument_id,
+        sell_trade_id: trade.id,
+        buy_trade_id: lot.trade_id,
+        buy_corporate_action_id: lot.corporate_action_id,
+        quantity: matched,
+        buy_date: lot.date,
+        sell_date: trade.created_at,
+        cost_per_unit: costPerUnit,
+        sell_price: tradePrice,
+        cost_amount: matched * costPerUnit,
+        proceeds_amount: matched * tradePrice,
+        realized_pnl: matched * (tradePrice - costPerUnit),
+        method
+      });
+
+      lot.remaining -= matched;
+      unmatched -= matched;
+      quantity -= matched;
+      cost -= matched * costPerUnit;
+      if (lot.remaining <= EPSILON) {
+        openLots.shift();
+      }
+    }
+
+    if (unmatched > EPSILON) {
+      shortfalls.push({ trade_id: trade.id, quantity: unmatched, available: tradeQuantity - unmatched });
+    }
+
+    if (quantity <= EPSILON) {
+      quantity = 0;
+      cost = 0;
+    }
+  }
+
+  return { matches, openLots, quantity, cost, income, transfers, shortfalls };
+};
+
+module.exports = { COST_BASIS_METHODS, EPSILON, matchLots };
@@ -0,0 +1,70 @@
+// Replays prices from a CSV or JSON file, one row per symbol on each poll.
+// Rows need a symbol and a price (or close); they are replayed in file order per symbol.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../csv');
+
+const loadRows = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.prices;
+  }
+  return parseCsv(text);
+};
+
+// options.filePath: CSV or JSON price file; options.loop: start over when a symbol runs out
+const createFileReplayProvider = ({ filePath, loop = true }) => {
+  if (!filePath) {
+    throw new Error('File replay provider needs a file path (PRICE_FEED_FILE)');
+  }
+
+  const pricesBySymbol = new Map();
+  loadRows(filePath).forEach(row => {
+    const price = Number(row.price ?? row.close);
+    if (!row.symbol || !(price > 0)) {
+      return;
+    }
+    if (!pricesBySymbol.has(row.symbol)) {
+      pricesBySymbol.set(row.symbol, []);
+    }
+    pricesBySymbol.get(row.symbol).push({ price, volume: Number(row.volume) || 0 });
+  });
+  const cursors = new Map();
+
+  return {
+    name: 'file',
+
+    async getQuotes(instruments) {
+      const now = new Date();
+      const quotes = [];
+
+      instruments.forEach(instrument => {
+        const prices = pricesBySymbol.get(instrument.symbol);
+        if (!prices) {
+          return;
+        }
+        let cursor = cursors.get(instrument.symbol) || 0;
+        if (cursor >= prices.length) {
+          if (!loop) {
+            return;
+          }
+          cursor = 0;
+        }
+        cursors.set(instrument.symbol, cursor + 1);
+
+        quotes.push({
+          instrument_id: instrument.id,
+          price: prices[cursor].price,
+          price_time: now,
+          volume: prices[cursor].volume
+        });
+      });
+
+      return quotes;
+    }
+  };
+};
+
+module.exports = { createFileReplayProvider };
@@ -0,0 +1,84 @@
+// Market-data price feed: pluggable quote providers and a polling scheduler.
+//
+// A provider is any object with a name and getQuotes(instruments), resolving to
+// [{ instrument_id, price, price_time, volume? }] for the instruments it knows about.
+
+const { createSimulatorProvider } = require('./simulatorProvider');
+const { createFileReplayProvider } = require('./fileReplayProvider');
+
+const PROVIDERS = {
+  simulator: (options) => createSimulatorProvider(options),
+  file: (options) => createFileReplayProvider(options)
+};
+
+// Build a provider by name, or return null when the feed is disabled
+const createProvider = (name, options = {}) => {
+  if (!name || name === 'none') {
+    return null;
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown price feed provider: ${name}`);
+  }
+  return PROVIDERS[name](options);
+};
+
+// Poll the provider every intervalMs.
+// loadInstruments() supplies the instruments to quote; applyQuotes(quotes) stores them.
+const createPriceFeed = ({ provider, intervalMs, loadInstruments, applyQuotes }) => {
+  let timer = null;
+  let running = false;
+  const status = {
+    provider: provider ? provider.name : null,
+    interval_ms: intervalMs,
+    active: false,
+    last_run_at: null,
+    last_quote_count: 0,
+    last_error: null
+  };
+
+  // Run one poll; overlapping runs are skipped so slow databases don't pile up work
+  const runOnce = async () => {
+    if (!provider || running) {
+      return [];
+    }
+    running = true;
+    try {
+      const instruments = await loadInstruments();
+      const quotes = await provider.getQuotes(instruments);
+      await applyQuotes(quotes);
+      status.last_run_at = new Date();
+      status.last_quote_count = quotes.length;
+      status.last_error = null;
+      return quotes;
+    } catch (err) {
+      status.last_error = err.message;
+      throw err;
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start() {
+      if (!provider || timer) {
+        return;
+      }
+      timer = setInterval(() => {
+        runOnce().catch(err => console.error('Price feed update failed:', err.message));
+      }, intervalMs);
+      status.active = true;
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      status.active = false;
+    },
+
+    runOnce,
+
+    getStatus: () => ({ ...status })
+  };
+};
+
+module.exports = { createProvider, createPriceFeed };
@@ -0,0 +1,64 @@
+// Deterministic random-walk price simulator for running offline.
+// The same seed and starting prices always produce the same sequence of quotes.
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Stable 32-bit hash so each symbol gets its own stream from the shared seed
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Standard normal sample (Box–Muller)
+const nextGaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// options.seed: shared seed; options.volatility: per-step standard deviation of returns;
+// options.drift: per-step mean return
+const createSimulatorProvider = ({ seed = 42, volatility = 0.002, drift = 0 } = {}) => {
+  const walks = new Map();
+
+  return {
+    name: 'simulator',
+
+    async getQuotes(instruments) {
+      const now = new Date();
+      return instruments.map(instrument => {
+        if (!walks.has(instrument.symbol)) {
+          walks.set(instrument.symbol, {
+            price: Number(instrument.current_price),
+            random: createRandom(seed ^ hashString(instrument.symbol))
+          });
+        }
+        const walk = walks.get(instrument.symbol);
+        walk.price = walk.price * Math.exp(drift + volatility * nextGaussian(walk.random));
+
+        return {
+          instrument_id: instrument.id,
+          price: Math.round(walk.price * 10000) / 10000,
+          price_time: now,
+          volume: Math.floor(walk.random() * 10000)
+        };
+      });
+    }
+  };
+};
+
+module.exports = { createSimulatorProvider, createRandom, nextGaussian };
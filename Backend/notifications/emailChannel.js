@@ -0,0 +1,91 @@
+// Emails each notification to the user through an SMTP relay. This is a plain SMTP
+// client without TLS or authentication, meant for a relay on the same host or network
+// (a local MTA, or a mail catcher such as MailHog while developing).
+
+const net = require('net');
+const os = require('os');
+
+const TIMEOUT_MS = 10000;
+
+// A single plain address: anything else (spaces, line breaks, brackets, commas) could add
+// SMTP commands or recipients
+const isMailAddress = (value) => typeof value === 'string' && /^[^\s<>()@,;:"\\]+@[^\s<>()@,;:"\\]+\.[^\s<>()@,;:"\\]+$/.test(value);
+
+// Header values are one line; a line break would start a new header
+const toHeaderValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// Connect, then send each command and wait for its reply; rejects on a 4xx/5xx reply
+const sendMail = ({ host, port }, { from, to, text }) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+  socket.setEncoding('utf8');
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+
+  const commands = [
+    null, // The server speaks first
+    `HELO ${os.hostname()}`,
+    `MAIL FROM:<${from}>`,
+    `RCPT TO:<${to}>`,
+    'DATA',
+    // Lines starting with a dot are escaped by doubling it
+    `${text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')}\r\n.`,
+    'QUIT'
+  ];
+  let step = 0;
+  let buffer = '';
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    // A reply is complete at a line with a space after the code ("250 OK", not "250-...")
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    const reply = lines.find(line => /^\d{3} /.test(line));
+    if (!reply) {
+      return;
+    }
+    if (Number(reply.slice(0, 3)) >= 400) {
+      socket.destroy(new Error(`SMTP server replied: ${reply}`));
+      return;
+    }
+    step += 1;
+    if (step < commands.length) {
+      socket.write(`${commands[step]}\r\n`);
+    } else {
+      socket.end();
+      resolve();
+    }
+  });
+  socket.on('error', reject);
+  socket.on('close', () => reject(new Error('SMTP connection closed before the mail was sent')));
+});
+
+// options.host / options.port: the SMTP relay; options.from: sender address
+const createEmailChannel = ({ host, port = 25, from }) => {
+  if (!host || !from) {
+    throw new Error('Email channel needs an SMTP host and a sender (ALERT_SMTP_HOST, ALERT_EMAIL_FROM)');
+  }
+  if (!isMailAddress(from)) {
+    throw new Error(`ALERT_EMAIL_FROM is not a valid email address: ${from}`);
+  }
+
+  return {
+    name: 'email',
+
+    async send(notification, user) {
+      if (!isMailAddress(user.email)) {
+        throw new Error('The user has no valid email address');
+      }
+      const text = [
+        `From: ${from}`,
+        `To: ${user.email}`,
+        `Subject: ${toHeaderValue(notification.title)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        notification.message
+      ].join('\n');
+      await sendMail({ host, port: Number(port) }, { from, to: user.email, text });
+    }
+  };
+};
+
+module.exports = { createEmailChannel };
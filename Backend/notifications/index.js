@@ -0,0 +1,61 @@
+// Outbound notification channels: where alert notifications go besides the in-app
+// notification center.
+//
+// A channel is any object with a name and send(notification, user), resolving once the
+// notification is delivered (or rejecting when it could not be). notification is
+// { id, alert_id, alert_type, title, message, data, created_at }; user is { id, email, name }.
+
+const { createLogChannel } = require('./logChannel');
+const { createWebhookChannel } = require('./webhookChannel');
+const { createEmailChannel } = require('./emailChannel');
+
+const CHANNELS = {
+  log: (options) => createLogChannel(options),
+  webhook: (options) => createWebhookChannel(options),
+  email: (options) => createEmailChannel(options)
+};
+
+// Build a channel by name, or return null when outbound notifications are off
+const createChannel = (name, options = {}) => {
+  if (!name || name === 'none') {
+    return null;
+  }
+  if (!CHANNELS[name]) {
+    throw new Error(`Unknown notification channel: ${name}`);
+  }
+  return CHANNELS[name](options);
+};
+
+// Send notifications through a channel, keeping delivery counts for the status endpoint.
+// send() resolves to { status: 'SENT' | 'FAILED' | 'SKIPPED', error? } and never rejects.
+const createNotifier = (channel) => {
+  const status = {
+    channel: channel ? channel.name : null,
+    sent_count: 0,
+    failed_count: 0,
+    last_sent_at: null,
+    last_error: null
+  };
+
+  return {
+    async send(notification, user) {
+      if (!channel) {
+        return { status: 'SKIPPED' };
+      }
+      try {
+        await channel.send(notification, user);
+        status.sent_count += 1;
+        status.last_sent_at = new Date();
+        return { status: 'SENT' };
+      } catch (err) {
+        status.failed_count += 1;
+        status.last_error = err.message;
+        return { status: 'FAILED', error: err.message };
+      }
+    },
+
+    getStatus: () => ({ ...status })
+  };
+};
+
+module.exports = { createChannel, createNotifier };
@@ -0,0 +1,20 @@
+// Local stand-in for a real channel, for development and testing: writes each
+// notification to the console, or appends it as a JSON line to a file.
+
+const fs = require('fs');
+
+// options.filePath: file to append to (the console when not set)
+const createLogChannel = ({ filePath } = {}) => ({
+  name: 'log',
+
+  async send(notification, user) {
+    const line = JSON.stringify({ to: user.email, ...notification });
+    if (filePath) {
+      await fs.promises.appendFile(filePath, `${line}\n`);
+    } else {
+      console.log(`Notification: ${line}`);
+    }
+  }
+});
+
+module.exports = { createLogChannel };
@@ -0,0 +1,32 @@
+// Posts each notification as JSON to a webhook URL. With a secret, the body is signed
+// with HMAC-SHA256 in the X-Signature header ("sha256=<hex>") so the receiver can
+// check it came from this server.
+
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 10000;
+
+// options.url: where to post; options.secret: optional signing key
+const createWebhookChannel = ({ url, secret }) => {
+  if (!url) {
+    throw new Error('Webhook channel needs a URL (ALERT_WEBHOOK_URL)');
+  }
+
+  return {
+    name: 'webhook',
+
+    async send(notification, user) {
+      const body = JSON.stringify({ user: { id: user.id, email: user.email, name: user.name }, notification });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    }
+  };
+};
+
+module.exports = { createWebhookChannel };
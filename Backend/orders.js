@@ -0,0 +1,199 @@
+// Pending orders: limit, stop-loss and good-till-triggered (GTT) orders that wait for
+// an instrument's price and are filled into the trade log by the matching engine.
+//
+//  LIMIT: fills once the price is at or better than limit_price (at or below it for a
+//    BUY, at or above it for a SELL).
+//  STOP_LOSS: triggers once the price reaches trigger_price (rising to it for a BUY,
+//    falling to it for a SELL), then fills at the market price, or as a limit order at
+//    limit_price when one is given.
+//  GTT: triggers once the price crosses trigger_price from whichever side it was on when
+//    the order was placed, then works as a limit order at limit_price.
+//
+// An order is OPEN until it triggers (TRIGGERED) or fills (FILLED); it can be CANCELLED
+// while it is pending, and one still pending after its valid_until day is EXPIRED.
+
+const { toDateKey, isDateKey } = require('./sips');
+
+const ORDER_TYPES = ['LIMIT', 'STOP_LOSS', 'GTT'];
+
+const ORDER_SIDES = ['BUY', 'SELL'];
+
+const ORDER_STATUSES = ['OPEN', 'TRIGGERED', 'FILLED', 'CANCELLED', 'EXPIRED'];
+
+// Orders the matching engine still looks at
+const PENDING_STATUSES = ['OPEN', 'TRIGGERED'];
+
+// A GTT stays valid for at most a year; limit and stop-loss orders are day orders by default
+const GTT_MAX_DAYS = 365;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Last day an order placed on `placedAt` is valid when no valid_until is given
+const defaultValidUntil = (orderType, placedAt = new Date()) => (
+  toDateKey(orderType === 'GTT' ? addDays(placedAt, GTT_MAX_DAYS) : placedAt)
+);
+
+// Side of trigger_price the price has to reach: a BUY stop-loss waits for the price to
+// rise and a SELL stop-loss for it to fall; a GTT waits for it to cross from where it is
+const getTriggerDirection = (order, currentPrice) => {
+  if (order.order_type === 'STOP_LOSS') {
+    return order.side === 'BUY' ? 'ABOVE' : 'BELOW';
+  }
+  if (order.order_type === 'GTT') {
+    return Number(order.trigger_price) > currentPrice ? 'ABOVE' : 'BELOW';
+  }
+  return null;
+};
+
+// Check a complete order (a new one, or an open one with the edits applied) against the
+// instrument's current price; returns an error message or null
+const validateOrder = (order, currentPrice, today = toDateKey(new Date())) => {
+  const { instrument_id, side, order_type, quantity, limit_price, trigger_price, valid_until } = order;
+
+  if (!instrument_id || !side || !order_type || !isSet(quantity)) {
+    return 'instrument_id, side, order_type and quantity are required';
+  }
+  if (!ORDER_SIDES.includes(side)) {
+    return `side must be one of ${ORDER_SIDES.join(', ')}`;
+  }
+  if (!ORDER_TYPES.includes(order_type)) {
+    return `order_type must be one of ${ORDER_TYPES.join(', ')}`;
+  }
+  if (!(Number(quantity) > 0)) {
+    return 'quantity must be positive';
+  }
+  if (isSet(limit_price) && !(Number(limit_price) > 0)) {
+    return 'limit_price must be a positive price';
+  }
+  if (isSet(trigger_price) && !(Number(trigger_price) > 0)) {
+    return 'trigger_price must be a positive price';
+  }
+
+  if (order_type === 'LIMIT') {
+    if (!isSet(limit_price)) {
+      return 'limit_price is required for a LIMIT order';
+    }
+    if (isSet(trigger_price)) {
+      return 'trigger_price does not apply to a LIMIT order';
+    }
+  } else {
+    if (!isSet(trigger_price)) {
+      return `trigger_price is required for a ${order_type} order`;
+    }
+    if (order_type === 'GTT' && !isSet(limit_price)) {
+      return 'limit_price is required for a GTT order';
+    }
+  }
+
+  // A stop-loss that would trigger straight away is a market order, not a stop-loss
+  const trigger = Number(trigger_price);
+  if (order_type === 'STOP_LOSS') {
+    if (side === 'BUY' && !(trigger > currentPrice)) {
+      return `trigger_price must be above the current price of ${currentPrice} for a BUY stop-loss`;
+    }
+    if (side === 'SELL' && !(trigger < currentPrice)) {
+      return `trigger_price must be below the current price of ${currentPrice} for a SELL stop-loss`;
+    }
+    if (isSet(limit_price) && (side === 'BUY' ? Number(limit_price) < trigger : Number(limit_price) > trigger)) {
+      return `limit_price must be ${side === 'BUY' ? 'at or above' : 'at or below'} trigger_price for a ${side} stop-loss`;
+    }
+  }
+  if (order_type === 'GTT' && trigger === currentPrice) {
+    return 'trigger_price must differ from the current price';
+  }
+
+  if (isSet(valid_until)) {
+    const day = typeof valid_until === 'string' ? valid_until : '';
+    if (!isDateKey(day)) {
+      return 'valid_until must be a date in YYYY-MM-DD format';
+    }
+    if (day < today) {
+      return 'valid_until must not be in the past';
+    }
+    if (order_type === 'GTT' && day > toDateKey(addDays(new Date(`${today}T00:00:00`), GTT_MAX_DAYS))) {
+      return `A GTT order can be valid for at most ${GTT_MAX_DAYS} days`;
+    }
+  }
+  return null;
+};
+
+// What a pending order does at a price: { status: 'TRIGGERED' } when it only triggers,
+// { status: 'FILLED' } when it fills (at that price), or null when nothing happens
+const matchOrder = (order, price) => {
+  let status = order.status;
+  if (status === 'OPEN' && order.order_type !== 'LIMIT') {
+    const trigger = Number(order.trigger_price);
+    const reached = order.trigger_direction === 'ABOVE' ? price >= trigger : price <= trigger;
+    if (!reached) {
+      return null;
+    }
+    status = 'TRIGGERED';
+  }
+
+  // A stop-loss without a limit price fills at whatever the price is once triggered
+  const limit = order.limit_price === null || order.limit_price === undefined ? null : Number(order.limit_price);
+  if (limit === null || (order.side === 'BUY' ? price <= limit : price >= limit)) {
+    return { status: 'FILLED' };
+  }
+  return status !== order.status ? { status } : null;
+};
+
+// Queue of matching runs. schedule(instrumentIds) asks for the pending orders on those
+// instruments to be matched (after their prices change or an order is placed), and
+// schedule() for every pending order. Requests that arrive while a run is going are
+// batched into the next one, and runs never overlap, so an order is never filled twice.
+const createOrderQueue = (match) => {
+  const EVERYTHING = null;
+  let pending;
+  let running = false;
+
+  const drain = async () => {
+    running = true;
+    try {
+      while (pending !== undefined) {
+        const instrumentIds = pending;
+        pending = undefined;
+        try {
+          await match(instrumentIds === EVERYTHING ? null : [...instrumentIds]);
+        } catch (err) {
+          console.error('Order matching failed:', err.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    schedule(instrumentIds) {
+      const idle = !running && pending === undefined;
+      if (instrumentIds === undefined || pending === EVERYTHING) {
+        pending = EVERYTHING;
+      } else {
+        pending = pending || new Set();
+        instrumentIds.forEach(id => pending.add(Number(id)));
+      }
+      if (idle) {
+        setImmediate(drain);
+      }
+    }
+  };
+};
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_SIDES,
+  ORDER_STATUSES,
+  PENDING_STATUSES,
+  defaultValidUntil,
+  getTriggerDirection,
+  validateOrder,
+  matchOrder,
+  createOrderQueue
+};
@@ -0,0 +1,283 @@
+// Portfolio performance over time: a daily value series rebuilt from positions and
+// end-of-day prices, with time-weighted (TWR) and money-weighted (XIRR) returns.
+//
+// Cash flows are seen from the portfolio: money put in (a BUY's net amount) is positive,
+// money taken out (a SELL's net amount, dividends paid out) is negative. Flows count at
+// the end of their day. A merger moves value between instruments without a cash flow, so
+// per-instrument series show it as a loss on one and a gain on the other.
+
+const { toDateKey } = require('./sips');
+
+const GRANULARITIES = ['daily', 'weekly', 'monthly'];
+
+// Key the whole portfolio is tracked under, alongside the caller's groups
+const TOTAL = Symbol('total');
+
+const parseKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (key, days) => {
+  const date = parseKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Annual rate at which the flows' present value is zero (flows: [{ date, amount }], from
+// the investor's side), found by bisection. Null when the flows never change sign.
+const xirr = (flows) => {
+  if (flows.length < 2) {
+    return null;
+  }
+  const start = flows[0].date;
+  const years = flows.map(flow => (flow.date - start) / (365 * 86400000));
+  const presentValue = (rate) => flows.reduce((sum, flow, index) => sum + flow.amount / Math.pow(1 + rate, years[index]), 0);
+
+  // Short periods annualize to large rates, so the upper bound widens until it brackets
+  let low = -0.9999;
+  let high = 1;
+  let lowValue = presentValue(low);
+  while (lowValue * presentValue(high) > 0) {
+    if (high > 1e6) {
+      return null;
+    }
+    high *= 4;
+  }
+  for (let iteration = 0; iteration < 200 && high - low > 1e-9; iteration++) {
+    const middle = (low + high) / 2;
+    const middleValue = presentValue(middle);
+    if (lowValue * middleValue <= 0) {
+      high = middle;
+    } else {
+      low = middle;
+      lowValue = middleValue;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// Key of the period a day falls in, for sampling the daily series
+const periodKey = (key, granularity) => {
+  if (granularity === 'monthly') {
+    return key.slice(0, 7);
+  }
+  if (granularity === 'weekly') {
+    // Weeks run Monday to Sunday and are named by their Monday
+    const date = parseKey(key);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return toDateKey(date);
+  }
+  return key;
+};
+
+// Last point of each period, with net_flow summed over the period
+const samplePoints = (points, granularity) => {
+  const sampled = [];
+  let lastPeriod = null;
+  points.forEach(point => {
+    const period = periodKey(point.date, granularity);
+    if (period === lastPeriod) {
+      const last = sampled[sampled.length - 1];
+      sampled[sampled.length - 1] = { ...point, net_flow: last.net_flow + point.net_flow };
+    } else {
+      sampled.push(point);
+    }
+    lastPeriod = period;
+  });
+  return sampled;
+};
+
+// Annual money-weighted return (XIRR) of holding the baseline value, adding each day's
+// net flow and ending with endValue on `to`; null when there is nothing to solve
+const moneyWeightedReturn = (baseline, points, from, to, endValue) => {
+  const flows = [];
+  if (baseline.value > 0) {
+    flows.push({ date: parseKey(addDays(from, -1)), amount: -baseline.value });
+  }
+  points.forEach(point => {
+    if (point.net_flow !== 0) {
+      flows.push({ date: parseKey(point.date), amount: -point.net_flow });
+    }
+  });
+  if (endValue > 0) {
+    flows.push({ date: parseKey(to), amount: endValue });
+  }
+  return xirr(flows);
+};
+
+// Returns and totals for one group's daily values
+const summarize = ({ baseline, points }, from, to) => {
+  const end = points.length > 0 ? points[points.length - 1] : baseline;
+  const netFlows = points.reduce((sum, point) => sum + point.net_flow, 0);
+  const twr = end.twr_index / baseline.twr_index - 1;
+  const days = (parseKey(to) - parseKey(from)) / 86400000 + 1;
+  const rate = moneyWeightedReturn(baseline, points, from, to, end.value);
+
+  return {
+    start_value: round2(baseline.value),
+    end_value: round2(end.value),
+    invested_amount: round2(end.invested),
+    net_flows: round2(netFlows),
+    gain: round2(end.value - baseline.value - netFlows),
+    twr_percent: round2(twr * 100),
+    twr_annualized_percent: days >= 365 ? round2((Math.pow(1 + twr, 365 / days) - 1) * 100) : null,
+    xirr_percent: rate === null ? null : round2(rate * 100)
+  };
+};
+
+// Value every group at the end of each day from `from` to `to` (YYYY-MM-DD).
+//  snapshots: [{ date, positions }] oldest first; positions ({ portfolio_id, instrument_id,
+//    quantity, invested_amount, dividend_income }) as at the end of that day
+//  flows: [{ date, portfolio_id, instrument_id, amount }] trade cash flows
+//  marks: Map of instrument_id -> [{ date, price }] oldest first, end-of-day prices
+//  groupsOf(portfolioId, instrumentId): [{ key, weight }] the groups a holding counts
+//    toward, with the share of it that each one gets
+// Returns { total, groups } (groups is a Map by key) of { baseline, points }: the day
+// before `from`, then one point per day with value, invested, net_flow and twr_index
+// (growth of 1 invested at the start, net of flows).
+const buildDailyValues = ({ from, to, snapshots, flows, marks, groupsOf = () => [] }) => {
+  const memberships = new Map();
+  const membershipOf = (portfolioId, instrumentId) => {
+    const key = `${portfolioId}:${instrumentId}`;
+    if (!memberships.has(key)) {
+      memberships.set(key, [{ key: TOTAL, weight: 1 }, ...groupsOf(portfolioId, instrumentId)]);
+    }
+    return memberships.get(key);
+  };
+
+  const flowsByDay = new Map();
+  flows.forEach(flow => {
+    if (!flowsByDay.has(flow.date)) {
+      flowsByDay.set(flow.date, []);
+    }
+    flowsByDay.get(flow.date).push(flow);
+  });
+
+  const markPointers = new Map();
+  const priceOn = (instrumentId, day) => {
+    const points = marks.get(instrumentId) || [];
+    let index = markPointers.get(instrumentId) ?? -1;
+    while (index + 1 < points.length && points[index + 1].date <= day) {
+      index += 1;
+    }
+    markPointers.set(instrumentId, index);
+    return index >= 0 ? points[index].price : 0;
+  };
+
+  const groups = new Map();
+  const groupFor = (key) => {
+    if (!groups.has(key)) {
+      groups.set(key, { baseline: null, previous: { value: 0, invested: 0, twr_index: 1 }, points: [] });
+    }
+    return groups.get(key);
+  };
+  groupFor(TOTAL);
+
+  let snapshotIndex = -1;
+  let positions = [];
+  const incomeSeen = new Map();
+  const baselineDay = addDays(from, -1);
+
+  for (let day = baselineDay; day <= to; day = addDays(day, 1)) {
+    const dayFlows = new Map();
+    const addFlow = (portfolioId, instrumentId, amount) => {
+      membershipOf(portfolioId, instrumentId).forEach(({ key, weight }) => {
+        dayFlows.set(key, (dayFlows.get(key) || 0) + amount * weight);
+      });
+    };
+
+    // Move to the latest snapshot; dividends since the last one are paid out today
+    while (snapshotIndex + 1 < snapshots.length && snapshots[snapshotIndex + 1].date <= day) {
+      snapshotIndex += 1;
+      positions = snapshots[snapshotIndex].positions;
+      positions.forEach(position => {
+        const key = `${position.portfolio_id}:${position.instrument_id}`;
+        const income = position.dividend_income - (incomeSeen.get(key) || 0);
+        incomeSeen.set(key, position.dividend_income);
+        if (income > 0 && day > baselineDay) {
+          addFlow(position.portfolio_id, position.instrument_id, -income);
+        }
+      });
+    }
+    if (day > baselineDay) {
+      (flowsByDay.get(day) || []).forEach(flow => addFlow(flow.portfolio_id, flow.instrument_id, flow.amount));
+    }
+
+    const values = new Map();
+    positions.forEach(position => {
+      const value = position.quantity * priceOn(position.instrument_id, day);
+      membershipOf(position.portfolio_id, position.instrument_id).forEach(({ key, weight }) => {
+        const entry = values.get(key) || { value: 0, invested: 0 };
+        entry.value += value * weight;
+        entry.invested += position.invested_amount * weight;
+        values.set(key, entry);
+      });
+    });
+
+    new Set([...groups.keys(), ...values.keys(), ...dayFlows.keys()]).forEach(key => {
+      const group = groupFor(key);
+      const { value, invested } = values.get(key) || { value: 0, invested: 0 };
+      const netFlow = dayFlows.get(key) || 0;
+      const previous = group.previous;
+      const dayReturn = previous.value > 0 ? (value - netFlow) / previous.value - 1 : 0;
+      const point = {
+        date: day,
+        value,
+        invested,
+        net_flow: netFlow,
+        twr_index: previous.twr_index * (1 + dayReturn)
+      };
+      if (day === baselineDay) {
+        group.baseline = point;
+      } else {
+        if (!group.baseline) {
+          group.baseline = { ...previous, date: baselineDay, net_flow: 0 };
+        }
+        group.points.push(point);
+      }
+      group.previous = point;
+    });
+  }
+
+  const total = groups.get(TOTAL);
+  groups.delete(TOTAL);
+  return {
+    total: { baseline: total.baseline, points: total.points },
+    groups: new Map([...groups].map(([key, group]) => [key, { baseline: group.baseline, points: group.points }]))
+  };
+};
+
+// Summary and series (sampled at the granularity) of one group's daily values
+const formatPerformance = (daily, from, to, granularity) => ({
+  summary: summarize(daily, from, to),
+  series: samplePoints(daily.points, granularity).map(point => ({
+    date: point.date,
+    value: round2(point.value),
+    invested: round2(point.invested),
+    net_flow: round2(point.net_flow),
+    twr_percent: round2((point.twr_index / daily.baseline.twr_index - 1) * 100)
+  }))
+});
+
+// Value series and returns for the whole portfolio and every group (see buildDailyValues).
+// Returns { total, groups } of { summary, series }.
+const buildPerformance = (options) => {
+  const { from, to, granularity = 'daily' } = options;
+  const daily = buildDailyValues(options);
+  return {
+    total: formatPerformance(daily.total, from, to, granularity),
+    groups: new Map([...daily.groups].map(([key, group]) => [key, formatPerformance(group, from, to, granularity)]))
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  xirr,
+  samplePoints,
+  moneyWeightedReturn,
+  buildDailyValues,
+  buildPerformance
+};
@@ -0,0 +1,249 @@
+// Rebalancing: target weights per asset type with a drift band, and the buy and sell
+// orders that bring a portfolio (or a goal's share of it) back to target.
+//
+// A target allocation is { targets: { STOCK: 60, MF: 25, GOLD: 15 }, drift_band: 5 }:
+// weights in percent adding up to 100, and how many percentage points a type may drift
+// from its weight before the portfolio needs rebalancing.
+
+const { EPSILON } = require('./lots');
+const { getLongTermMonths } = require('./tax');
+
+const ASSET_TYPES = ['STOCK', 'MF', 'ETF', 'BOND', 'FD', 'GOLD', 'CRYPTO'];
+
+// FULL buys and sells back to target; NEW_CASH_ONLY only invests new cash where it is short
+const REBALANCE_MODES = ['FULL', 'NEW_CASH_ONLY'];
+
+const DEFAULT_DRIFT_BAND = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Check a target allocation; returns an error message or null
+const validateTargetAllocation = (target) => {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    return 'target_allocation must be an object with targets and drift_band';
+  }
+  const { targets, drift_band } = target;
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets) || Object.keys(targets).length === 0) {
+    return 'targets must map asset types to percentages';
+  }
+  for (const [type, percent] of Object.entries(targets)) {
+    if (!ASSET_TYPES.includes(type)) {
+      return `Unknown asset type ${type}. Use one of ${ASSET_TYPES.join(', ')}`;
+    }
+    if (!(typeof percent === 'number' && percent >= 0)) {
+      return `targets.${type} must be a non-negative number`;
+    }
+  }
+  const total = Object.values(targets).reduce((sum, percent) => sum + percent, 0);
+  if (Math.abs(total - 100) > 0.01) {
+    return `targets must add up to 100 (they add up to ${round2(total)})`;
+  }
+  if (drift_band !== undefined && drift_band !== null && !(typeof drift_band === 'number' && drift_band >= 0 && drift_band <= 100)) {
+    return 'drift_band must be a number of percentage points from 0 to 100';
+  }
+  return null;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Units that can be sold at `price` on sellDate without a short-term gain. Sales use the
+// oldest lots first, so this stops at the first lot ({ date, cost_per_unit, quantity },
+// oldest first) that would be sold short-term at a profit.
+const sellableWithoutShortTermGain = (lots, type, price, sellDate = new Date()) => {
+  const longTermMonths = getLongTermMonths(type, sellDate);
+  let sellable = 0;
+  for (const lot of lots) {
+    const longTerm = longTermMonths !== null && sellDate > addMonths(new Date(lot.date), longTermMonths);
+    if (!longTerm && price > lot.cost_per_unit) {
+      break;
+    }
+    sellable += lot.quantity;
+  }
+  return sellable;
+};
+
+// Exchange-traded shares, ETF units and bonds trade in whole units
+const WHOLE_UNIT_TYPES = ['STOCK', 'ETF', 'BOND'];
+
+// Round an order down to whole units where the exchange requires them, and to 0.0001
+// units (as trade_log stores them) otherwise
+const roundQuantity = (quantity, type) => (
+  WHOLE_UNIT_TYPES.includes(type)
+    ? Math.floor(quantity + EPSILON)
+    : Math.floor(quantity * 10000 + EPSILON) / 10000
+);
+
+// Split an amount across instruments in proportion to their market value
+const splitByValue = (amount, holdings) => {
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  return holdings.map(holding => ({
+    holding,
+    amount: total > 0 ? (amount * holding.market_value) / total : amount / holdings.length
+  }));
+};
+
+// The asset type furthest from its target share of the holdings ({ type, market_value }),
+// as { type, drift_percent } in signed percentage points; null when nothing is held
+const largestDrift = (holdings, targets) => {
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  if (!(total > 0)) {
+    return null;
+  }
+  return ASSET_TYPES
+    .filter(type => targets[type] !== undefined || holdings.some(holding => holding.type === type))
+    .map(type => {
+      const value = holdings
+        .filter(holding => holding.type === type)
+        .reduce((sum, holding) => sum + holding.market_value, 0);
+      return { type, drift_percent: round2((value / total) * 100 - (targets[type] || 0)) };
+    })
+    .reduce((largest, row) => (Math.abs(row.drift_percent) > Math.abs(largest.drift_percent) ? row : largest));
+};
+
+// Plan the orders that move the holdings to the target allocation.
+//  holdings: [{ instrument_id, symbol, type, quantity, price, fx_rate, market_value, sellable_quantity }]
+//    (sellable_quantity caps sells, e.g. to avoid short-term gains; defaults to quantity;
+//    price is in the instrument's currency and fx_rate converts it to the currency of
+//    market_value and newCash, 1 when they are the same)
+//  target: a target allocation (see validateTargetAllocation)
+//  newCash: money to invest on top of the holdings
+//  instrumentsForType: { TYPE: { instrument_id, symbol, type, price, fx_rate } } to buy for types
+//    with a target but nothing held
+// Sells are spread over the holdings of an overweight type and buys over those of an
+// underweight one, in proportion to their value. Buys never spend more than the sales
+// raise plus the new cash.
+const planRebalance = ({ holdings, target, mode = 'FULL', newCash = 0, instrumentsForType = {} }) => {
+  const targets = target.targets;
+  const driftBand = target.drift_band ?? DEFAULT_DRIFT_BAND;
+  const warnings = [];
+
+  const types = ASSET_TYPES.filter(type => targets[type] !== undefined || holdings.some(holding => holding.type === type));
+  const valueOf = (type) => holdings
+    .filter(holding => holding.type === type)
+    .reduce((sum, holding) => sum + holding.market_value, 0);
+  const currentTotal = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  const finalTotal = currentTotal + newCash;
+
+  const allocation = types.map(type => {
+    const currentValue = valueOf(type);
+    const targetPercent = targets[type] || 0;
+    const currentPercent = currentTotal > 0 ? (currentValue / currentTotal) * 100 : 0;
+    return {
+      type,
+      target_percent: targetPercent,
+      current_value: currentValue,
+      current_percent: currentPercent,
+      drift_percent: currentPercent - targetPercent,
+      outside_band: currentTotal > 0 && Math.abs(currentPercent - targetPercent) > driftBand,
+      desired_value: (finalTotal * targetPercent) / 100
+    };
+  });
+  const needsRebalance = allocation.some(row => row.outside_band);
+
+  const orders = [];
+  const addOrder = (holding, side, amount) => {
+    if (!(holding.price > 0)) {
+      warnings.push(`${holding.symbol} has no price, so it is left out of the plan`);
+      return 0;
+    }
+    const unitValue = holding.price * (holding.fx_rate ?? 1);
+    let quantity = roundQuantity(amount / unitValue, holding.type);
+    if (side === 'SELL') {
+      const sellable = holding.sellable_quantity ?? holding.quantity;
+      if (quantity > sellable + EPSILON) {
+        warnings.push(`Only ${sellable} of ${holding.symbol} can be sold${sellable < holding.quantity ? ' without a short-term gain' : ''}`);
+        quantity = roundQuantity(sellable, holding.type);
+      }
+    }
+    if (quantity > 0) {
+      orders.push({
+        instrument_id: holding.instrument_id,
+        symbol: holding.symbol,
+        type: holding.type,
+        side,
+        quantity,
+        price: holding.price,
+        amount: round2(quantity * unitValue)
+      });
+    }
+    return quantity * unitValue;
+  };
+
+  // Sell down overweight types
+  const sold = new Map();
+  if (mode === 'FULL' && needsRebalance) {
+    allocation
+      .filter(row => row.current_value > row.desired_value)
+      .forEach(row => {
+        const typeHoldings = holdings.filter(holding => holding.type === row.type);
+        const raised = splitByValue(row.current_value - row.desired_value, typeHoldings)
+          .reduce((sum, { holding, amount }) => sum + addOrder(holding, 'SELL', amount), 0);
+        sold.set(row.type, raised);
+      });
+  }
+  const proceeds = [...sold.values()].reduce((sum, value) => sum + value, 0);
+
+  // Buy underweight types with the proceeds and the new cash, scaled down if short
+  const shortfalls = allocation
+    .map(row => {
+      const typeHoldings = holdings.filter(holding => holding.type === row.type);
+      const fallback = instrumentsForType[row.type];
+      return {
+        row,
+        shortfall: Math.max(row.desired_value - (row.current_value - (sold.get(row.type) || 0)), 0),
+        candidates: typeHoldings.length > 0 ? typeHoldings : fallback ? [{ ...fallback, market_value: 0, quantity: 0 }] : []
+      };
+    })
+    .filter(({ row, shortfall, candidates }) => {
+      if (shortfall > 0 && candidates.length === 0) {
+        warnings.push(`No ${row.type} instrument is held; choose one in instruments.${row.type} to buy`);
+      }
+      return shortfall > 0 && candidates.length > 0;
+    });
+  const totalShortfall = shortfalls.reduce((sum, { shortfall }) => sum + shortfall, 0);
+  const budget = mode === 'FULL' && !needsRebalance ? newCash : proceeds + newCash;
+  const scale = totalShortfall > 0 ? Math.min(budget / totalShortfall, 1) : 0;
+  const spent = shortfalls.reduce((total, { shortfall, candidates }) => total + splitByValue(shortfall * scale, candidates)
+    .reduce((sum, { holding, amount }) => sum + addOrder(holding, 'BUY', amount), 0), 0);
+
+  // Value of each type once the orders are filled
+  const plannedTotal = currentTotal + newCash - (proceeds + newCash - spent);
+  const plannedValue = (type) => orders
+    .filter(order => order.type === type)
+    .reduce((sum, order) => sum + (order.side === 'BUY' ? order.amount : -order.amount), valueOf(type));
+
+  return {
+    mode,
+    drift_band: driftBand,
+    current_value: round2(currentTotal),
+    new_cash: round2(newCash),
+    needs_rebalance: needsRebalance,
+    allocation: allocation.map(row => ({
+      type: row.type,
+      target_percent: row.target_percent,
+      current_value: round2(row.current_value),
+      current_percent: round2(row.current_percent),
+      drift_percent: round2(row.drift_percent),
+      outside_band: row.outside_band,
+      planned_value: round2(plannedValue(row.type)),
+      planned_percent: plannedTotal > 0 ? round2((plannedValue(row.type) / plannedTotal) * 100) : 0
+    })),
+    orders: [...orders.filter(order => order.side === 'SELL'), ...orders.filter(order => order.side === 'BUY')],
+    cash_remaining: round2(proceeds + newCash - spent),
+    warnings
+  };
+};
+
+module.exports = {
+  ASSET_TYPES,
+  REBALANCE_MODES,
+  DEFAULT_DRIFT_BAND,
+  validateTargetAllocation,
+  sellableWithoutShortTermGain,
+  largestDrift,
+  planRebalance
+};
@@ -0,0 +1,189 @@
+// Risk analytics: volatility, drawdown, Sharpe and Sortino ratios for the portfolio and
+// each holding, correlations between holdings, and concentration checks.
+//
+// Returns are calendar-day returns (prices carry over weekends and holidays) annualized
+// over 365 days. Rates and shares are percentages.
+
+const DAYS_PER_YEAR = 365;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const roundOrNull = (value, round = round2) => (value === null || !isFinite(value) ? null : round(value));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample covariance of two equally long series
+const covariance = (a, b) => {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, index) => sum + (value - meanA) * (b[index] - meanB), 0) / (a.length - 1);
+};
+
+const correlation = (a, b) => {
+  if (a.length < 2) {
+    return null;
+  }
+  const varianceA = covariance(a, a);
+  const varianceB = covariance(b, b);
+  return varianceA > 0 && varianceB > 0 ? covariance(a, b) / Math.sqrt(varianceA * varianceB) : null;
+};
+
+// Each day's closing price from `days` (YYYY-MM-DD, ascending), carried forward from the
+// last price point ([{ date, price }] oldest first); null before the first one
+const closesOn = (points, days) => {
+  let index = -1;
+  return days.map(day => {
+    while (index + 1 < points.length && points[index + 1].date <= day) {
+      index += 1;
+    }
+    return index >= 0 ? points[index].price : null;
+  });
+};
+
+// Day-on-day returns of a series of levels, null where either day has no level
+const toReturns = (levels) => levels.slice(1).map((level, index) => (
+  level !== null && levels[index] ? level / levels[index] - 1 : null
+));
+
+// Largest fall from a running peak in a series of levels ([{ date, level }])
+const maxDrawdown = (series) => {
+  let peak = null;
+  let worst = { drawdown: 0, peak_date: null, trough_date: null, recovery_date: null };
+  let current = null;
+  series.forEach(({ date, level }) => {
+    if (level === null) {
+      return;
+    }
+    if (!peak || level >= peak.level) {
+      if (current && !current.recovery_date) {
+        current.recovery_date = date;
+      }
+      peak = { date, level };
+      current = null;
+      return;
+    }
+    const drawdown = 1 - level / peak.level;
+    if (drawdown > worst.drawdown) {
+      current = { drawdown, peak_date: peak.date, trough_date: date, recovery_date: null };
+      worst = current;
+    }
+  });
+  return {
+    max_drawdown_percent: round2(worst.drawdown * 100),
+    peak_date: worst.peak_date,
+    trough_date: worst.trough_date,
+    recovery_date: worst.recovery_date
+  };
+};
+
+// Annualized return, volatility, Sharpe and Sortino ratios of daily returns
+const returnStatistics = (returns, riskFreeRate) => {
+  if (returns.length < 2) {
+    return {
+      annual_return_percent: null,
+      volatility_percent: null,
+      downside_deviation_percent: null,
+      sharpe_ratio: null,
+      sortino_ratio: null
+    };
+  }
+  const growth = returns.reduce((product, value) => product * (1 + value), 1);
+  const annualReturn = Math.pow(growth, DAYS_PER_YEAR / returns.length) - 1;
+  const volatility = Math.sqrt(covariance(returns, returns) * DAYS_PER_YEAR);
+  const dailyRiskFree = Math.pow(1 + riskFreeRate / 100, 1 / DAYS_PER_YEAR) - 1;
+  const downside = Math.sqrt(
+    mean(returns.map(value => Math.pow(Math.min(value - dailyRiskFree, 0), 2))) * DAYS_PER_YEAR
+  );
+  const excess = annualReturn - riskFreeRate / 100;
+
+  return {
+    annual_return_percent: round2(annualReturn * 100),
+    volatility_percent: round2(volatility * 100),
+    downside_deviation_percent: round2(downside * 100),
+    sharpe_ratio: volatility > 0 ? round2(excess / volatility) : null,
+    sortino_ratio: downside > 0 ? round2(excess / downside) : null
+  };
+};
+
+// Correlation of every pair of return series (aligned by day), over the days both have a return
+const correlationMatrix = (series) => series.map((rowReturns, row) => series.map((columnReturns, column) => {
+  if (row === column) {
+    return 1;
+  }
+  const pairs = rowReturns
+    .map((value, index) => [value, columnReturns[index]])
+    .filter(([a, b]) => a !== null && b !== null);
+  return roundOrNull(correlation(pairs.map(pair => pair[0]), pairs.map(pair => pair[1])), round4);
+}));
+
+// Share of each holding ({ instrument_id, symbol, type, market_value }) and asset type,
+// flagging instruments above limitPercent of the total
+const concentration = (holdings, limitPercent) => {
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  const shareOf = (value) => (total > 0 ? (value / total) * 100 : 0);
+  const shares = holdings.map(holding => ({ ...holding, share_percent: round2(shareOf(holding.market_value)) }));
+
+  const byType = new Map();
+  holdings.forEach(holding => byType.set(holding.type, (byType.get(holding.type) || 0) + holding.market_value));
+
+  return {
+    limit_percent: limitPercent,
+    largest_share_percent: shares.reduce((largest, holding) => Math.max(largest, holding.share_percent), 0),
+    // Sum of squared shares: 1 is a single holding, 1/n is n equal holdings
+    herfindahl_index: round4(holdings.reduce((sum, holding) => sum + Math.pow(shareOf(holding.market_value) / 100, 2), 0)),
+    by_type: [...byType.entries()].map(([type, value]) => ({ type, market_value: round2(value), share_percent: round2(shareOf(value)) })),
+    flags: shares
+      .filter(holding => holding.share_percent > limitPercent)
+      .sort((a, b) => b.share_percent - a.share_percent)
+      .map(holding => ({
+        instrument_id: holding.instrument_id,
+        symbol: holding.symbol,
+        share_percent: holding.share_percent,
+        message: `${holding.symbol} is ${holding.share_percent}% of the portfolio, above the ${limitPercent}% limit`
+      }))
+  };
+};
+
+// Risk report for `days` (YYYY-MM-DD, ascending).
+//  portfolioLevels: the portfolio's growth index on each day (net of cash flows), null
+//    before it held anything
+//  holdings: [{ instrument_id, symbol, type, market_value }] held at the end
+//  prices: Map of instrument_id -> [{ date, price }] oldest first
+const analyzeRisk = ({ days, portfolioLevels, holdings, prices, riskFreeRate, concentrationLimit }) => {
+  const portfolioReturns = toReturns(portfolioLevels).filter(value => value !== null);
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+
+  const returnsByInstrument = [];
+  const holdingRisk = holdings.map(holding => {
+    const closes = closesOn(prices.get(holding.instrument_id) || [], days);
+    const returns = toReturns(closes);
+    returnsByInstrument.push(returns);
+    return {
+      instrument_id: holding.instrument_id,
+      symbol: holding.symbol,
+      type: holding.type,
+      market_value: round2(holding.market_value),
+      weight_percent: total > 0 ? round2((holding.market_value / total) * 100) : 0,
+      ...returnStatistics(returns.filter(value => value !== null), riskFreeRate),
+      max_drawdown_percent: maxDrawdown(days.map((date, index) => ({ date, level: closes[index] }))).max_drawdown_percent
+    };
+  });
+
+  return {
+    portfolio: {
+      ...returnStatistics(portfolioReturns, riskFreeRate),
+      ...maxDrawdown(days.map((date, index) => ({ date, level: portfolioLevels[index] }))),
+      days_measured: portfolioReturns.length
+    },
+    holdings: holdingRisk.sort((a, b) => b.market_value - a.market_value),
+    correlation: {
+      instruments: holdings.map(holding => ({ instrument_id: holding.instrument_id, symbol: holding.symbol })),
+      matrix: correlationMatrix(returnsByInstrument)
+    },
+    concentration: concentration(holdings, concentrationLimit)
+  };
+};
+
+module.exports = { DAYS_PER_YEAR, mean, covariance, correlation, analyzeRisk };
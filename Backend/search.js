@@ -0,0 +1,58 @@
+// Instrument search: ranks instruments by how well their symbol and name match a query.
+//
+// Matching ignores case, and symbols are compared without separators, so "hdfc bank"
+// finds HDFC_BANK. Every word of the query has to match the symbol or the name.
+
+const normalize = (text) => String(text || '').toLowerCase();
+
+const compact = (text) => normalize(text).replace(/[^a-z0-9]/g, '');
+
+// Words of a query, lower-cased, without punctuation
+const queryWords = (query) => normalize(query).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Score of one instrument ({ symbol, name }) for a query; 0 when it does not match
+const scoreInstrument = (instrument, query) => {
+  const words = queryWords(query);
+  if (words.length === 0) {
+    return 0;
+  }
+  const symbol = compact(instrument.symbol);
+  const name = normalize(instrument.name);
+  const nameWords = name.split(/[^a-z0-9]+/).filter(Boolean);
+  const whole = compact(query);
+
+  if (!words.every(word => symbol.includes(word) || name.includes(word))) {
+    return 0;
+  }
+  if (symbol === whole) {
+    return 100;
+  }
+  if (symbol.startsWith(whole)) {
+    return 80;
+  }
+  if (name.startsWith(normalize(query).trim())) {
+    return 70;
+  }
+  if (words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)))) {
+    return 60;
+  }
+  if (symbol.includes(whole)) {
+    return 40;
+  }
+  return 20;
+};
+
+// Instruments matching the query, best first (ties go to the shorter, then alphabetically
+// earlier symbol), at most `limit` of them
+const rankInstruments = (instruments, query, limit = 20) => instruments
+  .map(instrument => ({ instrument, score: scoreInstrument(instrument, query) }))
+  .filter(({ score }) => score > 0)
+  .sort((a, b) => (
+    b.score - a.score ||
+    a.instrument.symbol.length - b.instrument.symbol.length ||
+    a.instrument.symbol.localeCompare(b.instrument.symbol)
+  ))
+  .slice(0, limit)
+  .map(({ instrument, score }) => ({ ...instrument, match_score: score }));
+
+module.exports = { queryWords, rankInstruments };
@@ -2,95 +2,499 @@
 -- This script creates the database tables and inserts mock data
 
 -- Drop tables if they exist (for clean setup)
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS fx_rates;
+DROP TABLE IF EXISTS watchlist_items;
+DROP TABLE IF EXISTS watchlists;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS goal_allocations;
+DROP TABLE IF EXISTS sip_instalments;
+DROP TABLE IF EXISTS sips;
+DROP TABLE IF EXISTS cash_transactions;
+DROP TABLE IF EXISTS price_history;
+DROP TABLE IF EXISTS lot_matches;
+DROP TABLE IF EXISTS corporate_actions;
+DROP TABLE IF EXISTS settings;
 DROP TABLE IF EXISTS trade_log;
 DROP TABLE IF EXISTS goals;
+DROP TABLE IF EXISTS portfolios;
 DROP TABLE IF EXISTS instruments;
+DROP TABLE IF EXISTS users;
 
--- Table 1: Instruments (Stocks, Mutual Funds, Gold)
+-- Table 1: Users (each user owns their own goals and trades)
+CREATE TABLE users (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(100),
+    password_hash VARCHAR(255) NOT NULL,
+    role ENUM('USER', 'ADMIN') NOT NULL DEFAULT 'USER', -- ADMIN writes the shared instruments, prices and FX rates (set by hand)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table 2: Instruments (Stocks, Mutual Funds, ETFs, Bonds, Fixed Deposits, Gold, Crypto,
+-- and market indices used only as benchmarks), with their reference data
 CREATE TABLE instruments (
     id INT PRIMARY KEY AUTO_INCREMENT,
     symbol VARCHAR(50) NOT NULL UNIQUE,
     name VARCHAR(200) NOT NULL,
-    type ENUM('STOCK', 'MF', 'GOLD') NOT NULL,
+    type ENUM('STOCK', 'MF', 'ETF', 'BOND', 'FD', 'GOLD', 'CRYPTO', 'INDEX') NOT NULL,
+    isin CHAR(12) NULL UNIQUE,               -- ISO 6166 security identifier
+    exchange ENUM('NSE', 'BSE') NULL,        -- Primary listing, for exchange-traded instruments
+    amfi_code VARCHAR(10) NULL,              -- AMFI scheme code of a mutual fund
+    sector VARCHAR(100) NULL,
+    industry VARCHAR(100) NULL,
+    lot_size INT NOT NULL DEFAULT 1,         -- Smallest tradable quantity
+    currency CHAR(3) NOT NULL DEFAULT 'INR', -- ISO 4217 code the instrument is priced in
     current_price DECIMAL(12,4) NOT NULL,
+    grandfathered_price DECIMAL(12,4) NULL, -- FMV on 31 Jan 2018 for grandfathered capital gains
+    previous_close DECIMAL(12,4) NULL,      -- Last price of the previous trading day
+    price_updated_at TIMESTAMP NULL,         -- Time of the last price quote
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     INDEX idx_type (type),
-    INDEX idx_symbol (symbol)
+    INDEX idx_symbol (symbol),
+    INDEX idx_sector (sector)
 );
 
--- Table 2: Goals
+-- Table 3: Goals
 CREATE TABLE goals (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
     name VARCHAR(100) NOT NULL,
     target_amount DECIMAL(15,2) NOT NULL,
+    target_date DATE,                        -- When the target amount is needed
+    expected_return DECIMAL(5,2),            -- Annual %, for projections (defaults from the holdings' asset mix)
+    monthly_contribution DECIMAL(15,2),      -- Planned monthly investment (defaults to the goal's active SIPs)
+    target_allocation JSON,                  -- Target % per asset type and drift band, for rebalancing
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    
+    INDEX idx_user (user_id),
     INDEX idx_name (name)
 );
 
--- Table 3: Trade Log (Buy/Sell History)
+-- Table 4: Portfolios (a user's demat/broker accounts, including family members')
+CREATE TABLE portfolios (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    account_type ENUM('DEMAT', 'BROKER', 'FAMILY', 'OTHER') NOT NULL DEFAULT 'DEMAT',
+    broker VARCHAR(100),
+    owner_name VARCHAR(100),
+    cost_basis_method ENUM('FIFO', 'AVERAGE') NOT NULL DEFAULT 'FIFO',
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    fee_schedule JSON,                       -- Overrides of the default fee schedule per instrument type
+    target_allocation JSON,                  -- Target % per asset type and drift band, for rebalancing
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    
+    UNIQUE KEY uq_user_name (user_id, name)
+);
+
+-- Table 5: Trade Log (Buy/Sell History)
 CREATE TABLE trade_log (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    portfolio_id INT NOT NULL,
     instrument_id INT NOT NULL,
     goal_id INT,
     transaction_type ENUM('BUY', 'SELL') NOT NULL,
     quantity DECIMAL(15,4) NOT NULL,
     price DECIMAL(12,4) NOT NULL,
     total_amount DECIMAL(15,2) NOT NULL,
+    charges DECIMAL(15,2) NOT NULL DEFAULT 0,   -- Brokerage, STT, GST, stamp duty and exchange fees
+    charges_breakdown JSON,                  -- Per-charge amounts when calculated from the fee schedule
+    net_amount DECIMAL(15,2) AS (IF(transaction_type = 'BUY', total_amount + charges, total_amount - charges)) STORED,
+    external_id VARCHAR(100),               -- Broker trade id for imported trades
+    currency CHAR(3) NOT NULL DEFAULT 'INR', -- Currency of price and amounts (the instrument's)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
     FOREIGN KEY (instrument_id) REFERENCES instruments(id),
     FOREIGN KEY (goal_id) REFERENCES goals(id),
     
+    INDEX idx_user_instrument (user_id, instrument_id),
+    INDEX idx_portfolio_instrument (portfolio_id, instrument_id),
+    INDEX idx_external (portfolio_id, external_id),
     INDEX idx_instrument (instrument_id),
     INDEX idx_goal (goal_id),
     INDEX idx_type (transaction_type),
     INDEX idx_date (created_at)
 );
 
+-- Table 6: Settings (key/value user preferences)
+CREATE TABLE settings (
+    user_id INT NOT NULL,
+    setting_key VARCHAR(50) NOT NULL,
+    setting_value VARCHAR(255) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (user_id, setting_key),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Table 7: Corporate Actions (dividends, splits, bonus/rights issues and mergers a user records)
+CREATE TABLE corporate_actions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    portfolio_id INT,                        -- NULL applies to all of the user's portfolios
+    instrument_id INT NOT NULL,
+    action_type ENUM('DIVIDEND', 'SPLIT', 'BONUS', 'MERGER', 'RIGHTS') NOT NULL,
+    ex_date DATE NOT NULL,
+    ratio_from DECIMAL(12,4),                -- SPLIT/MERGER: old units; BONUS/RIGHTS: units held
+    ratio_to DECIMAL(12,4),                  -- SPLIT/MERGER: new units; BONUS/RIGHTS: units allotted
+    amount DECIMAL(12,4),                    -- DIVIDEND: per unit; RIGHTS: issue price
+    new_instrument_id INT,                   -- MERGER: instrument the holding becomes
+    notes VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id),
+    FOREIGN KEY (new_instrument_id) REFERENCES instruments(id),
+    
+    INDEX idx_user_instrument (user_id, instrument_id),
+    INDEX idx_ex_date (ex_date)
+);
+
+-- Table 8: Lot Matches (SELL quantities matched against earlier BUY lots)
+CREATE TABLE lot_matches (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    portfolio_id INT NOT NULL,
+    instrument_id INT NOT NULL,
+    sell_trade_id INT NOT NULL,
+    buy_trade_id INT,                        -- NULL for lots allotted by a bonus or rights issue
+    buy_corporate_action_id INT,             -- The bonus or rights issue that allotted the lot
+    quantity DECIMAL(15,4) NOT NULL,
+    buy_date TIMESTAMP NOT NULL,
+    sell_date TIMESTAMP NOT NULL,
+    cost_per_unit DECIMAL(12,4) NOT NULL,
+    sell_price DECIMAL(12,4) NOT NULL,
+    cost_amount DECIMAL(15,2) NOT NULL,
+    proceeds_amount DECIMAL(15,2) NOT NULL,
+    realized_pnl DECIMAL(15,2) NOT NULL,
+    method ENUM('FIFO', 'AVERAGE') NOT NULL,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id),
+    FOREIGN KEY (sell_trade_id) REFERENCES trade_log(id) ON DELETE CASCADE,
+    FOREIGN KEY (buy_trade_id) REFERENCES trade_log(id) ON DELETE CASCADE,
+    FOREIGN KEY (buy_corporate_action_id) REFERENCES corporate_actions(id) ON DELETE CASCADE,
+    
+    INDEX idx_user_instrument (user_id, instrument_id),
+    INDEX idx_portfolio_instrument (portfolio_id, instrument_id),
+    INDEX idx_sell_date (sell_date)
+);
+
+-- Table 9: Price History (price ticks or bars per instrument, aggregated into candles)
+CREATE TABLE price_history (
+    instrument_id INT NOT NULL,
+    price_time TIMESTAMP NOT NULL,
+    price DECIMAL(12,4) NOT NULL,
+    open DECIMAL(12,4) NULL,
+    high DECIMAL(12,4) NULL,
+    low DECIMAL(12,4) NULL,
+    volume BIGINT NOT NULL DEFAULT 0,
+    
+    PRIMARY KEY (instrument_id, price_time),
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id) ON DELETE CASCADE
+);
+
+-- Table 10: Cash Transactions (deposits into and withdrawals from a portfolio's cash balance)
+CREATE TABLE cash_transactions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    portfolio_id INT NOT NULL,
+    transaction_type ENUM('DEPOSIT', 'WITHDRAWAL') NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'INR', -- Cash is kept per currency
+    description VARCHAR(255),
+    transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+    
+    INDEX idx_portfolio_date (portfolio_id, transaction_date)
+);
+
+-- Table 11: SIPs (recurring purchases of an instrument, posted by the SIP scheduler)
+CREATE TABLE sips (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    portfolio_id INT NOT NULL,
+    instrument_id INT NOT NULL,
+    goal_id INT,
+    amount DECIMAL(15,2),                    -- Rupees per instalment (or quantity)
+    quantity DECIMAL(15,4),                  -- Units per instalment (or amount)
+    frequency ENUM('WEEKLY', 'FORTNIGHTLY', 'MONTHLY', 'QUARTERLY') NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    status ENUM('ACTIVE', 'PAUSED') NOT NULL DEFAULT 'ACTIVE',
+    catch_up BOOLEAN NOT NULL DEFAULT TRUE,  -- Post missed instalments at their due-date price, or only the latest
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id) ON DELETE CASCADE,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE SET NULL,
+    
+    INDEX idx_user (user_id),
+    INDEX idx_status (status)
+);
+
+-- Table 12: SIP Instalments (what happened on each due date of a SIP)
+CREATE TABLE sip_instalments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    sip_id INT NOT NULL,
+    due_date DATE NOT NULL,
+    status ENUM('EXECUTED', 'SKIPPED', 'MISSED', 'FAILED') NOT NULL,
+    trade_id INT,                            -- The BUY trade posted for an executed instalment
+    note VARCHAR(255),                       -- Why an instalment was skipped, missed or failed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (sip_id) REFERENCES sips(id) ON DELETE CASCADE,
+    FOREIGN KEY (trade_id) REFERENCES trade_log(id) ON DELETE SET NULL,
+    
+    UNIQUE KEY uq_sip_due_date (sip_id, due_date)
+);
+
+-- Table 13: Goal Allocations (how much of a holding counts toward each goal)
+CREATE TABLE goal_allocations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    goal_id INT NOT NULL,
+    portfolio_id INT NOT NULL,
+    instrument_id INT NOT NULL,
+    allocation_type ENUM('QUANTITY', 'PERCENT') NOT NULL,
+    value DECIMAL(15,4) NOT NULL,            -- Units, or percent of the holding
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uq_goal_holding (goal_id, portfolio_id, instrument_id),
+    INDEX idx_user_holding (user_id, portfolio_id, instrument_id)
+);
+
+-- Table 14: Alerts (rules checked whenever prices or trades change)
+CREATE TABLE alerts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    alert_type ENUM('PRICE', 'PNL', 'DRIFT', 'GOAL_MILESTONE') NOT NULL,
+    instrument_id INT,                       -- PRICE, and PNL of one holding
+    portfolio_id INT,                        -- PNL and DRIFT of one portfolio
+    goal_id INT,                             -- DRIFT of a goal's units, and GOAL_MILESTONE
+    direction ENUM('ABOVE', 'BELOW'),        -- PRICE and PNL
+    threshold DECIMAL(15,4),                 -- Price, P&L %, drift points (defaults to the band) or progress %
+    notify_outbound BOOLEAN NOT NULL DEFAULT TRUE,  -- Also send through the webhook/email channel
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_triggered BOOLEAN NOT NULL DEFAULT FALSE,    -- Condition held at the last check; re-armed when it clears
+    last_triggered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id) ON DELETE CASCADE,
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+    
+    INDEX idx_user_active (user_id, is_active)
+);
+
+-- Table 15: Notifications (the in-app notification center; one per alert that fired)
+CREATE TABLE notifications (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    alert_id INT,
+    alert_type ENUM('PRICE', 'PNL', 'DRIFT', 'GOAL_MILESTONE'),
+    title VARCHAR(200) NOT NULL,
+    message VARCHAR(500) NOT NULL,
+    data JSON,                               -- What was measured: { value, threshold, ... }
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
+    delivery_status ENUM('PENDING', 'SENT', 'FAILED', 'SKIPPED') NOT NULL DEFAULT 'PENDING',
+    delivery_error VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE SET NULL,
+    
+    INDEX idx_user_read (user_id, is_read)
+);
+
+-- Table 16: Watchlists (named lists of instruments a user follows)
+CREATE TABLE watchlists (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    
+    UNIQUE KEY uq_user_name (user_id, name)
+);
+
+-- Table 17: Watchlist Items
+CREATE TABLE watchlist_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    watchlist_id INT NOT NULL,
+    instrument_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uq_watchlist_instrument (watchlist_id, instrument_id)
+);
+
+-- Table 18: FX Rates (daily value of one unit of a currency in INR, for conversion to a base currency)
+CREATE TABLE fx_rates (
+    currency CHAR(3) NOT NULL,               -- ISO 4217 code (INR itself is always 1)
+    rate_date DATE NOT NULL,
+    rate DECIMAL(18,8) NOT NULL,
+    
+    PRIMARY KEY (currency, rate_date)
+);
+
+-- Table 19: Orders (limit, stop-loss and GTT orders waiting for a price, filled into the trade log)
+CREATE TABLE orders (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    portfolio_id INT NOT NULL,
+    instrument_id INT NOT NULL,
+    goal_id INT,                             -- Units bought or sold for a goal, as with a manual trade
+    side ENUM('BUY', 'SELL') NOT NULL,
+    order_type ENUM('LIMIT', 'STOP_LOSS', 'GTT') NOT NULL,
+    quantity DECIMAL(15,4) NOT NULL,
+    limit_price DECIMAL(15,2),               -- Worst price to fill at (none for a stop-loss market order)
+    trigger_price DECIMAL(15,2),             -- STOP_LOSS and GTT
+    trigger_direction ENUM('ABOVE', 'BELOW'),-- Side of trigger_price the price has to reach
+    status ENUM('OPEN', 'TRIGGERED', 'FILLED', 'CANCELLED', 'EXPIRED') NOT NULL DEFAULT 'OPEN',
+    valid_until DATE NOT NULL,               -- Expires if still pending after this day
+    trade_id INT,                            -- The trade the order filled into
+    note VARCHAR(255),                       -- Why an order was cancelled without filling
+    triggered_at TIMESTAMP NULL,
+    filled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    FOREIGN KEY (instrument_id) REFERENCES instruments(id) ON DELETE CASCADE,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE SET NULL,
+    FOREIGN KEY (trade_id) REFERENCES trade_log(id) ON DELETE SET NULL,
+    
+    INDEX idx_user_status (user_id, status),
+    INDEX idx_instrument_status (instrument_id, status)
+);
+
+-- Insert Sample User (demo@example.com / password123)
+INSERT INTO users (email, name, password_hash) VALUES
+('demo@example.com', 'Demo User', '$2a$10$.nH/LZ8VYM3VbVHftm58tOz8w2O8E6YPYGDp1ZCVsCs6wprB15Q82');
+
 -- Insert Sample Instruments Data
-INSERT INTO instruments (symbol, name, type, current_price) VALUES
-('RELIANCE', 'Reliance Industries Ltd', 'STOCK', 2450.50),
-('TCS', 'Tata Consultancy Services', 'STOCK', 3250.75),
-('INFY', 'Infosys Ltd', 'STOCK', 1450.25),
-('HDFC_BANK', 'HDFC Bank Ltd', 'STOCK', 1650.80),
-('ICICI_BANK', 'ICICI Bank Ltd', 'STOCK', 950.45),
-('HDFC_TOP100', 'HDFC Top 100 Fund', 'MF', 650.45),
-('SBI_SMALL_CAP', 'SBI Small Cap Fund', 'MF', 125.30),
-('AXIS_BLUECHIP', 'Axis Bluechip Fund', 'MF', 45.75),
-('MIRAE_EMERGING', 'Mirae Asset Emerging Bluechip Fund', 'MF', 35.20),
-('GOLD_24K', '24K Gold per gram', 'GOLD', 6250.00),
-('SILVER', 'Silver per gram', 'GOLD', 78.50),
-('PLATINUM', 'Platinum per gram', 'GOLD', 3200.00);
+INSERT INTO instruments (symbol, name, type, isin, exchange, sector, industry, current_price) VALUES
+('RELIANCE', 'Reliance Industries Ltd', 'STOCK', 'INE002A01018', 'NSE', 'Energy', 'Refineries & Marketing', 2450.50),
+('TCS', 'Tata Consultancy Services', 'STOCK', 'INE467B01029', 'NSE', 'Information Technology', 'IT Services & Consulting', 3250.75),
+('INFY', 'Infosys Ltd', 'STOCK', 'INE009A01021', 'NSE', 'Information Technology', 'IT Services & Consulting', 1450.25),
+('HDFC_BANK', 'HDFC Bank Ltd', 'STOCK', 'INE040A01034', 'NSE', 'Financial Services', 'Private Sector Bank', 1650.80),
+('ICICI_BANK', 'ICICI Bank Ltd', 'STOCK', 'INE090A01021', 'NSE', 'Financial Services', 'Private Sector Bank', 950.45);
+
+INSERT INTO instruments (symbol, name, type, sector, current_price) VALUES
+('HDFC_TOP100', 'HDFC Top 100 Fund', 'MF', 'Large Cap Fund', 650.45),
+('SBI_SMALL_CAP', 'SBI Small Cap Fund', 'MF', 'Small Cap Fund', 125.30),
+('AXIS_BLUECHIP', 'Axis Bluechip Fund', 'MF', 'Large Cap Fund', 45.75),
+('MIRAE_EMERGING', 'Mirae Asset Emerging Bluechip Fund', 'MF', 'Large & Mid Cap Fund', 35.20),
+('GOLD_24K', '24K Gold per gram', 'GOLD', 'Precious Metals', 6250.00),
+('SILVER', 'Silver per gram', 'GOLD', 'Precious Metals', 78.50),
+('PLATINUM', 'Platinum per gram', 'GOLD', 'Precious Metals', 3200.00),
+('NIFTY_50', 'NIFTY 50 Index', 'INDEX', NULL, 24500.00),
+('SENSEX', 'S&P BSE SENSEX', 'INDEX', NULL, 80500.00);
+
+INSERT INTO instruments (symbol, name, type, isin, sector, industry, currency, current_price) VALUES
+('AAPL', 'Apple Inc', 'STOCK', 'US0378331005', 'Information Technology', 'Consumer Electronics', 'USD', 228.50),
+('TSLA', 'Tesla Inc', 'STOCK', 'US88160R1014', 'Consumer Discretionary', 'Automobiles', 'USD', 245.10),
+('GOOGL', 'Alphabet Inc Class A', 'STOCK', 'US02079K3059', 'Communication Services', 'Interactive Media', 'USD', 165.30);
+
+-- Insert Sample FX Rates (INR per unit)
+INSERT INTO fx_rates (currency, rate_date, rate) VALUES
+('USD', DATE_SUB(CURRENT_DATE, INTERVAL 365 DAY), 83.10),
+('USD', DATE_SUB(CURRENT_DATE, INTERVAL 180 DAY), 83.45),
+('USD', CURRENT_DATE, 84.05),
+('EUR', DATE_SUB(CURRENT_DATE, INTERVAL 365 DAY), 90.20),
+('EUR', DATE_SUB(CURRENT_DATE, INTERVAL 180 DAY), 91.05),
+('EUR', CURRENT_DATE, 92.30),
+('GBP', DATE_SUB(CURRENT_DATE, INTERVAL 365 DAY), 105.50),
+('GBP', DATE_SUB(CURRENT_DATE, INTERVAL 180 DAY), 106.80),
+('GBP', CURRENT_DATE, 108.20);
 
 -- Insert Sample Goals Data
-INSERT INTO goals (name, target_amount) VALUES
-('Retirement Fund', 5000000.00),
-('House Purchase', 2000000.00),
-('Emergency Fund', 500000.00),
-('Child Education', 1500000.00),
-('Vacation Fund', 300000.00),
-('Car Purchase', 800000.00);
+INSERT INTO goals (user_id, name, target_amount, target_date, monthly_contribution) VALUES
+(1, 'Retirement Fund', 5000000.00, '2050-03-31', 15000.00),
+(1, 'House Purchase', 2000000.00, '2032-06-30', 20000.00),
+(1, 'Emergency Fund', 500000.00, NULL, NULL),
+(1, 'Child Education', 1500000.00, '2038-04-01', 8000.00),
+(1, 'Vacation Fund', 300000.00, '2027-12-01', NULL),
+(1, 'Car Purchase', 800000.00, '2029-01-31', NULL);
+
+-- Insert Sample Portfolio Data
+INSERT INTO portfolios (user_id, name, account_type, broker, cost_basis_method, is_default) VALUES
+(1, 'My Portfolio', 'DEMAT', NULL, 'FIFO', TRUE);
+
+-- Insert Sample Cash Data
+INSERT INTO cash_transactions (user_id, portfolio_id, transaction_type, amount, description) VALUES
+(1, 1, 'DEPOSIT', 500000.00, 'Initial deposit');
 
 -- Insert Sample Trade Log Data
-INSERT INTO trade_log (instrument_id, goal_id, transaction_type, quantity, price, total_amount) VALUES
-(1, 1, 'BUY', 10, 2400.00, 24000.00),
-(3, 1, 'BUY', 50, 650.00, 32500.00),
-(5, 2, 'BUY', 5, 6200.00, 31000.00),
-(1, 1, 'SELL', 5, 2450.00, 12250.00),
-(2, 3, 'BUY', 15, 3200.00, 48000.00),
-(4, 4, 'BUY', 20, 1600.00, 32000.00),
-(6, 1, 'BUY', 100, 650.00, 65000.00),
-(7, 2, 'BUY', 500, 125.00, 62500.00),
-(10, 5, 'BUY', 10, 6200.00, 62000.00),
-(11, 6, 'BUY', 100, 78.00, 7800.00),
-(2, 3, 'SELL', 5, 3250.00, 16250.00),
-(8, 1, 'BUY', 200, 45.00, 9000.00),
-(9, 4, 'BUY', 300, 35.00, 10500.00),
-(12, 5, 'BUY', 5, 3200.00, 16000.00),
-(3, 1, 'SELL', 20, 1450.00, 29000.00);
+INSERT INTO trade_log (user_id, portfolio_id, instrument_id, goal_id, transaction_type, quantity, price, total_amount) VALUES
+(1, 1, 1, 1, 'BUY', 10, 2400.00, 24000.00),
+(1, 1, 3, 1, 'BUY', 50, 650.00, 32500.00),
+(1, 1, 5, 2, 'BUY', 5, 6200.00, 31000.00),
+(1, 1, 1, 1, 'SELL', 5, 2450.00, 12250.00),
+(1, 1, 2, 3, 'BUY', 15, 3200.00, 48000.00),
+(1, 1, 4, 4, 'BUY', 20, 1600.00, 32000.00),
+(1, 1, 6, 1, 'BUY', 100, 650.00, 65000.00),
+(1, 1, 7, 2, 'BUY', 500, 125.00, 62500.00),
+(1, 1, 10, 5, 'BUY', 10, 6200.00, 62000.00),
+(1, 1, 11, 6, 'BUY', 100, 78.00, 7800.00),
+(1, 1, 2, 3, 'SELL', 5, 3250.00, 16250.00),
+(1, 1, 8, 1, 'BUY', 200, 45.00, 9000.00),
+(1, 1, 9, 4, 'BUY', 300, 35.00, 10500.00),
+(1, 1, 12, 5, 'BUY', 5, 3200.00, 16000.00),
+(1, 1, 3, 1, 'SELL', 20, 1450.00, 29000.00);
+
+-- Allocate the units bought for each goal to it
+INSERT INTO goal_allocations (user_id, goal_id, portfolio_id, instrument_id, allocation_type, value)
+SELECT user_id, goal_id, portfolio_id, instrument_id, 'QUANTITY', SUM(IF(transaction_type = 'BUY', quantity, -quantity))
+FROM trade_log
+WHERE goal_id IS NOT NULL
+GROUP BY user_id, goal_id, portfolio_id, instrument_id
+HAVING SUM(IF(transaction_type = 'BUY', quantity, -quantity)) > 0;
+
+-- Seed one price tick per instrument at its current price
+INSERT INTO price_history (instrument_id, price_time, price)
+SELECT id, CURRENT_TIMESTAMP, current_price FROM instruments;
+
+-- Insert Sample Watchlist
+INSERT INTO watchlists (user_id, name) VALUES
+(1, 'Banks');
+
+INSERT INTO watchlist_items (watchlist_id, instrument_id)
+SELECT 1, id FROM instruments WHERE symbol IN ('HDFC_BANK', 'ICICI_BANK');
+
+-- Insert Default Settings
+INSERT INTO settings (user_id, setting_key, setting_value) VALUES
+(1, 'default_cost_basis_method', 'FIFO');
 
 -- Display the created data
 SELECT 'Instruments Table:' as table_name;
@@ -0,0 +1,154 @@
+// Systematic investment plans (SIPs): instalment dates for each frequency, and a
+// scheduler that posts due instalments on an interval.
+//
+// Dates are 'YYYY-MM-DD' strings in the server's local time zone.
+
+const SIP_FREQUENCIES = ['WEEKLY', 'FORTNIGHTLY', 'MONTHLY', 'QUARTERLY'];
+
+// Instalments per month, to compare plans of different frequencies
+const INSTALMENTS_PER_MONTH = { WEEKLY: 52 / 12, FORTNIGHTLY: 26 / 12, MONTHLY: 1, QUARTERLY: 1 / 3 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 'YYYY-MM-DD' for a Date (DATE columns come back as local midnight) or a date string
+const toDateKey = (value) => {
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+// Date of the nth instalment (0 is the start date). Monthly and quarterly plans keep
+// the start date's day of the month, moving to the last day in shorter months.
+const getInstalmentDate = (startDate, frequency, n) => {
+  const [year, month, day] = startDate.split('-').map(Number);
+  if (frequency === 'WEEKLY' || frequency === 'FORTNIGHTLY') {
+    return toDateKey(new Date(year, month - 1, day + (frequency === 'WEEKLY' ? 7 : 14) * n));
+  }
+  const monthIndex = month - 1 + (frequency === 'QUARTERLY' ? 3 : 1) * n;
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return toDateKey(new Date(year, monthIndex, Math.min(day, lastDay)));
+};
+
+// Instalment dates of a plan, oldest first: those from `from` to `to` (inclusive),
+// stopping at the plan's end date or after `limit` dates
+const getInstalmentDates = (sip, { from = null, to = null, limit = Infinity } = {}) => {
+  const startDate = toDateKey(sip.start_date);
+  const endDate = sip.end_date ? toDateKey(sip.end_date) : null;
+  const dates = [];
+  for (let n = 0; dates.length < limit; n++) {
+    const date = getInstalmentDate(startDate, sip.frequency, n);
+    if ((to && date > to) || (endDate && date > endDate)) {
+      break;
+    }
+    if (!from || date >= from) {
+      dates.push(date);
+    }
+  }
+  return dates;
+};
+
+// Rupees a plan invests per month on average; quantity-based plans are valued at price
+const getMonthlyAmount = (sip, price) => (
+  (sip.amount !== null ? Number(sip.amount) : Number(sip.quantity) * Number(price)) * INSTALMENTS_PER_MONTH[sip.frequency]
+);
+
+// Check a complete plan (a new one, or an existing one with the edits applied);
+// returns an error message or null
+const validateSip = (sip) => {
+  const { instrument_id, amount, quantity, frequency, start_date, end_date, catch_up } = sip;
+
+  if (!instrument_id || !frequency || !start_date) {
+    return 'instrument_id, frequency and start_date are required';
+  }
+  const hasAmount = amount !== undefined && amount !== null;
+  const hasQuantity = quantity !== undefined && quantity !== null;
+  if (hasAmount === hasQuantity) {
+    return 'Give either amount or quantity per instalment';
+  }
+  if (hasAmount ? !(Number(amount) > 0) : !(Number(quantity) > 0)) {
+    return `${hasAmount ? 'amount' : 'quantity'} must be positive`;
+  }
+  if (!SIP_FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of ${SIP_FREQUENCIES.join(', ')}`;
+  }
+  if (!isDateKey(toDateKey(start_date))) {
+    return 'start_date must be a date in YYYY-MM-DD format';
+  }
+  if (end_date !== undefined && end_date !== null) {
+    if (!isDateKey(toDateKey(end_date))) {
+      return 'end_date must be a date in YYYY-MM-DD format';
+    }
+    if (toDateKey(end_date) < toDateKey(start_date)) {
+      return 'end_date must not be before start_date';
+    }
+  }
+  if (catch_up !== undefined && typeof catch_up !== 'boolean') {
+    return 'catch_up must be true or false';
+  }
+  return null;
+};
+
+// Run runDue() every intervalMs, and once on start so instalments missed while the
+// server was down are picked up
+const createSipScheduler = ({ enabled, intervalMs, runDue }) => {
+  let timer = null;
+  let running = false;
+  const status = {
+    enabled,
+    interval_ms: intervalMs,
+    active: false,
+    last_run_at: null,
+    last_executed_count: 0,
+    last_error: null
+  };
+
+  // Overlapping runs are skipped so an instalment is never posted twice
+  const runOnce = async () => {
+    if (running) {
+      return [];
+    }
+    running = true;
+    try {
+      const results = await runDue();
+      status.last_run_at = new Date();
+      status.last_executed_count = results.filter(result => result.status === 'EXECUTED').length;
+      status.last_error = results.map(result => result.error).find(Boolean) || null;
+      return results;
+    } catch (err) {
+      status.last_error = err.message;
+      throw err;
+    } finally {
+      running = false;
+    }
+  };
+
+  const tick = () => {
+    runOnce().catch(err => console.error('SIP scheduler run failed:', err.message));
+  };
+
+  return {
+    start() {
+      if (!enabled || timer) {
+        return;
+      }
+      tick();
+      timer = setInterval(tick, intervalMs);
+      status.active = true;
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      status.active = false;
+    },
+
+    runOnce,
+
+    getStatus: () => ({ ...status })
+  };
+};
+
+module.exports = { SIP_FREQUENCIES, toDateKey, isDateKey, getInstalmentDates, getMonthlyAmount, validateSip, createSipScheduler };
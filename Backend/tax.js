@@ -0,0 +1,214 @@
+// Indian capital-gains classification for the instrument types we track.
+// MF and ETF are treated as equity-oriented; the schema does not distinguish debt funds.
+// FD interest and crypto gains have no long-term treatment.
+
+const { matchPortfolioLots } = require('./corporateActions');
+
+// Listed equity bought before this date gets grandfathered cost (Section 112A)
+const GRANDFATHERING_CUTOFF = new Date(2018, 1, 1);
+
+// Finance (No. 2) Act 2024 changed holding periods and rates for sales from this date
+const BUDGET_2024_EFFECTIVE = new Date(2024, 6, 23);
+
+const EQUITY_TYPES = ['STOCK', 'MF', 'ETF'];
+
+// Months an asset must be held (strictly more than) for the gain to be long-term;
+// null when every gain is short-term
+const getLongTermMonths = (type, sellDate) => {
+  if (type === 'FD' || type === 'CRYPTO') {
+    return null;
+  }
+  if (type === 'GOLD') {
+    return sellDate >= BUDGET_2024_EFFECTIVE ? 24 : 36;
+  }
+  return 12;
+};
+
+// Flat tax rates in percent; null means the gain is taxed at the investor's slab rate
+const getTaxRates = (type, sellDate) => {
+  const afterBudget2024 = sellDate >= BUDGET_2024_EFFECTIVE;
+  if (type === 'GOLD') {
+    return { short_term: null, long_term: afterBudget2024 ? 12.5 : 20 };
+  }
+  // Listed bonds: long-term gains lost indexation, so 10% before the 2024 budget
+  if (type === 'BOND') {
+    return { short_term: null, long_term: afterBudget2024 ? 12.5 : 10 };
+  }
+  if (type === 'FD') {
+    return { short_term: null, long_term: null };
+  }
+  // Virtual digital assets (Section 115BBH)
+  if (type === 'CRYPTO') {
+    return { short_term: 30, long_term: null };
+  }
+  return { short_term: afterBudget2024 ? 20 : 15, long_term: afterBudget2024 ? 12.5 : 10 };
+};
+
+// Yearly exemption on equity long-term gains (Section 112A)
+const getEquityLtcgExemption = (fyStartYear) => (fyStartYear >= 2024 ? 125000 : 100000);
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Parse "2025-26" into the April–March date range it covers
+const parseFinancialYear = (fy) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(fy || '');
+  if (!match) {
+    return null;
+  }
+  const startYear = Number(match[1]);
+  if ((startYear + 1) % 100 !== Number(match[2])) {
+    return null;
+  }
+  return {
+    label: fy,
+    start_year: startYear,
+    start: new Date(startYear, 3, 1),
+    end: new Date(startYear + 1, 3, 1)
+  };
+};
+
+// Financial year label ("2025-26") for a date
+const getFinancialYear = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Classify one lot match as short- or long-term and work out the taxable gain
+const classifyMatch = (match, instrument) => {
+  const buyDate = new Date(match.buy_date);
+  const sellDate = new Date(match.sell_date);
+  const longTermMonths = getLongTermMonths(instrument.type, sellDate);
+  const term = longTermMonths !== null && sellDate > addMonths(buyDate, longTermMonths) ? 'LONG' : 'SHORT';
+  const rates = getTaxRates(instrument.type, sellDate);
+
+  const actualCost = match.cost_amount;
+  const proceeds = match.proceeds_amount;
+  let grandfatheredCost = null;
+
+  // Cost of acquisition = max(actual cost, min(FMV on 31 Jan 2018, sale value))
+  if (
+    term === 'LONG' &&
+    EQUITY_TYPES.includes(instrument.type) &&
+    buyDate < GRANDFATHERING_CUTOFF &&
+    instrument.grandfathered_price !== null &&
+    instrument.grandfathered_price !== undefined
+  ) {
+    const fairMarketValue = match.quantity * Number(instrument.grandfathered_price);
+    grandfatheredCost = Math.max(actualCost, Math.min(fairMarketValue, proceeds));
+  }
+
+  const costOfAcquisition = grandfatheredCost !== null ? grandfatheredCost : actualCost;
+
+  return {
+    instrument_id: instrument.id,
+    symbol: instrument.symbol,
+    name: instrument.name,
+    type: instrument.type,
+    buy_trade_id: match.buy_trade_id,
+    buy_corporate_action_id: match.buy_corporate_action_id,
+    sell_trade_id: match.sell_trade_id,
+    buy_date: buyDate,
+    sell_date: sellDate,
+    holding_days: Math.floor((sellDate - buyDate) / 86400000),
+    term,
+    quantity: match.quantity,
+    buy_price: round2(match.cost_per_unit),
+    sell_price: match.sell_price,
+    actual_cost: round2(actualCost),
+    grandfathered_cost: grandfatheredCost !== null ? round2(grandfatheredCost) : null,
+    cost_of_acquisition: round2(costOfAcquisition),
+    sale_value: round2(proceeds),
+    gain: round2(proceeds - costOfAcquisition),
+    tax_rate: term === 'LONG' ? rates.long_term : rates.short_term
+  };
+};
+
+const emptyTotals = () => ({
+  short_term_gain: 0,
+  long_term_gain: 0,
+  sale_value: 0,
+  cost_of_acquisition: 0
+});
+
+const addToTotals = (totals, entry) => {
+  if (entry.term === 'LONG') {
+    totals.long_term_gain += entry.gain;
+  } else {
+    totals.short_term_gain += entry.gain;
+  }
+  totals.sale_value += entry.sale_value;
+  totals.cost_of_acquisition += entry.cost_of_acquisition;
+};
+
+const roundTotals = (totals) => Object.fromEntries(
+  Object.entries(totals).map(([key, value]) => [key, round2(value)])
+);
+
+// Build the capital-gains report for a financial year.
+// instruments maps id -> instrument row; actions are the user's corporate actions.
+// Lots are always matched FIFO within each portfolio (demat account), as the
+// Income Tax Act requires for demat holdings. Split and merged lots keep their
+// original buy date; bonus shares are acquired on the ex-date at nil cost.
+const buildCapitalGainsReport = (trades, actions, instruments, financialYear) => {
+  const tradesByPortfolio = new Map();
+  trades.forEach(trade => {
+    if (!tradesByPortfolio.has(trade.portfolio_id)) {
+      tradesByPortfolio.set(trade.portfolio_id, []);
+    }
+    tradesByPortfolio.get(trade.portfolio_id).push(trade);
+  });
+
+  const entries = [];
+  tradesByPortfolio.forEach((portfolioTrades, portfolioId) => {
+    const portfolioActions = actions.filter(action => !action.portfolio_id || action.portfolio_id === portfolioId);
+    matchPortfolioLots(portfolioTrades, portfolioActions, 'FIFO').forEach(({ matches }) => {
+      matches
+        .filter(match => {
+          const sellDate = new Date(match.sell_date);
+          return sellDate >= financialYear.start && sellDate < financialYear.end;
+        })
+        .forEach(match => entries.push({
+          portfolio_id: portfolioId,
+          ...classifyMatch(match, instruments.get(match.instrument_id))
+        }));
+    });
+  });
+  entries.sort((a, b) => a.sell_date - b.sell_date || a.sell_trade_id - b.sell_trade_id);
+
+  const totals = emptyTotals();
+  const totalsByType = {};
+  entries.forEach(entry => {
+    if (!totalsByType[entry.type]) {
+      totalsByType[entry.type] = emptyTotals();
+    }
+    addToTotals(totalsByType[entry.type], entry);
+    addToTotals(totals, entry);
+  });
+
+  const equityLtcg = entries
+    .filter(entry => entry.term === 'LONG' && EQUITY_TYPES.includes(entry.type))
+    .reduce((sum, entry) => sum + entry.gain, 0);
+  const exemption = getEquityLtcgExemption(financialYear.start_year);
+
+  return {
+    financial_year: financialYear.label,
+    period: { from: financialYear.start, to: new Date(financialYear.end - 1) },
+    totals: {
+      ...roundTotals(totals),
+      equity_ltcg_exemption: exemption,
+      taxable_equity_ltcg: round2(Math.max(equityLtcg - exemption, 0))
+    },
+    totals_by_type: Object.fromEntries(
+      Object.entries(totalsByType).map(([type, typeTotals]) => [type, roundTotals(typeTotals)])
+    ),
+    entries
+  };
+};
+
+module.exports = { getLongTermMonths, parseFinancialYear, getFinancialYear, buildCapitalGainsReport };
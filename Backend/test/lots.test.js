@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchLots } = require('../lots');
+
+const buy = (id, quantity, price, created_at) => ({ id, instrument_id: 1, transaction_type: 'BUY', quantity, price, created_at });
+const sell = (id, quantity, price, created_at) => ({ id, instrument_id: 1, transaction_type: 'SELL', quantity, price, created_at });
+const action = (fields) => ({ id: 100, instrument_id: 1, ...fields });
+
+const trades = [
+  buy(1, 10, 100, '2024-01-01'),
+  buy(2, 10, 120, '2024-02-01'),
+  sell(3, 15, 130, '2024-03-01')
+];
+
+test('FIFO sells the oldest lots first at their own cost', () => {
+  const result = matchLots(trades, 'FIFO');
+  assert.deepEqual(result.matches.map(match => [match.buy_trade_id, match.quantity, match.cost_per_unit, match.realized_pnl]), [
+    [1, 10, 100, 300],
+    [2, 5, 120, 50]
+  ]);
+  assert.deepEqual(result.openLots.map(lot => [lot.trade_id, lot.remaining, lot.price]), [[2, 5, 120]]);
+  assert.equal(result.quantity, 5);
+  assert.equal(result.cost, 600);
+});
+
+test('AVERAGE keeps the lot dates but costs every unit at the running average', () => {
+  const result = matchLots(trades, 'AVERAGE');
+  assert.deepEqual(result.matches.map(match => [match.buy_date, match.quantity, match.cost_per_unit]), [
+    ['2024-01-01', 10, 110],
+    ['2024-02-01', 5, 110]
+  ]);
+  assert.equal(result.matches.reduce((sum, match) => sum + match.realized_pnl, 0), 300);
+  assert.equal(result.cost, 550);
+});
+
+test('a sell beyond the held quantity reports the shortfall', () => {
+  const result = matchLots([buy(1, 10, 100, '2024-01-01'), sell(2, 12, 110, '2024-02-01')]);
+  assert.deepEqual(result.shortfalls, [{ trade_id: 2, quantity: 2, available: 10 }]);
+  assert.equal(result.quantity, 0);
+});
+
+test('a split scales open lots at the same total cost', () => {
+  const result = matchLots([
+    buy(1, 10, 100, '2024-01-01'),
+    action({ action_type: 'SPLIT', ratio_from: 1, ratio_to: 2, created_at: '2024-02-01' }),
+    sell(2, 5, 60, '2024-03-01')
+  ]);
+  assert.deepEqual(result.matches.map(match => [match.quantity, match.cost_per_unit, match.realized_pnl]), [[5, 50, 50]]);
+  assert.deepEqual(result.openLots.map(lot => [lot.remaining, lot.price]), [[15, 50]]);
+});
+
+test('bonus units are allotted whole, at zero cost and dated the ex-date', () => {
+  const result = matchLots([
+    buy(1, 7, 100, '2024-01-01'),
+    action({ action_type: 'BONUS', ratio_from: 2, ratio_to: 1, created_at: '2024-02-01' })
+  ]);
+  assert.deepEqual(result.openLots.map(lot => [lot.corporate_action_id, lot.remaining, lot.price, lot.date]), [
+    [null, 7, 100, '2024-01-01'],
+    [100, 3, 0, '2024-02-01']
+  ]);
+  assert.equal(result.quantity, 10);
+});
+
+test('rights units are bought at the issue price', () => {
+  const result = matchLots([
+    buy(1, 10, 100, '2024-01-01'),
+    action({ action_type: 'RIGHTS', ratio_from: 5, ratio_to: 1, amount: 80, created_at: '2024-02-01' })
+  ]);
+  assert.deepEqual(result.openLots[1], { trade_id: null, corporate_action_id: 100, date: '2024-02-01', price: 80, remaining: 2 });
+  assert.equal(result.cost, 1160);
+});
+
+test('dividends pay on the quantity held at the ex-date', () => {
+  const result = matchLots([
+    buy(1, 10, 100, '2024-01-01'),
+    sell(2, 4, 110, '2024-02-01'),
+    action({ action_type: 'DIVIDEND', amount: 2.5, created_at: '2024-03-01' })
+  ]);
+  assert.deepEqual(result.income.map(entry => [entry.quantity, entry.amount]), [[6, 15]]);
+});
+
+test('no dividend is recorded once the position is closed', () => {
+  const result = matchLots([
+    buy(1, 10, 100, '2024-01-01'),
+    sell(2, 10, 110, '2024-02-01'),
+    action({ action_type: 'DIVIDEND', amount: 2.5, created_at: '2024-03-01' })
+  ]);
+  assert.deepEqual(result.income, []);
+});
+
+test('a merger moves the open lots out at the ratio, keeping their buy dates', () => {
+  const result = matchLots([
+    buy(1, 10, 100, '2024-01-01'),
+    action({ action_type: 'MERGER', ratio_from: 2, ratio_to: 1, new_instrument_id: 2, created_at: '2024-02-01' })
+  ]);
+  assert.equal(result.quantity, 0);
+  assert.deepEqual(result.openLots, []);
+  assert.deepEqual(result.transfers.map(transfer => [transfer.instrument_id, transfer.lots.map(lot => [lot.remaining, lot.price, lot.date])]), [
+    [2, [[5, 200, '2024-01-01']]]
+  ]);
+});
+
+test('merged-in lots are sold in buy-date order with the target\'s own lots', () => {
+  const result = matchLots([
+    buy(1, 5, 300, '2024-03-01'),
+    action({
+      action_type: 'MERGER_IN',
+      created_at: '2024-04-01',
+      lots: [{ trade_id: 9, corporate_action_id: null, date: '2024-01-01', price: 200, remaining: 5 }]
+    }),
+    sell(2, 6, 250, '2024-05-01')
+  ]);
+  assert.deepEqual(result.matches.map(match => [match.buy_trade_id, match.quantity, match.cost_per_unit]), [
+    [9, 5, 200],
+    [1, 1, 300]
+  ]);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { xirr, buildDailyValues, buildPerformance } = require('../performance');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+};
+
+test('xirr finds the annual rate of a one-year investment', () => {
+  close(xirr([
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 1), amount: 1100 }
+  ]), 0.1);
+});
+
+test('xirr finds losses', () => {
+  close(xirr([
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 1), amount: 900 }
+  ]), -0.1);
+});
+
+test('xirr widens its bracket for short periods with large annualized rates', () => {
+  // 10% in 10 days annualizes to about 3142%
+  close(xirr([
+    { date: new Date(2024, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 11), amount: 1100 }
+  ]), Math.pow(1.1, 36.5) - 1);
+});
+
+test('xirr handles several flows', () => {
+  const flows = [
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2023, 6, 2), amount: -500 },
+    { date: new Date(2024, 0, 1), amount: 1700 }
+  ];
+  const rate = xirr(flows);
+  const presentValue = flows.reduce((sum, flow) => (
+    sum + flow.amount / Math.pow(1 + rate, (flow.date - flows[0].date) / (365 * 86400000))
+  ), 0);
+  close(presentValue, 0);
+});
+
+test('xirr is null without two flows or a change of sign', () => {
+  assert.equal(xirr([]), null);
+  assert.equal(xirr([{ date: new Date(2024, 0, 1), amount: -1000 }]), null);
+  assert.equal(xirr([
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 1), amount: -100 }
+  ]), null);
+});
+
+// 10 units bought on 2 January at 100, worth 110 from the 3rd
+const position = { portfolio_id: 1, instrument_id: 7, quantity: 10, invested_amount: 1000, dividend_income: 0 };
+const baseOptions = {
+  from: '2024-01-02',
+  to: '2024-01-04',
+  snapshots: [{ date: '2024-01-02', positions: [position] }],
+  flows: [{ date: '2024-01-02', portfolio_id: 1, instrument_id: 7, amount: 1000 }],
+  marks: new Map([[7, [{ date: '2024-01-02', price: 100 }, { date: '2024-01-03', price: 110 }]]])
+};
+
+test('buildDailyValues values each day and carries the last price forward', () => {
+  const { total } = buildDailyValues(baseOptions);
+  assert.deepEqual(total.baseline, { date: '2024-01-01', value: 0, invested: 0, net_flow: 0, twr_index: 1 });
+  assert.deepEqual(total.points.map(point => point.date), ['2024-01-02', '2024-01-03', '2024-01-04']);
+  assert.deepEqual(total.points.map(point => point.value), [1000, 1100, 1100]);
+  assert.deepEqual(total.points.map(point => point.net_flow), [1000, 0, 0]);
+  total.points.map(point => point.twr_index).forEach((index, day) => close(index, [1, 1.1, 1.1][day]));
+});
+
+test('buildDailyValues takes flows out of the time-weighted return', () => {
+  const { total } = buildDailyValues({
+    ...baseOptions,
+    snapshots: [
+      ...baseOptions.snapshots,
+      { date: '2024-01-03', positions: [{ ...position, quantity: 20, invested_amount: 2000 }] }
+    ],
+    flows: [...baseOptions.flows, { date: '2024-01-03', portfolio_id: 1, instrument_id: 7, amount: 1100 }]
+  });
+  // The second buy doubles the value on the 3rd, but only the price move counts as return
+  assert.equal(total.points[1].value, 2200);
+  close(total.points[1].twr_index, 1.1);
+});
+
+test('buildDailyValues pays dividends out as negative flows', () => {
+  const { total } = buildDailyValues({
+    ...baseOptions,
+    snapshots: [
+      ...baseOptions.snapshots,
+      { date: '2024-01-03', positions: [{ ...position, dividend_income: 50 }] }
+    ]
+  });
+  assert.equal(total.points[1].net_flow, -50);
+  close(total.points[1].twr_index, 1.15);
+});
+
+test('buildDailyValues ignores flows on the baseline day', () => {
+  const { total } = buildDailyValues({
+    ...baseOptions,
+    flows: [{ date: '2024-01-01', portfolio_id: 1, instrument_id: 7, amount: 500 }]
+  });
+  assert.equal(total.baseline.net_flow, 0);
+  assert.ok(total.points.every(point => point.net_flow === 0));
+});
+
+test('buildDailyValues splits a holding between groups by weight', () => {
+  const { groups } = buildDailyValues({ ...baseOptions, groupsOf: () => [{ key: 'retirement', weight: 0.25 }] });
+  const group = groups.get('retirement');
+  assert.deepEqual(group.points.map(point => point.value), [250, 275, 275]);
+  assert.equal(group.points[0].net_flow, 250);
+});
+
+test('buildPerformance summarizes returns and only annualizes a year or more', () => {
+  const { total } = buildPerformance({ ...baseOptions, granularity: 'daily' });
+  assert.equal(total.summary.start_value, 0);
+  assert.equal(total.summary.end_value, 1100);
+  assert.equal(total.summary.gain, 100);
+  assert.equal(total.summary.twr_percent, 10);
+  assert.equal(total.summary.twr_annualized_percent, null);
+  assert.equal(total.series.length, 3);
+});
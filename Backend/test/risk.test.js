@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeRisk } = require('../risk');
+
+const DAYS = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06'];
+
+// Portfolio-level report for a growth index over the first levels.length days
+const portfolioRisk = (portfolioLevels, riskFreeRate = 0) => analyzeRisk({
+  days: DAYS.slice(0, portfolioLevels.length),
+  portfolioLevels,
+  holdings: [],
+  prices: new Map(),
+  riskFreeRate,
+  concentrationLimit: 25
+}).portfolio;
+
+test('max drawdown runs from the peak to the deepest trough and to the recovery', () => {
+  const risk = portfolioRisk([100, 120, 100, 90, 110, 125]);
+  assert.equal(risk.max_drawdown_percent, 25);
+  assert.equal(risk.peak_date, '2024-01-02');
+  assert.equal(risk.trough_date, '2024-01-04');
+  assert.equal(risk.recovery_date, '2024-01-06');
+});
+
+test('max drawdown has no recovery date while still under the peak', () => {
+  const risk = portfolioRisk([100, 80, 90]);
+  assert.equal(risk.max_drawdown_percent, 20);
+  assert.equal(risk.recovery_date, null);
+});
+
+test('a smaller later drawdown keeps the earlier one and its recovery', () => {
+  const risk = portfolioRisk([100, 80, 100, 120, 110]);
+  assert.equal(risk.max_drawdown_percent, 20);
+  assert.equal(risk.peak_date, '2024-01-01');
+  assert.equal(risk.trough_date, '2024-01-02');
+  assert.equal(risk.recovery_date, '2024-01-03');
+});
+
+test('days before the portfolio held anything are skipped', () => {
+  const risk = portfolioRisk([null, null, 100, 90]);
+  assert.equal(risk.days_measured, 1);
+  assert.equal(risk.max_drawdown_percent, 10);
+  assert.equal(risk.peak_date, '2024-01-03');
+});
+
+test('a rising series has no drawdown', () => {
+  const risk = portfolioRisk([100, 101, 102]);
+  assert.deepEqual(
+    [risk.max_drawdown_percent, risk.peak_date, risk.trough_date, risk.recovery_date],
+    [0, null, null, null]
+  );
+});
+
+test('return statistics annualize daily returns over 365 days', () => {
+  // Daily returns of +10% and -10%
+  const risk = portfolioRisk([100, 110, 99]);
+  assert.equal(risk.annual_return_percent, -84.03);
+  assert.equal(risk.volatility_percent, 270.19);
+  assert.equal(risk.downside_deviation_percent, 135.09);
+  assert.equal(risk.sharpe_ratio, -0.31);
+  assert.equal(risk.sortino_ratio, -0.62);
+});
+
+test('the risk-free rate raises the downside deviation and lowers the ratios', () => {
+  const risk = portfolioRisk([100, 110, 99], 6);
+  assert.equal(risk.downside_deviation_percent, 135.31);
+  assert.equal(risk.sharpe_ratio, -0.33);
+  assert.equal(risk.sortino_ratio, -0.67);
+});
+
+test('return statistics need at least two returns', () => {
+  const risk = portfolioRisk([100, 110]);
+  assert.equal(risk.annual_return_percent, null);
+  assert.equal(risk.volatility_percent, null);
+  assert.equal(risk.sharpe_ratio, null);
+});
+
+test('a flat series has no volatility and no ratios', () => {
+  const risk = portfolioRisk([100, 100, 100]);
+  assert.equal(risk.volatility_percent, 0);
+  assert.equal(risk.sharpe_ratio, null);
+  assert.equal(risk.sortino_ratio, null);
+});
+
+test('holdings carry prices forward and are flagged above the concentration limit', () => {
+  const report = analyzeRisk({
+    days: DAYS.slice(0, 3),
+    portfolioLevels: [100, 100, 90],
+    holdings: [
+      { instrument_id: 1, symbol: 'TCS', type: 'STOCK', market_value: 600 },
+      { instrument_id: 2, symbol: 'GOLDBEES', type: 'GOLD', market_value: 400 }
+    ],
+    prices: new Map([[1, [{ date: '2024-01-01', price: 100 }, { date: '2024-01-03', price: 90 }]]]),
+    riskFreeRate: 0,
+    concentrationLimit: 50
+  });
+  const [tcs, gold] = report.holdings;
+  assert.equal(tcs.max_drawdown_percent, 10);
+  assert.equal(tcs.weight_percent, 60);
+  assert.equal(gold.volatility_percent, null);
+  assert.deepEqual(report.correlation.matrix, [[1, null], [null, 1]]);
+  assert.equal(report.concentration.herfindahl_index, 0.52);
+  assert.deepEqual(report.concentration.flags.map(flag => flag.symbol), ['TCS']);
+});
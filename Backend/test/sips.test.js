@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getInstalmentDates, getMonthlyAmount } = require('../sips');
+
+test('monthly instalments keep the start day and fall back to the month end', () => {
+  assert.deepEqual(
+    getInstalmentDates({ start_date: '2024-01-31', frequency: 'MONTHLY' }, { limit: 5 }),
+    ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31']
+  );
+});
+
+test('month-end fallback uses the length of February in non-leap years', () => {
+  assert.deepEqual(
+    getInstalmentDates({ start_date: '2023-01-30', frequency: 'MONTHLY' }, { limit: 3 }),
+    ['2023-01-30', '2023-02-28', '2023-03-30']
+  );
+});
+
+test('quarterly instalments run three months apart across the year end', () => {
+  assert.deepEqual(
+    getInstalmentDates({ start_date: '2023-11-30', frequency: 'QUARTERLY' }, { limit: 4 }),
+    ['2023-11-30', '2024-02-29', '2024-05-30', '2024-08-30']
+  );
+});
+
+test('weekly and fortnightly instalments cross month ends', () => {
+  assert.deepEqual(
+    getInstalmentDates({ start_date: '2024-01-22', frequency: 'WEEKLY' }, { limit: 3 }),
+    ['2024-01-22', '2024-01-29', '2024-02-05']
+  );
+  assert.deepEqual(
+    getInstalmentDates({ start_date: '2024-02-20', frequency: 'FORTNIGHTLY' }, { limit: 3 }),
+    ['2024-02-20', '2024-03-05', '2024-03-19']
+  );
+});
+
+test('instalments stop at the end date and stay inside from and to', () => {
+  const sip = { start_date: '2024-01-15', end_date: '2024-06-14', frequency: 'MONTHLY' };
+  assert.deepEqual(getInstalmentDates(sip), ['2024-01-15', '2024-02-15', '2024-03-15', '2024-04-15', '2024-05-15']);
+  assert.deepEqual(getInstalmentDates(sip, { from: '2024-02-16', to: '2024-04-15' }), ['2024-03-15', '2024-04-15']);
+});
+
+test('a start date from a DATE column is read in local time', () => {
+  assert.deepEqual(
+    getInstalmentDates({ start_date: new Date(2024, 0, 31), frequency: 'MONTHLY' }, { limit: 2 }),
+    ['2024-01-31', '2024-02-29']
+  );
+});
+
+test('monthly amounts compare plans of different frequencies', () => {
+  assert.equal(getMonthlyAmount({ amount: '1200', frequency: 'WEEKLY' }), 5200);
+  assert.equal(getMonthlyAmount({ amount: '3000', frequency: 'QUARTERLY' }), 1000);
+  assert.equal(getMonthlyAmount({ amount: null, quantity: '2', frequency: 'MONTHLY' }, 50), 100);
+});
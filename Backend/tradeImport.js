@@ -0,0 +1,263 @@
+// Parsing and normalisation of broker tradebooks (CSV or XLSX) for bulk trade import
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./csv');
+const { isValidIsin } = require('./instrumentMaster');
+
+// Column mappings for common Indian broker exports. Each maps our field to the
+// header in the broker file; price may be missing when the file gives a total amount.
+const IMPORT_PRESETS = {
+  zerodha: {
+    label: 'Zerodha Console tradebook',
+    mapping: {
+      symbol: 'symbol',
+      isin: 'isin',
+      date: 'order_execution_time',
+      fallback_date: 'trade_date',
+      side: 'trade_type',
+      quantity: 'quantity',
+      price: 'price',
+      trade_id: 'trade_id'
+    }
+  },
+  upstox: {
+    label: 'Upstox trade report',
+    mapping: {
+      symbol: 'Scrip Code',
+      name: 'Company',
+      date: 'Date',
+      side: 'Side',
+      quantity: 'Quantity',
+      price: 'Price',
+      amount: 'Amount',
+      trade_id: 'Trade Num'
+    }
+  },
+  groww: {
+    label: 'Groww stocks order history',
+    mapping: {
+      symbol: 'Symbol',
+      name: 'Stock name',
+      isin: 'ISIN',
+      date: 'Execution date and time',
+      side: 'Type',
+      quantity: 'Quantity',
+      amount: 'Value',
+      trade_id: 'Exchange Order Id',
+      status: 'Order status'
+    }
+  },
+  angelone: {
+    label: 'Angel One tradebook',
+    mapping: {
+      symbol: 'Symbol',
+      date: 'Trade Date',
+      side: 'Buy/Sell',
+      quantity: 'Quantity',
+      price: 'Trade Price',
+      trade_id: 'Trade No'
+    }
+  },
+  generic: {
+    label: 'Generic (symbol, date, type, quantity, price)',
+    mapping: {
+      symbol: 'symbol',
+      name: 'name',
+      instrument_type: 'instrument_type',
+      date: 'date',
+      side: 'type',
+      quantity: 'quantity',
+      price: 'price',
+      trade_id: 'trade_id'
+    }
+  }
+};
+
+const SIDE_VALUES = {
+  BUY: 'BUY', B: 'BUY', PURCHASE: 'BUY',
+  SELL: 'SELL', S: 'SELL', REDEEM: 'SELL', REDEMPTION: 'SELL'
+};
+
+// Order statuses that mean the trade did not happen (Groww exports every order)
+const SKIPPED_STATUSES = ['CANCELLED', 'REJECTED', 'FAILED'];
+
+const XLSX_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+];
+
+// Read the first worksheet into objects keyed by header, like parseCsv
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const cellValue = (cell) => {
+    const { value } = cell;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      // Formula results and rich text
+      if ('result' in value) return value.result;
+      if ('richText' in value) return value.richText.map(part => part.text).join('');
+      if ('text' in value) return value.text;
+    }
+    return value;
+  };
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cellValue(cell)).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) {
+        const value = cellValue(row.getCell(column));
+        record[header] = value === null || value === undefined ? '' : value;
+      }
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+
+// Parse an uploaded file (multer memory upload) into raw rows
+const parseTradeFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.xlsx' || XLSX_MIME_TYPES.includes(file.mimetype)) {
+    return parseXlsx(file.buffer);
+  }
+  if (extension === '.csv' || file.mimetype === 'text/csv' || file.mimetype === 'text/plain') {
+    return parseCsv(file.buffer.toString('utf8'));
+  }
+  throw new Error('Unsupported file type. Upload a .csv or .xlsx tradebook.');
+};
+
+// Accepts Date objects (from XLSX) and YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY, each with an optional time
+const parseTradeDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(text);
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  match = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?/i.exec(text);
+  if (match) {
+    const [, day, month, year, rawHour = 0, minute = 0, second = 0, meridiem] = match;
+    let hour = Number(rawHour);
+    if (meridiem && meridiem.toUpperCase() === 'PM' && hour < 12) hour += 12;
+    if (meridiem && meridiem.toUpperCase() === 'AM' && hour === 12) hour = 0;
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  return null;
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value ?? '').replace(/[,₹\s]/g, '');
+  return text === '' ? NaN : Number(text);
+};
+
+// Turn one raw row into a trade using the column mapping.
+// Returns { trade } or { error }, or { skipped } for rows that are not executed trades.
+const normalizeRow = (raw, mapping) => {
+  const field = (key) => (mapping[key] ? raw[mapping[key]] : undefined);
+
+  const status = String(field('status') ?? '').trim().toUpperCase();
+  if (SKIPPED_STATUSES.includes(status)) {
+    return { skipped: `Order status ${status}` };
+  }
+
+  const symbol = String(field('symbol') ?? '').trim().toUpperCase();
+  if (!symbol) {
+    return { error: 'Missing symbol' };
+  }
+
+  const side = SIDE_VALUES[String(field('side') ?? '').trim().toUpperCase()];
+  if (!side) {
+    return { error: `Unknown trade type "${field('side') ?? ''}"` };
+  }
+
+  const date = parseTradeDate(field('date')) || parseTradeDate(field('fallback_date'));
+  if (!date) {
+    return { error: `Invalid date "${field('date') ?? ''}"` };
+  }
+
+  const quantity = Math.abs(parseNumber(field('quantity')));
+  if (!(quantity > 0)) {
+    return { error: 'quantity must be a positive number' };
+  }
+
+  let price = parseNumber(field('price'));
+  if (!(price > 0)) {
+    price = Math.abs(parseNumber(field('amount'))) / quantity;
+  }
+  if (!(price > 0)) {
+    return { error: 'price must be a positive number' };
+  }
+
+  const isin = String(field('isin') ?? '').trim().toUpperCase();
+  if (isin && !isValidIsin(isin)) {
+    return { error: `Invalid ISIN "${isin}"` };
+  }
+
+  const instrumentType = String(field('instrument_type') ?? '').trim().toUpperCase();
+  const tradeId = String(field('trade_id') ?? '').trim();
+
+  return {
+    trade: {
+      symbol,
+      isin: isin || null,
+      name: String(field('name') ?? '').trim() || symbol,
+      instrument_type: instrumentType || null,
+      transaction_type: side,
+      quantity,
+      price: Math.round(price * 10000) / 10000,
+      traded_at: date,
+      external_id: tradeId || null
+    }
+  };
+};
+
+// Resolve the mapping from a preset name and/or a custom mapping (custom keys win)
+const resolveMapping = (presetName, customMapping) => {
+  if (presetName && !IMPORT_PRESETS[presetName]) {
+    throw new Error(`Unknown preset "${presetName}". Use one of ${Object.keys(IMPORT_PRESETS).join(', ')}`);
+  }
+  const base = presetName ? IMPORT_PRESETS[presetName].mapping : IMPORT_PRESETS.generic.mapping;
+  return { ...base, ...(customMapping || {}) };
+};
+
+// Same trade if the broker trade id matches, or, without ids, the same day, side, quantity and price
+const isSameTrade = (a, b) => {
+  if (a.external_id && b.external_id) {
+    return a.external_id === b.external_id;
+  }
+  return (
+    a.transaction_type === b.transaction_type &&
+    new Date(a.traded_at).toDateString() === new Date(b.traded_at).toDateString() &&
+    Math.abs(Number(a.quantity) - Number(b.quantity)) < 0.00005 &&
+    Math.abs(Number(a.price) - Number(b.price)) < 0.00005
+  );
+};
+
+module.exports = { IMPORT_PRESETS, parseTradeFile, normalizeRow, resolveMapping, isSameTrade };